@@ -0,0 +1,168 @@
+// attachments.js
+// Files attached to prompts with @path or /attach. Text files are sent inline as text; images and PDFs are sent as
+// inlineData parts. History keeps only a { fileReference: { path, mimeType, size } } part for those, and the file is
+// read again when the message is sent, so saved sessions never fill up with base64.
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+const MAX_TEXT_CHARS = 100000;
+const MAX_INLINE_BYTES = 10 * 1024 * 1024; // Gemini rejects requests over 20 MB, and base64 adds a third
+const MAX_TOTAL_INLINE_BYTES = 15 * 1024 * 1024;
+const BINARY_SNIFF_BYTES = 8000;
+
+const INLINE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.pdf': 'application/pdf',
+};
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function resolvePath(filePath, baseDir) {
+  const expanded = filePath === '~' || filePath.startsWith('~/') ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+  return path.resolve(baseDir, expanded);
+}
+
+async function isFile(filePath) {
+  try {
+    return (await fs.stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Finds @path references to existing files in a prompt. Quote paths with spaces: @"my notes.txt".
+ * Words starting with @ that are not files (e.g. @someone) are left alone.
+ * @param {string} text The prompt.
+ * @param {string} baseDir Directory relative paths are resolved against.
+ * @returns {Promise<string[]>} Absolute paths of the referenced files, without duplicates.
+ */
+export async function findFileReferences(text, baseDir) {
+  const found = [];
+  for (const match of text.matchAll(/(?:^|\s)@(?:"([^"]+)"|(\S+))/g)) {
+    const candidates = match[1] ? [match[1]] : [match[2], match[2].replace(/[.,;:!?)\]}'"]+$/, '')];
+    for (const candidate of candidates) {
+      const absolutePath = resolvePath(candidate, baseDir);
+      if (candidate && await isFile(absolutePath)) {
+        if (!found.includes(absolutePath)) found.push(absolutePath);
+        break;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Reads a file to attach and checks it against the size limits.
+ * @param {string} filePath The file (relative paths are resolved against baseDir).
+ * @param {string} baseDir Directory relative paths are resolved against.
+ * @returns {Promise<{path: string, kind: 'text'|'inline', mimeType: string, size: number, text?: string, truncated?: boolean}>}
+ *   The attachment; text files carry their (possibly truncated) content.
+ */
+export async function loadAttachment(filePath, baseDir) {
+  const absolutePath = resolvePath(filePath, baseDir);
+  let stats;
+  try {
+    stats = await fs.stat(absolutePath);
+  } catch (error) {
+    throw new Error(error.code === 'ENOENT' ? `File not found: ${absolutePath}` : `Cannot read ${absolutePath}: ${error.message}`);
+  }
+  if (!stats.isFile()) throw new Error(`Not a file: ${absolutePath}`);
+
+  const mimeType = INLINE_MIME_TYPES[path.extname(absolutePath).toLowerCase()];
+  if (mimeType) {
+    if (stats.size > MAX_INLINE_BYTES) {
+      throw new Error(`${absolutePath} is ${formatSize(stats.size)}; images and PDFs can be at most ${formatSize(MAX_INLINE_BYTES)}.`);
+    }
+    return { path: absolutePath, kind: 'inline', mimeType, size: stats.size };
+  }
+
+  const content = await fs.readFile(absolutePath);
+  if (content.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+    throw new Error(`${absolutePath} looks like a binary file; only text files, images and PDFs can be attached.`);
+  }
+  let text = content.toString('utf-8');
+  const truncated = text.length > MAX_TEXT_CHARS;
+  if (truncated) text = text.slice(0, MAX_TEXT_CHARS);
+  return { path: absolutePath, kind: 'text', mimeType: 'text/plain', size: stats.size, text, truncated };
+}
+
+/**
+ * Checks that the images and PDFs of one message fit into a single request.
+ * @param {Array<object>} attachments Results of loadAttachment.
+ * @returns {string|null} The problem, or null if they fit.
+ */
+export function checkTotalSize(attachments) {
+  const total = attachments.filter(attachment => attachment.kind === 'inline').reduce((sum, attachment) => sum + attachment.size, 0);
+  return total > MAX_TOTAL_INLINE_BYTES
+    ? `The attached images and PDFs add up to ${formatSize(total)}; one message can carry at most ${formatSize(MAX_TOTAL_INLINE_BYTES)}.`
+    : null;
+}
+
+/**
+ * Builds the history part for an attachment: the file's text, or a reference for images and PDFs.
+ * @param {object} attachment A result of loadAttachment.
+ * @returns {object} The part.
+ */
+export function toHistoryPart(attachment) {
+  if (attachment.kind === 'inline') {
+    return { fileReference: { path: attachment.path, mimeType: attachment.mimeType, size: attachment.size } };
+  }
+  const fence = '`'.repeat(Math.max(3, ...[...attachment.text.matchAll(/`{3,}/g)].map(match => match[0].length + 1)));
+  const note = attachment.truncated ? `\n[... truncated at ${MAX_TEXT_CHARS} characters ...]` : '';
+  return { text: `Attached file: ${attachment.path}\n${fence}\n${attachment.text.replace(/\n$/, '')}\n${fence}${note}` };
+}
+
+/**
+ * Describes an attachment for the terminal, e.g. "screenshot.png (image/png, 120 KB)".
+ * @param {{path: string, mimeType: string, size: number}} attachment An attachment or file reference.
+ * @returns {string} The description.
+ */
+export function describeAttachment(attachment) {
+  return `${attachment.path} (${attachment.mimeType}, ${formatSize(attachment.size)})`;
+}
+
+function referencePlaceholder(reference, reason) {
+  return { text: `[Attached ${reference.mimeType}: ${reference.path}${reason ? ` (${reason})` : ''}]` };
+}
+
+/**
+ * Turns file references into inlineData parts for sending. A file that can no longer be read is sent as a note.
+ * @param {Array<object>} parts Parts of the message about to be sent.
+ * @returns {Promise<Array<object>>} The parts with every reference resolved.
+ */
+export async function resolveReferences(parts) {
+  return Promise.all(parts.map(async (part) => {
+    if (!part.fileReference) return part;
+    try {
+      const data = await fs.readFile(part.fileReference.path);
+      if (data.length > MAX_INLINE_BYTES) return referencePlaceholder(part.fileReference, 'now too large to send');
+      return { inlineData: { mimeType: part.fileReference.mimeType, data: data.toString('base64') } };
+    } catch {
+      return referencePlaceholder(part.fileReference, 'file no longer available');
+    }
+  }));
+}
+
+/**
+ * Replaces file references in a history with short notes, for starting a chat from saved history without
+ * sending every earlier image again.
+ * @param {Array<object>} history Chat history.
+ * @returns {Array<object>} The history, with references described in text.
+ */
+export function describeReferences(history) {
+  return history.map(content => (content.parts && content.parts.some(part => part.fileReference)
+    ? { ...content, parts: content.parts.map(part => (part.fileReference ? referencePlaceholder(part.fileReference, 'sent earlier') : part)) }
+    : content));
+}
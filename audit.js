@@ -0,0 +1,152 @@
+// audit.js
+// The audit log: one JSON line per tool call in audit.jsonl in the config directory, written whether the call ran
+// or was denied. It is only ever appended to, so it outlives /clear and deleted sessions.
+// An entry is { timestamp, session, turn, tool, source, directory, args, decision, decidedBy, explained?, status,
+// exitCode?, durationMs, result, resultLength }.
+import fs from 'fs/promises';
+import path from 'path';
+
+// Pattern matching shared with the run_command policy
+import { matchesPattern } from './shell.js';
+
+export const AUDIT_FILE_NAME = 'audit.jsonl';
+export const MAX_RESULT_CHARS = 2000;
+const MAX_ARGUMENT_CHARS = 1000; // Per string argument, e.g. the content of a new file
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const CSV_COLUMNS = ['timestamp', 'session', 'tool', 'directory', 'decision', 'decidedBy', 'explained', 'status', 'exitCode', 'durationMs', 'args', 'result'];
+
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars)}... [${text.length - maxChars} more characters]` : text;
+}
+
+/**
+ * Works out how a tool call went from its result text.
+ * @param {string|null} result The result, or null if the call did not run.
+ * @returns {{status: 'ok'|'error'|'timeout'|'cancelled'|'denied', exitCode?: number}} The outcome; exitCode is set
+ *   when a command reported one.
+ */
+export function describeOutcome(result) {
+  if (result === null || result === undefined) return { status: 'denied' };
+  // run_command ends with "Execution Error: Command exited with code N.", config tools start with "Error: <tool> exited with code N."
+  const exitMatch = result.match(/^(?:Execution Error: Command|Error: \S+) exited with code (\d+)\./m);
+  if (exitMatch) return { status: 'error', exitCode: Number(exitMatch[1]) };
+  if (/^(?:Execution Error: Command|Error: \S+) timed out/m.test(result)) return { status: 'timeout' };
+  if (/^Error: (Cancelled by the user|Command was cancelled by the user)/.test(result)) return { status: 'cancelled' };
+  if (/^Error\b/.test(result) || /^Execution Error:/m.test(result)) return { status: 'error' };
+  return { status: 'ok' };
+}
+
+/**
+ * Builds an audit entry for a tool call.
+ * @param {{session: string|null, turn: string|null, tool: string, source: string|null, directory: string|null,
+ *   args: object, approved: boolean, decidedBy: string, explained?: boolean, result: string|null,
+ *   startedAt: Date, finishedAt?: Date}} call What was called and what came of it; decidedBy is 'auto', 'rule',
+ *   'user', 'policy' or 'command' (outside a template command's allowed tools), result is null for calls that did not run.
+ * @returns {object} The entry, with long arguments and the result truncated.
+ */
+export function createEntry({ session, turn, tool, source, directory, args, approved, decidedBy, explained = false, result, startedAt, finishedAt = new Date() }) {
+  const truncatedArgs = Object.fromEntries(Object.entries(args || {})
+    .map(([name, value]) => [name, typeof value === 'string' ? truncate(value, MAX_ARGUMENT_CHARS) : value]));
+  const { status, exitCode } = describeOutcome(approved ? result : null);
+  return {
+    timestamp: startedAt.toISOString(),
+    session,
+    turn,
+    tool,
+    source,
+    directory,
+    args: truncatedArgs,
+    decision: approved ? 'approve' : 'deny',
+    decidedBy,
+    ...(explained ? { explained: true } : {}),
+    status,
+    ...(exitCode !== undefined ? { exitCode } : {}),
+    durationMs: approved ? finishedAt - startedAt : 0,
+    result: typeof result === 'string' ? truncate(result, MAX_RESULT_CHARS) : null,
+    resultLength: typeof result === 'string' ? result.length : 0,
+  };
+}
+
+/**
+ * Appends an entry to the audit log, creating it (readable only by its owner) if needed.
+ * @param {string} auditFile Path to audit.jsonl.
+ * @param {object} entry The entry.
+ */
+export async function appendEntry(auditFile, entry) {
+  await fs.mkdir(path.dirname(auditFile), { recursive: true });
+  await fs.appendFile(auditFile, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+}
+
+/**
+ * Reads every entry in the audit log. Lines that are not valid entries are skipped.
+ * @param {string} auditFile Path to audit.jsonl.
+ * @returns {Promise<Array<object>>} The entries, oldest first; empty if there is no log yet.
+ */
+export async function readEntries(auditFile) {
+  let data;
+  try {
+    data = await fs.readFile(auditFile, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const entries = [];
+  for (const line of data.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry.timestamp === 'string' && typeof entry.tool === 'string') entries.push(entry);
+    } catch {
+      // A line cut short by a crash; the rest of the log is still good
+    }
+  }
+  return entries;
+}
+
+/**
+ * Reads a point in time given as a duration back from now ("30m", "12h", "7d", "2w"), "today", or a date or
+ * timestamp ("2025-06-01", "2025-06-01T14:00").
+ * @param {string} text The point in time.
+ * @param {Date} [now] The current time.
+ * @returns {Date|null} The point in time, or null if the text is not one.
+ */
+export function parseSince(text, now = new Date()) {
+  const value = String(text || '').trim().toLowerCase();
+  const duration = value.match(/^(\d+)\s*([mhdw])$/);
+  if (duration) return new Date(now.getTime() - Number(duration[1]) * DURATION_UNITS[duration[2]]);
+  if (value === 'today') return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const day = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (day) return new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])); // Local midnight, not UTC
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : new Date(parsed);
+}
+
+/**
+ * Picks the entries matching every given filter.
+ * @param {Array<object>} entries Audit entries.
+ * @param {{tool?: string, since?: Date, session?: string, decision?: 'approve'|'deny'}} [filters] tool may be a
+ *   pattern with "*", e.g. "git_*".
+ * @returns {Array<object>} The matching entries, in their original order.
+ */
+export function filterEntries(entries, { tool, since, session, decision } = {}) {
+  const sinceText = since ? since.toISOString() : null;
+  return entries.filter(entry => (!tool || matchesPattern(entry.tool, tool))
+    && (!sinceText || entry.timestamp >= sinceText)
+    && (!session || entry.session === session)
+    && (!decision || entry.decision === decision));
+}
+
+/**
+ * Formats entries for export: CSV with one row per call (arguments as JSON), or JSON Lines.
+ * @param {Array<object>} entries Audit entries.
+ * @param {'csv'|'jsonl'} format The format.
+ * @returns {string} The export.
+ */
+export function formatEntries(entries, format) {
+  if (format !== 'csv') return entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+  const cell = (value) => {
+    const text = value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [CSV_COLUMNS.join(','), ...entries.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(','))].join('\n') + '\n';
+}
@@ -0,0 +1,244 @@
+// checkpoints.js
+import fs from 'fs/promises';
+import path from 'path';
+
+// A checkpoint store is one directory per chat session:
+//   checkpoints.json  the checkpoints, oldest first: { id, createdAt, tool, description, basePath, files }
+//   blobs/            the previous content of every snapshotted file, named <checkpoint id>-<file index>
+// Each file entry is { path (relative to basePath), existed, blob, restorable }. Restoring writes the blob back,
+// or deletes the file if it did not exist before the change.
+const INDEX_FILE = 'checkpoints.json';
+const BLOBS_DIR = 'blobs';
+const MAX_CHECKPOINTS = 100;
+const IGNORED_DIRECTORIES = new Set(['.git', 'node_modules']);
+const MAX_SCAN_FILES = 5000;
+const MAX_CAPTURED_FILE_SIZE = 1024 * 1024;
+const MAX_CAPTURED_TOTAL_SIZE = 50 * 1024 * 1024;
+
+async function readIndex(storeDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(storeDir, INDEX_FILE), 'utf-8'));
+  } catch {
+    return [];
+  }
+}
+
+async function writeIndex(storeDir, checkpoints) {
+  await fs.mkdir(storeDir, { recursive: true });
+  const indexFile = path.join(storeDir, INDEX_FILE);
+  await fs.writeFile(`${indexFile}.tmp`, JSON.stringify(checkpoints, null, 2));
+  await fs.rename(`${indexFile}.tmp`, indexFile);
+}
+
+async function removeBlobs(storeDir, checkpoint) {
+  for (const file of checkpoint.files) {
+    if (file.blob) await fs.rm(path.join(storeDir, BLOBS_DIR, file.blob), { force: true });
+  }
+}
+
+// Saves a checkpoint whose previous file contents are given as Buffers (null for files that did not exist).
+async function saveCheckpoint(storeDir, basePath, previous, { tool, description }) {
+  const checkpoints = await readIndex(storeDir);
+  const id = checkpoints.length > 0 ? checkpoints[checkpoints.length - 1].id + 1 : 1;
+  await fs.mkdir(path.join(storeDir, BLOBS_DIR), { recursive: true });
+
+  const files = [];
+  for (const [index, { relativePath, content, existed, restorable = true }] of previous.entries()) {
+    const entry = { path: relativePath, existed, blob: null, restorable };
+    if (existed && content) {
+      entry.blob = `${id}-${index}`;
+      await fs.writeFile(path.join(storeDir, BLOBS_DIR, entry.blob), content);
+    }
+    files.push(entry);
+  }
+
+  const checkpoint = { id, createdAt: new Date().toISOString(), tool, description, basePath: path.resolve(basePath), files };
+  checkpoints.push(checkpoint);
+  while (checkpoints.length > MAX_CHECKPOINTS) await removeBlobs(storeDir, checkpoints.shift());
+  await writeIndex(storeDir, checkpoints);
+  return checkpoint;
+}
+
+// Calls visit(absolutePath) for every regular file under a directory, skipping .git and node_modules.
+// Stops as soon as visit resolves to false, and then resolves to false itself.
+async function walkFiles(directory, visit) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch {
+    return true;
+  }
+  for (const entry of entries) {
+    const absolutePath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.has(entry.name) && !(await walkFiles(absolutePath, visit))) return false;
+    } else if (entry.isFile() && !(await visit(absolutePath))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Reads files into memory while they stay within MAX_CAPTURED_FILE_SIZE each and MAX_CAPTURED_TOTAL_SIZE in all;
+// the reader resolves to null for files past those limits.
+function createCapture() {
+  let capturedSize = 0;
+  return async (absolutePath, stats) => {
+    if (stats.size > MAX_CAPTURED_FILE_SIZE || capturedSize + stats.size > MAX_CAPTURED_TOTAL_SIZE) return null;
+    const content = await fs.readFile(absolutePath);
+    capturedSize += content.length;
+    return content;
+  };
+}
+
+// Snapshots every file in a directory, or returns null if some file is too large or there are too many to keep.
+async function snapshotDirectory(basePath, absoluteDirectory, capture) {
+  const previous = [];
+  const complete = await walkFiles(absoluteDirectory, async (absolutePath) => {
+    if (previous.length >= MAX_SCAN_FILES) return false;
+    const content = await capture(absolutePath, await fs.stat(absolutePath));
+    if (content === null) return false;
+    previous.push({ relativePath: path.relative(basePath, absolutePath), existed: true, content });
+    return true;
+  });
+  return complete ? previous : null;
+}
+
+/**
+ * Snapshots files before a tool changes them. A directory is snapshotted file by file (without .git and
+ * node_modules), within the same size limits as scanDirectory; a directory past them, like anything that is neither
+ * a file nor a directory, is recorded as not restorable. Undo then also leaves alone the paths the change creates,
+ * since removing them could lose the only copy of what was not snapshotted.
+ * @param {string} storeDir The session's checkpoint directory.
+ * @param {string} basePath The working directory the paths are relative to.
+ * @param {string[]} relativePaths Files or directories about to be created, overwritten, edited or moved.
+ * @param {{tool: string, description: string}} info What is about to happen, for /checkpoints.
+ * @returns {Promise<object>} The checkpoint.
+ */
+export async function createCheckpoint(storeDir, basePath, relativePaths, info) {
+  const previous = [];
+  const capture = createCapture();
+  for (const relativePath of [...new Set(relativePaths)]) {
+    const absolutePath = path.resolve(basePath, relativePath);
+    let stats;
+    try {
+      stats = await fs.stat(absolutePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      previous.push({ relativePath, existed: false, content: null });
+      continue;
+    }
+    if (stats.isFile()) {
+      previous.push({ relativePath, existed: true, content: await fs.readFile(absolutePath) });
+    } else {
+      const files = stats.isDirectory() ? await snapshotDirectory(basePath, absolutePath, capture) : null;
+      previous.push(...(files || [{ relativePath, existed: true, content: null, restorable: false }]));
+    }
+  }
+  if (previous.some(file => file.restorable === false)) {
+    for (const file of previous) if (!file.existed) file.restorable = false;
+  }
+  return saveCheckpoint(storeDir, basePath, previous, info);
+}
+
+/**
+ * Records the state of a directory so changes made by a shell command can be found and reverted afterwards.
+ * Small files are kept in memory; .git and node_modules are skipped, both for the scan and the captured content.
+ * @param {string} basePath The directory to scan.
+ * @returns {Promise<{files: Map<string, {size: number, mtimeMs: number, content: Buffer|null}>, truncated: boolean}>} The scan.
+ */
+export async function scanDirectory(basePath) {
+  const files = new Map();
+  const capture = createCapture();
+  const root = path.resolve(basePath);
+  const complete = await walkFiles(root, async (absolutePath) => {
+    if (files.size >= MAX_SCAN_FILES) return false;
+    try {
+      const stats = await fs.stat(absolutePath);
+      files.set(path.relative(root, absolutePath), { size: stats.size, mtimeMs: stats.mtimeMs, content: await capture(absolutePath, stats) });
+    } catch {
+      // Vanished or unreadable; it cannot be restored anyway
+    }
+    return true;
+  });
+  return { files, truncated: !complete };
+}
+
+/**
+ * Compares a directory with an earlier scan and saves a checkpoint of everything that changed.
+ * @param {string} storeDir The session's checkpoint directory.
+ * @param {string} basePath The scanned directory.
+ * @param {object} before The result of scanDirectory taken before the command ran.
+ * @param {{tool: string, description: string}} info What ran, for /checkpoints.
+ * @returns {Promise<{checkpoint: object, unrestorable: string[]}|null>} The checkpoint and the changed files whose
+ *   earlier content was too large to keep, or null if nothing changed.
+ */
+export async function recordDirectoryChanges(storeDir, basePath, before, info) {
+  const after = await scanDirectory(basePath);
+  const previous = [];
+  for (const [relativePath, old] of before.files) {
+    const now = after.files.get(relativePath);
+    if (now && now.size === old.size && now.mtimeMs === old.mtimeMs) continue;
+    previous.push({ relativePath, existed: true, content: old.content, restorable: old.content !== null });
+  }
+  for (const relativePath of after.files.keys()) {
+    if (!before.files.has(relativePath)) previous.push({ relativePath, existed: false, content: null, restorable: true });
+  }
+  if (previous.length === 0) return null;
+
+  const checkpoint = await saveCheckpoint(storeDir, basePath, previous, info);
+  return { checkpoint, unrestorable: previous.filter(file => !file.restorable).map(file => file.relativePath) };
+}
+
+/**
+ * Lists the checkpoints of a session, oldest first.
+ * @param {string} storeDir The session's checkpoint directory.
+ * @returns {Promise<Array<object>>} The checkpoints.
+ */
+export async function listCheckpoints(storeDir) {
+  return readIndex(storeDir);
+}
+
+async function revertCheckpoint(storeDir, checkpoint) {
+  const restored = [];
+  const skipped = [];
+  for (const file of checkpoint.files) {
+    const absolutePath = path.resolve(checkpoint.basePath, file.path);
+    if (!file.restorable) { skipped.push(file.path); continue; }
+    if (file.existed) {
+      await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+      await fs.writeFile(absolutePath, file.blob ? await fs.readFile(path.join(storeDir, BLOBS_DIR, file.blob)) : '');
+    } else {
+      await fs.rm(absolutePath, { recursive: true, force: true }); // A folder a move created, or a file
+    }
+    restored.push(file.path);
+  }
+  return { restored, skipped };
+}
+
+/**
+ * Restores the files to how they were before a checkpoint, reverting it and every later checkpoint (newest first).
+ * The reverted checkpoints are removed.
+ * @param {string} storeDir The session's checkpoint directory.
+ * @param {number} id The checkpoint to go back to; defaults to the latest one (undo).
+ * @returns {Promise<{reverted: Array<object>, restored: string[], skipped: string[]}|null>} What was reverted,
+ *   or null if there is no such checkpoint.
+ */
+export async function restoreCheckpoint(storeDir, id) {
+  const checkpoints = await readIndex(storeDir);
+  const targetId = id === undefined && checkpoints.length > 0 ? checkpoints[checkpoints.length - 1].id : id;
+  const index = checkpoints.findIndex(checkpoint => checkpoint.id === targetId);
+  if (index === -1) return null;
+
+  const reverted = checkpoints.slice(index).reverse();
+  const restored = new Set();
+  const skipped = new Set();
+  for (const checkpoint of reverted) {
+    const result = await revertCheckpoint(storeDir, checkpoint);
+    result.restored.forEach(file => restored.add(file));
+    result.skipped.forEach(file => skipped.add(file));
+    await removeBlobs(storeDir, checkpoint);
+  }
+  await writeIndex(storeDir, checkpoints.slice(0, index));
+  return { reverted, restored: [...restored], skipped: [...skipped] };
+}
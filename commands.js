@@ -0,0 +1,213 @@
+// commands.js
+// Slash commands: the registry the chat prompt dispatches through, shared by Zeno's built-in commands and command
+// templates. A template is a prompt kept in a file, either Markdown with optional front matter or YAML, in the
+// "commands" folder of the config directory (user templates) or in .zeno/commands of the project (project templates).
+// The file name is the command name: review-security.md becomes /review-security.
+import fs from 'fs/promises';
+import path from 'path';
+
+// Pattern matching shared with the run_command policy
+import { matchesPattern } from './shell.js';
+
+export const COMMANDS_DIR_NAME = 'commands';
+export const PROJECT_COMMANDS_DIR = path.join('.zeno', 'commands');
+export const ARGUMENTS_PLACEHOLDER = '$ARGUMENTS';
+const TEMPLATE_EXTENSIONS = new Set(['.md', '.yaml', '.yml']);
+const COMMAND_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const MAX_TEMPLATE_CHARS = 20000;
+
+/**
+ * Creates an empty command registry.
+ * A command is { name, description, usage?, details?, source, run }: name is written without the slash, usage
+ * replaces it in /help (e.g. "/restore <id>"), details are extra help lines, source is 'builtin', 'user' or 'project',
+ * and run(args, context) does the work; it may resolve to 'exit' to end the chat.
+ * @returns {object} The registry.
+ */
+export function createCommandRegistry() {
+  const commands = new Map();
+
+  return {
+    /**
+     * Adds a command, replacing any command of the same name.
+     * @param {object} command The command.
+     */
+    register(command) {
+      commands.set(command.name, { source: 'builtin', details: [], ...command });
+    },
+    /**
+     * Removes every command registered by a source.
+     * @param {string} source The source, e.g. 'project'.
+     */
+    unregisterSource(source) {
+      for (const [name, command] of commands) {
+        if (command.source === source) commands.delete(name);
+      }
+    },
+    /**
+     * Looks a command up by what the user typed.
+     * @param {string} name The command, with or without the slash; case does not matter.
+     * @returns {object|undefined} The command.
+     */
+    get(name) {
+      return commands.get(name.replace(/^\//, '').toLowerCase());
+    },
+    /**
+     * Lists the registered commands.
+     * @param {{source?: string|string[]}} [options] Only commands from these sources.
+     * @returns {Array<object>} The commands, in registration order.
+     */
+    list({ source } = {}) {
+      const sources = source === undefined ? null : [].concat(source);
+      return [...commands.values()].filter(command => !sources || sources.includes(command.source));
+    },
+  };
+}
+
+function unquote(value) {
+  const quoted = value.match(/^"(.*)"$|^'(.*)'$/);
+  if (!quoted) return value;
+  return quoted[1] !== undefined ? quoted[1].replace(/\\"/g, '"').replace(/\\n/g, '\n') : quoted[2].replace(/''/g, "'");
+}
+
+function parseScalar(value) {
+  const trimmed = value.trim();
+  const list = trimmed.match(/^\[(.*)\]$/);
+  if (list) return list[1].trim() ? list[1].split(',').map(item => unquote(item.trim())) : [];
+  return unquote(trimmed);
+}
+
+/**
+ * Parses the part of YAML templates use: "key: value" pairs whose value is text, a [flow, list], a list of "- item"
+ * lines, or a "|" (or ">") block of indented lines. Comments (#) and blank lines between keys are skipped.
+ * @param {string} text The YAML.
+ * @returns {object} The keys and values.
+ * @throws {Error} If a line is not one of these forms.
+ */
+export function parseSimpleYaml(text) {
+  const result = {};
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+    const pair = line.match(/^([A-Za-z0-9_-]+)\s*:(?:\s+(.*))?$/);
+    if (!pair) throw new Error(`line ${index + 1} is not "key: value": ${line.trim()}`);
+    const [, key, rawValue = ''] = pair;
+    const value = rawValue.replace(/\s+#.*$/, '').trim();
+    if (value === '|' || value === '>' || value === '|-' || value === '>-') {
+      const block = [];
+      while (index + 1 < lines.length && (!lines[index + 1].trim() || /^\s/.test(lines[index + 1]))) block.push(lines[++index]);
+      const indent = Math.min(...block.filter(blockLine => blockLine.trim()).map(blockLine => blockLine.match(/^\s*/)[0].length));
+      const blockLines = block.map(blockLine => blockLine.slice(Number.isFinite(indent) ? indent : 0));
+      result[key] = (value.startsWith('>') ? blockLines.join(' ').replace(/ {2,}/g, '\n\n') : blockLines.join('\n')).trimEnd();
+    } else if (value) {
+      result[key] = parseScalar(/^["']/.test(rawValue) ? rawValue : value); // A # inside quotes is not a comment
+    } else {
+      const items = [];
+      while (index + 1 < lines.length && /^\s*-\s+/.test(lines[index + 1])) items.push(unquote(lines[++index].replace(/^\s*-\s+/, '').trim()));
+      result[key] = items.length > 0 ? items : '';
+    }
+  }
+  return result;
+}
+
+/**
+ * Reads a template from its text: Markdown whose prompt may follow "---" front matter, or YAML with a "prompt" key.
+ * Settings are description, argument-hint and allowed-tools (tool names or "*" patterns; an empty list allows none).
+ * @param {string} name The command name.
+ * @param {string} text The file's contents.
+ * @param {'markdown'|'yaml'} format The file's format.
+ * @returns {{name: string, description: string, argumentHint: string, allowedTools: string[]|null, prompt: string}} The template;
+ *   allowedTools is null if the command may use every tool.
+ * @throws {Error} If the file has no prompt or invalid settings.
+ */
+export function parseTemplate(name, text, format) {
+  let settings = {};
+  let prompt = text;
+  if (format === 'yaml') {
+    settings = parseSimpleYaml(text);
+    prompt = typeof settings.prompt === 'string' ? settings.prompt : '';
+  } else {
+    const frontMatter = text.replace(/^\uFEFF/, '').match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (frontMatter) {
+      settings = parseSimpleYaml(frontMatter[1]);
+      prompt = text.replace(/^\uFEFF/, '').slice(frontMatter[0].length);
+    }
+  }
+  prompt = prompt.trim();
+  if (!prompt) throw new Error('it has no prompt');
+  if (prompt.length > MAX_TEMPLATE_CHARS) throw new Error(`its prompt is longer than ${MAX_TEMPLATE_CHARS} characters`);
+  let allowedTools = settings['allowed-tools'];
+  if (allowedTools === undefined) {
+    allowedTools = null;
+  } else {
+    if (typeof allowedTools === 'string') allowedTools = allowedTools.split(',').map(tool => tool.trim()).filter(Boolean);
+    if (!Array.isArray(allowedTools) || allowedTools.some(tool => typeof tool !== 'string' || !tool)) {
+      throw new Error('"allowed-tools" must be a list of tool names');
+    }
+  }
+  const readText = (key) => (typeof settings[key] === 'string' ? settings[key].trim() : '');
+  return { name, description: readText('description'), argumentHint: readText('argument-hint'), allowedTools, prompt };
+}
+
+/**
+ * Reads every template in a folder. Files that cannot be used are skipped with a warning.
+ * @param {string} directory The folder; it need not exist.
+ * @param {'user'|'project'} source Where the folder belongs.
+ * @returns {Promise<{templates: Array<object>, warnings: string[]}>} The templates (see parseTemplate, plus file and
+ *   source), sorted by name, and the warnings.
+ */
+export async function loadTemplates(directory, source) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return { templates: [], warnings: [] };
+    throw error;
+  }
+  const templates = [];
+  const warnings = [];
+  for (const entry of entries) {
+    const extension = path.extname(entry.name).toLowerCase();
+    if (!entry.isFile() || !TEMPLATE_EXTENSIONS.has(extension)) continue;
+    const file = path.join(directory, entry.name);
+    const name = path.basename(entry.name, path.extname(entry.name)).toLowerCase();
+    if (!COMMAND_NAME_PATTERN.test(name)) {
+      warnings.push(`Skipped ${file}: command names may only contain letters, digits, - and _.`);
+      continue;
+    }
+    if (templates.some(template => template.name === name)) {
+      warnings.push(`Skipped ${file}: /${name} is already defined in ${directory}.`);
+      continue;
+    }
+    try {
+      const template = parseTemplate(name, await fs.readFile(file, 'utf-8'), extension === '.md' ? 'markdown' : 'yaml');
+      templates.push({ ...template, file, source });
+    } catch (error) {
+      warnings.push(`Skipped ${file}: ${error.message}.`);
+    }
+  }
+  return { templates: templates.sort((a, b) => a.name.localeCompare(b.name)), warnings };
+}
+
+/**
+ * Fills in a template's prompt: every $ARGUMENTS becomes the text typed after the command. Without a placeholder,
+ * that text is added at the end.
+ * @param {{prompt: string}} template The template.
+ * @param {string} argumentText The text after the command name.
+ * @returns {string} The message to send.
+ */
+export function expandTemplate(template, argumentText) {
+  const args = argumentText.trim();
+  if (template.prompt.includes(ARGUMENTS_PLACEHOLDER)) return template.prompt.split(ARGUMENTS_PLACEHOLDER).join(args);
+  return args ? `${template.prompt}\n\n${args}` : template.prompt;
+}
+
+/**
+ * Tells whether a command's tool restriction lets it use a tool.
+ * @param {string} name The tool name.
+ * @param {string[]|null} allowedTools The template's allowed-tools, or null for no restriction.
+ * @returns {boolean} True if the tool may be used.
+ */
+export function isToolAllowed(name, allowedTools) {
+  return !allowedTools || allowedTools.some(pattern => matchesPattern(name, pattern));
+}
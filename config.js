@@ -0,0 +1,233 @@
+// config.js
+// Where settings come from: config.json (kept private with 0600 permissions), the named profile selected with
+// --profile, environment variables, and an optional credential helper command that stores API keys outside the file.
+// A profile is an entry of "profiles" in config.json whose settings replace the top-level settings of the same name.
+import fs from 'fs/promises';
+import { spawn } from 'child_process';
+
+export const CONFIG_FILE_MODE = 0o600;
+export const CONFIG_DIR_MODE = 0o700;
+const HELPER_TIMEOUT_MS = 30000;
+const PROFILE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const SECRET_KEY_PATTERN = /(apiKey|token|secret|password)$/i;
+
+// Environment variables that supply an API key, by provider; the first one set wins
+const KEY_VARIABLES = {
+  gemini: ['ZENO_GEMINI_API_KEY', 'GEMINI_API_KEY'],
+  openai: ['ZENO_OPENAI_API_KEY', 'OPENAI_API_KEY'],
+  ollama: ['ZENO_OLLAMA_API_KEY'],
+  llamacpp: ['ZENO_LLAMACPP_API_KEY'],
+};
+
+/**
+ * Reads config.json. On POSIX systems a file that other users can read is made private (0600) again, with a warning.
+ * @param {string} configFile Path to config.json.
+ * @returns {Promise<{config: object, warnings: string[]}>} The settings (empty if there is no file yet) and any warnings.
+ * @throws {Error} If the file exists but is not valid JSON.
+ */
+export async function readConfigFile(configFile) {
+  let data;
+  try {
+    data = await fs.readFile(configFile, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { config: {}, warnings: [] };
+    throw error;
+  }
+  const warnings = [];
+  if (process.platform !== 'win32') {
+    const { mode } = await fs.stat(configFile);
+    if (mode & 0o077) {
+      await fs.chmod(configFile, CONFIG_FILE_MODE);
+      warnings.push(`${configFile} was readable by other users (mode ${(mode & 0o777).toString(8)}); its permissions are now 600.`);
+    }
+  }
+  let config;
+  try {
+    config = JSON.parse(data);
+  } catch (error) {
+    throw new Error(`${configFile} is not valid JSON: ${error.message}`);
+  }
+  return { config: config && typeof config === 'object' && !Array.isArray(config) ? config : {}, warnings };
+}
+
+/**
+ * Writes config.json so that only its owner can read it.
+ * @param {string} configFile Path to config.json.
+ * @param {object} config The settings.
+ */
+export async function writeConfigFile(configFile, config) {
+  await fs.writeFile(configFile, `${JSON.stringify(config, null, 2)}\n`, { mode: CONFIG_FILE_MODE });
+  if (process.platform !== 'win32') await fs.chmod(configFile, CONFIG_FILE_MODE); // mode only applies to new files
+}
+
+/**
+ * Checks a profile name from --profile or ZENO_PROFILE.
+ * @param {string} name The name.
+ * @returns {boolean} True if it is made of letters, digits, - and _.
+ */
+export function isValidProfileName(name) {
+  return PROFILE_NAME_PATTERN.test(name);
+}
+
+/**
+ * Lists the profiles defined in config.json.
+ * @param {object} config The contents of config.json.
+ * @returns {string[]} Profile names.
+ */
+export function listProfiles(config) {
+  return Object.keys(config.profiles && typeof config.profiles === 'object' ? config.profiles : {});
+}
+
+/**
+ * Builds the settings in effect: the top level of config.json with the profile's settings on top.
+ * @param {object} config The contents of config.json.
+ * @param {string|null} profileName The active profile, if any.
+ * @returns {object} The settings, without "profiles".
+ */
+export function resolveProfile(config, profileName) {
+  const { profiles, ...settings } = config;
+  const profile = profileName && profiles && profiles[profileName];
+  return profile && typeof profile === 'object' ? { ...settings, ...profile } : settings;
+}
+
+/**
+ * Writes changed settings into the layer they belong to: the active profile, or the top level without one.
+ * @param {object} config The contents of config.json.
+ * @param {string|null} profileName The active profile, if any.
+ * @param {object} changes Settings to write; an undefined value removes the setting.
+ * @returns {object} The new contents of config.json.
+ */
+export function applyChanges(config, profileName, changes) {
+  const apply = (layer) => {
+    const updated = { ...layer };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === undefined) delete updated[key];
+      else updated[key] = value;
+    }
+    return updated;
+  };
+  if (!profileName) return apply(config);
+  return { ...config, profiles: { ...(config.profiles || {}), [profileName]: apply((config.profiles || {})[profileName] || {}) } };
+}
+
+/**
+ * Reads the settings given through the environment: ZENO_PROVIDER, ZENO_MODEL and API keys (GEMINI_API_KEY,
+ * OPENAI_API_KEY or ZENO_<PROVIDER>_API_KEY).
+ * @param {object} env The environment, usually process.env.
+ * @returns {{provider: string|null, model: string|null, apiKeys: object, variables: string[]}} The settings, the API keys
+ *   by provider, and the names of the variables that were used.
+ */
+export function readEnvironment(env) {
+  const variables = [];
+  const take = (name) => {
+    const value = env[name] && env[name].trim();
+    if (value) variables.push(name);
+    return value || null;
+  };
+  const apiKeys = {};
+  for (const [provider, names] of Object.entries(KEY_VARIABLES)) {
+    const name = names.find(candidate => env[candidate] && env[candidate].trim());
+    if (name) apiKeys[provider] = take(name);
+  }
+  return { provider: take('ZENO_PROVIDER'), model: take('ZENO_MODEL'), apiKeys, variables };
+}
+
+/**
+ * Reads a setting by its dotted path, e.g. "providers.openai.baseUrl".
+ * @param {object} config The settings.
+ * @param {string} key The path.
+ * @returns {any} The value, or undefined if it is not set.
+ */
+export function getSetting(config, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), config);
+}
+
+/**
+ * Sets or removes a setting by its dotted path, creating objects along the way.
+ * @param {object} config The settings; not modified.
+ * @param {string} key The path.
+ * @param {any} value The value; undefined removes the setting.
+ * @returns {object} The updated settings.
+ */
+export function setSetting(config, key, value) {
+  const [first, ...rest] = key.split('.');
+  if (rest.length === 0) {
+    const updated = { ...config };
+    if (value === undefined) delete updated[first];
+    else updated[first] = value;
+    return updated;
+  }
+  const child = config[first] && typeof config[first] === 'object' && !Array.isArray(config[first]) ? config[first] : {};
+  return { ...config, [first]: setSetting(child, rest.join('.'), value) };
+}
+
+/**
+ * Parses a value typed on the command line: JSON (numbers, booleans, arrays, objects, quoted strings) or else plain text.
+ * @param {string} text The value.
+ * @returns {any} The parsed value.
+ */
+export function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Tells whether a setting holds a secret, judging by its name (apiKey, token, secret, password).
+ * @param {string} key The setting's dotted path.
+ * @returns {boolean} True for secrets.
+ */
+export function isSecretSetting(key) {
+  return SECRET_KEY_PATTERN.test(key.split('.').pop());
+}
+
+/**
+ * Copies settings with every secret replaced by a masked form showing only its last four characters.
+ * @param {any} value The settings.
+ * @param {string} [key] The setting's name, used while recursing.
+ * @returns {any} The masked settings.
+ */
+export function maskSecrets(value, key = '') {
+  if (Array.isArray(value)) return value.map(item => maskSecrets(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, maskSecrets(item, name)]));
+  }
+  if (typeof value === 'string' && key && isSecretSetting(key)) return value.length > 8 ? `****${value.slice(-4)}` : '****';
+  return value;
+}
+
+/**
+ * Runs the credential helper: "<helper> get <account>" prints the key, "<helper> store <account>" reads it from
+ * stdin and "<helper> erase <account>" removes it. The account is the provider name, or "<profile>/<provider>".
+ * @param {string} helper The helper command line from "credentialHelper".
+ * @param {'get'|'store'|'erase'} action What to do.
+ * @param {string} account The account.
+ * @param {string} [secret] The key to store.
+ * @returns {Promise<string|null>} For get, the key, or null if the helper has none (it printed nothing or failed).
+ * @throws {Error} If the helper cannot be run, or store/erase fail.
+ */
+export function runCredentialHelper(helper, action, account, secret) {
+  return new Promise((resolve, reject) => {
+    // Accounts are built from provider and profile names, which contain no shell metacharacters
+    const child = spawn(`${helper} ${action} ${account}`, { shell: true, stdio: ['pipe', 'pipe', 'pipe'], windowsHide: true });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.stdin.on('error', () => {}); // The helper may exit without reading stdin
+    child.stdin.end(secret === undefined ? '' : `${secret}\n`);
+    const timer = setTimeout(() => child.kill('SIGKILL'), HELPER_TIMEOUT_MS);
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Cannot run credential helper "${helper}": ${error.message}`));
+    });
+    child.on('close', (exitCode) => {
+      clearTimeout(timer);
+      if (action === 'get') resolve(exitCode === 0 && stdout.trim() ? stdout.trim() : null);
+      else if (exitCode === 0) resolve(null);
+      else reject(new Error(`Credential helper "${helper} ${action}" failed${stderr.trim() ? `: ${stderr.trim()}` : ` with exit code ${exitCode}`}`));
+    });
+  });
+}
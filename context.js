@@ -0,0 +1,138 @@
+// context.js
+// Token estimation and history compaction. History uses the Gemini content format ({ role, parts }).
+
+const CHARS_PER_TOKEN = 4; // Rough average for English text and code
+const INLINE_DATA_TOKENS = 258; // Gemini's flat cost for an image; a fair guess for other inline data
+const SUMMARY_MARKER = '[Summary of earlier conversation]';
+const MAX_TOOL_TEXT_IN_TRANSCRIPT = 2000;
+
+/**
+ * Estimates the number of tokens in a piece of text.
+ * @param {string} text The text.
+ * @returns {number} Estimated token count.
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function estimatePartTokens(part) {
+  if (part.text) return estimateTokens(part.text);
+  if (part.inlineData || part.fileReference) return INLINE_DATA_TOKENS;
+  return estimateTokens(JSON.stringify(part));
+}
+
+/**
+ * Estimates the number of tokens a history will take up in the model's context.
+ * @param {Array<object>} history Chat history.
+ * @returns {number} Estimated token count.
+ */
+export function estimateHistoryTokens(history) {
+  return history.reduce((total, content) => total + 4 + (content.parts || []).reduce((sum, part) => sum + estimatePartTokens(part), 0), 0);
+}
+
+/**
+ * Tells whether a message is a synthetic summary produced by compaction.
+ * @param {object} content A history entry.
+ * @returns {boolean} True for summary messages.
+ */
+export function isSummaryMessage(content) {
+  return content.role === 'user' && Boolean(content.parts && content.parts[0] && typeof content.parts[0].text === 'string' &&
+    content.parts[0].text.startsWith(SUMMARY_MARKER));
+}
+
+function startsExchange(content) {
+  return content.role === 'user' && (content.parts || []).some(part => part.text) && !isSummaryMessage(content);
+}
+
+// True if every function call in the messages has its response inside the same messages.
+function toolCallsResolved(messages) {
+  let pending = 0;
+  for (const content of messages) {
+    for (const part of content.parts || []) {
+      if (part.functionCall) pending++;
+      if (part.functionResponse) pending = Math.max(0, pending - 1);
+    }
+  }
+  return pending === 0;
+}
+
+/**
+ * Finds where to cut history so that older messages can be summarized. The cut is placed at the start of a
+ * user exchange, keeps at least keepRecent messages, and never separates a tool call from its response.
+ * @param {Array<object>} history Chat history.
+ * @param {number} keepRecent Minimum number of recent messages to keep verbatim.
+ * @returns {number} Index of the first kept message, or -1 if nothing can be compacted.
+ */
+export function findCompactionSplit(history, keepRecent) {
+  for (let index = history.length - Math.max(1, keepRecent); index > 0; index--) {
+    if (!startsExchange(history[index])) continue;
+    const older = history.slice(0, index);
+    const olderWithoutSummary = isSummaryMessage(older[0]) ? older.slice(2) : older;
+    if (olderWithoutSummary.length === 0) return -1; // Only a previous summary left to compact
+    if (toolCallsResolved(older)) return index;
+  }
+  return -1;
+}
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit)}… [truncated]` : text;
+}
+
+/**
+ * Renders messages as a plain-text transcript for the summarizer.
+ * @param {Array<object>} messages History entries to render.
+ * @returns {string} The transcript.
+ */
+export function renderTranscript(messages) {
+  return messages.map(content => {
+    const speaker = content.role === 'model' ? 'Assistant' : content.role === 'function' ? 'Tool' : 'User';
+    const text = (content.parts || []).map(part => {
+      if (part.text) return part.text;
+      if (part.functionCall) return `[Called tool ${part.functionCall.name} with ${JSON.stringify(part.functionCall.args || {})}]`;
+      if (part.functionResponse) {
+        const response = part.functionResponse.response || {};
+        const result = typeof response.content === 'string' ? response.content : JSON.stringify(response);
+        return `[Result of ${part.functionResponse.name}: ${truncate(result, MAX_TOOL_TEXT_IN_TRANSCRIPT)}]`;
+      }
+      if (part.inlineData) return `[Attached ${part.inlineData.mimeType} data]`;
+      if (part.fileReference) return `[Attached ${part.fileReference.mimeType}: ${part.fileReference.path}]`;
+      return '';
+    }).join('\n');
+    return `${speaker}: ${text}`;
+  }).join('\n\n');
+}
+
+/**
+ * Builds the prompt sent to the model to summarize older messages.
+ * @param {string} transcript Transcript produced by renderTranscript.
+ * @returns {string} The prompt.
+ */
+export function buildSummaryPrompt(transcript) {
+  return `Summarize the following conversation between a user and an AI assistant (Zeno) so that it can continue without the original messages.
+Keep: the user's goals and preferences, decisions made, facts learned, file paths, commands run and their outcomes, and any open tasks.
+Drop small talk and repeated content. Write compact Markdown bullet points, no preamble.
+
+${transcript}`;
+}
+
+/**
+ * Replaces older history with a synthetic summary exchange.
+ * @param {Array<object>} history Chat history.
+ * @param {{keepRecent: number, summarize: function(string): Promise<string>}} options keepRecent messages are kept verbatim;
+ *   summarize receives the summary prompt and returns the summary text.
+ * @returns {Promise<{history: Array<object>, summarizedCount: number}|null>} The compacted history, or null if nothing could be compacted.
+ */
+export async function compactHistory(history, { keepRecent, summarize }) {
+  const split = findCompactionSplit(history, keepRecent);
+  if (split === -1) return null;
+
+  const older = history.slice(0, split);
+  const summary = (await summarize(buildSummaryPrompt(renderTranscript(older)))).trim();
+  if (!summary) throw new Error('The model returned an empty summary.');
+
+  const summaryMessages = [
+    { role: 'user', parts: [{ text: `${SUMMARY_MARKER}\n${summary}` }] },
+    { role: 'model', parts: [{ text: 'Understood. I will continue the conversation with this summary as context.' }] },
+  ];
+  return { history: [...summaryMessages, ...history.slice(split)], summarizedCount: older.length };
+}
@@ -1,37 +1,20 @@
 // file.js
 import fs from 'fs/promises';
 import path from 'path';
-import { exec } from 'child_process';
 import chalk from 'chalk';
 
-// Utility to promisify exec
-function execPromise(command, options) {
-  return new Promise((resolve, reject) => {
-    exec(command, options, (error, stdout, stderr) => {
-      if (error) {
-        // console.warn(chalk.yellow(`Exec error for command "${command}": ${error.message}`));
-        // Resolve with error details for the AI to process, instead of rejecting outright unless it's a fatal exec error
-        resolve({ success: false, stdout, stderr: stderr || error.message, error: error });
-        return;
-      }
-      if (stderr) {
-        // console.warn(chalk.yellow(`Exec stderr for command "${command}": ${stderr}`));
-        // Consider stderr as part of the output, might be useful info or a non-fatal warning
-      }
-      resolve({ success: true, stdout, stderr });
-    });
-  });
-}
-
+// Import command policy, limits and sandboxing
+import * as Shell from './shell.js';
 
 /**
  * Creates a new file with the given content.
  * @param {string} basePath The base working directory.
  * @param {string} relativeFilePath Path to the new file, relative to basePath.
  * @param {string} fileContent Content of the new file.
+ * @param {function(string[]): Promise<void>} [beforeChange] Called with the paths about to change, e.g. to snapshot them.
  * @returns {Promise<string>} A message indicating success or failure.
  */
-export async function createNewFile(basePath, relativeFilePath, fileContent) {
+export async function createNewFile(basePath, relativeFilePath, fileContent, beforeChange) {
   if (!relativeFilePath || typeof relativeFilePath !== 'string' || relativeFilePath.includes('..')) {
     return "Error: Invalid or potentially unsafe file path for new_file.";
   }
@@ -41,6 +24,7 @@ export async function createNewFile(basePath, relativeFilePath, fileContent) {
   }
 
   try {
+    if (beforeChange) await beforeChange([relativeFilePath]);
     await fs.writeFile(absoluteFilePath, fileContent || '', 'utf8');
     return `File "${relativeFilePath}" created successfully in ${basePath}.`;
   } catch (error) {
@@ -49,35 +33,49 @@ export async function createNewFile(basePath, relativeFilePath, fileContent) {
 }
 
 /**
- * Runs a shell command.
+ * Runs a shell command, subject to the command policy from config. Output is capped and the command is killed
+ * when it runs too long; secret environment variables are not passed on.
  * @param {string} basePath The working directory for the command.
  * @param {string} commandToRun The command to execute.
+ * @param {{allow?: string[], deny?: string[], timeoutSeconds?: number, maxOutputChars?: number, sandbox?: boolean,
+ *   allowNetwork?: boolean, secrets?: string[], hiddenPaths?: string[], log?: function(string): void}} [options] Policy and
+ *   execution settings; log prints the command before it runs (console.log by default).
  * @returns {Promise<string>} The stdout and stderr of the command.
  */
-export async function runShellCommand(basePath, commandToRun) {
+export async function runShellCommand(basePath, commandToRun, options = {}) {
   if (!commandToRun || typeof commandToRun !== 'string') {
     return "Error: Invalid command for run_command.";
   }
-  try {
-    // Ensure commands run within the designated basePath if they are relative.
-    // However, absolute paths in commands will still execute from where they point.
-    // This is a tricky one to sandbox perfectly without more complex measures.
-    // User confirmation is the primary safeguard here.
-    const options = { cwd: basePath };
-    console.log(chalk.dim(`Executing command in ${basePath}: ${commandToRun}`));
-    const { success, stdout, stderr, error } = await execPromise(commandToRun, options);
-
-    let result = "";
-    if (stdout) result += `Stdout:\n${stdout}\n`;
-    if (stderr) result += `Stderr:\n${stderr}\n`;
-    if (!success && error) result += `Execution Error: ${error.message}\n`;
-    if (!result) result = "Command executed, no output produced.";
-
-    return result.trim();
-
-  } catch (error) { // This catch is for errors in execPromise setup, not exec itself
+  const verdict = Shell.checkCommandPolicy(commandToRun, options);
+  if (!verdict.allowed) {
+    return `Error: Command blocked by the run_command policy: ${verdict.reason}.`;
+  }
+  // Without the sandbox, absolute paths in commands still reach outside basePath; user confirmation is the safeguard
+  if (options.sandbox && !Shell.isSandboxAvailable()) {
+    return "Error: Sandboxed run_command needs bubblewrap (bwrap) on Linux. Install it or turn off \"sandbox\" in config.json.";
+  }
+
+  const { log = line => console.log(line), ...runOptions } = options;
+  log(chalk.dim(`Executing command${options.sandbox ? ' (sandboxed)' : ''} in ${basePath}: ${commandToRun}`));
+  const { stdout, stderr, exitCode, signal, timedOut, aborted, error } = await Shell.runCommand(commandToRun, { ...runOptions, cwd: basePath });
+  if (error) {
     return `Error executing command "${commandToRun}": ${error.message}`;
   }
+  if (aborted) {
+    return `Error: Command was cancelled by the user and killed.${stdout ? `\nPartial output:\n${stdout.trim()}` : ''}`;
+  }
+
+  let result = "";
+  if (stdout) result += `Stdout:\n${stdout}\n`;
+  if (stderr) result += `Stderr:\n${stderr}\n`;
+  if (timedOut) {
+    result += `Execution Error: Command timed out after ${options.timeoutSeconds || Shell.DEFAULT_TIMEOUT_SECONDS} seconds and was killed.\n`;
+  } else if (exitCode !== 0) {
+    result += `Execution Error: Command ${signal ? `was terminated by ${signal}` : `exited with code ${exitCode}`}.\n`;
+  }
+  if (!result) result = "Command executed, no output produced.";
+
+  return result.trim();
 }
 
 /**
@@ -85,9 +83,10 @@ export async function runShellCommand(basePath, commandToRun) {
  * @param {string} basePath The base working directory.
  *  @param {string} relativeOldPath Path to the existing file, relative to basePath.
  * @param {string} relativeNewPath New path for the file, relative to basePath.
+ * @param {function(string[]): Promise<void>} [beforeChange] Called with the paths about to change, e.g. to snapshot them.
  * @returns {Promise<string>} A message indicating success or failure.
  */
-export async function renameFile(basePath, relativeOldPath, relativeNewPath) {
+export async function renameFile(basePath, relativeOldPath, relativeNewPath, beforeChange) {
   if (!relativeOldPath || typeof relativeOldPath !== 'string' || relativeOldPath.includes('..') ||
       !relativeNewPath || typeof relativeNewPath !== 'string' || relativeNewPath.includes('..')) {
     return "Error: Invalid or potentially unsafe file paths for modify_file (rename).";
@@ -101,9 +100,440 @@ export async function renameFile(basePath, relativeOldPath, relativeNewPath) {
   }
 
   try {
+    if (beforeChange) await beforeChange([relativeOldPath, relativeNewPath]);
     await fs.rename(absoluteOldPath, absoluteNewPath);
     return `File "${relativeOldPath}" renamed/moved to "${relativeNewPath}" successfully in ${basePath}.`;
   } catch (error) {
     return `Error renaming file "${relativeOldPath}" to "${relativeNewPath}": ${error.message}`;
   }
 }
+
+// --- Read / Search / Edit Helpers ---
+const MAX_READ_CHARS = 100000; // Keep tool responses within a sane size for the model
+const MAX_LIST_ENTRIES = 500;
+const MAX_SEARCH_MATCHES = 200;
+const MAX_SEARCH_FILE_SIZE = 1024 * 1024; // Skip files larger than 1MB when searching
+const IGNORED_DIRECTORIES = new Set(['.git', 'node_modules']);
+
+/**
+ * Resolves a path relative to basePath, refusing anything that escapes it.
+ * An empty path resolves to basePath itself.
+ * @param {string} basePath The base working directory.
+ * @param {string} relativePath Path relative to basePath.
+ * @returns {string|null} The absolute path, or null if the path is unsafe.
+ */
+function resolveSafePath(basePath, relativePath) {
+  if (relativePath === undefined || relativePath === null || relativePath === '') relativePath = '.';
+  if (typeof relativePath !== 'string' || relativePath.split(/[\\/]/).includes('..')) return null;
+  const root = path.resolve(basePath);
+  const absolutePath = path.resolve(root, relativePath);
+  if (absolutePath !== root && !absolutePath.startsWith(root + path.sep)) return null; // Security check
+  return absolutePath;
+}
+
+// Converts a simple glob such as "*.js" or "src/**/*.ts" into a RegExp matched against relative paths.
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i++;
+      if (glob[i + 1] === '/') i++;
+    } else if (char === '*') pattern += '[^/]*';
+    else if (char === '?') pattern += '[^/]';
+    else pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  // Patterns without a slash match the file name anywhere in the tree
+  return glob.includes('/') ? new RegExp(`^${pattern}$`) : new RegExp(`(^|/)${pattern}$`);
+}
+
+async function walkFiles(absoluteDir, relativeDir, onFile) {
+  const entries = await fs.readdir(absoluteDir, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (IGNORED_DIRECTORIES.has(entry.name)) continue;
+      if (await walkFiles(path.join(absoluteDir, entry.name), relativePath, onFile) === false) return false;
+    } else if (entry.isFile()) {
+      if (await onFile(path.join(absoluteDir, entry.name), relativePath) === false) return false;
+    }
+  }
+  return true;
+}
+
+function looksBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Reads a text file, optionally limited to a range of lines.
+ * @param {string} basePath The base working directory.
+ * @param {string} relativeFilePath Path to the file, relative to basePath.
+ * @param {number} [startLine] First line to return (1-based, inclusive).
+ * @param {number} [endLine] Last line to return (1-based, inclusive).
+ * @returns {Promise<string>} The numbered file content or an error message.
+ */
+export async function readFile(basePath, relativeFilePath, startLine, endLine) {
+  const absoluteFilePath = relativeFilePath ? resolveSafePath(basePath, relativeFilePath) : null;
+  if (!absoluteFilePath) {
+    return "Error: Invalid or potentially unsafe file path for read_file.";
+  }
+
+  try {
+    const buffer = await fs.readFile(absoluteFilePath);
+    if (looksBinary(buffer)) return `Error: "${relativeFilePath}" appears to be a binary file.`;
+
+    const lines = buffer.toString('utf8').split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    const from = Math.max(1, parseInt(startLine, 10) || 1);
+    const to = Math.min(lines.length, parseInt(endLine, 10) || lines.length);
+    if (from > to) return `Error: Line range ${from}-${to} is empty; "${relativeFilePath}" has ${lines.length} lines.`;
+
+    const width = String(to).length;
+    let content = lines.slice(from - 1, to).map((line, i) => `${String(from + i).padStart(width)}| ${line}`).join('\n');
+    let notice = '';
+    if (content.length > MAX_READ_CHARS) {
+      content = content.slice(0, MAX_READ_CHARS);
+      notice = `\n[Output truncated at ${MAX_READ_CHARS} characters. Use start_line/end_line to read the rest.]`;
+    }
+    return `File "${relativeFilePath}" (lines ${from}-${to} of ${lines.length}):\n${content}${notice}`;
+  } catch (error) {
+    return `Error reading file "${relativeFilePath}": ${error.message}`;
+  }
+}
+
+/**
+ * Lists the contents of a directory.
+ * @param {string} basePath The base working directory.
+ * @param {string} [relativeDirPath] Directory to list, relative to basePath. Defaults to basePath.
+ * @param {boolean} [recursive] Whether to descend into subdirectories (skips .git and node_modules).
+ * @returns {Promise<string>} One entry per line (directories end with "/") or an error message.
+ */
+export async function listDirectory(basePath, relativeDirPath, recursive = false) {
+  const absoluteDirPath = resolveSafePath(basePath, relativeDirPath);
+  if (!absoluteDirPath) {
+    return "Error: Invalid or potentially unsafe directory path for list_directory.";
+  }
+
+  const results = [];
+  let truncated = false;
+  async function list(absoluteDir, prefix) {
+    const entries = await fs.readdir(absoluteDir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (results.length >= MAX_LIST_ENTRIES) { truncated = true; return; }
+      const display = `${prefix}${entry.name}${entry.isDirectory() ? '/' : ''}`;
+      results.push(display);
+      if (recursive && entry.isDirectory() && !IGNORED_DIRECTORIES.has(entry.name)) {
+        await list(path.join(absoluteDir, entry.name), display);
+      }
+    }
+  }
+
+  try {
+    await list(absoluteDirPath, '');
+    if (results.length === 0) return `Directory "${relativeDirPath || '.'}" is empty.`;
+    let listing = results.join('\n');
+    if (truncated) listing += `\n[Listing truncated at ${MAX_LIST_ENTRIES} entries.]`;
+    return listing;
+  } catch (error) {
+    return `Error listing directory "${relativeDirPath || '.'}": ${error.message}`;
+  }
+}
+
+/**
+ * Searches file contents for a regular expression (or literal text if the pattern is not a valid regex).
+ * @param {string} basePath The base working directory.
+ * @param {string} pattern The pattern to search for.
+ * @param {string} [relativeDirPath] Directory to search in, relative to basePath. Defaults to basePath.
+ * @param {string} [fileGlob] Only search files matching this glob (e.g. "*.js").
+ * @returns {Promise<string>} Matches formatted as "path:line: text" or a message.
+ */
+export async function searchInFiles(basePath, pattern, relativeDirPath, fileGlob) {
+  if (!pattern || typeof pattern !== 'string') {
+    return "Error: Invalid search pattern for search_in_files.";
+  }
+  const absoluteDirPath = resolveSafePath(basePath, relativeDirPath);
+  if (!absoluteDirPath) {
+    return "Error: Invalid or potentially unsafe directory path for search_in_files.";
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(pattern);
+  } catch {
+    regex = new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  }
+  const fileFilter = fileGlob ? globToRegExp(fileGlob) : null;
+  const relativeRoot = path.relative(path.resolve(basePath), absoluteDirPath).split(path.sep).join('/');
+  const matches = [];
+
+  try {
+    const stats = await fs.stat(absoluteDirPath);
+    if (!stats.isDirectory()) return `Error: "${relativeDirPath}" is not a directory.`;
+
+    await walkFiles(absoluteDirPath, relativeRoot, async (absoluteFile, relativeFile) => {
+      if (fileFilter && !fileFilter.test(relativeFile)) return true;
+      const { size } = await fs.stat(absoluteFile);
+      if (size > MAX_SEARCH_FILE_SIZE) return true;
+      const buffer = await fs.readFile(absoluteFile);
+      if (looksBinary(buffer)) return true;
+
+      const lines = buffer.toString('utf8').split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        if (regex.test(lines[i])) {
+          matches.push(`${relativeFile}:${i + 1}: ${lines[i].trim().slice(0, 300)}`);
+          if (matches.length >= MAX_SEARCH_MATCHES) return false;
+        }
+      }
+      return true;
+    });
+
+    if (matches.length === 0) return `No matches found for "${pattern}".`;
+    let output = matches.join('\n');
+    if (matches.length >= MAX_SEARCH_MATCHES) output += `\n[Results truncated at ${MAX_SEARCH_MATCHES} matches.]`;
+    return output;
+  } catch (error) {
+    return `Error searching files: ${error.message}`;
+  }
+}
+
+// --- Diff / Patch Helpers ---
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Line-level diff via LCS over the region between the common prefix and suffix.
+function diffLines(oldLines, newLines) {
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+         oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) suffix++;
+
+  const oldMid = oldLines.slice(prefix, oldLines.length - suffix);
+  const newMid = newLines.slice(prefix, newLines.length - suffix);
+  const ops = oldLines.slice(0, prefix).map(line => ({ type: ' ', line }));
+
+  if (oldMid.length * newMid.length > 4000000) {
+    // Too large for a table-based LCS; fall back to a block replacement
+    oldMid.forEach(line => ops.push({ type: '-', line }));
+    newMid.forEach(line => ops.push({ type: '+', line }));
+  } else {
+    const table = Array.from({ length: oldMid.length + 1 }, () => new Uint32Array(newMid.length + 1));
+    for (let i = oldMid.length - 1; i >= 0; i--) {
+      for (let j = newMid.length - 1; j >= 0; j--) {
+        table[i][j] = oldMid[i] === newMid[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < oldMid.length && j < newMid.length) {
+      if (oldMid[i] === newMid[j]) { ops.push({ type: ' ', line: oldMid[i] }); i++; j++; }
+      else if (table[i + 1][j] >= table[i][j + 1]) ops.push({ type: '-', line: oldMid[i++] });
+      else ops.push({ type: '+', line: newMid[j++] });
+    }
+    while (i < oldMid.length) ops.push({ type: '-', line: oldMid[i++] });
+    while (j < newMid.length) ops.push({ type: '+', line: newMid[j++] });
+  }
+
+  oldLines.slice(oldLines.length - suffix).forEach(line => ops.push({ type: ' ', line }));
+  return ops;
+}
+
+/**
+ * Builds a unified diff between two versions of a file.
+ * @param {string} oldText Original content.
+ * @param {string} newText Updated content.
+ * @param {string} fileLabel File name used in the diff header.
+ * @param {number} [context] Lines of context around each change.
+ * @returns {string} The unified diff, or an empty string if the texts are identical.
+ */
+export function createUnifiedDiff(oldText, newText, fileLabel, context = 3) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const changeIndexes = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index !== -1);
+  if (changeIndexes.length === 0) return '';
+
+  // Group changes whose context windows overlap into hunks
+  const ranges = [];
+  for (const index of changeIndexes) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else ranges.push({ start, end });
+  }
+
+  const output = [`--- a/${fileLabel}`, `+++ b/${fileLabel}`];
+  for (const { start, end } of ranges) {
+    let oldStart = 1, newStart = 1;
+    for (let k = 0; k < start; k++) {
+      if (ops[k].type !== '+') oldStart++;
+      if (ops[k].type !== '-') newStart++;
+    }
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    output.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+    hunk.forEach(op => output.push(`${op.type}${op.line}`));
+  }
+  return output.join('\n');
+}
+
+/**
+ * Colors a unified diff for terminal display.
+ * @param {string} diff A unified diff as produced by createUnifiedDiff.
+ * @returns {string} The colored diff.
+ */
+export function colorizeDiff(diff) {
+  return diff.split('\n').map(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+    if (line.startsWith('@@')) return chalk.cyan(line);
+    if (line.startsWith('+')) return chalk.green(line);
+    if (line.startsWith('-')) return chalk.red(line);
+    return chalk.gray(line);
+  }).join('\n');
+}
+
+function applySearchReplaceEdits(content, edits) {
+  let updated = content;
+  for (const [index, edit] of edits.entries()) {
+    const oldText = edit && edit.old_text;
+    if (typeof oldText !== 'string' || oldText === '') throw new Error(`Edit ${index + 1} has an empty old_text.`);
+    const first = updated.indexOf(oldText);
+    if (first === -1) throw new Error(`Edit ${index + 1}: old_text was not found in the file.`);
+    if (updated.indexOf(oldText, first + 1) !== -1) {
+      throw new Error(`Edit ${index + 1}: old_text matches more than once; include more surrounding lines to make it unique.`);
+    }
+    updated = updated.slice(0, first) + (edit.new_text || '') + updated.slice(first + oldText.length);
+  }
+  return updated;
+}
+
+// Lines starting with ---/+++ are file headers only outside a hunk: once a hunk has as many old and new lines as its
+// @@ header announces, or before the first one. Inside it they are a removed "--..." or an added "++..." line.
+function parseUnifiedDiff(patch) {
+  const hunks = [];
+  let current = null;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+  for (const line of patch.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n')) {
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      current = { oldStart: parseInt(header[1], 10), oldLines: [], newLines: [] };
+      oldRemaining = header[2] === undefined ? 1 : parseInt(header[2], 10);
+      newRemaining = header[4] === undefined ? 1 : parseInt(header[4], 10);
+      hunks.push(current);
+      continue;
+    }
+    const insideHunk = oldRemaining > 0 || newRemaining > 0;
+    if (!insideHunk && (line.startsWith('---') || line.startsWith('+++') || line.startsWith('diff '))) {
+      current = null; // The next file's headers
+      continue;
+    }
+    if (!current || line.startsWith('\\')) continue;
+    if (line.startsWith('+')) {
+      current.newLines.push(line.slice(1));
+      newRemaining--;
+    } else if (line.startsWith('-')) {
+      current.oldLines.push(line.slice(1));
+      oldRemaining--;
+    } else if (line.startsWith(' ') || line === '') {
+      current.oldLines.push(line.slice(1));
+      current.newLines.push(line.slice(1));
+      oldRemaining--;
+      newRemaining--;
+    }
+  }
+  return hunks;
+}
+
+function findLines(lines, target, expectedIndex) {
+  const matchesAt = index => target.every((line, k) => lines[index + k] === line);
+  // Search outward from where the hunk header says it should be, tolerating drifted line numbers
+  for (let offset = 0; offset <= lines.length; offset++) {
+    for (const index of [expectedIndex - offset, expectedIndex + offset]) {
+      if (index >= 0 && index + target.length <= lines.length && matchesAt(index)) return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Applies a unified diff to text. Hunks are located by their content, searching outward from the line their header
+ * gives, so drifted line numbers are tolerated.
+ * @param {string} content The original text.
+ * @param {string} patch The unified diff, with or without ---/+++ file headers.
+ * @returns {string} The patched text.
+ * @throws {Error} If the patch has no hunks or a hunk does not match the text.
+ */
+export function applyUnifiedPatch(content, patch) {
+  const hunks = parseUnifiedDiff(patch);
+  if (hunks.length === 0) throw new Error("Patch does not contain any @@ hunks.");
+
+  const endsWithNewline = content === '' || content.endsWith('\n');
+  const lines = splitLines(content);
+  let shift = 0; // Line offset introduced by previously applied hunks
+  for (const [index, hunk] of hunks.entries()) {
+    const expected = Math.max(0, hunk.oldStart - 1 + shift);
+    const at = hunk.oldLines.length === 0 ? Math.min(hunk.oldStart + shift, lines.length) : findLines(lines, hunk.oldLines, expected);
+    if (at === -1) throw new Error(`Hunk ${index + 1} (at line ${hunk.oldStart}) does not match the file content.`);
+    lines.splice(at, hunk.oldLines.length, ...hunk.newLines);
+    shift += hunk.newLines.length - hunk.oldLines.length;
+  }
+  return lines.join('\n') + (endsWithNewline && lines.length ? '\n' : '');
+}
+
+async function computeFileEdit(basePath, relativeFilePath, edits, patch) {
+  const absoluteFilePath = relativeFilePath ? resolveSafePath(basePath, relativeFilePath) : null;
+  if (!absoluteFilePath) throw new Error("Invalid or potentially unsafe file path for edit_file.");
+  const hasEdits = Array.isArray(edits) && edits.length > 0;
+  if (!hasEdits && !patch) throw new Error("edit_file needs either 'edits' or 'patch'.");
+  if (hasEdits && patch) throw new Error("edit_file accepts 'edits' or 'patch', not both.");
+
+  const original = await fs.readFile(absoluteFilePath, 'utf8');
+  const updated = hasEdits ? applySearchReplaceEdits(original, edits) : applyUnifiedPatch(original, patch);
+  return { absoluteFilePath, original, updated };
+}
+
+/**
+ * Computes the change edit_file would make without writing it, for display before confirmation.
+ * @param {string} basePath The base working directory.
+ * @param {string} relativeFilePath Path to the file, relative to basePath.
+ * @param {Array<{old_text: string, new_text: string}>} [edits] Search/replace edits, applied in order.
+ * @param {string} [patch] A unified diff to apply instead of edits.
+ * @returns {Promise<{success: boolean, diff?: string, error?: string}>} The resulting diff or the reason it cannot apply.
+ */
+export async function previewFileEdit(basePath, relativeFilePath, edits, patch) {
+  try {
+    const { original, updated } = await computeFileEdit(basePath, relativeFilePath, edits, patch);
+    return { success: true, diff: createUnifiedDiff(original, updated, relativeFilePath) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Edits an existing file with search/replace pairs or a unified diff.
+ * @param {string} basePath The base working directory.
+ * @param {string} relativeFilePath Path to the file, relative to basePath.
+ * @param {Array<{old_text: string, new_text: string}>} [edits] Search/replace edits, applied in order.
+ * @param {string} [patch] A unified diff to apply instead of edits.
+ * @param {function(string[]): Promise<void>} [beforeChange] Called with the paths about to change, e.g. to snapshot them.
+ * @returns {Promise<string>} A message indicating success or failure.
+ */
+export async function editFile(basePath, relativeFilePath, edits, patch, beforeChange) {
+  try {
+    const { absoluteFilePath, original, updated } = await computeFileEdit(basePath, relativeFilePath, edits, patch);
+    if (original === updated) return `No changes made to "${relativeFilePath}": the edit produced identical content.`;
+    if (beforeChange) await beforeChange([relativeFilePath]);
+    await fs.writeFile(absoluteFilePath, updated, 'utf8');
+    return `File "${relativeFilePath}" edited successfully:\n${createUnifiedDiff(original, updated, relativeFilePath)}`;
+  } catch (error) {
+    return `Error editing file "${relativeFilePath}": ${error.message}`;
+  }
+}
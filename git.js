@@ -0,0 +1,158 @@
+// git.js
+// Structured access to the git repository around the working directory, for the git_* tools, /commit and /review.
+import { execFile } from 'child_process';
+
+const GIT_TIMEOUT_MS = 30000;
+const MAX_GIT_OUTPUT_BYTES = 20 * 1024 * 1024;
+export const DEFAULT_MAX_DIFF_CHARS = 50000;
+const DEFAULT_LOG_COUNT = 20;
+const MAX_LOG_COUNT = 200;
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+
+const STATUS_NAMES = { M: 'modified', T: 'type changed', A: 'added', D: 'deleted', R: 'renamed', C: 'copied', U: 'unmerged' };
+
+/**
+ * Runs git and returns its output.
+ * @param {string[]} args Arguments for git.
+ * @param {string} cwd Directory to run in.
+ * @param {{input?: string}} [options] Text to pass on stdin.
+ * @returns {Promise<string>} stdout.
+ * @throws {Error} With git's error message if it fails.
+ */
+export function runGit(args, cwd, { input } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('git', args, { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: MAX_GIT_OUTPUT_BYTES, env: { ...process.env, GIT_PAGER: 'cat', LC_ALL: 'C' } },
+      (error, stdout, stderr) => {
+        if (error) {
+          const message = error.code === 'ENOENT' ? 'git is not installed or not on PATH' : (stderr || stdout || error.message).trim();
+          reject(new Error(message));
+          return;
+        }
+        resolve(stdout);
+      });
+    if (input !== undefined) child.stdin.end(input);
+  });
+}
+
+/**
+ * Finds the root of the git repository containing a directory.
+ * @param {string} directory The directory.
+ * @returns {Promise<string|null>} The repository root, or null if the directory is not in a repository.
+ */
+export async function findRepoRoot(directory) {
+  try {
+    return (await runGit(['rev-parse', '--show-toplevel'], directory)).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+function truncate(text, maxChars) {
+  return text.length > maxChars ? { text: text.slice(0, maxChars), truncated: true } : { text, truncated: false };
+}
+
+/**
+ * Reads the branch and the state of every changed file.
+ * @param {string} root The repository root.
+ * @returns {Promise<{branch: string|null, upstream: string|null, ahead: number, behind: number,
+ *   staged: Array<{path: string, status: string, from?: string}>, unstaged: Array<{path: string, status: string}>,
+ *   untracked: string[], conflicted: string[]}>} The status.
+ */
+export async function getStatus(root) {
+  const output = await runGit(['status', '--porcelain=v2', '--branch', '-z'], root);
+  const status = { branch: null, upstream: null, ahead: 0, behind: 0, staged: [], unstaged: [], untracked: [], conflicted: [] };
+  const entries = output.split('\0');
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    if (entry.startsWith('# branch.head ')) {
+      const head = entry.slice('# branch.head '.length);
+      status.branch = head === '(detached)' ? null : head;
+    } else if (entry.startsWith('# branch.upstream ')) {
+      status.upstream = entry.slice('# branch.upstream '.length);
+    } else if (entry.startsWith('# branch.ab ')) {
+      const [ahead, behind] = entry.slice('# branch.ab '.length).split(' ');
+      status.ahead = Math.abs(parseInt(ahead, 10));
+      status.behind = Math.abs(parseInt(behind, 10));
+    } else if (entry.startsWith('1 ') || entry.startsWith('2 ')) {
+      // "1 XY sub mH mI mW hH hI path" or "2 XY sub mH mI mW hH hI Xscore path\0origPath"
+      const fields = entry.split(' ');
+      const isRename = entry.startsWith('2 ');
+      const filePath = fields.slice(isRename ? 9 : 8).join(' ');
+      const from = isRename ? entries[++index] : undefined;
+      const [indexStatus, worktreeStatus] = fields[1];
+      if (indexStatus !== '.') status.staged.push({ path: filePath, status: STATUS_NAMES[indexStatus] || indexStatus, ...(from ? { from } : {}) });
+      if (worktreeStatus !== '.') status.unstaged.push({ path: filePath, status: STATUS_NAMES[worktreeStatus] || worktreeStatus });
+    } else if (entry.startsWith('u ')) {
+      status.conflicted.push(entry.split(' ').slice(10).join(' '));
+    } else if (entry.startsWith('? ')) {
+      status.untracked.push(entry.slice(2));
+    }
+  }
+  return status;
+}
+
+/**
+ * Reads a diff with per-file line counts.
+ * @param {string} root The repository root.
+ * @param {{staged?: boolean, base?: string, paths?: string[], maxChars?: number}} [options] Staged changes only,
+ *   or the working tree against base (e.g. "HEAD"); by default unstaged changes. paths limits the diff to some files.
+ * @returns {Promise<{files: Array<{path: string, additions: number|null, deletions: number|null}>, diff: string,
+ *   truncated: boolean}>} The diff; binary files have null counts.
+ */
+export async function getDiff(root, { staged = false, base, paths = [], maxChars = DEFAULT_MAX_DIFF_CHARS } = {}) {
+  if (base && base.startsWith('-')) throw new Error(`Invalid revision: ${base}`);
+  const range = staged ? ['--cached'] : base ? [base] : [];
+  const pathArgs = paths.length > 0 ? ['--', ...paths] : [];
+  const numstat = await runGit(['diff', '--numstat', '-z', ...range, ...pathArgs], root);
+  const files = [];
+  const fields = numstat.split('\0');
+  for (let index = 0; index < fields.length; index++) {
+    if (!fields[index]) continue;
+    const [additions, deletions, filePath] = fields[index].split('\t');
+    // Renames leave the path empty and put "from\0to" in the next two fields
+    const pathName = filePath || (index += 2, fields[index]);
+    files.push({ path: pathName, additions: additions === '-' ? null : Number(additions), deletions: deletions === '-' ? null : Number(deletions) });
+  }
+  const { text, truncated } = truncate(await runGit(['diff', '--no-color', '--no-ext-diff', ...range, ...pathArgs], root), maxChars);
+  return { files, diff: text, truncated };
+}
+
+/**
+ * Lists recent commits.
+ * @param {string} root The repository root.
+ * @param {{maxCount?: number, ref?: string, path?: string}} [options] How many commits (default 20), starting where,
+ *   and touching which file.
+ * @returns {Promise<Array<{hash: string, author: string, date: string, subject: string}>>} The commits, newest first.
+ */
+export async function getLog(root, { maxCount = DEFAULT_LOG_COUNT, ref, path: filePath } = {}) {
+  if (ref && ref.startsWith('-')) throw new Error(`Invalid revision: ${ref}`);
+  const count = Math.min(Math.max(1, parseInt(maxCount, 10) || DEFAULT_LOG_COUNT), MAX_LOG_COUNT);
+  const format = ['%h', '%an', '%aI', '%s'].join(FIELD_SEPARATOR) + RECORD_SEPARATOR;
+  let output;
+  try {
+    output = await runGit(['log', `--max-count=${count}`, `--format=${format}`, ...(ref ? [ref] : []), ...(filePath ? ['--', filePath] : [])], root);
+  } catch (error) {
+    if (/does not have any commits/.test(error.message)) return [];
+    throw error;
+  }
+  return output.split(RECORD_SEPARATOR).map(record => record.trim()).filter(Boolean).map((record) => {
+    const [hash, author, date, subject] = record.split(FIELD_SEPARATOR);
+    return { hash, author, date, subject };
+  });
+}
+
+/**
+ * Creates a commit.
+ * @param {string} root The repository root.
+ * @param {{message: string, paths?: string[], all?: boolean}} options The message; paths are staged first, and all
+ *   stages every tracked file that changed (like git commit -a).
+ * @returns {Promise<{hash: string, summary: string}>} The new commit and git's summary line.
+ */
+export async function commit(root, { message, paths = [], all = false }) {
+  if (!message || !message.trim()) throw new Error('The commit message is empty.');
+  if (paths.length > 0) await runGit(['add', '--', ...paths], root);
+  const output = await runGit(['commit', ...(all ? ['-a'] : []), '-F', '-'], root, { input: message.trim() + '\n' });
+  const hash = (await runGit(['rev-parse', '--short', 'HEAD'], root)).trim();
+  return { hash, summary: output.trim().split('\n')[0] };
+}
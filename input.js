@@ -0,0 +1,197 @@
+// input.js
+// The "You:" prompt on top of readline: messages of several lines (pasted, written between """ lines, or continued
+// with Alt+Enter), tab completion of slash commands and paths, and input history kept across runs.
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+export const HISTORY_FILE_NAME = 'input_history';
+export const MAX_HISTORY_ENTRIES = 500;
+export const BLOCK_DELIMITER = '"""';
+const CONTINUATION_PROMPT = '... ';
+// Terminals mark pasted text with these once bracketed paste is on, so its line breaks do not send the message
+const BRACKETED_PASTE_ON = '\x1b[?2004h';
+const BRACKETED_PASTE_OFF = '\x1b[?2004l';
+
+/**
+ * Reads the input history.
+ * @param {string} historyFile Path to the history file (one entry per line, oldest first).
+ * @returns {Promise<string[]>} The entries, newest first as readline keeps them; empty if there is no file yet.
+ */
+export async function readHistory(historyFile) {
+  try {
+    const lines = (await fs.readFile(historyFile, 'utf-8')).split('\n').filter(line => line.trim());
+    return lines.reverse().slice(0, MAX_HISTORY_ENTRIES);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Writes the input history so that only its owner can read it; messages may contain anything.
+ * @param {string} historyFile Path to the history file.
+ * @param {string[]} entries The entries, newest first.
+ */
+export async function writeHistory(historyFile, entries) {
+  await fs.mkdir(path.dirname(historyFile), { recursive: true });
+  const lines = entries.slice(0, MAX_HISTORY_ENTRIES).reverse();
+  await fs.writeFile(historyFile, lines.map(line => `${line}\n`).join(''), { mode: 0o600 });
+}
+
+/**
+ * Lists the files and folders a partly typed path can become. Folders end in "/"; hidden entries are only offered
+ * once the name starts with ".".
+ * @param {string} token The path typed so far, possibly starting with "@" (an attachment) or "~/".
+ * @param {string} workingDirectory The folder relative paths start from.
+ * @returns {Promise<string[]>} The completed paths, with the token's "@" kept, sorted.
+ */
+export async function completePath(token, workingDirectory) {
+  const marker = token.startsWith('@') ? '@' : '';
+  const typed = token.slice(marker.length);
+  const folderPart = typed.slice(0, typed.lastIndexOf('/') + 1);
+  const namePart = typed.slice(folderPart.length);
+  const folder = folderPart.startsWith('~/') ? path.join(os.homedir(), folderPart.slice(2)) : folderPart;
+  let entries;
+  try {
+    entries = await fs.readdir(path.resolve(workingDirectory, folder || '.'), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(entry => entry.name.startsWith(namePart) && (namePart.startsWith('.') || !entry.name.startsWith('.')))
+    .map(entry => `${marker}${folderPart}${entry.name}${entry.isDirectory() ? '/' : ''}`)
+    .sort();
+}
+
+/**
+ * Creates the Tab completer for readline: slash command names at the start of the line, paths everywhere else.
+ * @param {{getCommandNames: function(): string[], getWorkingDirectory: function(): string}} sources Where the command
+ *   names (without the slash) and the folder for relative paths come from; both are asked on every Tab.
+ * @returns {function(string): Promise<[string[], string]>} The completer.
+ */
+export function createCompleter({ getCommandNames, getWorkingDirectory }) {
+  return async (line) => {
+    if (/^\/\S*$/.test(line)) {
+      const typed = line.toLowerCase();
+      return [getCommandNames().map(name => `/${name}`).filter(name => name.startsWith(typed)).sort(), line];
+    }
+    if (!line.trim()) return [[], line];
+    const token = line.match(/\S*$/)[0];
+    return [await completePath(token, getWorkingDirectory()), token];
+  };
+}
+
+/**
+ * Creates the reader for chat messages. A message ends with Enter, unless the line was pasted (line breaks inside
+ * a bracketed paste continue it), ended with Alt+Enter, or opened a """ block, which runs up to a line ending in """.
+ * Single-line messages go into the history that Up and Down walk through.
+ * @param {object} rl The readline interface, created with terminal support.
+ * @param {{input: object, output: object, history?: string[], onHistoryChange?: function(string[]): void}} options
+ *   The interface's streams, the history to start from (newest first) and what to do when it changes.
+ * @returns {{read: function(string, object=): Promise<string|null>}} The reader.
+ */
+export function createInputReader(rl, { input, output, history = [], onHistoryChange = () => {} }) {
+  let entries = [...history];
+  let pasting = false;
+  let continueLine = false; // Alt+Enter was pressed
+  let reading = false;
+  let waiting = null;
+  const queued = []; // Pasted lines that arrived before they were asked for
+
+  // Runs before readline's own handler, so the flags are set when the line ends
+  input.prependListener('keypress', (sequence, key) => {
+    if (!key) return;
+    if (key.name === 'paste-start') pasting = true;
+    else if (key.name === 'paste-end') pasting = false;
+    else if (reading && key.name === 'return' && key.meta && !pasting) {
+      continueLine = true;
+      rl.write(null, { name: 'return' }); // readline ignores Alt+Enter itself
+    }
+  });
+  // While reading there is no question pending, so readline hands every line here
+  rl.on('line', (line) => {
+    if (!reading) return;
+    const entry = { line, continued: pasting || continueLine };
+    continueLine = false;
+    if (!waiting) {
+      queued.push(entry);
+      return;
+    }
+    const resolve = waiting;
+    waiting = null;
+    resolve(entry);
+  });
+  rl.on('close', () => {
+    if (output.isTTY) output.write(BRACKETED_PASTE_OFF);
+  });
+
+  function nextLine(prompt, signal) {
+    if (queued.length > 0) return Promise.resolve(queued.shift());
+    rl.setPrompt(prompt);
+    rl.prompt(true); // Keeps the cursor after text left over from a paste
+    return new Promise((resolve) => {
+      waiting = resolve;
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          if (waiting !== resolve) return;
+          waiting = null;
+          rl.write(null, { ctrl: true, name: 'e' });
+          rl.write(null, { ctrl: true, name: 'u' }); // Drops the unfinished line
+          resolve(null);
+        }, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Reads one message.
+   * @param {string} prompt The prompt for the first line.
+   * @param {{signal?: AbortSignal, onContinue?: function(): void}} [options] signal discards the message;
+   *   onContinue is called once the message turns out to have more than one line.
+   * @returns {Promise<string|null>} The message, its lines joined with "\n", or null if it was discarded.
+   */
+  async function read(prompt, { signal, onContinue = () => {} } = {}) {
+    reading = true;
+    rl.history = [...entries];
+    if (output.isTTY) output.write(BRACKETED_PASTE_ON);
+    try {
+      const first = await nextLine(prompt, signal);
+      if (!first) return null;
+      const opening = first.line.trim();
+      const block = !first.continued && opening.startsWith(BLOCK_DELIMITER);
+      if (block && opening.length >= 2 * BLOCK_DELIMITER.length && opening.endsWith(BLOCK_DELIMITER)) {
+        return opening.slice(BLOCK_DELIMITER.length, -BLOCK_DELIMITER.length); // """text""" on one line
+      }
+      const lines = block ? [opening.slice(BLOCK_DELIMITER.length)].filter(line => line.trim()) : [first.line];
+      let more = block || first.continued;
+      if (more) onContinue();
+      while (more) {
+        const entry = await nextLine(CONTINUATION_PROMPT, signal);
+        if (!entry) return null;
+        if (block && entry.line.trimEnd().endsWith(BLOCK_DELIMITER)) {
+          const last = entry.line.trimEnd().slice(0, -BLOCK_DELIMITER.length);
+          if (last.trim()) lines.push(last);
+          break;
+        }
+        lines.push(entry.line);
+        more = block || entry.continued;
+      }
+      const message = lines.join('\n');
+      if (lines.length === 1 && message.trim()) remember(message);
+      return message;
+    } finally {
+      reading = false;
+      waiting = null;
+      queued.length = 0;
+      if (output.isTTY) output.write(BRACKETED_PASTE_OFF);
+    }
+  }
+
+  function remember(message) {
+    entries = [message, ...entries.filter(entry => entry !== message)].slice(0, MAX_HISTORY_ENTRIES);
+    onHistoryChange(entries);
+  }
+
+  return { read };
+}
@@ -0,0 +1,140 @@
+// instructions.js
+// Builds the system instruction: Zeno's own prompt, the user's ZENO.md files and a snapshot of the working directory.
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+
+export const INSTRUCTIONS_FILE = 'ZENO.md';
+const IGNORED_DIRECTORIES = new Set(['.git', 'node_modules']);
+const MAX_TREE_DEPTH = 3;
+const MAX_TREE_ENTRIES = 200;
+const MAX_GIT_STATUS_CHARS = 3000;
+const MAX_INSTRUCTIONS_FILE_CHARS = 20000;
+const GIT_TIMEOUT_MS = 5000;
+
+/**
+ * Reads a ZENO.md file.
+ * @param {string} directory Directory that may contain ZENO.md.
+ * @returns {Promise<{path: string, content: string}|null>} The file, or null if there is none.
+ */
+export async function readInstructionsFile(directory) {
+  const filePath = path.join(directory, INSTRUCTIONS_FILE);
+  try {
+    let content = (await fs.readFile(filePath, 'utf-8')).trim();
+    if (content.length > MAX_INSTRUCTIONS_FILE_CHARS) {
+      content = `${content.slice(0, MAX_INSTRUCTIONS_FILE_CHARS)}\n[... ${INSTRUCTIONS_FILE} truncated at ${MAX_INSTRUCTIONS_FILE_CHARS} characters ...]`;
+    }
+    return content ? { path: filePath, content } : null;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Summarizes a directory as an indented tree, directories first, skipping .git and node_modules.
+ * @param {string} directory The directory.
+ * @returns {Promise<string>} The tree, one entry per line.
+ */
+export async function summarizeDirectoryTree(directory) {
+  const lines = [];
+  let remaining = MAX_TREE_ENTRIES;
+
+  async function walk(current, depth) {
+    let entries;
+    try {
+      entries = await fs.readdir(current, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    entries.sort((a, b) => (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name));
+    const indent = '  '.repeat(depth);
+    for (const [index, entry] of entries.entries()) {
+      if (remaining <= 0) {
+        lines.push(`${indent}... (${entries.length - index} more)`);
+        return;
+      }
+      remaining--;
+      if (!entry.isDirectory()) {
+        lines.push(`${indent}${entry.name}`);
+      } else if (IGNORED_DIRECTORIES.has(entry.name) || depth + 1 >= MAX_TREE_DEPTH) {
+        lines.push(`${indent}${entry.name}/ ...`);
+      } else {
+        lines.push(`${indent}${entry.name}/`);
+        await walk(path.join(current, entry.name), depth + 1);
+      }
+    }
+  }
+
+  await walk(directory, 0);
+  return lines.length > 0 ? lines.join('\n') : '(empty directory)';
+}
+
+/**
+ * Runs `git status --short --branch` in a directory.
+ * @param {string} directory The directory.
+ * @returns {Promise<string|null>} The status, or null if the directory is not in a git repository (or git is missing).
+ */
+export function getGitStatus(directory) {
+  return new Promise((resolve) => {
+    execFile('git', ['status', '--short', '--branch'], { cwd: directory, timeout: GIT_TIMEOUT_MS }, (error, stdout) => {
+      if (error) { resolve(null); return; }
+      const status = stdout.trim();
+      resolve(status.length > MAX_GIT_STATUS_CHARS ? `${status.slice(0, MAX_GIT_STATUS_CHARS)}\n[... truncated ...]` : status);
+    });
+  });
+}
+
+function buildBasePrompt({ workingDirectory }) {
+  const lines = [
+    'You are Zeno, an AI assistant running in the user\'s terminal through the Zeno CLI.',
+    `Today is ${new Date().toDateString()}. The user's platform is ${process.platform}.`,
+    'Answer concisely in Markdown. Use web_search and fetch_url for current information rather than guessing.',
+  ];
+  if (workingDirectory) {
+    lines.push(
+      `File mode is enabled: your file tools operate in ${workingDirectory}, with paths relative to it.`,
+      'Read files before changing them, prefer edit_file over rewriting whole files, and explain what you are about to change.',
+      'Actions that modify files or run commands may need the user\'s confirmation, be approved automatically by policy or permission rules, or be denied; a denied action was not carried out.'
+    );
+  } else {
+    lines.push('File mode is disabled, so you cannot access the user\'s files; the user can enable it with /files.');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Builds the system instruction for a chat session.
+ * @param {{globalDir: string, workingDirectory?: string|null}} options The config directory (for the global ZENO.md)
+ *   and the files-mode working directory, if any (for the project ZENO.md, directory tree and git status).
+ * @returns {Promise<{text: string, sources: string[], warnings: string[]}>} The instruction, the ZENO.md files it
+ *   includes and problems reading them (an unreadable file is left out rather than failing the session).
+ */
+export async function buildSystemInstruction({ globalDir, workingDirectory = null }) {
+  const sections = [buildBasePrompt({ workingDirectory })];
+  const sources = [];
+  const warnings = [];
+  const tryRead = (directory) => readInstructionsFile(directory).catch((error) => {
+    warnings.push(`Could not read ${path.join(directory, INSTRUCTIONS_FILE)}: ${error.message}`);
+    return null;
+  });
+
+  const globalFile = await tryRead(globalDir);
+  if (globalFile) {
+    sections.push(`# User instructions (${INSTRUCTIONS_FILE})\n${globalFile.content}`);
+    sources.push(globalFile.path);
+  }
+
+  if (workingDirectory) {
+    const projectFile = path.resolve(workingDirectory) !== path.resolve(globalDir) ? await tryRead(workingDirectory) : null;
+    if (projectFile) {
+      sections.push(`# Project instructions (${INSTRUCTIONS_FILE})\n${projectFile.content}`);
+      sources.push(projectFile.path);
+    }
+    sections.push(`# Working directory at session start\n${await summarizeDirectoryTree(workingDirectory)}`);
+    const gitStatus = await getGitStatus(workingDirectory);
+    if (gitStatus !== null) sections.push(`# Git status at session start\n${gitStatus || '(clean)'}`);
+  }
+
+  return { text: sections.join('\n\n'), sources, warnings };
+}
@@ -0,0 +1,98 @@
+// jobs.js
+// Background jobs: long work (research runs) that goes on while the chat stays usable. Each job keeps a log that
+// /jobs watch can replay and follow, a short progress text for the prompt line, and can be stopped in two steps:
+// first after its current step, then at once.
+
+const MAX_LOG_LINES = 500;
+
+/**
+ * Creates an empty list of background jobs.
+ * @param {{onUpdate?: function(object, object): void}} [options] Called with the job and the event whenever a job
+ *   logs a line ({type: 'log', line}), reports progress ({type: 'progress', text}) or ends ({type: 'finished', status, message}).
+ * @returns {{start: Function, get: function(number): object|undefined, list: function(): object[], running: function(): object[]}}
+ *   The job list.
+ */
+export function createJobList({ onUpdate = () => {} } = {}) {
+  const jobs = new Map();
+  let nextId = 1;
+
+  /**
+   * Starts a job.
+   * @param {string} name What the job does, e.g. the research topic.
+   * @param {function(object): Promise<{status?: string, message?: string}|void>} run The work. It gets
+   *   { signal, shouldStop(), log(line), progress(text) } and may return a status other than 'done' (e.g. 'paused')
+   *   with a message for the user. If it throws, the job failed, or was cancelled if its signal fired.
+   * @param {{directory?: string}} [details] Where the job works.
+   * @returns {object} The job: { id, name, directory, status, progress, message, log, startedAt, finishedAt, done }.
+   */
+  function start(name, run, { directory = null } = {}) {
+    const controller = new AbortController();
+    const listeners = new Set();
+    const job = {
+      id: nextId++, name, directory, status: 'running', progress: '', message: null, log: [],
+      startedAt: new Date().toISOString(), finishedAt: null, stopRequested: false,
+    };
+    const emit = (event) => {
+      for (const listener of listeners) listener(event);
+      onUpdate(job, event);
+    };
+    const context = {
+      signal: controller.signal,
+      shouldStop: () => job.stopRequested,
+      log(line) {
+        job.log.push(line);
+        if (job.log.length > MAX_LOG_LINES) job.log.shift();
+        emit({ type: 'log', line });
+      },
+      progress(text) {
+        job.progress = text;
+        emit({ type: 'progress', text });
+      },
+    };
+    const finish = (status, message) => {
+      job.status = status;
+      job.message = message || null;
+      job.finishedAt = new Date().toISOString();
+      emit({ type: 'finished', status, message: job.message });
+    };
+
+    /**
+     * Stops the job: the first call after its current step, a second call (or now) at once.
+     * @param {{now?: boolean}} [options] Skip the first step.
+     * @returns {'stopping'|'cancelled'|'finished'} What happens.
+     */
+    job.cancel = ({ now = false } = {}) => {
+      if (job.status !== 'running') return 'finished';
+      if (!job.stopRequested && !now) {
+        job.stopRequested = true;
+        return 'stopping';
+      }
+      job.stopRequested = true;
+      controller.abort();
+      return 'cancelled';
+    };
+    /**
+     * Follows the job's events until the returned function is called.
+     * @param {function(object): void} listener Gets every event, as onUpdate does.
+     * @returns {function(): void} Stops following.
+     */
+    job.watch = (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    };
+
+    jobs.set(job.id, job);
+    // Started on the next tick, so the caller has the job before its first event
+    job.done = Promise.resolve().then(() => run(context)).then(
+      result => finish((result && result.status) || 'done', result && result.message),
+      error => finish(controller.signal.aborted ? 'cancelled' : 'failed', error.message || String(error)));
+    return job;
+  }
+
+  return {
+    start,
+    get: id => jobs.get(id),
+    list: () => [...jobs.values()],
+    running: () => [...jobs.values()].filter(job => job.status === 'running'),
+  };
+}
@@ -0,0 +1,414 @@
+// markdown.js
+// Renders Markdown for the terminal as it streams in: headings, lists, quotes, tables, inline styles and
+// syntax-highlighted code blocks, wrapped to the terminal width.
+import chalk from 'chalk';
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+const FENCE_PATTERN = /^(\s*)(`{3,}|~{3,})\s*([^\s`]*)/;
+const MAX_RULE_WIDTH = 80;
+const MIN_COLUMN_WIDTH = 3;
+
+const C_LIKE_KEYWORDS = ['if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue', 'return',
+  'goto', 'struct', 'union', 'enum', 'typedef', 'static', 'const', 'void', 'int', 'char', 'float', 'double', 'long',
+  'short', 'unsigned', 'signed', 'bool', 'auto', 'class', 'public', 'private', 'protected', 'new', 'delete', 'this',
+  'namespace', 'using', 'template', 'typename', 'virtual', 'override', 'try', 'catch', 'throw', 'throws', 'import',
+  'package', 'extends', 'implements', 'interface', 'final', 'abstract', 'sizeof', 'include', 'define', 'var', 'string'];
+
+// Keywords, literals and comment syntax per language; aliases map fence info strings to these entries.
+const LANGUAGES = {
+  javascript: {
+    aliases: ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'typescript', 'node'],
+    keywords: ['const', 'let', 'var', 'function', 'return', 'if', 'else', 'for', 'while', 'do', 'switch', 'case',
+      'default', 'break', 'continue', 'new', 'delete', 'typeof', 'instanceof', 'in', 'of', 'class', 'extends', 'super',
+      'this', 'import', 'export', 'from', 'as', 'async', 'await', 'yield', 'try', 'catch', 'finally', 'throw', 'static',
+      'get', 'set', 'interface', 'type', 'enum', 'implements', 'public', 'private', 'protected', 'readonly', 'void'],
+    literals: ['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'],
+    lineComment: '//', blockComment: ['/*', '*/'], quotes: ['"', "'", '`'],
+  },
+  python: {
+    aliases: ['py', 'python3'],
+    keywords: ['def', 'return', 'if', 'elif', 'else', 'for', 'while', 'break', 'continue', 'pass', 'class', 'import',
+      'from', 'as', 'try', 'except', 'finally', 'raise', 'with', 'lambda', 'yield', 'global', 'nonlocal', 'assert',
+      'del', 'in', 'is', 'not', 'and', 'or', 'async', 'await', 'match', 'case', 'self'],
+    literals: ['True', 'False', 'None'],
+    lineComment: '#', quotes: ['"', "'"],
+  },
+  shell: {
+    aliases: ['sh', 'bash', 'zsh', 'console', 'shellscript', 'terminal'],
+    keywords: ['if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done', 'case', 'esac', 'in',
+      'function', 'return', 'export', 'local', 'readonly', 'source', 'echo', 'cd', 'exit', 'set', 'unset'],
+    literals: ['true', 'false'],
+    lineComment: '#', quotes: ['"', "'"],
+  },
+  json: { aliases: ['jsonc', 'json5'], keywords: [], literals: ['true', 'false', 'null'], lineComment: '//', quotes: ['"'] },
+  go: {
+    aliases: ['golang'],
+    keywords: ['package', 'import', 'func', 'return', 'if', 'else', 'for', 'range', 'switch', 'case', 'default', 'break',
+      'continue', 'go', 'defer', 'select', 'chan', 'map', 'struct', 'interface', 'type', 'var', 'const', 'fallthrough', 'goto'],
+    literals: ['true', 'false', 'nil', 'iota'],
+    lineComment: '//', blockComment: ['/*', '*/'], quotes: ['"', "'", '`'],
+  },
+  rust: {
+    aliases: ['rs'],
+    keywords: ['fn', 'let', 'mut', 'return', 'if', 'else', 'for', 'while', 'loop', 'match', 'break', 'continue', 'struct',
+      'enum', 'impl', 'trait', 'pub', 'use', 'mod', 'crate', 'self', 'Self', 'super', 'as', 'in', 'ref', 'move', 'where',
+      'type', 'const', 'static', 'unsafe', 'async', 'await', 'dyn'],
+    literals: ['true', 'false', 'None', 'Some', 'Ok', 'Err'],
+    lineComment: '//', blockComment: ['/*', '*/'], quotes: ['"'],
+  },
+  c: {
+    aliases: ['h', 'cpp', 'c++', 'cc', 'hpp', 'cs', 'csharp', 'java', 'kotlin', 'kt', 'swift', 'php', 'dart', 'scala'],
+    keywords: C_LIKE_KEYWORDS,
+    literals: ['true', 'false', 'null', 'nullptr', 'NULL', 'nil'],
+    lineComment: '//', blockComment: ['/*', '*/'], quotes: ['"', "'"],
+  },
+  ruby: {
+    aliases: ['rb'],
+    keywords: ['def', 'end', 'if', 'elsif', 'else', 'unless', 'while', 'until', 'for', 'in', 'do', 'return', 'class',
+      'module', 'require', 'include', 'yield', 'begin', 'rescue', 'ensure', 'raise', 'then', 'self', 'case', 'when'],
+    literals: ['true', 'false', 'nil'],
+    lineComment: '#', quotes: ['"', "'"],
+  },
+  sql: {
+    aliases: ['mysql', 'postgresql', 'postgres', 'sqlite', 'plsql'],
+    keywords: ['select', 'from', 'where', 'insert', 'into', 'values', 'update', 'set', 'delete', 'create', 'table',
+      'drop', 'alter', 'add', 'index', 'join', 'left', 'right', 'inner', 'outer', 'on', 'group', 'by', 'order', 'having',
+      'limit', 'offset', 'as', 'and', 'or', 'not', 'in', 'is', 'like', 'distinct', 'union', 'primary', 'key', 'foreign',
+      'references', 'default', 'case', 'when', 'then', 'else', 'end', 'with', 'returning'],
+    literals: ['null', 'true', 'false'],
+    lineComment: '--', blockComment: ['/*', '*/'], quotes: ["'", '"'], ignoreCase: true,
+  },
+  yaml: { aliases: ['yml', 'toml', 'ini'], keywords: [], literals: ['true', 'false', 'null', 'yes', 'no', '~'], lineComment: '#', quotes: ['"', "'"] },
+  css: { aliases: ['scss', 'less'], keywords: ['important', 'media', 'import', 'keyframes'], literals: [], blockComment: ['/*', '*/'], quotes: ['"', "'"] },
+};
+
+const LANGUAGE_BY_NAME = new Map();
+for (const [name, language] of Object.entries(LANGUAGES)) {
+  language.keywordSet = new Set(language.ignoreCase ? language.keywords.map(word => word.toLowerCase()) : language.keywords);
+  language.literalSet = new Set(language.ignoreCase ? language.literals.map(word => word.toLowerCase()) : language.literals);
+  [name, ...language.aliases].forEach(alias => LANGUAGE_BY_NAME.set(alias, language));
+}
+
+/**
+ * Measures how many columns a string takes in the terminal, ignoring color codes.
+ * @param {string} text The text.
+ * @returns {number} The width.
+ */
+export function visibleLength(text) {
+  return text.replace(ANSI_PATTERN, '').length;
+}
+
+// Splits styled text into chunks of at most `width` visible characters, keeping escape codes with their text.
+function splitVisible(text, width) {
+  const pieces = [];
+  let current = '';
+  let length = 0;
+  const tokens = text.split(/(\x1b\[[0-9;]*m)/);
+  for (const token of tokens) {
+    if (token.startsWith('\x1b[')) { current += token; continue; }
+    for (const character of token) {
+      if (length === width) { pieces.push(current); current = ''; length = 0; }
+      current += character;
+      length++;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Word-wraps styled text.
+ * @param {string} text The text; may contain color codes.
+ * @param {number} width Columns available.
+ * @param {{firstPrefix?: string, prefix?: string}} [prefixes] Printed before the first and before continuation lines.
+ * @returns {string[]} The lines, prefixes included.
+ */
+export function wrapText(text, width, { firstPrefix = '', prefix = firstPrefix } = {}) {
+  const lines = [];
+  let line = firstPrefix;
+  let lineLength = visibleLength(firstPrefix);
+  let lineHasWords = false;
+  const continuationLength = visibleLength(prefix);
+
+  for (const word of text.split(' ')) {
+    const wordLength = visibleLength(word);
+    if (lineHasWords && lineLength + 1 + wordLength > width) {
+      lines.push(line);
+      line = prefix;
+      lineLength = continuationLength;
+      lineHasWords = false;
+    }
+    if (lineHasWords) { line += ' '; lineLength++; }
+    if (lineLength + wordLength > width && wordLength > 0) {
+      // Longer than a whole line (URLs, paths): break it wherever it has to
+      const pieces = splitVisible(word, Math.max(1, width - lineLength));
+      line += pieces.shift();
+      for (const piece of splitVisible(pieces.join(''), Math.max(1, width - continuationLength))) {
+        lines.push(line);
+        line = prefix + piece;
+      }
+      lineLength = visibleLength(line);
+    } else {
+      line += word;
+      lineLength += wordLength;
+    }
+    lineHasWords = true;
+  }
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Renders inline Markdown: `code`, **bold**, *italic*, ~~strikethrough~~ and [links](url).
+ * @param {string} text One line of Markdown.
+ * @returns {string} The styled text.
+ */
+export function renderInline(text) {
+  const protectedSpans = [];
+  const protect = (styled) => `\u0000${protectedSpans.push(styled) - 1}\u0000`;
+
+  let result = text
+    .replace(/(`+)(.+?)\1(?!`)/g, (match, ticks, code) => protect(chalk.cyan(code.trim() ? code.replace(/^ (.*) $/, '$1') : code)))
+    .replace(/\\([\\`*_{}[\]()#+\-.!~|<>])/g, (match, character) => protect(character))
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, label, url) => protect(
+      !label || label === url ? chalk.underline(url) : `${chalk.underline(label)}${chalk.dim(` (${url})`)}`))
+    .replace(/<(https?:\/\/[^>\s]+)>/g, (match, url) => protect(chalk.underline(url)));
+
+  result = result
+    .replace(/(\*\*\*|___)(?=\S)(.+?)(?<=\S)\1/g, (match, marker, inner) => chalk.bold.italic(inner))
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, (match, marker, inner) => chalk.bold(inner))
+    .replace(/(^|[^*\w])\*(?=\S)([^*]+?)(?<=\S)\*(?!\*)/g, (match, before, inner) => `${before}${chalk.italic(inner)}`)
+    .replace(/(^|[^_\w])_(?=\S)([^_]+?)(?<=\S)_(?![_\w])/g, (match, before, inner) => `${before}${chalk.italic(inner)}`)
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, (match, inner) => chalk.strikethrough(inner));
+
+  return result.replace(/\u0000(\d+)\u0000/g, (match, index) => protectedSpans[Number(index)]);
+}
+
+/**
+ * Highlights one line of code.
+ * @param {string} line The line.
+ * @param {string} languageName The fence's language (e.g. "js", "python"); unknown languages get generic highlighting.
+ * @param {{inBlockComment: boolean}} state Carries an open block comment over to the next line; updated in place.
+ * @returns {string} The styled line.
+ */
+export function highlightLine(line, languageName, state = { inBlockComment: false }) {
+  const name = String(languageName || '').toLowerCase();
+  if (name === 'diff' || name === 'patch') {
+    if (/^(\+\+\+|---)/.test(line)) return chalk.bold(line);
+    if (line.startsWith('+')) return chalk.green(line);
+    if (line.startsWith('-')) return chalk.red(line);
+    if (line.startsWith('@@')) return chalk.cyan(line);
+    return line;
+  }
+  const language = LANGUAGE_BY_NAME.get(name);
+  const lineComment = language ? language.lineComment : null;
+  const [blockStart, blockEnd] = language && language.blockComment ? language.blockComment : [null, null];
+  const quotes = language ? language.quotes : ['"', "'"];
+
+  let output = '';
+  let index = 0;
+  while (index < line.length) {
+    if (state.inBlockComment) {
+      const end = line.indexOf(blockEnd, index);
+      const stop = end === -1 ? line.length : end + blockEnd.length;
+      output += chalk.gray(line.slice(index, stop));
+      index = stop;
+      if (end !== -1) state.inBlockComment = false;
+      continue;
+    }
+    const rest = line.slice(index);
+    if (blockStart && rest.startsWith(blockStart)) {
+      state.inBlockComment = true;
+      output += chalk.gray(blockStart);
+      index += blockStart.length;
+      continue;
+    }
+    if (lineComment && rest.startsWith(lineComment) && (lineComment !== '#' || index === 0 || /\s/.test(line[index - 1]))) {
+      output += chalk.gray(rest);
+      break;
+    }
+    const character = line[index];
+    if (quotes.includes(character)) {
+      let end = index + 1;
+      while (end < line.length && line[end] !== character) end += line[end] === '\\' ? 2 : 1;
+      output += chalk.green(line.slice(index, end + 1));
+      index = end + 1;
+      continue;
+    }
+    const number = /^(0x[0-9a-fA-F]+|\d[\d_]*(\.\d+)?([eE][+-]?\d+)?)\b/.exec(rest);
+    if (number && (index === 0 || !/[\w$]/.test(line[index - 1]))) {
+      output += chalk.yellow(number[0]);
+      index += number[0].length;
+      continue;
+    }
+    const word = /^[A-Za-z_$][\w$]*/.exec(rest);
+    if (word) {
+      const key = language && language.ignoreCase ? word[0].toLowerCase() : word[0];
+      if (language && language.keywordSet.has(key)) output += chalk.magenta(word[0]);
+      else if (language && language.literalSet.has(key)) output += chalk.yellow(word[0]);
+      else if (line[index + word[0].length] === '(') output += chalk.cyan(word[0]);
+      else output += word[0];
+      index += word[0].length;
+      continue;
+    }
+    output += character;
+    index++;
+  }
+  return output;
+}
+
+function parseTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function isTableSeparator(cells) {
+  return cells.length > 0 && cells.every(cell => /^:?-+:?$/.test(cell));
+}
+
+function padCell(text, width, alignment) {
+  const gap = Math.max(0, width - visibleLength(text));
+  if (alignment === 'right') return ' '.repeat(gap) + text;
+  if (alignment === 'center') return ' '.repeat(Math.floor(gap / 2)) + text + ' '.repeat(Math.ceil(gap / 2));
+  return text + ' '.repeat(gap);
+}
+
+// Renders buffered table lines as a box; rows that are not a valid table come out as ordinary text.
+function renderTable(lines, width, renderParagraph) {
+  const rows = lines.map(parseTableRow);
+  if (rows.length < 2 || !isTableSeparator(rows[1])) return lines.flatMap(line => renderParagraph(line));
+
+  const alignments = rows[1].map(cell => (cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : 'left'));
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const body = [rows[0], ...rows.slice(2)].map(row => Array.from({ length: columnCount }, (unused, index) => {
+    const rendered = renderInline(row[index] || '');
+    return row === rows[0] ? chalk.bold(rendered) : rendered;
+  }));
+
+  const widths = Array.from({ length: columnCount }, (unused, index) => Math.max(MIN_COLUMN_WIDTH, ...body.map(row => visibleLength(row[index]))));
+  const available = width - (3 * columnCount + 1);
+  while (widths.reduce((sum, columnWidth) => sum + columnWidth, 0) > available) {
+    const widest = widths.indexOf(Math.max(...widths));
+    if (widths[widest] <= MIN_COLUMN_WIDTH) break;
+    widths[widest]--;
+  }
+
+  const border = (left, middle, right) => chalk.dim(left + widths.map(columnWidth => '─'.repeat(columnWidth + 2)).join(middle) + right);
+  const output = [border('┌', '┬', '┐')];
+  body.forEach((row, rowIndex) => {
+    const cellLines = row.map((cell, index) => wrapText(cell, widths[index]));
+    const height = Math.max(...cellLines.map(cell => cell.length));
+    for (let lineIndex = 0; lineIndex < height; lineIndex++) {
+      const cells = cellLines.map((cell, index) => padCell(cell[lineIndex] || '', widths[index], alignments[index]));
+      output.push(chalk.dim('│ ') + cells.join(chalk.dim(' │ ')) + chalk.dim(' │'));
+    }
+    if (rowIndex === 0) output.push(border('├', '┼', '┤'));
+  });
+  output.push(border('└', '┴', '┘'));
+  return output;
+}
+
+/**
+ * Creates a renderer that takes the model's text chunk by chunk. Complete lines are rendered as soon as they
+ * arrive; a partial line waits for the rest, and tables wait for their last row so columns can be sized.
+ * @param {{write: function(string): void, width?: number, textColor?: function(string): string,
+ *   codeBlocks?: Array<{language: string, code: string}>}} options write receives rendered text; textColor styles
+ *   prose; every code block is appended to codeBlocks (when given) and labelled with its position there.
+ * @returns {{push: function(string): void, end: function(): void}} The renderer.
+ */
+export function createMarkdownRenderer({ write, width = process.stdout.columns || 80, textColor = text => text, codeBlocks = null }) {
+  const lineWidth = Math.max(20, width - 1);
+  let pending = '';
+  let tableLines = [];
+  let code = null; // { fence, indent, block, state } while inside a fenced code block
+
+  const emit = (lines) => { if (lines.length > 0) write(`${lines.join('\n')}\n`); };
+  const renderParagraph = (text, firstPrefix = '', prefix = firstPrefix) =>
+    wrapText(renderInline(text), lineWidth, { firstPrefix, prefix }).map(line => textColor(line));
+
+  function renderLine(line) {
+    const heading = /^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/.exec(line);
+    if (heading) {
+      const style = heading[1].length === 1 ? chalk.bold.underline : heading[1].length === 2 ? chalk.bold : chalk.bold.dim;
+      return wrapText(renderInline(heading[2]), lineWidth).map(wrapped => textColor(style(wrapped)));
+    }
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) return [chalk.dim('─'.repeat(Math.min(lineWidth, MAX_RULE_WIDTH)))];
+
+    const quote = /^\s{0,3}>\s?(.*)$/.exec(line);
+    if (quote) return renderParagraph(quote[1], chalk.dim('│ ')).map(wrapped => chalk.italic(wrapped));
+
+    const item = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    if (item) {
+      const indent = ' '.repeat(Math.floor(item[1].replace(/\t/g, '    ').length / 2) * 2);
+      const marker = /\d/.test(item[2]) ? item[2] : '•';
+      let text = item[3];
+      const task = /^\[([ xX])\]\s+(.*)$/.exec(text);
+      if (task) text = `${task[1] === ' ' ? '☐' : '☑'} ${task[2]}`;
+      return renderParagraph(text, `${indent}${chalk.dim(marker)} `, ' '.repeat(indent.length + marker.length + 1));
+    }
+    if (!line.trim()) return [''];
+    return renderParagraph(line.trim());
+  }
+
+  function flushTable() {
+    if (tableLines.length === 0) return;
+    emit(renderTable(tableLines, lineWidth, text => renderParagraph(text)));
+    tableLines = [];
+  }
+
+  function processLine(line) {
+    if (code) {
+      const closing = FENCE_PATTERN.exec(line);
+      if (closing && closing[2][0] === code.fence[0] && closing[2].length >= code.fence.length && !line.trim().slice(closing[2].length)) {
+        code = null;
+        return;
+      }
+      const content = line.startsWith(code.indent) ? line.slice(code.indent.length) : line.trimStart();
+      if (code.block) code.block.code += `${content}\n`;
+      emit([`  ${highlightLine(content, code.language, code.state)}`]);
+      return;
+    }
+
+    const opening = FENCE_PATTERN.exec(line);
+    if (opening) {
+      flushTable();
+      code = { fence: opening[2], indent: opening[1], language: opening[3], state: { inBlockComment: false }, block: null };
+      let label = opening[3] || 'code';
+      if (codeBlocks) {
+        code.block = { language: opening[3], code: '' };
+        codeBlocks.push(code.block);
+        label = `[${codeBlocks.length}] ${label}`;
+      }
+      emit([chalk.dim(`─── ${label}`)]);
+      return;
+    }
+
+    if (line.trim().startsWith('|')) { tableLines.push(line); return; }
+    flushTable();
+    emit(renderLine(line));
+  }
+
+  return {
+    /**
+     * Adds streamed text.
+     * @param {string} chunk The next piece of the response.
+     */
+    push(chunk) {
+      pending += chunk;
+      let newline;
+      while ((newline = pending.indexOf('\n')) !== -1) {
+        processLine(pending.slice(0, newline).replace(/\r$/, ''));
+        pending = pending.slice(newline + 1);
+      }
+    },
+    /** Renders whatever is still buffered; call once the response is complete. */
+    end() {
+      if (pending) processLine(pending);
+      pending = '';
+      flushTable();
+      code = null;
+    },
+  };
+}
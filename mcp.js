@@ -0,0 +1,156 @@
+// mcp.js
+// Minimal Model Context Protocol client: talks JSON-RPC 2.0 over a server's stdin/stdout (one message per line).
+import { spawn } from 'child_process';
+
+const PROTOCOL_VERSION = '2024-11-05';
+const CLIENT_INFO = { name: 'zeno', version: '1.0.0' };
+const CONNECT_TIMEOUT_MS = 30000;
+const CALL_TIMEOUT_MS = 120000;
+const MAX_STDERR_CHARS = 2000;
+
+/**
+ * Starts an MCP server and completes the initialize handshake.
+ * @param {string} name Server name from config, used in messages.
+ * @param {{command: string, args?: string[], env?: object, cwd?: string}} spec How to start the server.
+ * @returns {Promise<{name: string, serverInfo: object, listTools: Function, callTool: Function, close: Function}>} The client.
+ */
+export async function connectServer(name, spec) {
+  if (!spec || typeof spec.command !== 'string') throw new Error(`MCP server "${name}" needs a "command".`);
+  const child = spawn(spec.command, spec.args || [], {
+    cwd: spec.cwd,
+    env: { ...process.env, ...(spec.env || {}) },
+    stdio: ['pipe', 'pipe', 'pipe'],
+    windowsHide: true,
+  });
+
+  const pending = new Map();
+  let nextId = 1;
+  let buffer = '';
+  let stderr = '';
+  let closed = false;
+
+  function failAll(error) {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    pending.clear();
+  }
+
+  function send(message) {
+    if (closed) throw new Error(`MCP server "${name}" is not running.`);
+    child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+  }
+
+  function request(method, params, timeoutMs = CALL_TIMEOUT_MS) {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`MCP server "${name}" did not answer ${method} within ${timeoutMs / 1000}s.`));
+      }, timeoutMs);
+      pending.set(id, { resolve, reject, timer });
+      try {
+        send({ id, method, params });
+      } catch (error) {
+        clearTimeout(timer);
+        pending.delete(id);
+        reject(error);
+      }
+    });
+  }
+
+  function handleMessage(message) {
+    if (message.id !== undefined && message.method) {
+      // A request from the server; only ping is supported
+      if (message.method === 'ping') send({ id: message.id, result: {} });
+      else send({ id: message.id, error: { code: -32601, message: `Method not supported by Zeno: ${message.method}` } });
+      return;
+    }
+    if (message.id === undefined) return; // Notification (logging, list_changed, ...)
+    const entry = pending.get(message.id);
+    if (!entry) return;
+    pending.delete(message.id);
+    clearTimeout(entry.timer);
+    if (message.error) entry.reject(new Error(`MCP server "${name}": ${message.error.message || 'request failed'}`));
+    else entry.resolve(message.result || {});
+  }
+
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+      try {
+        handleMessage(JSON.parse(line));
+      } catch {
+        // Not JSON-RPC (some servers print banners to stdout); ignore the line
+      }
+    }
+  });
+  child.stderr.setEncoding('utf8');
+  child.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-MAX_STDERR_CHARS); });
+  child.stdin.on('error', () => {}); // Reported through 'exit' instead
+  child.on('error', (error) => {
+    closed = true;
+    failAll(new Error(`Could not start MCP server "${name}": ${error.message}`));
+  });
+  child.on('exit', (code, signal) => {
+    closed = true;
+    const detail = stderr.trim() ? `\n${stderr.trim()}` : '';
+    failAll(new Error(`MCP server "${name}" exited (${signal || `code ${code}`}).${detail}`));
+  });
+
+  let initialized;
+  try {
+    initialized = await request('initialize', { protocolVersion: PROTOCOL_VERSION, capabilities: {}, clientInfo: CLIENT_INFO }, CONNECT_TIMEOUT_MS);
+    send({ method: 'notifications/initialized' });
+  } catch (error) {
+    child.kill();
+    throw error;
+  }
+
+  return {
+    name,
+    serverInfo: initialized.serverInfo || {},
+    /**
+     * Lists the tools the server offers.
+     * @returns {Promise<Array<{name: string, description?: string, inputSchema?: object}>>} The tools.
+     */
+    async listTools() {
+      const tools = [];
+      let cursor;
+      do {
+        const result = await request('tools/list', cursor ? { cursor } : {}, CONNECT_TIMEOUT_MS);
+        tools.push(...(result.tools || []));
+        cursor = result.nextCursor;
+      } while (cursor);
+      return tools;
+    },
+    /**
+     * Calls a tool.
+     * @param {string} toolName The tool's name on the server.
+     * @param {object} args The arguments.
+     * @returns {Promise<{text: string, isError: boolean}>} The tool's content flattened to text.
+     */
+    async callTool(toolName, args) {
+      const result = await request('tools/call', { name: toolName, arguments: args || {} });
+      const text = (result.content || []).map((item) => {
+        if (item.type === 'text') return item.text;
+        if (item.type === 'resource' && item.resource) return item.resource.text || `[Resource ${item.resource.uri}]`;
+        return `[${item.type} content${item.mimeType ? ` (${item.mimeType})` : ''} omitted]`;
+      }).join('\n');
+      return { text, isError: Boolean(result.isError) };
+    },
+    /** Stops the server. */
+    close() {
+      if (closed) return;
+      closed = true;
+      child.stdin.end();
+      child.kill();
+    },
+  };
+}
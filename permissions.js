@@ -0,0 +1,108 @@
+// permissions.js
+// Rules that approve or deny tool calls without asking. A rule is { tool, effect: 'allow'|'deny', pattern? }:
+// without a pattern it covers every call of the tool; with one, the call's subjects (the paths a file tool touches, the
+// simple commands of a command line, or the JSON arguments of other tools) must match it. Deny rules win over allow rules.
+import path from 'path';
+
+// Pattern matching shared with the run_command policy
+import { matchesPattern, parseCommandLine, findDeniedPart, findUnallowedPart } from './shell.js';
+
+const PATH_ARGUMENTS = {
+  new_file: ['file_path'],
+  edit_file: ['file_path'],
+  read_file: ['file_path'],
+  modify_file: ['file_path', 'new_file_name'],
+  list_directory: ['dir_path'],
+  search_in_files: ['dir_path'],
+};
+
+function normalizePath(filePath) {
+  const normalized = path.posix.normalize(String(filePath || '.').replace(/\\/g, '/'));
+  return normalized.replace(/^\.\//, '');
+}
+
+/**
+ * Returns what a rule pattern is matched against: the paths a file tool touches, the simple commands run_command's
+ * command line is made of (split at ;, &&, ||, |, &, subshells and substitutions), or the JSON arguments of any
+ * other tool.
+ * @param {{name: string, args?: object}} toolCall The call.
+ * @returns {string[]} The subjects.
+ */
+export function getSubjects(toolCall) {
+  const args = toolCall.args || {};
+  if (toolCall.name === 'run_command') return parseCommandLine(String(args.command_to_run || '')).segments;
+  if (PATH_ARGUMENTS[toolCall.name]) return PATH_ARGUMENTS[toolCall.name].map(name => normalizePath(args[name]));
+  return [JSON.stringify(args)];
+}
+
+/**
+ * Proposes a pattern for a new rule: the file's directory for file tools (e.g. "src/*"), the command for run_command.
+ * A chained command gets a regular expression that matches each of its commands, since rules are matched per command.
+ * @param {{name: string, args?: object}} toolCall The call.
+ * @returns {string} The pattern; an empty string means "every call of this tool".
+ */
+export function suggestPattern(toolCall) {
+  if (toolCall.name === 'run_command') {
+    const commands = [...new Set(getSubjects(toolCall))];
+    if (commands.length <= 1) return commands[0] || '';
+    return `/^(?:${commands.map(command => command.replace(/[.+?^${}()|[\]\\\/*]/g, '\\$&')).join('|')})$/`;
+  }
+  if (PATH_ARGUMENTS[toolCall.name]) {
+    const directories = [...new Set(getSubjects(toolCall).map(subject => path.posix.dirname(subject)))];
+    return directories.length === 1 && directories[0] !== '.' ? `${directories[0]}/*` : '';
+  }
+  return '';
+}
+
+/**
+ * Tells whether a rule covers a call. An allow rule needs every subject to match; for run_command that also means
+ * no substitutions and no output redirection, as in the shell policy. A deny rule on run_command covers the call as
+ * soon as any one command in the line matches, so "rm *" catches "npm test && rm -rf x".
+ * @param {object} rule The rule.
+ * @param {{name: string, args?: object}} toolCall The call.
+ * @returns {boolean} True if it applies.
+ */
+export function ruleMatches(rule, toolCall) {
+  if (rule.tool !== toolCall.name) return false;
+  if (!rule.pattern) return true;
+  if (toolCall.name === 'run_command') {
+    const command = String((toolCall.args || {}).command_to_run || '');
+    return rule.effect === 'deny'
+      ? findDeniedPart(command, [rule.pattern]) !== null
+      : findUnallowedPart(command, [rule.pattern]) === null;
+  }
+  return getSubjects(toolCall).every(subject => matchesPattern(subject, rule.pattern));
+}
+
+/**
+ * Finds the rule that decides a call, deny rules first.
+ * @param {Array<object>} rules The rules.
+ * @param {{name: string, args?: object}} toolCall The call.
+ * @returns {object|null} The deciding rule, or null if the user has to be asked.
+ */
+export function findRule(rules, toolCall) {
+  return rules.find(rule => rule.effect === 'deny' && ruleMatches(rule, toolCall)) ||
+    rules.find(rule => rule.effect === 'allow' && ruleMatches(rule, toolCall)) ||
+    null;
+}
+
+/**
+ * Keeps the well-formed rules from config.json.
+ * @param {any} rules The "permissions" value.
+ * @returns {Array<{tool: string, effect: string, pattern?: string}>} The rules.
+ */
+export function normalizeRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .filter(rule => rule && typeof rule.tool === 'string' && (rule.effect === 'allow' || rule.effect === 'deny'))
+    .map(rule => (rule.pattern ? { tool: rule.tool, effect: rule.effect, pattern: String(rule.pattern) } : { tool: rule.tool, effect: rule.effect }));
+}
+
+/**
+ * Describes a rule for listings, e.g. 'allow new_file matching "src/*"'.
+ * @param {object} rule The rule.
+ * @returns {string} The description.
+ */
+export function describeRule(rule) {
+  return `${rule.effect} ${rule.tool}${rule.pattern ? ` matching "${rule.pattern}"` : ' (any arguments)'}`;
+}
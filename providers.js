@@ -0,0 +1,453 @@
+// providers.js
+import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
+
+// Cancellation for requests the Gemini SDK cannot abort itself
+import { abortable } from './retry.js';
+
+// Every adapter takes and returns history in Gemini's format ({ role: 'user' | 'model' | 'function', parts }),
+// which is also what Zeno stores on disk, and translates to the backend's own wire format on each request.
+
+const safetySettings = [
+  { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+  { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
+  { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
+  { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+];
+
+export const PROVIDERS = {
+  gemini: { label: 'Gemini', adapter: 'gemini', defaultModel: 'gemini-2.5-flash-preview-05-20', requiresApiKey: true },
+  openai: { label: 'OpenAI-compatible', adapter: 'openai', defaultModel: 'gpt-4o-mini', defaultBaseUrl: 'https://api.openai.com/v1', requiresApiKey: true },
+  ollama: { label: 'Ollama', adapter: 'ollama', defaultModel: 'llama3.1', defaultBaseUrl: 'http://localhost:11434', requiresApiKey: false },
+  llamacpp: { label: 'llama.cpp', adapter: 'openai', defaultModel: 'local', defaultBaseUrl: 'http://localhost:8080/v1', requiresApiKey: false },
+};
+
+/**
+ * Creates a model backend for the given provider.
+ * @param {string} providerName One of the keys of PROVIDERS.
+ * @param {{model?: string, apiKey?: string, baseUrl?: string}} settings Provider settings.
+ * @returns {{name: string, label: string, model: string, startChat: Function}} The provider.
+ */
+export function createProvider(providerName, settings = {}) {
+  const definition = PROVIDERS[providerName];
+  if (!definition) {
+    throw new Error(`Unknown provider "${providerName}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  const options = {
+    model: settings.model || definition.defaultModel,
+    apiKey: settings.apiKey,
+    baseUrl: (settings.baseUrl || definition.defaultBaseUrl || '').replace(/\/+$/, ''),
+  };
+  // A custom base URL usually points at a self-hosted server that needs no key
+  if (definition.requiresApiKey && !options.apiKey && !settings.baseUrl) {
+    throw new Error(`${definition.label} requires an API key.`);
+  }
+
+  const startChat = definition.adapter === 'gemini' ? createGeminiChat
+    : definition.adapter === 'ollama' ? createOllamaChat
+    : createOpenAIChat;
+  const genAI = definition.adapter === 'gemini' ? new GoogleGenerativeAI(options.apiKey) : null;
+
+  return {
+    name: providerName,
+    label: definition.label,
+    model: options.model,
+    /**
+     * Starts a chat session.
+     * @param {{history?: Array, tools?: Array, systemInstruction?: string}} params Prior history, Gemini-style tool
+     *   declarations and the system instruction.
+     * @returns {{sendMessageStream: Function, sendMessage: Function}} The chat session. Both methods take
+     *   (request, { signal }); an aborted request rejects with an AbortError and leaves the session's history as it was.
+     */
+    startChat: (params = {}) => startChat({ ...options, genAI }, params),
+    /**
+     * Counts the tokens a history takes up, when the backend can tell.
+     * @param {Array<object>} history Chat history.
+     * @returns {Promise<number|null>} The exact count, or null if the backend has no token counting endpoint.
+     */
+    countTokens: async (history) => {
+      if (!genAI) return null;
+      if (history.length === 0) return 0;
+      const { totalTokens } = await genAI.getGenerativeModel({ model: options.model }).countTokens({ contents: history });
+      return totalTokens;
+    },
+  };
+}
+
+// --- Shared Helpers ---
+function toParts(request) {
+  if (typeof request === 'string') return [{ text: request }];
+  return request.map(part => (typeof part === 'string' ? { text: part } : part));
+}
+
+function contentForParts(parts) {
+  return { role: parts.some(part => part.functionResponse) ? 'function' : 'user', parts };
+}
+
+function functionDeclarationsOf(tools) {
+  return (tools || []).flatMap(tool => tool.functionDeclarations || []);
+}
+
+// Gemini accepts upper-case schema types (e.g. "OBJECT"); JSON-schema based APIs do not.
+function toJsonSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    converted[key] = key === 'type' && typeof value === 'string' ? value.toLowerCase() : toJsonSchema(value);
+  }
+  return converted;
+}
+
+// Gemini accepts only a subset of JSON schema; declarations from config or MCP servers may use more of it.
+const GEMINI_SCHEMA_KEYS = new Set(['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items']);
+
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (!GEMINI_SCHEMA_KEYS.has(key)) continue;
+    if (key === 'properties') {
+      converted.properties = Object.fromEntries(Object.entries(value || {}).map(([name, property]) => [name, toGeminiSchema(property)]));
+    } else if (key === 'items') {
+      converted.items = toGeminiSchema(value);
+    } else if (key === 'type' && Array.isArray(value)) { // e.g. ["string", "null"]
+      converted.type = value.find(type => type !== 'null') || 'string';
+      if (value.includes('null')) converted.nullable = true;
+    } else {
+      converted[key] = value;
+    }
+  }
+  if (converted.type === 'object' && converted.properties && Object.keys(converted.properties).length === 0) delete converted.properties;
+  return converted;
+}
+
+function toGeminiTools(tools) {
+  const declarations = functionDeclarationsOf(tools);
+  if (!declarations.length) return undefined;
+  return [{
+    functionDeclarations: declarations.map(({ parameters, ...declaration }) => {
+      const converted = toGeminiSchema(parameters);
+      // Gemini rejects an object schema without properties; a tool without parameters simply has none
+      return converted && converted.properties ? { ...declaration, parameters: converted } : declaration;
+    }),
+  }];
+}
+
+function functionResponseContent(functionResponse) {
+  const response = functionResponse.response;
+  if (response && typeof response.content === 'string') return response.content;
+  return JSON.stringify(response);
+}
+
+function createResponse(text, functionCalls, finishReason, usage, safetyRatings) {
+  return { text, functionCalls, finishReason, usage, safetyRatings };
+}
+
+function recordTurn(history, parts, text, functionCalls) {
+  history.push(contentForParts(parts));
+  const modelParts = [...(text ? [{ text }] : []), ...functionCalls.map(functionCall => ({ functionCall }))];
+  if (modelParts.length) history.push({ role: 'model', parts: modelParts });
+}
+
+// Runs one streamed request and records the user turn and model reply in history once it completes.
+function streamIntoHistory(history, parts, openStream) {
+  let resolveResponse, rejectResponse;
+  const response = new Promise((resolve, reject) => { resolveResponse = resolve; rejectResponse = reject; });
+  response.catch(() => {}); // Surfaced through the stream; avoid unhandled rejections if nobody awaits it
+
+  async function* stream() {
+    let text = '';
+    let final;
+    try {
+      for await (const chunk of openStream()) {
+        if (chunk.final) { final = chunk.final; continue; }
+        if (chunk.text) text += chunk.text;
+        yield { text: chunk.text || '', functionCalls: chunk.functionCalls || [] };
+      }
+      const functionCalls = final.functionCalls || [];
+      recordTurn(history, parts, text, functionCalls);
+      resolveResponse(createResponse(text, functionCalls, final.finishReason, final.usage));
+    } catch (error) {
+      rejectResponse(error);
+      throw error;
+    }
+  }
+
+  return { stream: stream(), response };
+}
+
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+  if (buffer) yield buffer;
+}
+
+async function postJson(url, body, headers = {}, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    const error = new Error(`Request to ${url} failed: [${response.status} ${response.statusText}] ${detail.slice(0, 500)}`);
+    error.status = response.status;
+    error.headers = response.headers;
+    throw error;
+  }
+  return response;
+}
+
+// --- Gemini ---
+function normalizeGeminiResponse(response) {
+  const candidate = response.candidates && response.candidates[0];
+  const parts = (candidate && candidate.content && candidate.content.parts) || [];
+  const usage = response.usageMetadata && {
+    inputTokens: response.usageMetadata.promptTokenCount || 0,
+    // Thinking models report their reasoning separately; it is billed as output
+    outputTokens: (response.usageMetadata.candidatesTokenCount || 0) + (response.usageMetadata.thoughtsTokenCount || 0),
+  };
+  return createResponse(
+    parts.filter(part => part.text).map(part => part.text).join(''),
+    parts.filter(part => part.functionCall).map(part => part.functionCall),
+    candidate && candidate.finishReason,
+    usage,
+    candidate && candidate.safetyRatings
+  );
+}
+
+function createGeminiChat({ genAI, model }, { history = [], tools, systemInstruction }) {
+  const generativeModel = genAI.getGenerativeModel({
+    model, safetySettings, tools: toGeminiTools(tools), generationConfig: { /* temperature: 0.7 */ },
+    systemInstruction: systemInstruction ? { role: 'system', parts: [{ text: systemInstruction }] } : undefined,
+  });
+  // The SDK appends to the array it is given, so hand it a copy and keep the caller's history untouched
+  const chat = generativeModel.startChat({ history: [...history] });
+
+  // The SDK cannot cancel a request: an aborted one still completes in the background and is then added to the
+  // SDK's history, so callers start a new chat after aborting.
+  return {
+    async sendMessageStream(request, { signal } = {}) {
+      const result = await abortable(chat.sendMessageStream(toParts(request)), signal);
+      async function* stream() {
+        const iterator = result.stream[Symbol.asyncIterator]();
+        while (true) {
+          const { value: chunk, done } = await abortable(iterator.next(), signal);
+          if (done) break;
+          yield { text: chunk.text(), functionCalls: chunk.functionCalls() || [] };
+        }
+      }
+      const response = abortable(result.response, signal).then(normalizeGeminiResponse);
+      response.catch(() => {}); // Surfaced through the stream; avoid unhandled rejections if nobody awaits it
+      return { stream: stream(), response };
+    },
+    async sendMessage(request, { signal } = {}) {
+      const result = await abortable(chat.sendMessage(toParts(request)), signal);
+      return normalizeGeminiResponse(result.response);
+    },
+  };
+}
+
+// --- OpenAI-compatible (OpenAI, llama.cpp server, vLLM, ...) ---
+function toOpenAIMessages(history, systemInstruction) {
+  const messages = systemInstruction ? [{ role: 'system', content: systemInstruction }] : [];
+  const pendingCallIds = [];
+  let nextCallId = 0;
+
+  for (const content of history) {
+    const parts = content.parts || [];
+    if (content.role === 'model') {
+      const text = parts.filter(part => part.text).map(part => part.text).join('');
+      // Responses answer the calls of the model message just before them, in order; older unanswered calls cannot be matched
+      if (parts.some(part => part.functionCall)) pendingCallIds.length = 0;
+      const toolCalls = parts.filter(part => part.functionCall).map(({ functionCall }) => {
+        const id = `call_${nextCallId++}`;
+        pendingCallIds.push({ id, name: functionCall.name });
+        return { id, type: 'function', function: { name: functionCall.name, arguments: JSON.stringify(functionCall.args || {}) } };
+      });
+      const message = { role: 'assistant', content: text || null };
+      if (toolCalls.length) message.tool_calls = toolCalls;
+      messages.push(message);
+    } else if (content.role === 'function') {
+      for (const { functionResponse } of parts.filter(part => part.functionResponse)) {
+        const index = pendingCallIds.findIndex(call => call.name === functionResponse.name);
+        const id = index === -1 ? `call_${nextCallId++}` : pendingCallIds.splice(index, 1)[0].id;
+        messages.push({ role: 'tool', tool_call_id: id, content: functionResponseContent(functionResponse) });
+      }
+    } else {
+      messages.push({ role: 'user', content: userMessageContent(parts) });
+    }
+  }
+  return messages;
+}
+
+// Plain text, or content parts when the message carries images (sent as data URLs). Other inline data (PDFs)
+// has no portable OpenAI-compatible form, so the model is told it was left out.
+function userMessageContent(parts) {
+  const text = parts.filter(part => part.text).map(part => part.text).join('\n');
+  const inlineParts = parts.filter(part => part.inlineData);
+  if (inlineParts.length === 0) return text;
+  const content = text ? [{ type: 'text', text }] : [];
+  for (const { inlineData } of inlineParts) {
+    if (inlineData.mimeType.startsWith('image/')) {
+      content.push({ type: 'image_url', image_url: { url: `data:${inlineData.mimeType};base64,${inlineData.data}` } });
+    } else {
+      content.push({ type: 'text', text: `[Attached ${inlineData.mimeType} data is not supported by this provider and was left out]` });
+    }
+  }
+  return content;
+}
+
+function toOpenAITools(tools) {
+  return functionDeclarationsOf(tools).map(declaration => ({
+    type: 'function',
+    function: { name: declaration.name, description: declaration.description, parameters: toJsonSchema(declaration.parameters) },
+  }));
+}
+
+function parseArguments(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return {};
+  }
+}
+
+function createOpenAIChat({ model, apiKey, baseUrl }, { history: initialHistory = [], tools, systemInstruction }) {
+  const history = [...initialHistory];
+  const openAITools = toOpenAITools(tools);
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  function requestBody(parts, stream) {
+    const body = { model, messages: toOpenAIMessages([...history, contentForParts(parts)], systemInstruction), stream };
+    if (stream) body.stream_options = { include_usage: true }; // Streamed replies carry no usage otherwise
+    if (openAITools.length) body.tools = openAITools;
+    return body;
+  }
+
+  function usageOf(usage) {
+    return usage && { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+  }
+
+  async function* openStream(parts, signal) {
+    const response = await postJson(`${baseUrl}/chat/completions`, requestBody(parts, true), headers, signal);
+    const toolCalls = [];
+    let finishReason;
+    let usage;
+    for await (const line of readLines(response.body)) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') break;
+      const event = JSON.parse(data);
+      if (event.usage) usage = usageOf(event.usage);
+      const choice = event.choices && event.choices[0];
+      if (!choice) continue;
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+      const delta = choice.delta || {};
+      for (const call of delta.tool_calls || []) {
+        const entry = toolCalls[call.index || 0] || (toolCalls[call.index || 0] = { name: '', arguments: '' });
+        if (call.function && call.function.name) entry.name += call.function.name;
+        if (call.function && call.function.arguments) entry.arguments += call.function.arguments;
+      }
+      if (delta.content) yield { text: delta.content };
+    }
+    const functionCalls = toolCalls.filter(Boolean).map(call => ({ name: call.name, args: parseArguments(call.arguments) }));
+    yield { final: { functionCalls, finishReason, usage } };
+  }
+
+  return {
+    async sendMessageStream(request, { signal } = {}) {
+      const parts = toParts(request);
+      return streamIntoHistory(history, parts, () => openStream(parts, signal));
+    },
+    async sendMessage(request, { signal } = {}) {
+      const parts = toParts(request);
+      const response = await postJson(`${baseUrl}/chat/completions`, requestBody(parts, false), headers, signal);
+      const data = await response.json();
+      const choice = (data.choices && data.choices[0]) || {};
+      const message = choice.message || {};
+      const functionCalls = (message.tool_calls || []).map(call => ({ name: call.function.name, args: parseArguments(call.function.arguments) }));
+      recordTurn(history, parts, message.content || '', functionCalls);
+      return createResponse(message.content || '', functionCalls, choice.finish_reason, usageOf(data.usage));
+    },
+  };
+}
+
+// --- Ollama ---
+function toOllamaMessages(history, systemInstruction) {
+  return toOpenAIMessages(history, systemInstruction).map(message => {
+    if (message.role === 'assistant' && message.tool_calls) {
+      return {
+        role: 'assistant',
+        content: message.content || '',
+        tool_calls: message.tool_calls.map(call => ({ function: { name: call.function.name, arguments: parseArguments(call.function.arguments) } })),
+      };
+    }
+    if (message.role === 'tool') return { role: 'tool', content: message.content };
+    if (Array.isArray(message.content)) {
+      // Ollama takes images as a separate list of base64 strings
+      const images = message.content.filter(item => item.type === 'image_url').map(item => item.image_url.url.replace(/^data:[^,]*,/, ''));
+      const text = message.content.filter(item => item.type === 'text').map(item => item.text).join('\n');
+      return { role: message.role, content: text, images };
+    }
+    return { ...message, content: message.content || '' };
+  });
+}
+
+function createOllamaChat({ model, baseUrl }, { history: initialHistory = [], tools, systemInstruction }) {
+  const history = [...initialHistory];
+  const ollamaTools = toOpenAITools(tools);
+
+  function requestBody(parts, stream) {
+    const body = { model, messages: toOllamaMessages([...history, contentForParts(parts)], systemInstruction), stream };
+    if (ollamaTools.length) body.tools = ollamaTools;
+    return body;
+  }
+
+  function usageOf(data) {
+    return { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 };
+  }
+
+  async function* openStream(parts, signal) {
+    const response = await postJson(`${baseUrl}/api/chat`, requestBody(parts, true), {}, signal);
+    const functionCalls = [];
+    let finishReason;
+    let usage;
+    for await (const line of readLines(response.body)) {
+      if (!line.trim()) continue;
+      const data = JSON.parse(line);
+      if (data.error) throw new Error(`Ollama error: ${data.error}`);
+      const message = data.message || {};
+      const calls = (message.tool_calls || []).map(call => ({ name: call.function.name, args: call.function.arguments || {} }));
+      functionCalls.push(...calls);
+      if (data.done) { finishReason = data.done_reason; usage = usageOf(data); }
+      if (message.content || calls.length) yield { text: message.content || '', functionCalls: calls };
+    }
+    yield { final: { functionCalls, finishReason, usage } };
+  }
+
+  return {
+    async sendMessageStream(request, { signal } = {}) {
+      const parts = toParts(request);
+      return streamIntoHistory(history, parts, () => openStream(parts, signal));
+    },
+    async sendMessage(request, { signal } = {}) {
+      const parts = toParts(request);
+      const response = await postJson(`${baseUrl}/api/chat`, requestBody(parts, false), {}, signal);
+      const data = await response.json();
+      const message = data.message || {};
+      const functionCalls = (message.tool_calls || []).map(call => ({ name: call.function.name, args: call.function.arguments || {} }));
+      recordTurn(history, parts, message.content || '', functionCalls);
+      return createResponse(message.content || '', functionCalls, data.done_reason, usageOf(data));
+    },
+  };
+}
@@ -0,0 +1,316 @@
+// research.js
+import fs from 'fs/promises';
+import path from 'path';
+
+// Link extraction shared with the web search backends
+import { extractSources } from './web.js';
+
+// A research run lives in its own directory:
+//   research_state.json  per-topic progress, so an interrupted run can be resumed
+//   topics.md            generated topics; the user may edit or reorder them before research starts
+//   details.md           analysis of every researched topic, appended as topics complete
+//   final_report.md      the report generated from details.md, with numbered citations into state.sources
+const STATE_FILE = 'research_state.json';
+const TOPICS_FILE = 'topics.md';
+const DETAILS_FILE = 'details.md';
+const REPORT_FILE = 'final_report.md';
+
+export const DEFAULT_TOPIC_COUNT = 15;
+export const DEFAULT_DEPTH = 0; // Follow-up searches per topic after the first one
+
+/**
+ * Names the directory of a research run.
+ * @param {string} baseDir Directory in which the research directory is created.
+ * @param {string} topic The research subject.
+ * @returns {string} The research directory.
+ */
+export function getResearchDir(baseDir, topic) {
+  return path.join(baseDir, `research_${topic.replace(/[^a-zA-Z0-9-_]/g, '_').toLowerCase()}`);
+}
+
+/**
+ * Tells whether a directory already holds a research run: its state or any of the files a run writes.
+ * @param {string} researchDir The research directory.
+ * @returns {Promise<boolean>} True if starting a new run there would replace something.
+ */
+export async function researchExists(researchDir) {
+  for (const file of [STATE_FILE, TOPICS_FILE, DETAILS_FILE, REPORT_FILE]) {
+    try {
+      await fs.access(path.join(researchDir, file));
+      return true;
+    } catch {
+      // Not there; check the next one
+    }
+  }
+  return false;
+}
+
+/**
+ * Creates the directory and initial state for a new research run.
+ * @param {string} baseDir Directory in which to create the research directory.
+ * @param {string} topic The research subject.
+ * @param {{topicCount?: number, depth?: number, overwrite?: boolean}} [options] Number of topics to generate,
+ *   follow-up searches per topic, and whether to replace a run already in the directory.
+ * @returns {Promise<{researchDir: string, state: object}>} The research directory and its state.
+ * @throws {Error} If the directory already holds a run and overwrite is not set.
+ */
+export async function createResearch(baseDir, topic, options = {}) {
+  const researchDir = getResearchDir(baseDir, topic);
+  if (await researchExists(researchDir)) {
+    if (!options.overwrite) throw new Error(`${researchDir} already holds a research run.`);
+    await Promise.all([STATE_FILE, TOPICS_FILE, DETAILS_FILE, REPORT_FILE].map(file => fs.rm(path.join(researchDir, file), { force: true })));
+  }
+  await fs.mkdir(researchDir, { recursive: true });
+  await fs.writeFile(path.join(researchDir, DETAILS_FILE), `# Research Details: ${topic}\n\n## Search History\n\n`);
+
+  const now = new Date().toISOString();
+  const state = {
+    topic,
+    createdAt: now,
+    updatedAt: now,
+    options: {
+      topicCount: options.topicCount || DEFAULT_TOPIC_COUNT,
+      depth: options.depth ?? DEFAULT_DEPTH,
+    },
+    status: 'generating_topics', // -> awaiting_review -> researching -> reporting -> complete
+    topics: [],
+    sources: [], // { id, title, url }, numbered in the order they were first seen
+    reportPath: null,
+  };
+  await saveResearchState(researchDir, state);
+  return { researchDir, state };
+}
+
+/**
+ * Loads the state of an existing research run.
+ * @param {string} researchDir The research directory.
+ * @returns {Promise<object>} The state.
+ */
+export async function loadResearchState(researchDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(researchDir, STATE_FILE), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`No ${STATE_FILE} found in ${researchDir}.`);
+    throw error;
+  }
+}
+
+/**
+ * Writes the state of a research run (atomically, so an interruption never leaves a half-written file).
+ * @param {string} researchDir The research directory.
+ * @param {object} state The state.
+ * @returns {Promise<void>}
+ */
+export async function saveResearchState(researchDir, state) {
+  state.updatedAt = new Date().toISOString();
+  const statePath = path.join(researchDir, STATE_FILE);
+  await fs.writeFile(`${statePath}.tmp`, JSON.stringify(state, null, 2));
+  await fs.rename(`${statePath}.tmp`, statePath);
+}
+
+/**
+ * Extracts topics from a numbered Markdown list.
+ * @param {string} text Text containing lines such as "1. Topic".
+ * @returns {string[]} The topics, in order.
+ */
+export function parseTopics(text) {
+  return text
+    .split('\n')
+    .filter(line => line.match(/^\s*\d+[.)]/))
+    .map(line => line.replace(/^\s*\d+[.)]\s*/, '').replace(/\*\*/g, '').trim())
+    .filter(Boolean);
+}
+
+function createTopicEntry(title) {
+  return { title, status: 'pending', searches: [], sourceIds: [], error: null, completedAt: null };
+}
+
+// Registers sources in the run-wide list and returns them with their citation numbers.
+function registerSources(state, sources) {
+  if (!state.sources) state.sources = [];
+  return sources.map(source => {
+    let entry = state.sources.find(existing => existing.url === source.url);
+    if (!entry) {
+      entry = { id: state.sources.length + 1, title: source.title || source.url, url: source.url };
+      state.sources.push(entry);
+    }
+    return entry;
+  });
+}
+
+function normalizeSearchResult(result) {
+  if (typeof result === 'string') return { text: result, sources: extractSources(result) };
+  return { text: result.text || '', sources: result.sources || [] };
+}
+
+/**
+ * Asks the model for research topics and writes them to topics.md for review.
+ * @param {string} researchDir The research directory.
+ * @param {object} state The research state; updated in place and saved.
+ * @param {{sendPrompt: function(string): Promise<string>}} io Sends a prompt to the model and returns its text.
+ * @returns {Promise<string>} Path to topics.md.
+ */
+export async function generateTopics(researchDir, state, { sendPrompt }) {
+  const prompt = `As a research coordinator, generate ${state.options.topicCount} specific topics that need to be investigated for a comprehensive research on "${state.topic}".
+    Format each topic as a numbered list item. Make them specific and actionable for web research.`;
+  const topicsText = await sendPrompt(prompt);
+
+  const topicsPath = path.join(researchDir, TOPICS_FILE);
+  await fs.writeFile(topicsPath, `# Research Topics for ${state.topic}\n\n${topicsText}`);
+  state.topics = parseTopics(topicsText).map(createTopicEntry);
+  state.status = 'awaiting_review';
+  await saveResearchState(researchDir, state);
+  return topicsPath;
+}
+
+/**
+ * Re-reads topics.md after the user had a chance to edit it. Topics whose text is unchanged keep their progress;
+ * new or edited topics start as pending; the order of the file becomes the research order.
+ * @param {string} researchDir The research directory.
+ * @param {object} state The research state; updated in place and saved.
+ * @returns {Promise<number>} The number of topics.
+ */
+export async function loadTopicsFromFile(researchDir, state) {
+  const topicsText = await fs.readFile(path.join(researchDir, TOPICS_FILE), 'utf-8');
+  const existing = new Map(state.topics.map(entry => [entry.title, entry]));
+  state.topics = parseTopics(topicsText).map(title => existing.get(title) || createTopicEntry(title));
+  state.status = 'researching';
+  await saveResearchState(researchDir, state);
+  return state.topics.length;
+}
+
+async function appendToDetails(researchDir, content) {
+  await fs.appendFile(path.join(researchDir, DETAILS_FILE), `\n${content}\n`);
+}
+
+async function researchTopic(state, entry, { sendPrompt, search, onProgress }) {
+  const analyses = [];
+  entry.sourceIds = [];
+  let query = entry.title;
+  for (let round = 0; round <= state.options.depth; round++) {
+    if (round > 0) {
+      const followUpPrompt = `We are researching "${entry.title}" as part of "${state.topic}". Findings so far:\n\n${analyses.join('\n\n')}\n\nSuggest ONE follow-up web search query that fills the most important remaining gap. Reply with the query only.`;
+      query = (await sendPrompt(followUpPrompt)).split('\n')[0].replace(/^["'`]|["'`]$/g, '').trim();
+      if (!query) break;
+    }
+    onProgress({ type: 'search', query, round });
+    const searchResult = normalizeSearchResult(await search(query));
+    entry.searches.push(query);
+    const sources = registerSources(state, searchResult.sources);
+    sources.forEach(source => { if (!entry.sourceIds.includes(source.id)) entry.sourceIds.push(source.id); });
+
+    const sourceList = sources.length > 0
+      ? `Sources (cite them inline by number, e.g. [${sources[0].id}]; cite nothing else):\n${sources.map(source => `[${source.id}] ${source.title} - ${source.url}`).join('\n')}`
+      : 'No source links were returned for this search; do not invent citations.';
+    const analysisPrompt = `Analyze this search result and provide a detailed, well-structured summary for our research on "${state.topic}". Focus on key findings, verified facts, and relevant details.
+${sourceList}
+
+Search result:
+${searchResult.text}`;
+    analyses.push(await sendPrompt(analysisPrompt));
+  }
+  return analyses;
+}
+
+function formatTopicSources(state, entry) {
+  const sources = (entry.sourceIds || []).map(id => state.sources[id - 1]).filter(Boolean);
+  if (sources.length === 0) return '';
+  return `### Sources\n\n${sources.map(source => `[${source.id}] ${source.title} - ${source.url}`).join('\n')}\n\n`;
+}
+
+/**
+ * Researches every topic that is not done yet, saving progress after each one. Failed topics are recorded and
+ * skipped, so one bad search does not end the run; they are retried on the next resume. A cancelled request
+ * (an AbortError) puts the topic back to pending and ends the run.
+ * @param {string} researchDir The research directory.
+ * @param {object} state The research state; updated in place and saved.
+ * @param {{sendPrompt: Function, search: function(string): Promise<string>, onProgress?: Function, shouldStop?: function(): boolean}} io
+ *   search runs a web search; onProgress receives progress events; shouldStop is checked between steps.
+ * @returns {Promise<{stopped: boolean, failed: number}>} Whether the run was stopped early and how many topics failed.
+ */
+export async function researchTopics(researchDir, state, { sendPrompt, search, onProgress = () => {}, shouldStop = () => false }) {
+  state.status = 'researching';
+  const total = state.topics.length;
+  for (const [index, entry] of state.topics.entries()) {
+    if (entry.status === 'done') continue;
+    if (shouldStop()) {
+      await saveResearchState(researchDir, state);
+      return { stopped: true, failed: state.topics.filter(topic => topic.status === 'failed').length };
+    }
+
+    entry.status = 'in_progress';
+    entry.searches = [];
+    entry.error = null;
+    await saveResearchState(researchDir, state);
+    onProgress({ type: 'topic_start', index, total, title: entry.title });
+
+    try {
+      const analyses = await researchTopic(state, entry, { sendPrompt, search, onProgress });
+      await appendToDetails(researchDir, `\n## Topic ${index + 1}: ${entry.title}\n\n### Search Results & Analysis\n\n${analyses.join('\n\n')}\n\n${formatTopicSources(state, entry)}---\n`);
+      entry.status = 'done';
+      entry.completedAt = new Date().toISOString();
+      onProgress({ type: 'topic_done', index, total, title: entry.title });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        entry.status = 'pending';
+        await saveResearchState(researchDir, state);
+        throw error;
+      }
+      entry.status = 'failed';
+      entry.error = error.message || String(error);
+      onProgress({ type: 'topic_failed', index, total, title: entry.title, error: entry.error });
+    }
+    await saveResearchState(researchDir, state);
+  }
+  return { stopped: false, failed: state.topics.filter(topic => topic.status === 'failed').length };
+}
+
+/**
+ * Builds the references section for a report from the stored sources, listing only the ones the report cites
+ * (or every source if it cites none).
+ * @param {string} report The report text.
+ * @param {Array<{id: number, title: string, url: string}>} sources The run's sources.
+ * @returns {string} The Markdown references section, or an empty string if there are no sources.
+ */
+export function buildReferences(report, sources) {
+  if (!sources || sources.length === 0) return '';
+  const cited = new Set();
+  for (const match of report.matchAll(/\[(\d+(?:\s*[,-]\s*\d+)*)\]/g)) {
+    for (const part of match[1].split(',')) {
+      const [from, to = from] = part.split('-').map(number => parseInt(number, 10));
+      for (let id = from; id <= to && id - from < 100; id++) cited.add(id);
+    }
+  }
+  const listed = sources.filter(source => cited.size === 0 || cited.has(source.id));
+  return `## References\n\n${listed.map(source => `${source.id}. [${source.title}](${source.url})`).join('\n')}\n`;
+}
+
+/**
+ * Generates final_report.md from details.md, with a references section built from the stored sources.
+ * @param {string} researchDir The research directory.
+ * @param {object} state The research state; updated in place and saved.
+ * @param {{sendPrompt: function(string): Promise<string>}} io Sends a prompt to the model and returns its text.
+ * @returns {Promise<string>} Path to the report.
+ */
+export async function generateFinalReport(researchDir, state, { sendPrompt }) {
+  state.status = 'reporting';
+  await saveResearchState(researchDir, state);
+
+  // Read all research details
+  const details = await fs.readFile(path.join(researchDir, DETAILS_FILE), 'utf-8');
+  const prompt = `Based on all the research data below, create a professional, high-quality technical report of 4-5 pages.
+    Format it in Markdown with proper sections, executive summary, and detailed analysis.
+    Support claims with numbered inline citations such as [3] or [2, 5], using ONLY the source numbers that appear in the research data.
+    Do not write a references or bibliography section; it is added automatically.
+    Research Data:
+    ${details}`;
+  const report = (await sendPrompt(prompt)).trimEnd();
+  const references = buildReferences(report, state.sources);
+
+  const reportPath = path.join(researchDir, REPORT_FILE);
+  await fs.writeFile(reportPath, references ? `${report}\n\n${references}` : `${report}\n`);
+  state.status = 'complete';
+  state.reportPath = reportPath;
+  await saveResearchState(researchDir, state);
+  return reportPath;
+}
@@ -0,0 +1,158 @@
+// retry.js
+// Error classification, exponential backoff and cancellation for model requests. Rate limits, server errors and
+// network failures are retried (honoring the server's retry-after hint); everything else fails at once.
+
+export const DEFAULT_MAX_RETRIES = 3;
+export const DEFAULT_INITIAL_DELAY_MS = 1000;
+export const DEFAULT_MAX_DELAY_MS = 30000;
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000; // A longer wait is not worth blocking the prompt for
+
+const NETWORK_ERROR_PATTERN = /fetch failed|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|EPIPE|socket hang up|network|terminated/i;
+
+/**
+ * Creates the error thrown when the user cancels a request.
+ * @returns {Error} An error named 'AbortError'.
+ */
+export function createAbortError() {
+  const error = new Error('Cancelled by the user.');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Tells whether an error comes from a cancelled request.
+ * @param {any} error The error.
+ * @returns {boolean} True for aborts (ours or fetch's).
+ */
+export function isAbortError(error) {
+  return Boolean(error) && (error.name === 'AbortError' || error.code === 'ABORT_ERR');
+}
+
+/**
+ * Settles like a promise, but rejects with an AbortError as soon as the signal fires. For work that cannot be
+ * cancelled itself: it carries on, and its result is ignored.
+ * @param {Promise<any>} promise The work.
+ * @param {AbortSignal} [signal] The signal.
+ * @returns {Promise<any>} The work's result.
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(createAbortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Waits, unless the signal fires first.
+ * @param {number} ms Milliseconds to wait.
+ * @param {AbortSignal} [signal] The signal.
+ * @returns {Promise<void>} Resolves after the delay; rejects with an AbortError if cancelled.
+ */
+export function sleep(ms, signal) {
+  let timer;
+  return abortable(new Promise((resolve) => { timer = setTimeout(resolve, ms); }), signal)
+    .finally(() => clearTimeout(timer));
+}
+
+// Seconds or an HTTP date in a Retry-After header, or a Gemini RetryInfo delay such as "32s"
+function parseRetryAfter(error) {
+  const headers = error.headers;
+  const header = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  if (header) {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  const retryInfo = (error.errorDetails || []).find(detail => detail && typeof detail.retryDelay === 'string');
+  if (retryInfo) {
+    const seconds = parseFloat(retryInfo.retryDelay);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  }
+  return null;
+}
+
+/**
+ * Sorts an error from a model request into a kind that decides whether retrying can help.
+ * @param {any} error The error.
+ * @returns {{kind: 'aborted'|'rate_limit'|'server'|'timeout'|'network'|'auth'|'invalid_request'|'safety'|'unknown',
+ *   retryable: boolean, status: number|null, retryAfterMs: number|null}} The classification.
+ */
+export function classifyError(error) {
+  const message = String((error && error.message) || error || '');
+  // postJson and the Gemini SDK both put the HTTP status on the error; fall back to the "[429 ...]" in its message
+  const statusMatch = message.match(/\[(\d{3})[\s\]]/);
+  const status = (error && Number.isInteger(error.status) && error.status) || (statusMatch ? Number(statusMatch[1]) : null);
+  const result = (kind, retryable) => ({ kind, retryable, status, retryAfterMs: retryable ? parseRetryAfter(error || {}) : null });
+
+  if (isAbortError(error)) return result('aborted', false);
+  if (status === 429) return result('rate_limit', true);
+  if (status === 408) return result('timeout', true);
+  if (status === 401 || status === 403) return result('auth', false);
+  if (status !== null && status >= 500) return result('server', true);
+  if (status !== null && status >= 400) return result('invalid_request', false);
+  if (/SAFETY|blocked/i.test(message)) return result('safety', false);
+  if (error && (error.name === 'TimeoutError' || /timed? ?out/i.test(message))) return result('timeout', true);
+  const cause = error && error.cause;
+  if (NETWORK_ERROR_PATTERN.test(message) || (cause && NETWORK_ERROR_PATTERN.test(`${cause.code || ''} ${cause.message || ''}`))) {
+    return result('network', true);
+  }
+  return result('unknown', false);
+}
+
+/**
+ * Explains a failed request in a sentence, with a hint for the kinds the user can do something about.
+ * @param {any} error The error.
+ * @param {string} providerLabel The provider, e.g. "Gemini".
+ * @returns {string} The description.
+ */
+export function describeError(error, providerLabel) {
+  const { kind, status } = classifyError(error);
+  const detail = String((error && error.message) || error);
+  switch (kind) {
+    case 'aborted': return 'Cancelled.';
+    case 'rate_limit': return `${providerLabel} is rate limiting requests (429). Wait a moment and try again. ${detail}`;
+    case 'server': return `${providerLabel} had a server error (${status}). ${detail}`;
+    case 'timeout': return `The request to ${providerLabel} timed out. ${detail}`;
+    case 'network': return `Could not reach ${providerLabel}; check your connection or the provider's base URL. ${detail}`;
+    case 'auth': return `${providerLabel} rejected the credentials (${status}); check the API key with /model. ${detail}`;
+    case 'invalid_request': return `${providerLabel} rejected the request (${status}). ${detail}`;
+    case 'safety': return `The response was blocked by safety settings. ${detail}`;
+    default: return detail;
+  }
+}
+
+/**
+ * Runs a request, retrying with exponential backoff (with jitter) while the failure is retryable. A retry-after
+ * hint from the server replaces the computed delay.
+ * @param {function(number): Promise<any>} fn The request; gets the attempt number, starting at 0.
+ * @param {{maxRetries?: number, initialDelayMs?: number, maxDelayMs?: number, signal?: AbortSignal,
+ *   shouldRetry?: function(any): boolean, onRetry?: function({attempt: number, delayMs: number, error: any, kind: string}): void}} [options]
+ *   How often and how long to wait; shouldRetry can veto a retry (e.g. once output was shown); onRetry is told
+ *   before each wait.
+ * @returns {Promise<any>} The request's result.
+ * @throws The last error, or an AbortError if cancelled while waiting.
+ */
+export async function withRetry(fn, {
+  maxRetries = DEFAULT_MAX_RETRIES, initialDelayMs = DEFAULT_INITIAL_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  signal, shouldRetry = () => true, onRetry = () => {},
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    if (signal && signal.aborted) throw createAbortError();
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (signal && signal.aborted) throw createAbortError();
+      const { kind, retryable, retryAfterMs } = classifyError(error);
+      if (!retryable || attempt >= maxRetries || !shouldRetry(error)) throw error;
+      if (retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_MS) throw error;
+      const backoff = Math.min(maxDelayMs, initialDelayMs * 2 ** attempt);
+      const delayMs = retryAfterMs !== null ? retryAfterMs : Math.round(backoff / 2 + Math.random() * backoff / 2);
+      onRetry({ attempt: attempt + 1, delayMs, error, kind });
+      await sleep(delayMs, signal);
+    }
+  }
+}
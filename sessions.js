@@ -0,0 +1,238 @@
+// sessions.js
+import fs from 'fs/promises';
+import path from 'path';
+
+const LAST_ACTIVE_FILE = 'last_active.json';
+const MAX_TITLE_LENGTH = 60;
+
+/**
+ * Normalizes a user-supplied session name into something safe to use as a file name.
+ * @param {string} name The requested name.
+ * @returns {string|null} The sanitized name, or null if nothing usable is left.
+ */
+export function sanitizeSessionName(name) {
+  if (!name || typeof name !== 'string') return null;
+  const sanitized = name.trim().replace(/[^a-zA-Z0-9-_.]/g, '_').replace(/\.{2,}/g, '.').replace(/^\.+/, '').slice(0, 80);
+  return sanitized || null;
+}
+
+/**
+ * Tells whether a name can be used as it is: it must be what sanitizeSessionName makes of it, so it has no path
+ * separators, no ".." and no leading "."; its file cannot end up outside the sessions folder.
+ * @param {string} name The name.
+ * @returns {boolean} True if the name is safe to use as a file name.
+ */
+export function isValidSessionName(name) {
+  return typeof name === 'string' && sanitizeSessionName(name) === name;
+}
+
+/**
+ * Generates a default name for a new session from the current time, e.g. "session-20250526-141503".
+ * @returns {string} The name.
+ */
+export function generateSessionName() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `session-${stamp}`;
+}
+
+/**
+ * Builds a short title from the first message of a conversation.
+ * @param {string} text The first user message.
+ * @returns {string} A single-line title.
+ */
+export function generateTitle(text) {
+  const singleLine = (text || '').replace(/\s+/g, ' ').trim();
+  if (singleLine.length <= MAX_TITLE_LENGTH) return singleLine;
+  return `${singleLine.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…`;
+}
+
+/**
+ * Creates a new, unsaved session object.
+ * @param {string} name Session name (already sanitized).
+ * @param {{provider?: string, model?: string, workingDirectory?: string}} metadata Initial metadata.
+ * @returns {object} The session.
+ */
+export function createSession(name, metadata = {}) {
+  const now = new Date().toISOString();
+  return {
+    name,
+    title: '',
+    createdAt: now,
+    updatedAt: now,
+    provider: metadata.provider || null,
+    model: metadata.model || null,
+    workingDirectory: metadata.workingDirectory || null,
+    history: [],
+  };
+}
+
+function sessionFile(sessionsDir, name) {
+  if (!isValidSessionName(name)) throw new Error(`Invalid session name "${name}": use letters, digits, "-", "_" and ".".`);
+  return path.join(sessionsDir, `${name}.json`);
+}
+
+/**
+ * Loads a session by name.
+ * @param {string} sessionsDir Directory holding the session files.
+ * @param {string} name Session name.
+ * @returns {Promise<object|null>} The session, or null if it does not exist.
+ * @throws {Error} If the name is not valid (see isValidSessionName).
+ */
+export async function loadSession(sessionsDir, name) {
+  try {
+    const data = await fs.readFile(sessionFile(sessionsDir, name), 'utf-8');
+    const session = JSON.parse(data);
+    return { ...createSession(name), ...session, name };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Writes a session to disk.
+ * @param {string} sessionsDir Directory holding the session files.
+ * @param {object} session The session to save.
+ * @returns {Promise<void>}
+ * @throws {Error} If the session's name is not valid.
+ */
+export async function saveSession(sessionsDir, session) {
+  await fs.mkdir(sessionsDir, { recursive: true });
+  await fs.writeFile(sessionFile(sessionsDir, session.name), JSON.stringify(session, null, 2));
+}
+
+/**
+ * Lists all saved sessions, most recently updated first.
+ * @param {string} sessionsDir Directory holding the session files.
+ * @returns {Promise<Array<object>>} Session metadata (without history) plus the number of messages.
+ */
+export async function listSessions(sessionsDir) {
+  let files;
+  try {
+    files = await fs.readdir(sessionsDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const sessions = [];
+  for (const file of files) {
+    if (!file.endsWith('.json') || file === LAST_ACTIVE_FILE) continue;
+    try {
+      const { history = [], ...metadata } = JSON.parse(await fs.readFile(path.join(sessionsDir, file), 'utf-8'));
+      sessions.push({ ...metadata, name: file.slice(0, -'.json'.length), messageCount: history.length });
+    } catch {
+      // Skip unreadable or corrupt session files rather than failing the whole listing
+    }
+  }
+  return sessions.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * Renames a session file.
+ * @param {string} sessionsDir Directory holding the session files.
+ * @param {string} oldName Current session name.
+ * @param {string} newName New session name (already sanitized).
+ * @returns {Promise<void>}
+ * @throws {Error} If either name is not valid, the session does not exist or the new name is taken.
+ */
+export async function renameSession(sessionsDir, oldName, newName) {
+  sessionFile(sessionsDir, newName); // Validates the new name before anything is read
+  const session = await loadSession(sessionsDir, oldName);
+  if (!session) throw new Error(`Session "${oldName}" does not exist.`);
+  if (await loadSession(sessionsDir, newName)) throw new Error(`Session "${newName}" already exists.`);
+  await saveSession(sessionsDir, { ...session, name: newName });
+  await fs.unlink(sessionFile(sessionsDir, oldName));
+
+  const lastActive = await readLastActive(sessionsDir);
+  let changed = false;
+  for (const [directory, name] of Object.entries(lastActive)) {
+    if (name === oldName) { lastActive[directory] = newName; changed = true; }
+  }
+  if (changed) await writeLastActive(sessionsDir, lastActive);
+}
+
+/**
+ * Deletes a session file.
+ * @param {string} sessionsDir Directory holding the session files.
+ * @param {string} name Session name.
+ * @returns {Promise<boolean>} False if the session did not exist.
+ * @throws {Error} If the name is not valid.
+ */
+export async function deleteSession(sessionsDir, name) {
+  const file = sessionFile(sessionsDir, name);
+  try {
+    await fs.unlink(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+  const lastActive = await readLastActive(sessionsDir);
+  const remaining = Object.fromEntries(Object.entries(lastActive).filter(([, session]) => session !== name));
+  if (Object.keys(remaining).length !== Object.keys(lastActive).length) await writeLastActive(sessionsDir, remaining);
+  return true;
+}
+
+async function readLastActive(sessionsDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(sessionsDir, LAST_ACTIVE_FILE), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+async function writeLastActive(sessionsDir, lastActive) {
+  await fs.mkdir(sessionsDir, { recursive: true });
+  await fs.writeFile(path.join(sessionsDir, LAST_ACTIVE_FILE), JSON.stringify(lastActive, null, 2));
+}
+
+/**
+ * Returns the session last used in a directory.
+ * @param {string} sessionsDir Directory holding the session files.
+ * @param {string} workingDirectory The directory Zeno was started from.
+ * @returns {Promise<string|null>} The session name, or null if none was recorded.
+ */
+export async function getLastActiveSession(sessionsDir, workingDirectory) {
+  const lastActive = await readLastActive(sessionsDir);
+  return lastActive[workingDirectory] || null;
+}
+
+/**
+ * Records the session last used in a directory.
+ * @param {string} sessionsDir Directory holding the session files.
+ * @param {string} workingDirectory The directory Zeno was started from.
+ * @param {string} name The session name.
+ * @returns {Promise<void>}
+ */
+export async function setLastActiveSession(sessionsDir, workingDirectory, name) {
+  const lastActive = await readLastActive(sessionsDir);
+  if (lastActive[workingDirectory] === name) return;
+  lastActive[workingDirectory] = name;
+  await writeLastActive(sessionsDir, lastActive);
+}
+
+/**
+ * Imports the old single-file chat history as a session, once, if no sessions exist yet.
+ * @param {string} legacyHistoryFile Path to the old zeno_chat_history.json.
+ * @param {string} sessionsDir Directory holding the session files.
+ * @param {string} name Name for the imported session.
+ * @returns {Promise<boolean>} True if a history file was imported.
+ */
+export async function migrateLegacyHistory(legacyHistoryFile, sessionsDir, name) {
+  if ((await listSessions(sessionsDir)).length > 0) return false;
+  let history;
+  try {
+    history = JSON.parse(await fs.readFile(legacyHistoryFile, 'utf-8'));
+  } catch {
+    return false;
+  }
+  if (!Array.isArray(history)) return false;
+
+  const session = createSession(name);
+  session.history = history;
+  const firstUserText = history.find(content => content.role === 'user' && content.parts && content.parts[0] && content.parts[0].text);
+  if (firstUserText) session.title = generateTitle(firstUserText.parts[0].text);
+  await saveSession(sessionsDir, session);
+  await fs.rename(legacyHistoryFile, `${legacyHistoryFile}.migrated`);
+  return true;
+}
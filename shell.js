@@ -0,0 +1,339 @@
+// shell.js
+// Policy, environment scrubbing, sandboxing and limits for commands run on behalf of the model.
+import { spawn, spawnSync } from 'child_process';
+import path from 'path';
+
+export const DEFAULT_TIMEOUT_SECONDS = 120;
+export const DEFAULT_MAX_OUTPUT_CHARS = 30000;
+const KILL_GRACE_MS = 2000;
+
+// Environment variables whose names end like credentials are never passed to commands. Only whole name parts at
+// the end count, so GIT_AUTHOR_NAME, SSH_AUTH_SOCK and XAUTHORITY are kept.
+const SECRET_ENV_PATTERN = /(^|_)(API_?KEY|TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIALS?|PRIVATE_KEY|ACCESS_KEY|SESSION_KEY|AUTH_TOKEN)$/i;
+
+function patternToRegExp(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) return new RegExp(regexMatch[1], regexMatch[2]);
+  const escaped = pattern.trim().replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Matches text against a pattern: a shell-style wildcard ("npm *", where * matches anything) or a /regular expression/.
+ * @param {string} text The text, e.g. a command line.
+ * @param {string} pattern The pattern.
+ * @returns {boolean} True if the whole text matches (or the regular expression finds a match).
+ */
+export function matchesPattern(text, pattern) {
+  try {
+    return patternToRegExp(pattern).test(text);
+  } catch {
+    return false; // An invalid regex in config never matches
+  }
+}
+
+function matchesAny(text, patterns) {
+  return patterns.find(pattern => matchesPattern(text, pattern));
+}
+
+// Words that start a simple command without being one, e.g. "{ rm -rf x; }" or "if true; then rm x; fi"
+const SHELL_KEYWORDS = new Set(['{', '}', '!', 'if', 'then', 'else', 'elif', 'fi', 'do', 'done', 'while', 'until', 'time']);
+const WRITE_REDIRECTIONS = new Set(['>', '>>', '>|', '&>', '&>>', '<>']);
+
+/**
+ * Parses a command line into the simple commands it runs: the parts joined by ;, &, &&, |, || or newlines, the
+ * contents of ( ) subshells and { } groups, and the commands inside $( ) and ` ` substitutions (also within double
+ * quotes), which are listed as parts of their own. Quotes and backslash escapes are respected.
+ * @param {string} command The command line.
+ * @returns {{segments: string[], substitution: boolean, redirections: Array<{operator: string, target: string}>}}
+ *   The simple commands (redirections included in their text), whether command substitution is used, and every
+ *   redirection, e.g. { operator: '>', target: 'out.txt' }.
+ */
+export function parseCommandLine(command) {
+  const result = { segments: [], substitution: false, redirections: [] };
+
+  // Reads from index until the closing character of a substitution (or the end), returning where it stopped
+  const scan = (index, closer) => {
+    let current = '';
+    let quote = null;
+    const flush = () => {
+      if (current.trim()) result.segments.push(current.trim());
+      current = '';
+    };
+    const readRedirection = (operator, start) => {
+      let target = '';
+      while (index + 1 < command.length && /[ \t]/.test(command[index + 1])) index++;
+      let targetQuote = null;
+      while (index + 1 < command.length) {
+        const char = command[index + 1];
+        if (targetQuote) {
+          if (char === targetQuote) targetQuote = null;
+          else target += char;
+        } else if (char === '"' || char === "'") {
+          targetQuote = char;
+        } else if (/[\s;&|()<>`]/.test(char)) {
+          break;
+        } else {
+          target += char;
+        }
+        index++;
+      }
+      result.redirections.push({ operator, target });
+      current += command.slice(start, index + 1);
+    };
+
+    for (; index < command.length; index++) {
+      const char = command[index];
+      const next = command[index + 1];
+      if (quote === "'") {
+        if (char === "'") quote = null;
+        current += char;
+      } else if (char === '\\') {
+        current += char + (next || '');
+        index++;
+      } else if (char === '`' && closer === '`') {
+        flush();
+        return index;
+      } else if (char === '`' || (char === '$' && next === '(')) {
+        result.substitution = true;
+        const opening = char === '`' ? '`' : '$(';
+        index = scan(index + opening.length, char === '`' ? '`' : ')');
+        current += `${opening}${char === '`' ? '`' : ')'}`;
+      } else if (quote === '"') {
+        if (char === '"') quote = null;
+        current += char;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+        current += char;
+      } else if (char === ')' && closer === ')') {
+        flush();
+        return index;
+      } else if (char === '(' || char === ')') {
+        flush(); // A subshell: its commands are parts like any other
+      } else if (char === '>' || char === '<' || (char === '&' && next === '>')) {
+        const operator = command.slice(index).match(/^(?:&>>|&>|>>|>\||>&|>|<<<|<<-|<<|<>|<&|<)/)[0];
+        const start = index;
+        index += operator.length - 1;
+        readRedirection(operator, start);
+      } else if (char === ';' || char === '\n' || char === '|' || char === '&') {
+        flush();
+        if (next === char) index++; // &&, ||, ;;
+      } else {
+        current += char;
+      }
+    }
+    flush();
+    return index;
+  };
+
+  scan(0, null);
+  return result;
+}
+
+// The command a part runs, without leading keywords such as "{", "!" or "then"
+function stripKeywords(segment) {
+  const words = segment.split(/\s+/);
+  while (words.length > 0 && SHELL_KEYWORDS.has(words[0])) words.shift();
+  return words.join(' ');
+}
+
+// Also without leading variable assignments ("FOO=1 rm x"); only used for deny patterns, as an assignment such as
+// PATH=... changes what an allowed command does
+function stripAssignments(segment) {
+  return segment.replace(/^(?:[A-Za-z_][A-Za-z0-9_]*=(?:'[^']*'|"(?:\\.|[^"\\])*"|\S)*\s+)+/, '');
+}
+
+/**
+ * Finds the part of a command that a deny pattern matches: the whole line or any simple command in it
+ * (see parseCommandLine), with or without leading keywords and variable assignments.
+ * @param {string} command The command line.
+ * @param {string[]} patterns Deny patterns.
+ * @returns {{pattern: string, part: string}|null} The first match, or null if no pattern matches.
+ */
+export function findDeniedPart(command, patterns) {
+  if (patterns.length === 0) return null;
+  const parts = [command.trim()];
+  for (const segment of parseCommandLine(command).segments) {
+    const withoutKeywords = stripKeywords(segment);
+    parts.push(segment, withoutKeywords, stripAssignments(withoutKeywords));
+  }
+  for (const part of parts) {
+    const pattern = matchesAny(part, patterns);
+    if (pattern) return { pattern, part };
+  }
+  return null;
+}
+
+/**
+ * Checks a command against allow patterns: every simple command in it must match one, and it may not use command
+ * substitution or redirect output to a file (other than /dev/null).
+ * @param {string} command The command line.
+ * @param {string[]} patterns Allow patterns.
+ * @returns {string|null} Why the command is not allowed, or null if it is.
+ */
+export function findUnallowedPart(command, patterns) {
+  const { segments, substitution, redirections } = parseCommandLine(command);
+  if (substitution) return 'command substitution is not allowed when an allow list is set';
+  const write = redirections.find(({ operator, target }) => target !== '/dev/null'
+    && (WRITE_REDIRECTIONS.has(operator) || (operator === '>&' && !/^(\d+|-)$/.test(target)))); // >&2 only duplicates
+  if (write) return `redirecting output to "${write.target}" is not allowed when an allow list is set`;
+  const commands = segments.map(stripKeywords).filter(Boolean);
+  if (commands.length === 0) return 'the command is empty';
+  const unlisted = commands.find(segment => !matchesAny(segment, patterns));
+  return unlisted ? `"${unlisted}" does not match any allow pattern` : null;
+}
+
+/**
+ * Checks a command against the allow/deny patterns from config. Patterns are shell-style wildcards
+ * ("npm *", "git status") or /regular expressions/. A deny match on any simple command blocks it (see
+ * findDeniedPart); when an allow list is set, every simple command must match it (see findUnallowedPart).
+ * @param {string} command The command line.
+ * @param {{allow?: string[], deny?: string[]}} policy Patterns from config.
+ * @returns {{allowed: boolean, reason?: string}} The verdict.
+ */
+export function checkCommandPolicy(command, policy = {}) {
+  const allow = policy.allow || [];
+  const deny = policy.deny || [];
+  const denied = findDeniedPart(command, deny);
+  if (denied) return { allowed: false, reason: `matches deny pattern "${denied.pattern}"` };
+  if (allow.length === 0) return { allowed: true };
+  const reason = findUnallowedPart(command, allow);
+  return reason ? { allowed: false, reason } : { allowed: true };
+}
+
+/**
+ * Copies the environment without credentials: variables with secret-looking names and any variable whose value
+ * equals one of the given secrets.
+ * @param {object} env The environment to scrub.
+ * @param {string[]} [secrets] Secret values (e.g. API keys) that must not leak under any name.
+ * @returns {object} The scrubbed environment.
+ */
+export function scrubEnvironment(env, secrets = []) {
+  const knownSecrets = new Set(secrets.filter(Boolean));
+  return Object.fromEntries(Object.entries(env).filter(([name, value]) => !SECRET_ENV_PATTERN.test(name) && !knownSecrets.has(value)));
+}
+
+let bubblewrapAvailable = null;
+
+/**
+ * Tells whether bubblewrap (bwrap) can be used for sandboxing on this machine.
+ * @returns {boolean} True on Linux with bwrap on the PATH.
+ */
+export function isSandboxAvailable() {
+  if (bubblewrapAvailable === null) {
+    bubblewrapAvailable = process.platform === 'linux' && spawnSync('bwrap', ['--version'], { stdio: 'ignore' }).status === 0;
+  }
+  return bubblewrapAvailable;
+}
+
+// The whole filesystem read-only, fresh /dev, /proc and /tmp, only the working directory writable, hidden paths masked.
+function bubblewrapArgs(cwd, { allowNetwork, hiddenPaths = [] }) {
+  const args = ['--ro-bind', '/', '/', '--dev', '/dev', '--proc', '/proc', '--tmpfs', '/tmp'];
+  for (const hidden of hiddenPaths) {
+    if (!path.resolve(cwd).startsWith(path.resolve(hidden))) args.push('--tmpfs', hidden);
+  }
+  args.push('--bind', cwd, cwd, '--chdir', cwd, '--unshare-all', '--die-with-parent', '--new-session');
+  if (allowNetwork) args.push('--share-net');
+  return args;
+}
+
+// Keeps the first and last parts of a stream once it grows past the limit.
+function createOutputCollector(limit) {
+  const headLimit = Math.ceil(limit / 2);
+  let head = '';
+  let tail = '';
+  let total = 0;
+  return {
+    push(chunk) {
+      const text = chunk.toString('utf8');
+      total += text.length;
+      if (head.length < headLimit) {
+        const room = headLimit - head.length;
+        head += text.slice(0, room);
+        tail = (tail + text.slice(room)).slice(-(limit - headLimit));
+      } else {
+        tail = (tail + text).slice(-(limit - headLimit));
+      }
+    },
+    result() {
+      const omitted = total - head.length - tail.length;
+      if (omitted <= 0) return head + tail;
+      return `${head}\n[... ${omitted} characters omitted: output exceeded ${limit} characters ...]\n${tail}`;
+    },
+  };
+}
+
+/**
+ * Runs a command through the shell with a timeout, an output cap and a scrubbed environment, optionally inside
+ * a bubblewrap sandbox. On timeout or abort the whole process group is terminated, then killed.
+ * @param {string} command The command line.
+ * @param {{cwd: string, timeoutSeconds?: number, maxOutputChars?: number, secrets?: string[], sandbox?: boolean,
+ *   allowNetwork?: boolean, hiddenPaths?: string[], input?: string, extraEnv?: object, signal?: AbortSignal}} options
+ *   Execution options; input is written to the command's stdin, extraEnv is added after scrubbing, signal stops the command.
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number|null, signal: string|null, timedOut: boolean,
+ *   aborted: boolean, error: Error|null}>}
+ */
+export function runCommand(command, options) {
+  const { cwd, secrets, sandbox } = options;
+  const timeoutMs = (options.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * 1000;
+  const maxOutputChars = options.maxOutputChars || DEFAULT_MAX_OUTPUT_CHARS;
+  const env = { ...scrubEnvironment(process.env, secrets), ...(options.extraEnv || {}) };
+  const useProcessGroup = process.platform !== 'win32';
+  const stdio = [options.input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'];
+
+  let child;
+  if (sandbox) {
+    child = spawn('bwrap', [...bubblewrapArgs(cwd, options), '/bin/sh', '-c', command], { cwd, env, stdio, detached: useProcessGroup });
+  } else {
+    child = spawn(command, { cwd, env, shell: true, stdio, detached: useProcessGroup, windowsHide: true });
+  }
+  if (options.input !== undefined) {
+    child.stdin.on('error', () => {}); // The command may exit without reading its input
+    child.stdin.end(options.input);
+  }
+
+  const stdout = createOutputCollector(maxOutputChars);
+  const stderr = createOutputCollector(maxOutputChars);
+  child.stdout.on('data', chunk => stdout.push(chunk));
+  child.stderr.on('data', chunk => stderr.push(chunk));
+
+  return new Promise((resolve) => {
+    let timedOut = false;
+    let aborted = false;
+    let spawnError = null;
+    const kill = (signal) => {
+      try {
+        if (useProcessGroup) process.kill(-child.pid, signal);
+        else child.kill(signal);
+      } catch {
+        // Already gone
+      }
+    };
+    const stop = () => {
+      kill('SIGTERM');
+      setTimeout(() => kill('SIGKILL'), KILL_GRACE_MS).unref();
+    };
+    const timer = setTimeout(() => { timedOut = true; stop(); }, timeoutMs);
+    const onAbort = () => { aborted = true; stop(); };
+    if (options.signal) {
+      if (options.signal.aborted) onAbort();
+      else options.signal.addEventListener('abort', onAbort, { once: true });
+    }
+    const cleanUp = () => {
+      clearTimeout(timer);
+      if (options.signal) options.signal.removeEventListener('abort', onAbort);
+    };
+
+    child.on('error', (error) => {
+      spawnError = error;
+      if (child.pid === undefined) { // Never started, so 'close' may not follow
+        cleanUp();
+        resolve({ stdout: '', stderr: '', exitCode: null, signal: null, timedOut: false, aborted: false, error });
+      }
+    });
+    child.on('close', (exitCode, signal) => {
+      cleanUp();
+      resolve({ stdout: stdout.result(), stderr: stderr.result(), exitCode, signal, timedOut, aborted, error: spawnError });
+    });
+  });
+}
@@ -0,0 +1,71 @@
+// Tests for snapshotting files and directories before a change, and for restoring them.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import * as Checkpoints from '../checkpoints.js';
+
+async function makeWorkspace(t) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'zeno-checkpoints-'));
+  t.after(() => fs.rm(root, { recursive: true, force: true }));
+  const work = path.join(root, 'work');
+  await fs.mkdir(path.join(work, 'src', 'lib'), { recursive: true });
+  await fs.mkdir(path.join(work, 'src', 'node_modules', 'dep'), { recursive: true });
+  await fs.writeFile(path.join(work, 'src', 'a.js'), 'a');
+  await fs.writeFile(path.join(work, 'src', 'lib', 'b.js'), 'b');
+  await fs.writeFile(path.join(work, 'src', 'node_modules', 'dep', 'index.js'), 'dep');
+  return { store: path.join(root, 'store'), work };
+}
+
+test('snapshots a directory file by file and restores it after a move', async (t) => {
+  const { store, work } = await makeWorkspace(t);
+  const checkpoint = await Checkpoints.createCheckpoint(store, work, ['src', 'moved'], { tool: 'modify_file', description: 'move src' });
+  assert.deepEqual(checkpoint.files.map(file => [file.path, file.existed, file.restorable]).sort(), [
+    ['moved', false, true],
+    [path.join('src', 'a.js'), true, true],
+    [path.join('src', 'lib', 'b.js'), true, true],
+  ]);
+
+  await fs.rename(path.join(work, 'src'), path.join(work, 'moved'));
+  await fs.writeFile(path.join(work, 'moved', 'a.js'), 'changed');
+  const result = await Checkpoints.restoreCheckpoint(store);
+  assert.deepEqual(result.skipped, []);
+  assert.equal(await fs.readFile(path.join(work, 'src', 'a.js'), 'utf-8'), 'a');
+  assert.equal(await fs.readFile(path.join(work, 'src', 'lib', 'b.js'), 'utf-8'), 'b');
+  await assert.rejects(fs.access(path.join(work, 'moved')));
+});
+
+test('leaves a move alone on undo when the directory was too large to snapshot', async (t) => {
+  const { store, work } = await makeWorkspace(t);
+  await fs.writeFile(path.join(work, 'src', 'big.bin'), Buffer.alloc(2 * 1024 * 1024));
+  const checkpoint = await Checkpoints.createCheckpoint(store, work, ['src', 'moved'], { tool: 'modify_file', description: 'move src' });
+  assert.deepEqual(checkpoint.files.map(file => [file.path, file.restorable]), [['src', false], ['moved', false]]);
+
+  await fs.rename(path.join(work, 'src'), path.join(work, 'moved'));
+  const result = await Checkpoints.restoreCheckpoint(store);
+  assert.deepEqual(result.skipped, ['src', 'moved']);
+  assert.equal((await fs.stat(path.join(work, 'moved', 'big.bin'))).size, 2 * 1024 * 1024);
+});
+
+test('still snapshots single files and records missing ones', async (t) => {
+  const { store, work } = await makeWorkspace(t);
+  const checkpoint = await Checkpoints.createCheckpoint(store, work, ['src/a.js', 'new.js'], { tool: 'new_file', description: 'x' });
+  assert.deepEqual(checkpoint.files.map(file => [file.path, file.existed, file.restorable]), [['src/a.js', true, true], ['new.js', false, true]]);
+});
+
+test('skips .git and node_modules when scanning for command changes', async (t) => {
+  const { store, work } = await makeWorkspace(t);
+  await fs.mkdir(path.join(work, '.git'));
+  await fs.writeFile(path.join(work, '.git', 'HEAD'), 'ref');
+  const before = await Checkpoints.scanDirectory(work);
+  assert.deepEqual([...before.files.keys()].sort(), [path.join('src', 'a.js'), path.join('src', 'lib', 'b.js')]);
+  assert.equal(before.truncated, false);
+
+  await fs.writeFile(path.join(work, 'src', 'node_modules', 'dep', 'index.js'), 'changed');
+  await fs.writeFile(path.join(work, '.git', 'HEAD'), 'changed');
+  await fs.writeFile(path.join(work, 'src', 'a.js'), 'changed');
+  const changes = await Checkpoints.recordDirectoryChanges(store, work, before, { tool: 'run_command', description: 'x' });
+  assert.deepEqual(changes.checkpoint.files.map(file => file.path), [path.join('src', 'a.js')]);
+});
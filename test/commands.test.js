@@ -0,0 +1,121 @@
+// Tests for command templates: the YAML subset, front matter, argument expansion and tool restrictions.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { createCommandRegistry, expandTemplate, isToolAllowed, loadTemplates, parseSimpleYaml, parseTemplate } from '../commands.js';
+
+test('parses plain, quoted and commented scalars', () => {
+  assert.deepEqual(parseSimpleYaml([
+    '# A template',
+    'description: Review the diff   # trailing comment',
+    'hint: "issue #42, please"',
+    "single: 'it''s'",
+    'escaped: "say \\"hi\\"\\nbye"',
+    '',
+    'empty-list: []',
+  ].join('\n')), {
+    description: 'Review the diff',
+    hint: 'issue #42, please',
+    single: "it's",
+    escaped: 'say "hi"\nbye',
+    'empty-list': [],
+  });
+});
+
+test('parses flow lists and lists of items', () => {
+  assert.deepEqual(parseSimpleYaml('a: [read_file, "git_*"]\nb:\n  - one\n  - "two, three"\nc:\n'), {
+    a: ['read_file', 'git_*'],
+    b: ['one', 'two, three'],
+    c: '',
+  });
+});
+
+test('parses literal and folded block scalars', () => {
+  const yaml = [
+    'prompt: |',
+    '  Line one',
+    '',
+    '    indented # not a comment',
+    '  Line three',
+    'folded: >',
+    '  these words',
+    '  join up',
+    'after: yes',
+  ].join('\n');
+  assert.deepEqual(parseSimpleYaml(yaml), {
+    prompt: 'Line one\n\n  indented # not a comment\nLine three',
+    folded: 'these words join up',
+    after: 'yes',
+  });
+});
+
+test('rejects lines that are not key: value', () => {
+  assert.throws(() => parseSimpleYaml('description: ok\njust text'), /line 2 is not "key: value"/);
+});
+
+test('reads Markdown templates with front matter, including after a BOM and with CRLF', () => {
+  const text = '﻿---\r\ndescription: Security review\r\nargument-hint: <path>\r\nallowed-tools: [read_file, search_in_files]\r\n---\r\nReview $ARGUMENTS for injection bugs.\r\n';
+  assert.deepEqual(parseTemplate('review-security', text, 'markdown'), {
+    name: 'review-security',
+    description: 'Security review',
+    argumentHint: '<path>',
+    allowedTools: ['read_file', 'search_in_files'],
+    prompt: 'Review $ARGUMENTS for injection bugs.',
+  });
+  const plain = parseTemplate('plain', '# Heading\n\n---\n\nNot front matter.', 'markdown');
+  assert.equal(plain.prompt, '# Heading\n\n---\n\nNot front matter.');
+  assert.equal(plain.allowedTools, null);
+});
+
+test('reads YAML templates and their tool restrictions', () => {
+  const template = parseTemplate('summary', 'description: Summarize\nallowed-tools: read_file, list_directory\nprompt: |\n  Summarize $ARGUMENTS.\n', 'yaml');
+  assert.deepEqual(template.allowedTools, ['read_file', 'list_directory']);
+  assert.equal(template.prompt, 'Summarize $ARGUMENTS.');
+  assert.throws(() => parseTemplate('x', 'description: no prompt', 'yaml'), /no prompt/);
+  assert.throws(() => parseTemplate('x', 'prompt: hi\nallowed-tools:\n  - ""', 'yaml'), /allowed-tools/);
+});
+
+test('treats "allowed-tools: []" as no tools at all, and no setting as every tool', () => {
+  const none = parseTemplate('chat', '---\nallowed-tools: []\n---\nJust talk.', 'markdown');
+  assert.deepEqual(none.allowedTools, []);
+  assert.equal(isToolAllowed('read_file', none.allowedTools), false);
+  assert.equal(isToolAllowed('read_file', null), true);
+  assert.equal(isToolAllowed('git_log', ['read_file', 'git_*']), true);
+  assert.equal(isToolAllowed('run_command', ['read_file', 'git_*']), false);
+});
+
+test('fills in the arguments, or appends them when there is no placeholder', () => {
+  assert.equal(expandTemplate({ prompt: 'Check $ARGUMENTS, then $ARGUMENTS again.' }, '  src/a.js '), 'Check src/a.js, then src/a.js again.');
+  assert.equal(expandTemplate({ prompt: 'Check $ARGUMENTS.' }, ''), 'Check .');
+  assert.equal(expandTemplate({ prompt: 'Summarize.' }, 'briefly'), 'Summarize.\n\nbriefly');
+  assert.equal(expandTemplate({ prompt: 'Summarize.' }, ' '), 'Summarize.');
+});
+
+test('loads a folder of templates and skips the ones it cannot use', async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'zeno-commands-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  await fs.writeFile(path.join(directory, 'Review.md'), 'Review it.');
+  await fs.writeFile(path.join(directory, 'notes.yaml'), 'prompt: Take notes.');
+  await fs.writeFile(path.join(directory, 'review.yml'), 'prompt: Duplicate.');
+  await fs.writeFile(path.join(directory, 'bad name.md'), 'Hi.');
+  await fs.writeFile(path.join(directory, 'empty.md'), '---\ndescription: x\n---\n');
+  await fs.writeFile(path.join(directory, 'readme.txt'), 'Not a template.');
+
+  const { templates, warnings } = await loadTemplates(directory, 'project');
+  assert.deepEqual(templates.map(template => [template.name, template.source]), [['notes', 'project'], ['review', 'project']]);
+  assert.equal(warnings.length, 3);
+  assert.deepEqual(await loadTemplates(path.join(directory, 'missing'), 'user'), { templates: [], warnings: [] });
+});
+
+test('looks commands up without the slash or case, and unregisters by source', () => {
+  const registry = createCommandRegistry();
+  registry.register({ name: 'help', description: 'Help', run: () => {} });
+  registry.register({ name: 'review', description: 'Review', source: 'project', run: () => {} });
+  assert.equal(registry.get('/HELP').source, 'builtin');
+  assert.deepEqual(registry.list({ source: 'project' }).map(command => command.name), ['review']);
+  registry.unregisterSource('project');
+  assert.equal(registry.get('review'), undefined);
+});
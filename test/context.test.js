@@ -0,0 +1,88 @@
+// Tests for history compaction: where the cut goes, and that tool calls stay next to their responses.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compactHistory, findCompactionSplit, isSummaryMessage } from '../context.js';
+
+const user = text => ({ role: 'user', parts: [{ text }] });
+const model = text => ({ role: 'model', parts: [{ text }] });
+const calls = (...names) => ({ role: 'model', parts: names.map(name => ({ functionCall: { name, args: {} } })) });
+const responses = (...names) => ({ role: 'function', parts: names.map(name => ({ functionResponse: { name, response: { content: 'ok' } } })) });
+
+// A conversation where every exchange uses tools, some of them in parallel.
+function toolHeavyHistory() {
+  return [
+    user('Read a.js'), calls('read_file'), responses('read_file'), model('Done.'),
+    user('Read b.js and c.js'), calls('read_file', 'read_file'), responses('read_file', 'read_file'),
+    calls('search_in_files'), responses('search_in_files'), model('Done.'),
+    user('Now d.js'), calls('read_file'), responses('read_file'), model('Done.'),
+  ];
+}
+
+// Checks that each model message with calls is directly followed by a function message answering all of them.
+function assertCallsPaired(history) {
+  history.forEach((content, index) => {
+    const callCount = content.parts.filter(part => part.functionCall).length;
+    if (callCount === 0) return;
+    const next = history[index + 1];
+    assert.ok(next && next.role === 'function', `call at ${index} has no response after it`);
+    assert.equal(next.parts.filter(part => part.functionResponse).length, callCount);
+  });
+  if (history[0]) assert.notEqual(history[0].role, 'function', 'kept history starts with an orphaned response');
+}
+
+test('only cuts at the start of a user exchange, whatever keepRecent asks for', () => {
+  const history = toolHeavyHistory();
+  for (let keepRecent = 1; keepRecent < history.length; keepRecent++) {
+    const split = findCompactionSplit(history, keepRecent);
+    if (split === -1) continue;
+    assert.equal(history[split].role, 'user');
+    assert.ok(history.length - split >= keepRecent);
+    assertCallsPaired(history.slice(split));
+  }
+  assert.equal(findCompactionSplit(history, 3), 10);
+  assert.equal(findCompactionSplit(history, 5), 4);
+  assert.equal(findCompactionSplit(history, history.length), -1);
+});
+
+test('does not cut before a user message that arrived while a call was unanswered', () => {
+  const history = [
+    user('Start'), model('Ok.'),
+    user('Run the tests'), calls('run_command'), user('(typed while waiting)'), responses('run_command'), model('Passed.'),
+    user('Thanks'), model('Any time.'),
+  ];
+  assert.equal(findCompactionSplit(history, 5), 2);
+  assert.equal(findCompactionSplit(history, 2), 7);
+});
+
+test('never separates calls from responses when compacting', async () => {
+  const history = toolHeavyHistory();
+  for (let keepRecent = 1; keepRecent < history.length; keepRecent++) {
+    const prompts = [];
+    const result = await compactHistory(history, { keepRecent, summarize: async prompt => { prompts.push(prompt); return 'Summary.'; } });
+    if (!result) continue;
+    assert.ok(isSummaryMessage(result.history[0]));
+    assert.equal(result.history[1].role, 'model');
+    assertCallsPaired(result.history);
+    assert.equal(result.history.length, history.length - result.summarizedCount + 2);
+    assert.match(prompts[0], /\[Called tool read_file with \{\}\]/);
+  }
+});
+
+test('recompacts past an earlier summary but not the summary alone', async () => {
+  const first = await compactHistory(toolHeavyHistory(), { keepRecent: 3, summarize: async () => 'First summary.' });
+  assert.equal(first.summarizedCount, 10);
+  assert.equal(findCompactionSplit(first.history, 3), -1);
+
+  const longer = [...first.history, user('And e.js'), calls('read_file'), responses('read_file'), model('Done.')];
+  const second = await compactHistory(longer, { keepRecent: 4, summarize: async prompt => {
+    assert.match(prompt, /First summary\./);
+    return 'Second summary.';
+  } });
+  assert.equal(second.summarizedCount, 6);
+  assertCallsPaired(second.history);
+});
+
+test('rejects an empty summary', async () => {
+  await assert.rejects(compactHistory(toolHeavyHistory(), { keepRecent: 3, summarize: async () => '  ' }), /empty summary/);
+});
@@ -0,0 +1,43 @@
+// Tests for applying unified diffs with edit_file's patch argument.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyUnifiedPatch } from '../file.js';
+
+test('applies a hunk with file headers', () => {
+  const patch = '--- a/notes.txt\n+++ b/notes.txt\n@@ -1,3 +1,3 @@\n one\n-two\n+TWO\n three\n';
+  assert.equal(applyUnifiedPatch('one\ntwo\nthree\n', patch), 'one\nTWO\nthree\n');
+});
+
+test('removes a line that starts with "--" inside a hunk', () => {
+  const content = 'SELECT 1;\n-- old comment\nSELECT 2;\n';
+  const patch = '--- a/query.sql\n+++ b/query.sql\n@@ -1,3 +1,2 @@\n SELECT 1;\n--- old comment\n SELECT 2;\n';
+  assert.equal(applyUnifiedPatch(content, patch), 'SELECT 1;\nSELECT 2;\n');
+});
+
+test('adds a line that starts with "++" inside a hunk', () => {
+  const content = 'int i = 0;\nreturn i;\n';
+  const patch = '@@ -1,2 +1,3 @@\n int i = 0;\n+++i;\n return i;\n';
+  assert.equal(applyUnifiedPatch(content, patch), 'int i = 0;\n++i;\nreturn i;\n');
+});
+
+test('replaces "--" and "++" lines together', () => {
+  const content = 'a\n-- x\nb\n';
+  const patch = '@@ -1,3 +1,3 @@\n a\n--- x\n+++ y\n b\n';
+  assert.equal(applyUnifiedPatch(content, patch), 'a\n++ y\nb\n');
+});
+
+test('treats headers after a complete hunk as the next file', () => {
+  const patch = '--- a/f\n+++ b/f\n@@ -1 +1 @@\n-a\n+b\n--- a/g\n+++ b/g\n@@ -3 +3 @@\n-c\n+d\n';
+  assert.equal(applyUnifiedPatch('a\nx\nc\n', patch), 'b\nx\nd\n');
+});
+
+test('tolerates drifted line numbers', () => {
+  const patch = '@@ -5,1 +5,1 @@\n-three\n+3\n';
+  assert.equal(applyUnifiedPatch('one\ntwo\nthree\n', patch), 'one\ntwo\n3\n');
+});
+
+test('refuses a patch without hunks or with a hunk that does not match', () => {
+  assert.throws(() => applyUnifiedPatch('a\n', 'no hunks here'), /does not contain any @@ hunks/);
+  assert.throws(() => applyUnifiedPatch('a\n', '@@ -1 +1 @@\n-b\n+c\n'), /does not match/);
+});
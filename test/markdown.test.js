@@ -0,0 +1,120 @@
+// Tests for the streaming Markdown renderer: split chunks, code blocks, tables and wrapping of styled text.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import chalk from 'chalk';
+
+import { createMarkdownRenderer, renderInline, visibleLength, wrapText } from '../markdown.js';
+
+chalk.level = 1; // Styles are part of what is checked, whether or not the tests run in a terminal
+
+const RED = '\x1b[31m';
+const RESET = '\x1b[39m';
+const stripAnsi = text => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+function render(chunks, options = {}) {
+  let output = '';
+  const renderer = createMarkdownRenderer({ write: text => { output += text; }, width: 60, ...options });
+  chunks.forEach(chunk => renderer.push(chunk));
+  renderer.end();
+  return output;
+}
+
+// Every way of cutting the text in two, plus one character at a time
+function splits(text) {
+  const cuts = Array.from({ length: text.length - 1 }, (unused, index) => [text.slice(0, index + 1), text.slice(index + 1)]);
+  return [...cuts, [...text]];
+}
+
+const SAMPLE = [
+  'Some **bold** and `code` text.',
+  '',
+  '```js',
+  'const x = 1; // one',
+  '```',
+  '',
+  '| Name | Size |',
+  '| --- | ---: |',
+  '| a.js | 10 |',
+  '| b.js | 200 |',
+  '',
+  'Done.',
+].join('\n');
+
+test('renders the same output however the text is split into chunks', () => {
+  const whole = render([SAMPLE]);
+  for (const chunks of splits(SAMPLE)) {
+    assert.equal(render(chunks), whole, JSON.stringify(chunks.length > 2 ? 'one character at a time' : chunks));
+  }
+});
+
+test('waits for the rest of a line before styling inline markup split across chunks', () => {
+  let output = '';
+  const renderer = createMarkdownRenderer({ write: text => { output += text; }, width: 60 });
+  renderer.push('This is **bo');
+  assert.equal(output, '');
+  renderer.push('ld** now\n');
+  assert.equal(output, `This is ${chalk.bold('bold')} now\n`);
+  renderer.push('no newline at the *end*');
+  renderer.end();
+  assert.ok(output.endsWith(`no newline at the ${chalk.italic('end')}\n`));
+});
+
+test('keeps a fence split across chunks as a code block', () => {
+  const output = stripAnsi(render(['``', '`py', 'thon\nprint("**not bold**")\n`', '``\nafter\n']));
+  assert.equal(output, '─── python\n  print("**not bold**")\nafter\n');
+});
+
+test('sizes a table split across chunks only once its last row has arrived', () => {
+  let output = '';
+  const renderer = createMarkdownRenderer({ write: text => { output += text; }, width: 60 });
+  renderer.push('| a | b |\n| - | - |\n| 1 | 2');
+  assert.equal(output, '');
+  renderer.push(' |\n| 3 | a longer cell |\n');
+  assert.equal(output, '');
+  renderer.push('\n');
+  assert.deepEqual(stripAnsi(output).split('\n'), [
+    '┌─────┬───────────────┐',
+    '│ a   │ b             │',
+    '├─────┼───────────────┤',
+    '│ 1   │ 2             │',
+    '│ 3   │ a longer cell │',
+    '└─────┴───────────────┘',
+    '',
+    '',
+  ]);
+});
+
+test('numbers code blocks in the order they appear and collects their code', () => {
+  const codeBlocks = [{ language: 'sh', code: 'ls\n' }]; // From an earlier response
+  const output = stripAnsi(render(['```bash\necho hi\n```\ntext\n~~~\nplain\n  indented\n~~~\n'], { codeBlocks }));
+  assert.match(output, /^─── \[2\] bash\n  echo hi\ntext\n─── \[3\] code\n  plain\n    indented\n$/);
+  assert.deepEqual(codeBlocks.slice(1), [{ language: 'bash', code: 'echo hi\n' }, { language: '', code: 'plain\n  indented\n' }]);
+  assert.match(stripAnsi(render(['```js\nx\n```\n'])), /^─── js\n/); // Without a list, no numbers
+});
+
+test('closes a fence only with a matching fence at least as long', () => {
+  const output = stripAnsi(render(['````md\n```js\ninner\n```\n````\nafter\n']));
+  assert.equal(output, '─── md\n  ```js\n  inner\n  ```\nafter\n');
+});
+
+test('wraps styled text by its visible width and keeps the codes with their words', () => {
+  const text = `plain ${RED}red words here${RESET} and more plain text`;
+  const lines = wrapText(text, 12);
+  assert.deepEqual(lines.map(stripAnsi), ['plain red', 'words here', 'and more', 'plain text']);
+  lines.forEach(line => assert.ok(visibleLength(line) <= 12, line));
+  assert.ok(lines[0].endsWith(`${RED}red`));
+  assert.ok(lines[1].endsWith(`here${RESET}`));
+});
+
+test('breaks words longer than a line and indents continuation lines', () => {
+  const url = `${RED}https://example.com/a/very/long/path${RESET}`;
+  const lines = wrapText(`see ${url}`, 16, { firstPrefix: '- ', prefix: '  ' });
+  assert.deepEqual(lines.map(stripAnsi), ['- see', '  https://exampl', '  e.com/a/very/l', '  ong/path']);
+  assert.equal(lines.join('').split(RED).length, 2); // The color starts once and is carried by the pieces
+  assert.equal(visibleLength(`${RED}abc${RESET}`), 3);
+});
+
+test('leaves markup inside inline code alone', () => {
+  assert.equal(renderInline('`**x**` and **y**'), `${chalk.cyan('**x**')} and ${chalk.bold('y')}`);
+  assert.equal(renderInline('\\*not italic\\*'), '*not italic*');
+});
@@ -0,0 +1,192 @@
+// Tests for the provider adapters: message translation, tool schemas and reading streamed replies.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createProvider } from '../providers.js';
+
+const TOOLS = [{
+  functionDeclarations: [{
+    name: 'read_file',
+    description: 'Reads a file.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        path: { type: 'STRING', description: 'The path.' },
+        encoding: { type: ['string', 'null'], default: 'utf-8' },
+        options: { type: 'object', additionalProperties: false, properties: {} },
+        lines: { type: 'array', items: { type: 'integer', minimum: 1 } },
+      },
+      required: ['path'],
+      $schema: 'http://json-schema.org/draft-07/schema#',
+    },
+  }],
+}];
+
+// The same tool called twice in one turn, answered in order, then a second turn.
+const HISTORY = [
+  { role: 'user', parts: [{ text: 'Compare a.js and b.js' }] },
+  { role: 'model', parts: [{ text: 'Reading both.' }, { functionCall: { name: 'read_file', args: { path: 'a.js' } } }, { functionCall: { name: 'read_file', args: { path: 'b.js' } } }] },
+  { role: 'function', parts: [
+    { functionResponse: { name: 'read_file', response: { content: 'contents of a' } } },
+    { functionResponse: { name: 'read_file', response: { content: 'contents of b' } } },
+  ] },
+  { role: 'model', parts: [{ text: 'They differ.' }] },
+  { role: 'user', parts: [{ text: 'And c.js?' }] },
+  { role: 'model', parts: [{ functionCall: { name: 'read_file', args: { path: 'c.js' } } }] },
+  { role: 'function', parts: [{ functionResponse: { name: 'read_file', response: { error: 'missing' } } }] },
+  { role: 'model', parts: [{ text: 'c.js does not exist.' }] },
+];
+
+// Replaces fetch with one that records each request and replies with the given body, delivered in the given chunks.
+function mockFetch(t, chunks) {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    requests.push({ url: String(url), body: JSON.parse(options.body) });
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+      start(controller) {
+        for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+        controller.close();
+      },
+    });
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } });
+  });
+  return requests;
+}
+
+async function readStream(chat, request) {
+  const { stream, response } = await chat.sendMessageStream(request);
+  const texts = [];
+  for await (const chunk of stream) texts.push(chunk.text);
+  return { texts, response: await response };
+}
+
+test('pairs each tool response with its own call when the same tool is called twice', async (t) => {
+  const requests = mockFetch(t, [JSON.stringify({ choices: [{ message: { content: 'Ok.' }, finish_reason: 'stop' }] })]);
+  const chat = createProvider('openai', { apiKey: 'key', baseUrl: 'http://localhost:8080/v1/' }).startChat({ history: HISTORY, systemInstruction: 'Be brief.' });
+  await chat.sendMessage('Thanks');
+
+  assert.equal(requests[0].url, 'http://localhost:8080/v1/chat/completions');
+  const messages = requests[0].body.messages;
+  assert.deepEqual(messages.map(message => message.role), ['system', 'user', 'assistant', 'tool', 'tool', 'assistant', 'user', 'assistant', 'tool', 'assistant', 'user']);
+  const [first, second] = messages[2].tool_calls;
+  assert.equal(messages[2].content, 'Reading both.');
+  assert.deepEqual(JSON.parse(first.function.arguments), { path: 'a.js' });
+  assert.deepEqual(JSON.parse(second.function.arguments), { path: 'b.js' });
+  assert.notEqual(first.id, second.id);
+  assert.deepEqual([messages[3].tool_call_id, messages[3].content], [first.id, 'contents of a']);
+  assert.deepEqual([messages[4].tool_call_id, messages[4].content], [second.id, 'contents of b']);
+  assert.equal(messages[7].content, null);
+  assert.equal(messages[8].tool_call_id, messages[7].tool_calls[0].id);
+  assert.equal(messages[8].content, '{"error":"missing"}');
+  assert.deepEqual(messages.at(-1), { role: 'user', content: 'Thanks' });
+});
+
+test('does not pair a response with an unanswered call from an earlier turn', async (t) => {
+  const requests = mockFetch(t, [JSON.stringify({ choices: [{ message: { content: 'Ok.' } }] })]);
+  const history = [
+    { role: 'user', parts: [{ text: 'Read a.js' }] },
+    { role: 'model', parts: [{ functionCall: { name: 'read_file', args: { path: 'a.js' } } }] },
+    { role: 'user', parts: [{ text: 'Never mind, read b.js' }] },
+    { role: 'model', parts: [{ functionCall: { name: 'read_file', args: { path: 'b.js' } } }] },
+    { role: 'function', parts: [{ functionResponse: { name: 'read_file', response: { content: 'contents of b' } } }] },
+  ];
+  await createProvider('openai', { apiKey: 'key' }).startChat({ history }).sendMessage('Go on');
+  const messages = requests[0].body.messages;
+  assert.equal(messages[4].tool_call_id, messages[3].tool_calls[0].id);
+});
+
+test('sends tool schemas in lower case to OpenAI-compatible servers', async (t) => {
+  const requests = mockFetch(t, [JSON.stringify({ choices: [{ message: { content: 'Ok.' } }] })]);
+  await createProvider('llamacpp').startChat({ tools: TOOLS }).sendMessage('Hi');
+  const [tool] = requests[0].body.tools;
+  assert.equal(tool.type, 'function');
+  assert.equal(tool.function.name, 'read_file');
+  assert.equal(tool.function.parameters.type, 'object');
+  assert.equal(tool.function.parameters.properties.path.type, 'string');
+  assert.equal(tool.function.parameters.properties.options.additionalProperties, false);
+});
+
+test('trims tool schemas to what Gemini accepts', async (t) => {
+  const requests = mockFetch(t, [JSON.stringify({ candidates: [{ content: { role: 'model', parts: [{ text: 'Ok.' }] }, finishReason: 'STOP' }] })]);
+  const response = await createProvider('gemini', { apiKey: 'key' }).startChat({ tools: TOOLS }).sendMessage('Hi');
+  assert.equal(response.text, 'Ok.');
+
+  const parameters = requests[0].body.tools[0].functionDeclarations[0].parameters;
+  assert.deepEqual(parameters, {
+    type: 'OBJECT',
+    properties: {
+      path: { type: 'STRING', description: 'The path.' },
+      encoding: { type: 'string', nullable: true },
+      options: { type: 'object' },
+      lines: { type: 'array', items: { type: 'integer' } },
+    },
+    required: ['path'],
+  });
+});
+
+test('reads Server-Sent Events split anywhere, including tool call arguments in pieces', async (t) => {
+  const events = [
+    { choices: [{ delta: { role: 'assistant', content: 'Let me ' } }] },
+    { choices: [{ delta: { content: 'check.' } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, id: 'x', function: { name: 'read_file', arguments: '{"pa' } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'th":"a.js"}' } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 1, id: 'y', function: { name: 'read_file', arguments: '{"path":"b.js"}' } }] } }] },
+    { choices: [{ delta: {}, finish_reason: 'tool_calls' }] },
+    { choices: [], usage: { prompt_tokens: 12, completion_tokens: 5 } },
+  ];
+  const text = `: keep-alive\r\n\r\n${events.map(event => `data: ${JSON.stringify(event)}\r\n\r\n`).join('')}data: [DONE]\r\n\r\n`;
+  const chunks = [];
+  for (let start = 0; start < text.length; start += 7) chunks.push(text.slice(start, start + 7));
+  mockFetch(t, chunks);
+
+  const chat = createProvider('openai', { apiKey: 'key' }).startChat({ tools: TOOLS });
+  const { texts, response } = await readStream(chat, 'Read a.js and b.js');
+  assert.equal(texts.join(''), 'Let me check.');
+  assert.deepEqual(response.functionCalls, [{ name: 'read_file', args: { path: 'a.js' } }, { name: 'read_file', args: { path: 'b.js' } }]);
+  assert.equal(response.finishReason, 'tool_calls');
+  assert.deepEqual(response.usage, { inputTokens: 12, outputTokens: 5 });
+});
+
+test('reads newline-delimited JSON from Ollama split anywhere, including a last line without a newline', async (t) => {
+  const lines = [
+    { message: { role: 'assistant', content: 'Reading ' }, done: false },
+    { message: { role: 'assistant', content: 'files. ✓' }, done: false },
+    { message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'read_file', arguments: { path: 'a.js' } } }] }, done: false },
+    { message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 30, eval_count: 8 },
+  ].map(line => JSON.stringify(line));
+  const bytes = Buffer.from(`${lines.join('\n')}`);
+  // Byte-sized pieces split the multi-byte check mark as well as the lines
+  const chunks = [];
+  for (let start = 0; start < bytes.length; start += 5) chunks.push(bytes.subarray(start, start + 5));
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    assert.equal(url, 'http://localhost:11434/api/chat');
+    const body = JSON.parse(options.body);
+    assert.equal(body.stream, true);
+    assert.deepEqual(body.messages.at(-1), { role: 'user', content: 'Read a.js' });
+    return new Response(new ReadableStream({
+      start(controller) {
+        for (const chunk of chunks) controller.enqueue(chunk);
+        controller.close();
+      },
+    }));
+  });
+
+  const chat = createProvider('ollama').startChat({});
+  const { texts, response } = await readStream(chat, 'Read a.js');
+  assert.equal(texts.join(''), 'Reading files. ✓');
+  assert.deepEqual(response.functionCalls, [{ name: 'read_file', args: { path: 'a.js' } }]);
+  assert.equal(response.finishReason, 'stop');
+  assert.deepEqual(response.usage, { inputTokens: 30, outputTokens: 8 });
+});
+
+test('sends Ollama tool results without ids, and reports errors in the stream', async (t) => {
+  const requests = mockFetch(t, [`${JSON.stringify({ error: 'model "llama3.1" not found' })}\n`]);
+  const chat = createProvider('ollama').startChat({ history: HISTORY });
+  await assert.rejects(readStream(chat, 'Thanks'), /Ollama error: model "llama3\.1" not found/);
+
+  const messages = requests[0].body.messages;
+  assert.deepEqual(messages[1].tool_calls[1], { function: { name: 'read_file', arguments: { path: 'b.js' } } });
+  assert.deepEqual(messages[2], { role: 'tool', content: 'contents of a' });
+  assert.equal(messages[6].content, '');
+});
@@ -0,0 +1,50 @@
+// Tests for starting research runs without losing an earlier run in the same folder.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import * as Research from '../research.js';
+
+async function makeBaseDir(t) {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zeno-research-'));
+  t.after(() => fs.rm(baseDir, { recursive: true, force: true }));
+  return baseDir;
+}
+
+test('creates a run in a folder named after the topic', async (t) => {
+  const baseDir = await makeBaseDir(t);
+  const { researchDir, state } = await Research.createResearch(baseDir, 'Solar Power', { topicCount: 3 });
+  assert.equal(researchDir, path.join(baseDir, 'research_solar_power'));
+  assert.equal(state.options.topicCount, 3);
+  assert.equal((await Research.loadResearchState(researchDir)).status, 'generating_topics');
+  assert.equal(await Research.researchExists(researchDir), true);
+  assert.equal(await Research.researchExists(path.join(baseDir, 'research_other')), false);
+});
+
+test('refuses to replace an existing run unless asked to overwrite it', async (t) => {
+  const baseDir = await makeBaseDir(t);
+  const { researchDir, state } = await Research.createResearch(baseDir, 'Solar Power');
+  state.status = 'researching';
+  await Research.saveResearchState(researchDir, state);
+  await fs.appendFile(path.join(researchDir, 'details.md'), 'findings\n');
+
+  await assert.rejects(Research.createResearch(baseDir, 'Solar Power'), /already holds a research run/);
+  assert.equal((await Research.loadResearchState(researchDir)).status, 'researching');
+  assert.match(await fs.readFile(path.join(researchDir, 'details.md'), 'utf-8'), /findings/);
+
+  await fs.writeFile(path.join(researchDir, 'final_report.md'), 'old report');
+  await Research.createResearch(baseDir, 'Solar Power', { overwrite: true });
+  assert.equal((await Research.loadResearchState(researchDir)).status, 'generating_topics');
+  assert.doesNotMatch(await fs.readFile(path.join(researchDir, 'details.md'), 'utf-8'), /findings/);
+  await assert.rejects(fs.access(path.join(researchDir, 'final_report.md')));
+});
+
+test('counts leftover files without a state as an existing run', async (t) => {
+  const baseDir = await makeBaseDir(t);
+  const researchDir = Research.getResearchDir(baseDir, 'Solar Power');
+  await fs.mkdir(researchDir);
+  await fs.writeFile(path.join(researchDir, 'details.md'), 'notes');
+  await assert.rejects(Research.createResearch(baseDir, 'Solar Power'), /already holds a research run/);
+});
@@ -0,0 +1,126 @@
+// Tests for error classification, retries with backoff, and cancellation of model requests.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { abortable, classifyError, createAbortError, isAbortError, withRetry } from '../retry.js';
+
+function httpError(message, fields = {}) {
+  return Object.assign(new Error(message), fields);
+}
+
+test('takes the status from the error, else from the "[429 ...]" in its message', () => {
+  assert.deepEqual(classifyError(httpError('Too many requests', { status: 429 })),
+    { kind: 'rate_limit', retryable: true, status: 429, retryAfterMs: null });
+  assert.equal(classifyError(httpError('[GoogleGenerativeAI Error]: [503 Service Unavailable] overloaded')).status, 503);
+  assert.equal(classifyError(httpError('[GoogleGenerativeAI Error]: [503 Service Unavailable] overloaded')).kind, 'server');
+  // The status on the error wins over a number in the text
+  assert.equal(classifyError(httpError('upstream said [500]', { status: 400 })).kind, 'invalid_request');
+  assert.equal(classifyError(httpError('[401 Unauthorized]')).kind, 'auth');
+  assert.equal(classifyError(httpError('bad', { status: 403 })).retryable, false);
+  assert.equal(classifyError(httpError('slow', { status: 408 })).kind, 'timeout');
+});
+
+test('recognizes network failures, timeouts, safety blocks and aborts without a status', () => {
+  assert.equal(classifyError(new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } })).kind, 'network');
+  assert.equal(classifyError(new TypeError('boom', { cause: { code: 'ECONNRESET', message: '' } })).kind, 'network');
+  assert.equal(classifyError(httpError('The request timed out')).kind, 'timeout');
+  assert.equal(classifyError(httpError('Response was blocked due to SAFETY')).kind, 'safety');
+  assert.equal(classifyError(createAbortError()).kind, 'aborted');
+  assert.equal(classifyError(httpError('something odd')).kind, 'unknown');
+  assert.equal(classifyError('plain string').retryable, false);
+});
+
+test('reads the retry delay from Retry-After headers and Gemini RetryInfo', () => {
+  assert.equal(classifyError(httpError('x', { status: 429, headers: new Headers({ 'retry-after': '7' }) })).retryAfterMs, 7000);
+  assert.equal(classifyError(httpError('x', { status: 503, headers: { 'retry-after': '2' } })).retryAfterMs, 2000);
+  const date = new Date(Date.now() + 60000).toUTCString();
+  const fromDate = classifyError(httpError('x', { status: 429, headers: { 'retry-after': date } })).retryAfterMs;
+  assert.ok(fromDate > 55000 && fromDate <= 60000, String(fromDate));
+  const gemini = httpError('[429 Too Many Requests]', {
+    errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.QuotaFailure' }, { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '32s' }],
+  });
+  assert.equal(classifyError(gemini).retryAfterMs, 32000);
+  // Hints on errors that are not retried do not matter
+  assert.equal(classifyError(httpError('x', { status: 400, headers: { 'retry-after': '5' } })).retryAfterMs, null);
+});
+
+test('retries retryable failures with growing delays, then gives up', async () => {
+  const delays = [];
+  let calls = 0;
+  const error = httpError('overloaded', { status: 503 });
+  await assert.rejects(withRetry(async () => { calls++; throw error; }, {
+    maxRetries: 3, initialDelayMs: 1, maxDelayMs: 4, onRetry: ({ delayMs }) => delays.push(delayMs),
+  }), error);
+  assert.equal(calls, 4);
+  assert.equal(delays.length, 3);
+  delays.forEach((delay, index) => assert.ok(delay >= Math.min(4, 2 ** index) / 2 && delay <= Math.min(4, 2 ** index), `${index}: ${delay}`));
+
+  let attempts = 0;
+  assert.equal(await withRetry(async (attempt) => { attempts = attempt; if (attempt < 2) throw error; return 'ok'; }, { initialDelayMs: 1 }), 'ok');
+  assert.equal(attempts, 2);
+});
+
+test('does not retry errors that are not retryable, or once shouldRetry vetoes it', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => { calls++; throw httpError('bad key', { status: 401 }); }, { initialDelayMs: 1 }), /bad key/);
+  assert.equal(calls, 1);
+
+  calls = 0;
+  const shown = { text: '' };
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    shown.text += 'partial ';
+    throw httpError('reset', { status: 502 });
+  }, { initialDelayMs: 1, shouldRetry: () => !shown.text }), /reset/);
+  assert.equal(calls, 1);
+});
+
+test('gives up at once when the server asks to wait more than five minutes', async () => {
+  let calls = 0;
+  const retries = [];
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw httpError('quota', { status: 429, headers: { 'retry-after': String(6 * 60) } });
+  }, { onRetry: retry => retries.push(retry) }), /quota/);
+  assert.equal(calls, 1);
+  assert.deepEqual(retries, []);
+});
+
+test('uses the retry-after hint instead of the computed backoff', async () => {
+  const delays = [];
+  let calls = 0;
+  await withRetry(async () => {
+    if (calls++ === 0) throw httpError('slow down', { status: 429, headers: { 'retry-after': '0.01' } });
+    return 'ok';
+  }, { initialDelayMs: 5000, onRetry: ({ delayMs, kind }) => delays.push([delayMs, kind]) });
+  assert.deepEqual(delays, [[10, 'rate_limit']]);
+});
+
+test('stops waiting between attempts when the signal fires', async () => {
+  const controller = new AbortController();
+  let calls = 0;
+  const started = Date.now();
+  const pending = withRetry(async () => { calls++; throw httpError('down', { status: 503 }); }, {
+    initialDelayMs: 60000, maxDelayMs: 60000, signal: controller.signal,
+    onRetry: () => setTimeout(() => controller.abort(), 10),
+  });
+  await assert.rejects(pending, error => isAbortError(error) && error.message === 'Cancelled by the user.');
+  assert.equal(calls, 1);
+  assert.ok(Date.now() - started < 5000);
+  await assert.rejects(withRetry(async () => 'never', { signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('abortable rejects when the signal fires and otherwise passes the result through', async () => {
+  assert.equal(await abortable(Promise.resolve(1)), 1);
+  const controller = new AbortController();
+  assert.equal(await abortable(Promise.resolve(2), controller.signal), 2);
+  await assert.rejects(abortable(Promise.reject(new Error('own failure')), controller.signal), /own failure/);
+
+  const never = new Promise(() => {});
+  const pending = abortable(never, controller.signal);
+  controller.abort();
+  await assert.rejects(pending, { name: 'AbortError' });
+  await assert.rejects(abortable(Promise.resolve(3), controller.signal), { name: 'AbortError' });
+  assert.equal(isAbortError({ code: 'ABORT_ERR' }), true);
+  assert.equal(isAbortError(null), false);
+});
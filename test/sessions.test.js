@@ -0,0 +1,59 @@
+// Tests for session names and the session files they point to.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import * as Sessions from '../sessions.js';
+
+async function makeConfigDir(t) {
+  const configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zeno-sessions-'));
+  t.after(() => fs.rm(configDir, { recursive: true, force: true }));
+  const sessionsDir = path.join(configDir, 'sessions');
+  await Sessions.saveSession(sessionsDir, Sessions.createSession('work'));
+  await fs.writeFile(path.join(configDir, 'config.json'), '{}');
+  return { configDir, sessionsDir };
+}
+
+test('sanitizes names into plain file names', () => {
+  assert.equal(Sessions.sanitizeSessionName(' my chat '), 'my_chat');
+  assert.equal(Sessions.sanitizeSessionName('../config'), '_config');
+  assert.equal(Sessions.sanitizeSessionName('..'), null);
+  assert.equal(Sessions.sanitizeSessionName('a..b'), 'a.b');
+  assert.equal(Sessions.sanitizeSessionName('.hidden'), 'hidden');
+  assert.equal(Sessions.sanitizeSessionName(''), null);
+});
+
+test('accepts only names that are already sanitized', () => {
+  assert.equal(Sessions.isValidSessionName('session-20250526-141503'), true);
+  assert.equal(Sessions.isValidSessionName('v1.2_notes'), true);
+  for (const name of ['../config', '..', 'a/b', 'a\\b', '.hidden', 'a..b', 'with space', '', undefined]) {
+    assert.equal(Sessions.isValidSessionName(name), false, String(name));
+  }
+});
+
+test('refuses to delete files outside the sessions folder', async (t) => {
+  const { configDir, sessionsDir } = await makeConfigDir(t);
+  await assert.rejects(Sessions.deleteSession(sessionsDir, '../config'), /Invalid session name/);
+  await assert.rejects(Sessions.deleteSession(sessionsDir, '..\\config'), /Invalid session name/);
+  await fs.access(path.join(configDir, 'config.json'));
+  assert.equal(await Sessions.deleteSession(sessionsDir, 'missing'), false);
+  assert.equal(await Sessions.deleteSession(sessionsDir, 'work'), true);
+});
+
+test('refuses to rename to or from a path outside the sessions folder', async (t) => {
+  const { configDir, sessionsDir } = await makeConfigDir(t);
+  await assert.rejects(Sessions.renameSession(sessionsDir, 'work', '../work'), /Invalid session name/);
+  await assert.rejects(Sessions.renameSession(sessionsDir, '../config', 'stolen'), /Invalid session name/);
+  assert.deepEqual(await fs.readdir(configDir), ['config.json', 'sessions']);
+  await Sessions.renameSession(sessionsDir, 'work', 'play');
+  assert.deepEqual((await Sessions.listSessions(sessionsDir)).map(session => session.name), ['play']);
+});
+
+test('refuses to load or save sessions with unsafe names', async (t) => {
+  const { sessionsDir } = await makeConfigDir(t);
+  await assert.rejects(Sessions.loadSession(sessionsDir, '../config'), /Invalid session name/);
+  await assert.rejects(Sessions.saveSession(sessionsDir, Sessions.createSession('../evil')), /Invalid session name/);
+  assert.equal((await Sessions.loadSession(sessionsDir, 'work')).name, 'work');
+});
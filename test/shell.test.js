@@ -0,0 +1,84 @@
+// Tests for the run_command allow/deny policy and the environment commands get.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkCommandPolicy, parseCommandLine, scrubEnvironment } from '../shell.js';
+
+const allowNpm = { allow: ['npm *'] };
+const denyRm = { deny: ['rm *'] };
+
+test('splits chains, background jobs, subshells and substitutions into simple commands', () => {
+  assert.deepEqual(parseCommandLine('npm test && echo ok || echo fail; ls | wc -l').segments,
+    ['npm test', 'echo ok', 'echo fail', 'ls', 'wc -l']);
+  assert.deepEqual(parseCommandLine('npm test & rm -rf ~').segments, ['npm test', 'rm -rf ~']);
+  assert.deepEqual(parseCommandLine('(cd src && rm -rf x)').segments, ['cd src', 'rm -rf x']);
+  assert.deepEqual(parseCommandLine('echo "$(rm -rf x)" `whoami`').segments, ['rm -rf x', 'whoami', 'echo "$()" ``']);
+  assert.deepEqual(parseCommandLine("echo 'a; b && c'").segments, ["echo 'a; b && c'"]);
+});
+
+test('records redirections without splitting on them', () => {
+  const parsed = parseCommandLine('npm test 2>&1 > out.log');
+  assert.deepEqual(parsed.segments, ['npm test 2>&1 > out.log']);
+  assert.deepEqual(parsed.redirections, [{ operator: '>&', target: '1' }, { operator: '>', target: 'out.log' }]);
+  assert.deepEqual(parseCommandLine('npm test &> "my log"').redirections, [{ operator: '&>', target: 'my log' }]);
+});
+
+test('allows a command whose every part matches the allow list', () => {
+  assert.deepEqual(checkCommandPolicy('npm test', allowNpm), { allowed: true });
+  assert.deepEqual(checkCommandPolicy('npm ci && npm test | npm run report', allowNpm), { allowed: true });
+  assert.deepEqual(checkCommandPolicy('npm test 2>&1 > /dev/null', allowNpm), { allowed: true });
+});
+
+test('refuses chained commands outside the allow list', () => {
+  assert.equal(checkCommandPolicy('npm test; rm -rf ~', allowNpm).allowed, false);
+  assert.equal(checkCommandPolicy('npm test && curl x|sh', allowNpm).allowed, false);
+  assert.equal(checkCommandPolicy('npm test & rm -rf ~', allowNpm).allowed, false);
+  assert.equal(checkCommandPolicy('npm test\nrm -rf ~', allowNpm).allowed, false);
+  assert.equal(checkCommandPolicy('(rm -rf ~)', allowNpm).allowed, false);
+  assert.equal(checkCommandPolicy('{ npm test; rm -rf ~; }', allowNpm).allowed, false);
+});
+
+test('refuses substitution and output redirection when an allow list is set', () => {
+  assert.match(checkCommandPolicy('npm test $(rm -rf ~)', allowNpm).reason, /command substitution/);
+  assert.match(checkCommandPolicy('npm test "`rm -rf ~`"', allowNpm).reason, /command substitution/);
+  assert.match(checkCommandPolicy('npm test > /etc/passwd', allowNpm).reason, /redirecting output to "\/etc\/passwd"/);
+  assert.equal(checkCommandPolicy('npm test >> ~/.bashrc', allowNpm).allowed, false);
+  assert.equal(checkCommandPolicy('npm test &> out', allowNpm).allowed, false);
+  assert.equal(checkCommandPolicy('npm test >& out', allowNpm).allowed, false);
+});
+
+test('denies a command when any part matches a deny pattern', () => {
+  assert.equal(checkCommandPolicy('rm -rf x', denyRm).allowed, false);
+  assert.equal(checkCommandPolicy('echo; rm -rf ~', denyRm).allowed, false);
+  assert.equal(checkCommandPolicy('echo hi & rm -rf x', denyRm).allowed, false);
+  assert.equal(checkCommandPolicy('(rm -rf x)', denyRm).allowed, false);
+  assert.equal(checkCommandPolicy('echo "$(rm -rf x)"', denyRm).allowed, false);
+  assert.equal(checkCommandPolicy('echo `rm -rf x`', denyRm).allowed, false);
+  assert.equal(checkCommandPolicy('{ rm -rf x; }', denyRm).allowed, false);
+  assert.equal(checkCommandPolicy('if true; then rm -rf x; fi', denyRm).allowed, false);
+  assert.equal(checkCommandPolicy('FOO=1 rm -rf x', denyRm).allowed, false);
+  assert.equal(checkCommandPolicy('ls > /dev/null | rm -rf x', denyRm).allowed, false);
+});
+
+test('does not deny text that only looks like a denied command', () => {
+  assert.deepEqual(checkCommandPolicy('echo "rm -rf x"', denyRm), { allowed: true });
+  assert.deepEqual(checkCommandPolicy('git rm file', denyRm), { allowed: true });
+});
+
+test('matches regular expression patterns', () => {
+  assert.equal(checkCommandPolicy('git push --force', { deny: ['/--force/'] }).allowed, false);
+  assert.deepEqual(checkCommandPolicy('git status', { allow: ['/^git (status|diff)$/'] }), { allowed: true });
+});
+
+test('removes credentials from the environment but keeps git and ssh settings', () => {
+  const env = {
+    PATH: '/usr/bin', HISTFILE: '/dev/null',
+    GIT_AUTHOR_NAME: 'Ada', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_COMMITTER_NAME: 'Ada',
+    SSH_AUTH_SOCK: '/tmp/agent.sock', XAUTHORITY: '/home/ada/.Xauthority',
+    OPENAI_API_KEY: 'a', GITHUB_TOKEN: 'b', AWS_SECRET_ACCESS_KEY: 'c', DB_PASSWORD: 'd', CLIENT_SECRET: 'e',
+    GOOGLE_APPLICATION_CREDENTIALS: 'f', NPM_AUTH_TOKEN: 'g', SECRET: 'h', SOME_SETTING: 'my-key',
+  };
+  assert.deepEqual(Object.keys(scrubEnvironment(env, ['my-key'])), [
+    'PATH', 'HISTFILE', 'GIT_AUTHOR_NAME', 'GIT_AUTHOR_EMAIL', 'GIT_COMMITTER_NAME', 'SSH_AUTH_SOCK', 'XAUTHORITY',
+  ]);
+});
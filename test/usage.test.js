@@ -0,0 +1,78 @@
+// Tests for prices, usage totals and the spending cap.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkCap, costOf, findPrice, normalizeCap, periodStart, summarize, DEFAULT_PRICES } from '../usage.js';
+
+// Local times, so the tests hold in any time zone
+const at = (...parts) => new Date(...parts).toISOString();
+const record = (timestamp, fields = {}) => ({
+  timestamp, kind: 'chat', session: 'main', provider: 'openai', model: 'gpt-4o', inputTokens: 1e6, outputTokens: 0, ...fields,
+});
+
+test('finds prices in config.json before the defaults', () => {
+  assert.deepEqual(findPrice({}, 'openai', 'gpt-4o-2024-08-06'), DEFAULT_PRICES['gpt-4o*']);
+  assert.deepEqual(findPrice({}, 'openai', 'gpt-4o-mini'), DEFAULT_PRICES['gpt-4o-mini*']);
+  const prices = { 'gpt-4o*': { input: 5, output: 15 }, 'ollama/llama3*': { input: 1, output: 1 } };
+  assert.deepEqual(findPrice(prices, 'openai', 'gpt-4o'), { input: 5, output: 15 });
+  assert.deepEqual(findPrice(prices, 'ollama', 'llama3.1'), { input: 1, output: 1 });
+  assert.deepEqual(findPrice(prices, 'ollama', 'qwen'), { input: 0, output: 0 });
+  // Malformed entries are skipped rather than pricing everything at NaN
+  assert.deepEqual(findPrice({ 'gpt-4o': { input: 'cheap' } }, 'openai', 'gpt-4o'), DEFAULT_PRICES['gpt-4o*']);
+  assert.equal(findPrice({}, 'gemini', 'some-new-model'), null);
+});
+
+test('prices gemini-2.5-flash-lite at its own rate, not as gemini-2.5-flash', () => {
+  assert.deepEqual(findPrice({}, 'gemini', 'gemini-2.5-flash-lite'), { input: 0.10, output: 0.40 });
+  assert.deepEqual(findPrice({}, 'gemini', 'gemini-2.5-flash-lite-preview-06-17'), { input: 0.10, output: 0.40 });
+  assert.deepEqual(findPrice({}, 'gemini', 'gemini-2.5-flash'), { input: 0.30, output: 2.50 });
+  assert.equal(costOf({ provider: 'gemini', model: 'gemini-2.5-flash-lite', inputTokens: 2e6, outputTokens: 1e6 }, {}), 0.6);
+});
+
+test('adds up records per group and keeps unpriced and estimated requests apart', () => {
+  const records = [
+    record(at(2025, 5, 1, 9), { outputTokens: 1e6 }),
+    record(at(2025, 5, 2, 9), { session: 'other', model: 'mystery', estimated: true }),
+    record(at(2025, 5, 2, 10), { research: '/tmp/research_x' }),
+  ];
+  const [total] = summarize(records);
+  assert.deepEqual({ ...total, cost: Number(total.cost.toFixed(6)) }, {
+    key: 'total', requests: 3, inputTokens: 3e6, outputTokens: 1e6, cost: 15, unpriced: 1, estimated: 1, lastUsed: records[2].timestamp,
+  });
+  assert.deepEqual(summarize(records, { groupBy: 'session' }).map(row => [row.key, row.requests]), [['main', 2], ['other', 1]]);
+  assert.deepEqual(summarize(records, { groupBy: 'research' }).map(row => row.key), ['/tmp/research_x']);
+  assert.deepEqual(summarize(records, { groupBy: 'day' }).map(row => row.key), ['2025-06-02', '2025-06-01']);
+});
+
+test('starts days at local midnight and months on the first', () => {
+  const now = new Date(2025, 2, 1, 0, 30);
+  assert.equal(periodStart('day', now).getTime(), new Date(2025, 2, 1).getTime());
+  assert.equal(periodStart('month', now).getTime(), new Date(2025, 2, 1).getTime());
+  assert.equal(periodStart('month', new Date(2025, 11, 31, 23, 59)).getTime(), new Date(2025, 11, 1).getTime());
+  assert.equal(periodStart('day', new Date(2025, 11, 31, 23, 59)).getTime(), new Date(2025, 11, 31).getTime());
+});
+
+test('counts only spending since local midnight against the daily cap', () => {
+  const now = new Date(2025, 5, 10, 8, 0);
+  const cap = normalizeCap({ daily: 3, action: 'refuse' });
+  const records = [record(at(2025, 5, 9, 23, 59, 59)), record(at(2025, 5, 10, 0, 0, 0))]; // $2.50 each
+  assert.equal(checkCap(records, cap, { now }), null);
+  const next = { provider: 'openai', model: 'gpt-4o', inputTokens: 400000 }; // $1.00
+  assert.deepEqual(checkCap(records, cap, { now, next }), { period: 'day', limit: 3, spent: 2.5, projected: 3.5 });
+});
+
+test('counts spending since the first of the month against the monthly cap', () => {
+  const cap = normalizeCap({ daily: 100, monthly: 4 });
+  const records = [record(at(2025, 4, 31, 23, 0)), record(at(2025, 5, 1, 0, 0)), record(at(2025, 5, 15, 12, 0))];
+  const exceeded = checkCap(records, cap, { now: new Date(2025, 5, 20) });
+  assert.deepEqual(exceeded, { period: 'month', limit: 4, spent: 5, projected: 5 });
+  assert.equal(checkCap(records, cap, { now: new Date(2025, 6, 1, 0, 1) }), null);
+  // Prices from config.json decide what counts as spending
+  assert.equal(checkCap(records, cap, { now: new Date(2025, 5, 20), prices: { 'gpt-4o*': { input: 1, output: 1 } } }), null);
+});
+
+test('reads the spendingCap setting', () => {
+  assert.equal(normalizeCap(undefined), null);
+  assert.equal(normalizeCap({ action: 'refuse' }), null);
+  assert.deepEqual(normalizeCap({ daily: 0, monthly: -1 }), { limits: [{ period: 'day', limit: 0 }], action: 'warn' });
+});
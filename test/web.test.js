@@ -0,0 +1,69 @@
+// Tests for the address checks that keep fetch_url off local and private networks.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import http from 'http';
+
+import { fetchUrl, isPrivateAddress } from '../web.js';
+
+test('treats loopback, private, link-local and reserved addresses as private', () => {
+  for (const address of [
+    '127.0.0.1', '127.1.2.3', '10.0.0.5', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+    '::1', '::', 'fe80::1', 'fc00::1', 'fd00:ec2::254', 'ff02::1',
+    '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:169.254.169.254', '64:ff9b::a9fe:a9fe', '0:0:0:0:0:ffff:a00:1',
+    'not-an-address',
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test('treats public addresses as public', () => {
+  for (const address of ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:2800:220:1:248:1893:25c8:1946', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('refuses to fetch local and private hosts without connecting', async (t) => {
+  let requests = 0;
+  const server = http.createServer((request, response) => { requests++; response.end('secret'); });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  for (const url of [
+    `http://127.0.0.1:${port}/`, `http://localhost:${port}/`, `http://[::1]:${port}/`, `http://2130706433:${port}/`,
+    `http://0x7f.1:${port}/`, 'http://169.254.169.254/latest/meta-data/', 'http://[::ffff:169.254.169.254]/',
+  ]) {
+    assert.match(await fetchUrl(url), /^Error fetching .*local or private network address/, url);
+  }
+  assert.equal(requests, 0);
+});
+
+test('rejects URLs that are not http or https', async () => {
+  assert.match(await fetchUrl('file:///etc/passwd'), /Only http and https/);
+  assert.match(await fetchUrl('not a url'), /not a valid URL/);
+});
+
+test('connects to the address it checked, so a name cannot resolve to a private address afterwards', async (t) => {
+  let requests = 0;
+  const server = http.createServer((request, response) => { requests++; response.end('secret'); });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  // Each answer comes from the stub, as from a name with a zero TTL that changes between lookups
+  const answers = [
+    [{ address: '127.0.0.1', family: 4 }],
+    [{ address: '93.184.216.34', family: 4 }, { address: '169.254.169.254', family: 4 }],
+  ];
+  const lookup = t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    const addresses = answers.shift() || [{ address: '127.0.0.1', family: 4 }];
+    process.nextTick(() => (options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family)));
+  });
+
+  assert.match(await fetchUrl(`http://rebind.test:${port}/`), /rebind\.test \(127\.0\.0\.1\) is a local or private network address/);
+  assert.match(await fetchUrl(`http://rebind.test:${port}/`), /rebind\.test \(169\.254\.169\.254\) is a local or private/);
+  assert.equal(lookup.mock.callCount(), 2); // One lookup per connection, and no second one to connect with
+  assert.equal(requests, 0);
+});
@@ -0,0 +1,244 @@
+// tools.js
+// The tool registry: every tool the model can call (built-in, declared in config.json or served over MCP) is
+// registered here with its declaration, confirmation policy and implementation.
+import * as Shell from './shell.js';
+// Cancellation of running tools
+import { abortable, isAbortError } from './retry.js';
+
+const MAX_TOOL_NAME_LENGTH = 64;
+export const CANCELLED_RESULT = 'Error: Cancelled by the user.';
+
+/**
+ * Creates an empty tool registry.
+ * A tool is { name, declaration, source, readOnly, requiresConfirmation, validateArguments?, isAvailable?, describe?, execute }:
+ * read-only tools run without confirmation (and concurrently); arguments are checked against the declaration unless
+ * validateArguments is false; isAvailable() hides a tool from the model; describe(args) returns extra lines for the
+ * confirmation screen; execute(args, { signal, log }) resolves to the result text, should stop when the signal fires,
+ * and prints status lines through log when one is given.
+ * @returns {object} The registry.
+ */
+export function createToolRegistry() {
+  const tools = new Map();
+
+  const registry = {
+    /**
+     * Adds a tool, replacing any tool of the same name.
+     * @param {object} tool The tool.
+     */
+    register(tool) {
+      tools.set(tool.name, { readOnly: false, requiresConfirmation: !tool.readOnly, ...tool });
+    },
+    /**
+     * Removes every tool registered by a source, e.g. "mcp:github".
+     * @param {string} source The source.
+     */
+    unregisterSource(source) {
+      for (const [name, tool] of tools) {
+        if (tool.source === source) tools.delete(name);
+      }
+    },
+    /**
+     * Looks a tool up by name.
+     * @param {string} name The tool name.
+     * @returns {object|undefined} The tool.
+     */
+    get(name) {
+      return tools.get(name);
+    },
+    /**
+     * Lists the registered tools.
+     * @param {{availableOnly?: boolean}} [options] Only tools the model can currently see.
+     * @returns {Array<object>} The tools, in registration order.
+     */
+    list({ availableOnly = false } = {}) {
+      return [...tools.values()].filter(tool => !availableOnly || !tool.isAvailable || tool.isAvailable());
+    },
+    /**
+     * Builds the tool declarations to give the model.
+     * @returns {Array<{functionDeclarations: Array<object>}>} Gemini-style tools.
+     */
+    getDeclarations() {
+      return [{ functionDeclarations: registry.list({ availableOnly: true }).map(tool => tool.declaration) }];
+    },
+    /**
+     * Tells whether a call needs the user's approval. Unknown tools do not: running them only reports an error.
+     * @param {string} name The tool name.
+     * @returns {boolean} True if the user must confirm.
+     */
+    requiresConfirmation(name) {
+      const tool = tools.get(name);
+      return Boolean(tool && tool.requiresConfirmation);
+    },
+    /**
+     * Tells whether a tool only reads, so it may run concurrently with others.
+     * @param {string} name The tool name.
+     * @returns {boolean} True for read-only tools.
+     */
+    isReadOnly(name) {
+      const tool = tools.get(name);
+      return Boolean(tool && tool.readOnly);
+    },
+    /**
+     * Runs a tool call. Errors are returned as text so the model can react to them.
+     * @param {{name: string, args?: object}} toolCall The call.
+     * @param {{signal?: AbortSignal, log?: function(string): void}} [options] signal cancels the call; tools that cannot stop
+     *   are left running and ignored. log receives the tool's status lines.
+     * @returns {Promise<string>} The result.
+     */
+    async execute(toolCall, { signal, log } = {}) {
+      const tool = tools.get(toolCall.name);
+      if (!tool || (tool.isAvailable && !tool.isAvailable())) return `Error: Unknown tool '${toolCall.name}' requested.`;
+      const args = toolCall.args || {};
+      const problem = tool.validateArguments === false ? null : validateArguments(tool.declaration.parameters, args);
+      if (problem) return `Error: Invalid arguments for ${toolCall.name}: ${problem}`;
+      try {
+        const result = await abortable(Promise.resolve(tool.execute(args, { signal, log })), signal);
+        return typeof result === 'string' ? result : JSON.stringify(result);
+      } catch (error) {
+        if (isAbortError(error)) return CANCELLED_RESULT;
+        return `Error running ${toolCall.name}: ${error.message}`;
+      }
+    },
+    /**
+     * Builds the history entry part that reports a call's outcome to the model.
+     * @param {{name: string}} toolCall The call.
+     * @param {boolean} approved Whether the user approved it.
+     * @param {string} result The result of execute (ignored when denied).
+     * @param {string} [denialReason] Why a denied call was denied, when not by the user.
+     * @returns {{functionResponse: object}} The part.
+     */
+    createResponsePart(toolCall, approved, result, denialReason) {
+      const denial = denialReason ? `Execution denied: ${denialReason}` : "User denied execution of this action.";
+      return { functionResponse: { name: toolCall.name, response: { content: approved ? result : denial } } };
+    },
+  };
+  return registry;
+}
+
+function typeMatches(type, value) {
+  switch (String(type).toLowerCase()) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number';
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+/**
+ * Checks arguments against the top level of a JSON schema: required properties, property types and enums.
+ * @param {object} schema The parameters schema.
+ * @param {object} args The arguments.
+ * @returns {string|null} The first problem found, or null if the arguments look valid.
+ */
+export function validateArguments(schema, args) {
+  if (!schema || typeof schema !== 'object') return null;
+  if (!typeMatches('object', args)) return 'arguments must be an object';
+  for (const name of schema.required || []) {
+    if (args[name] === undefined) return `missing required property "${name}"`;
+  }
+  for (const [name, value] of Object.entries(args)) {
+    const property = (schema.properties || {})[name];
+    if (!property || value === undefined) continue;
+    const types = [].concat(property.type || []);
+    if (types.length > 0 && !types.some(type => typeMatches(type, value))) return `"${name}" must be of type ${types.join(' or ')}`;
+    if (Array.isArray(property.enum) && !property.enum.includes(value)) return `"${name}" must be one of ${property.enum.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Turns a name into a valid tool name (letters, digits, _ and -, at most 64 characters).
+ * @param {string} name The name.
+ * @returns {string} The tool name.
+ */
+export function toToolName(name) {
+  return name.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, MAX_TOOL_NAME_LENGTH);
+}
+
+function shellQuote(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (process.platform === 'win32') return `"${text.replace(/"/g, '""')}"`;
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Creates a tool from a config.json entry. The command runs through the shell with the same limits as run_command;
+ * {{name}} placeholders are replaced by the shell-quoted argument, and all arguments are passed as JSON on stdin
+ * and in the ZENO_TOOL_ARGS environment variable.
+ * @param {string} name The tool name (the key in "tools").
+ * @param {{command: string, description?: string, parameters?: object, confirm?: boolean, readOnly?: boolean,
+ *   timeoutSeconds?: number}} spec The entry.
+ * @param {{getWorkingDirectory: function(): string, getCommandOptions: function(): object}} context Where and how to run it.
+ * @returns {object} The tool.
+ */
+export function createCommandTool(name, spec, { getWorkingDirectory, getCommandOptions }) {
+  if (!spec || typeof spec.command !== 'string' || !spec.command.trim()) throw new Error(`Tool "${name}" needs a "command".`);
+  const toolName = toToolName(name);
+  const readOnly = spec.readOnly === true;
+  const buildCommand = (args) => spec.command.replace(/\{\{\s*([a-zA-Z0-9_-]+)\s*\}\}/g, (match, key) => (args[key] === undefined ? "''" : shellQuote(args[key])));
+
+  return {
+    name: toolName,
+    source: 'config',
+    readOnly,
+    requiresConfirmation: spec.confirm !== undefined ? spec.confirm !== false : !readOnly,
+    declaration: {
+      name: toolName,
+      description: spec.description || `Runs: ${spec.command}`,
+      parameters: spec.parameters || { type: 'object', properties: {} },
+    },
+    describe: (args) => [`Command: ${buildCommand(args)}`, `In directory: ${getWorkingDirectory()}`],
+    async execute(args, { signal } = {}) {
+      const options = getCommandOptions();
+      const argsJson = JSON.stringify(args);
+      const { stdout, stderr, exitCode, timedOut, aborted, error } = await Shell.runCommand(buildCommand(args), {
+        ...options,
+        cwd: getWorkingDirectory(),
+        timeoutSeconds: spec.timeoutSeconds || options.timeoutSeconds,
+        input: argsJson,
+        extraEnv: { ZENO_TOOL_ARGS: argsJson },
+        signal,
+      });
+      if (error) throw error;
+      if (aborted) return CANCELLED_RESULT;
+      if (timedOut) return `Error: ${toolName} timed out and was killed.${stdout ? `\nPartial output:\n${stdout}` : ''}`;
+      if (exitCode !== 0) return `Error: ${toolName} exited with code ${exitCode}.\n${stderr || stdout}`.trim();
+      return stdout.trim() || stderr.trim() || `${toolName} completed with no output.`;
+    },
+  };
+}
+
+/**
+ * Creates tools for everything an MCP server offers. Tool names are prefixed with the server name.
+ * @param {object} client A connected client from mcp.js.
+ * @param {Array<object>} serverTools The result of client.listTools().
+ * @param {{confirm?: boolean, autoApprove?: string[]}} spec The server's config entry: confirm defaults to true;
+ *   tools listed in autoApprove never ask.
+ * @returns {Array<object>} The tools.
+ */
+export function createMcpTools(client, serverTools, spec = {}) {
+  const autoApprove = new Set(spec.autoApprove || []);
+  return serverTools.map((serverTool) => {
+    const toolName = toToolName(`${client.name}__${serverTool.name}`);
+    return {
+      name: toolName,
+      source: `mcp:${client.name}`,
+      readOnly: false,
+      requiresConfirmation: spec.confirm !== false && !autoApprove.has(serverTool.name),
+      declaration: {
+        name: toolName,
+        description: `${serverTool.description || serverTool.name} (from MCP server "${client.name}")`,
+        parameters: serverTool.inputSchema || { type: 'object', properties: {} },
+      },
+      describe: () => [`MCP server: ${client.name}, tool: ${serverTool.name}`],
+      async execute(args) {
+        const { text, isError } = await client.callTool(serverTool.name, args);
+        return isError ? `Error: ${text}` : (text || `${serverTool.name} completed with no output.`);
+      },
+    };
+  });
+}
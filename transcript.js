@@ -0,0 +1,218 @@
+// transcript.js
+// Exports conversations as Markdown, JSON or HTML, and reads exported JSON back for /import.
+// The JSON form is { format: 'zeno-transcript', version, exportedAt, session, provider, model, workingDirectory, history },
+// where history is the chat history as Zeno stores it (Gemini contents, optionally with a timestamp per message).
+
+export const TRANSCRIPT_FORMAT = 'zeno-transcript';
+const TRANSCRIPT_VERSION = 1;
+export const EXPORT_FORMATS = ['md', 'json', 'html'];
+const ROLE_LABELS = { user: 'User', model: 'Zeno', function: 'Tool results' };
+const VALID_ROLES = new Set(Object.keys(ROLE_LABELS));
+
+/**
+ * Picks an export format from a file name: .json and .html/.htm map to themselves, anything else is Markdown.
+ * @param {string} filePath The target file.
+ * @returns {string} One of EXPORT_FORMATS.
+ */
+export function formatForFile(filePath) {
+  const extension = filePath.toLowerCase().split('.').pop();
+  if (extension === 'json') return 'json';
+  if (extension === 'html' || extension === 'htm') return 'html';
+  return 'md';
+}
+
+/**
+ * Collects a conversation and its context into an exportable transcript.
+ * @param {{name: string, title?: string, createdAt?: string, updatedAt?: string}} session The session.
+ * @param {Array<object>} history The chat history.
+ * @param {{provider: string, model: string, workingDirectory: string|null}} context What the conversation ran with.
+ * @returns {object} The transcript.
+ */
+export function createTranscript(session, history, { provider, model, workingDirectory }) {
+  return {
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: { name: session.name, title: session.title || '', createdAt: session.createdAt || null, updatedAt: session.updatedAt || null },
+    provider,
+    model,
+    workingDirectory,
+    history,
+  };
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function stringifyResult(functionResponse) {
+  const response = functionResponse.response || {};
+  return typeof response.content === 'string' ? response.content : JSON.stringify(response, null, 2);
+}
+
+function fenceFor(text, language = '') {
+  const fence = '`'.repeat(Math.max(3, ...[...text.matchAll(/`{3,}/g)].map(match => match[0].length + 1)));
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+function describeReference(reference) {
+  return `${reference.path} (${reference.mimeType})`;
+}
+
+/**
+ * Renders a transcript as Markdown. Tool calls and results are shown as code blocks.
+ * @param {object} transcript A result of createTranscript.
+ * @returns {string} The Markdown document.
+ */
+export function toMarkdown(transcript) {
+  const lines = [
+    `# ${transcript.session.title || `Zeno session "${transcript.session.name}"`}`,
+    '',
+    `- **Session:** ${transcript.session.name}`,
+    `- **Model:** ${transcript.model} (${transcript.provider})`,
+  ];
+  if (transcript.workingDirectory) lines.push(`- **Working directory:** ${transcript.workingDirectory}`);
+  if (transcript.session.createdAt) lines.push(`- **Started:** ${formatTime(transcript.session.createdAt)}`);
+  lines.push(`- **Exported:** ${formatTime(transcript.exportedAt)}`, '');
+
+  for (const content of transcript.history) {
+    const time = content.timestamp ? ` · ${formatTime(content.timestamp)}` : '';
+    lines.push(`## ${ROLE_LABELS[content.role] || content.role}${time}`, '');
+    for (const part of content.parts || []) {
+      if (part.text) lines.push(part.text, '');
+      else if (part.functionCall) lines.push(`**Tool call: \`${part.functionCall.name}\`**`, '', fenceFor(JSON.stringify(part.functionCall.args || {}, null, 2), 'json'), '');
+      else if (part.functionResponse) lines.push(`**Result of \`${part.functionResponse.name}\`:**`, '', fenceFor(stringifyResult(part.functionResponse)), '');
+      else if (part.fileReference) lines.push(`*Attached: ${describeReference(part.fileReference)}*`, '');
+      else if (part.inlineData) lines.push(`*Attached ${part.inlineData.mimeType} data*`, '');
+    }
+  }
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+body { font-family: system-ui, sans-serif; max-width: 900px; margin: 2em auto; padding: 0 1em; color: #222; }
+header dl { display: grid; grid-template-columns: max-content 1fr; gap: .2em 1em; color: #555; }
+header dt { font-weight: 600; }
+.message { border-left: 4px solid #ccc; margin: 1.2em 0; padding: .2em 1em; }
+.message.user { border-color: #2e9e44; }
+.message.model { border-color: #2f6fde; }
+.message.function { border-color: #b58900; }
+.role { font-weight: 600; }
+.time { color: #888; font-size: .85em; margin-left: .5em; }
+.text { white-space: pre-wrap; }
+details { margin: .5em 0; background: #f6f6f6; border-radius: 4px; padding: .3em .6em; }
+summary { cursor: pointer; }
+pre { white-space: pre-wrap; overflow-x: auto; }
+`;
+
+/**
+ * Renders a transcript as a standalone HTML page. Tool calls and results are collapsible.
+ * @param {object} transcript A result of createTranscript.
+ * @returns {string} The HTML document.
+ */
+export function toHtml(transcript) {
+  const title = transcript.session.title || `Zeno session "${transcript.session.name}"`;
+  const metadata = [
+    ['Session', transcript.session.name],
+    ['Model', `${transcript.model} (${transcript.provider})`],
+    ['Working directory', transcript.workingDirectory],
+    ['Started', formatTime(transcript.session.createdAt)],
+    ['Exported', formatTime(transcript.exportedAt)],
+  ].filter(([, value]) => value);
+
+  const messages = transcript.history.map((content) => {
+    const parts = (content.parts || []).map((part) => {
+      if (part.text) return `<div class="text">${escapeHtml(part.text)}</div>`;
+      if (part.functionCall) {
+        return `<details><summary>Tool call: <code>${escapeHtml(part.functionCall.name)}</code></summary><pre>${escapeHtml(JSON.stringify(part.functionCall.args || {}, null, 2))}</pre></details>`;
+      }
+      if (part.functionResponse) {
+        return `<details><summary>Result of <code>${escapeHtml(part.functionResponse.name)}</code></summary><pre>${escapeHtml(stringifyResult(part.functionResponse))}</pre></details>`;
+      }
+      if (part.fileReference) return `<div class="text"><em>Attached: ${escapeHtml(describeReference(part.fileReference))}</em></div>`;
+      if (part.inlineData) return `<div class="text"><em>Attached ${escapeHtml(part.inlineData.mimeType)} data</em></div>`;
+      return '';
+    }).join('\n');
+    const time = content.timestamp ? `<span class="time">${escapeHtml(formatTime(content.timestamp))}</span>` : '';
+    return `<section class="message ${escapeHtml(content.role)}"><div><span class="role">${escapeHtml(ROLE_LABELS[content.role] || content.role)}</span>${time}</div>\n${parts}</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<dl>${metadata.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>
+</header>
+<main>
+${messages.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a transcript in one of EXPORT_FORMATS.
+ * @param {object} transcript A result of createTranscript.
+ * @param {string} format 'md', 'json' or 'html'.
+ * @returns {string} The file content.
+ */
+export function renderTranscript(transcript, format) {
+  if (format === 'json') return `${JSON.stringify(transcript, null, 2)}\n`;
+  if (format === 'html') return toHtml(transcript);
+  return toMarkdown(transcript);
+}
+
+function isValidPart(part) {
+  return part !== null && typeof part === 'object' &&
+    (typeof part.text === 'string' || Boolean(part.functionCall && typeof part.functionCall.name === 'string') ||
+      Boolean(part.functionResponse && typeof part.functionResponse.name === 'string') ||
+      Boolean(part.fileReference && typeof part.fileReference.path === 'string'));
+}
+
+/**
+ * Reads an exported JSON transcript. Saved session files are accepted too.
+ * @param {string} json The file content.
+ * @returns {{session: object, provider: string|null, model: string|null, workingDirectory: string|null, history: Array<object>}}
+ *   The transcript.
+ * @throws {Error} If the content is not a transcript or its history is malformed.
+ */
+export function parseTranscript(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.history)) {
+    throw new Error('Not a Zeno transcript: expected an object with a "history" array (export one with /export <file>.json).');
+  }
+  if (data.format === TRANSCRIPT_FORMAT && data.version > TRANSCRIPT_VERSION) {
+    throw new Error(`Transcript version ${data.version} is newer than this version of Zeno supports.`);
+  }
+  data.history.forEach((content, index) => {
+    if (!content || !VALID_ROLES.has(content.role) || !Array.isArray(content.parts) || !content.parts.every(isValidPart)) {
+      throw new Error(`Message ${index + 1} of the transcript is malformed.`);
+    }
+  });
+
+  // Session files keep name and title at the top level; transcripts keep them under "session"
+  const session = data.format === TRANSCRIPT_FORMAT ? data.session || {} : data;
+  return {
+    session: { name: session.name || null, title: session.title || '', createdAt: session.createdAt || null },
+    provider: data.provider || null,
+    model: data.model || null,
+    workingDirectory: data.workingDirectory || null,
+    history: data.history,
+  };
+}
@@ -0,0 +1,183 @@
+// usage.js
+// The usage ledger: one JSON line per model request in usage.jsonl in the config directory, with the tokens it used,
+// plus price tables for turning tokens into cost and the optional spending cap.
+// A record is { timestamp, kind, session, provider, model, inputTokens, outputTokens, estimated?, turn?, step?, research? }.
+import fs from 'fs/promises';
+import path from 'path';
+
+// Pattern matching shared with the run_command policy
+import { matchesPattern } from './shell.js';
+
+export const LEDGER_FILE_NAME = 'usage.jsonl';
+export const GROUPINGS = ['day', 'session', 'model', 'research'];
+
+// USD per million tokens, matched against the model name (or "provider/model"). Prices change: override or extend
+// them with "prices" in config.json, which is checked first. The first matching pattern wins, so narrower patterns
+// come before the wider ones that also cover them.
+export const DEFAULT_PRICES = {
+  'gemini-2.5-pro*': { input: 1.25, output: 10 },
+  'gemini-2.5-flash-lite*': { input: 0.10, output: 0.40 },
+  'gemini-2.5-flash*': { input: 0.30, output: 2.50 },
+  'gpt-4o-mini*': { input: 0.15, output: 0.60 },
+  'gpt-4o*': { input: 2.50, output: 10 },
+  'ollama/*': { input: 0, output: 0 },
+  'llamacpp/*': { input: 0, output: 0 },
+};
+
+/**
+ * Appends a record to the ledger.
+ * @param {string} ledgerFile Path to usage.jsonl.
+ * @param {object} record The record.
+ */
+export async function appendRecord(ledgerFile, record) {
+  await fs.mkdir(path.dirname(ledgerFile), { recursive: true });
+  await fs.appendFile(ledgerFile, `${JSON.stringify(record)}\n`);
+}
+
+/**
+ * Reads every record in the ledger. Lines that are not valid records are skipped.
+ * @param {string} ledgerFile Path to usage.jsonl.
+ * @returns {Promise<Array<object>>} The records, oldest first; empty if there is no ledger yet.
+ */
+export async function readLedger(ledgerFile) {
+  let data;
+  try {
+    data = await fs.readFile(ledgerFile, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const records = [];
+  for (const line of data.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record && typeof record.timestamp === 'string') records.push(record);
+    } catch {
+      // A line cut short by a crash; the rest of the ledger is still good
+    }
+  }
+  return records;
+}
+
+/**
+ * Finds the price of a model.
+ * @param {object} prices Prices from config.json, keyed by model pattern.
+ * @param {string} provider The provider name, e.g. "openai".
+ * @param {string} model The model name.
+ * @returns {{input: number, output: number}|null} USD per million tokens, or null if the model has no price.
+ */
+export function findPrice(prices, provider, model) {
+  for (const table of [prices || {}, DEFAULT_PRICES]) {
+    for (const [pattern, price] of Object.entries(table)) {
+      if (!price || typeof price.input !== 'number' || typeof price.output !== 'number') continue;
+      if (matchesPattern(model, pattern) || matchesPattern(`${provider}/${model}`, pattern)) return price;
+    }
+  }
+  return null;
+}
+
+/**
+ * Works out what some tokens cost.
+ * @param {{provider: string, model: string, inputTokens: number, outputTokens: number}} usage The usage.
+ * @param {object} prices Prices from config.json.
+ * @returns {number|null} The cost in USD, or null if the model has no price.
+ */
+export function costOf(usage, prices) {
+  const price = findPrice(prices, usage.provider, usage.model);
+  if (!price) return null;
+  return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+}
+
+function localDay(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function groupKey(record, groupBy) {
+  if (groupBy === 'day') return localDay(record.timestamp);
+  if (groupBy === 'session') return record.session || '(one-shot)';
+  if (groupBy === 'model') return `${record.provider}/${record.model}`;
+  if (groupBy === 'research') return record.research || null;
+  return 'total';
+}
+
+/**
+ * Adds up records, optionally grouped.
+ * @param {Array<object>} records Ledger records.
+ * @param {{groupBy?: string, prices?: object}} [options] One of GROUPINGS (records without a research run are left out
+ *   of 'research'); without it everything is one group.
+ * @returns {Array<{key: string, requests: number, inputTokens: number, outputTokens: number, cost: number,
+ *   unpriced: number, estimated: number, lastUsed: string}>} One row per group, most recently used first; cost covers
+ *   the priced requests, unpriced and estimated count the others.
+ */
+export function summarize(records, { groupBy, prices } = {}) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = groupKey(record, groupBy);
+    if (key === null) continue;
+    const row = groups.get(key) || { key, requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0, estimated: 0, lastUsed: record.timestamp };
+    row.requests++;
+    row.inputTokens += record.inputTokens || 0;
+    row.outputTokens += record.outputTokens || 0;
+    const cost = costOf(record, prices);
+    if (cost === null) row.unpriced++;
+    else row.cost += cost;
+    if (record.estimated) row.estimated++;
+    if (record.timestamp > row.lastUsed) row.lastUsed = record.timestamp;
+    groups.set(key, row);
+  }
+  return [...groups.values()].sort((a, b) => b.lastUsed.localeCompare(a.lastUsed));
+}
+
+/**
+ * Returns when a spending period began.
+ * @param {'day'|'month'} period The period.
+ * @param {Date} [now] The current time.
+ * @returns {Date} Local midnight today, or on the first of this month.
+ */
+export function periodStart(period, now = new Date()) {
+  return period === 'month' ? new Date(now.getFullYear(), now.getMonth(), 1) : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+/**
+ * Reads the "spendingCap" setting: { daily?: USD, monthly?: USD, action?: 'warn'|'refuse' }.
+ * @param {any} cap The setting.
+ * @returns {{limits: Array<{period: 'day'|'month', limit: number}>, action: 'warn'|'refuse'}|null} The cap, or null if none is set.
+ */
+export function normalizeCap(cap) {
+  if (!cap || typeof cap !== 'object') return null;
+  const limits = [['day', cap.daily], ['month', cap.monthly]]
+    .filter(([, limit]) => typeof limit === 'number' && limit >= 0)
+    .map(([period, limit]) => ({ period, limit }));
+  if (limits.length === 0) return null;
+  return { limits, action: cap.action === 'refuse' ? 'refuse' : 'warn' };
+}
+
+/**
+ * Checks whether a request would take spending over the cap.
+ * @param {Array<object>} records Ledger records.
+ * @param {object} cap A result of normalizeCap.
+ * @param {{prices?: object, next?: {provider: string, model: string, inputTokens: number}, now?: Date}} [options] next
+ *   is the request about to be sent; its input tokens count towards the cap. now places the periods (default: now).
+ * @returns {{period: string, limit: number, spent: number, projected: number}|null} The first limit the request would
+ *   exceed, or null if it fits.
+ */
+export function checkCap(records, cap, { prices, next, now = new Date() } = {}) {
+  for (const { period, limit } of cap.limits) {
+    const since = periodStart(period, now).toISOString();
+    const spent = summarize(records.filter(record => record.timestamp >= since), { prices }).reduce((sum, row) => sum + row.cost, 0);
+    const projected = spent + (next ? costOf({ ...next, outputTokens: 0 }, prices) || 0 : 0);
+    if (projected > limit) return { period, limit, spent, projected };
+  }
+  return null;
+}
+
+/**
+ * Formats a cost, with more decimals for small amounts.
+ * @param {number} cost USD.
+ * @returns {string} E.g. "$1.25" or "$0.0031".
+ */
+export function formatCost(cost) {
+  return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
@@ -0,0 +1,401 @@
+// web.js
+import fs from 'fs/promises';
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+
+const DEFAULT_MAX_RESULTS = 8;
+const DEFAULT_FETCH_MAX_LENGTH = 20000;
+const MAX_FETCH_MAX_LENGTH = 100000;
+const MAX_DOWNLOAD_BYTES = 5 * 1024 * 1024;
+const REQUEST_TIMEOUT_MS = 20000;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'Mozilla/5.0 (compatible; ZenoCLI/1.0; +https://github.com/nic-wq/zeno-cli)';
+
+// --- Search Backends ---
+// Every backend resolves to { results: [{ title, url, snippet }], summary? } and throws on failure.
+export const SEARCH_BACKENDS = ['pollinations', 'searxng', 'brave', 'local'];
+
+/**
+ * Pulls links out of free-form text: Markdown links first, then bare URLs.
+ * @param {string} text The text.
+ * @returns {Array<{title: string, url: string}>} The links, without duplicates.
+ */
+export function extractSources(text) {
+  const sources = new Map();
+  for (const match of text.matchAll(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g)) {
+    if (!sources.has(match[2])) sources.set(match[2], match[1].trim());
+  }
+  for (const match of text.matchAll(/https?:\/\/[^\s)\]>"'<]+/g)) {
+    const url = match[0].replace(/[.,;:]+$/, '');
+    if (sources.has(url)) continue;
+    try {
+      sources.set(url, new URL(url).hostname);
+    } catch {
+      // Not a parseable URL after all
+    }
+  }
+  return [...sources].map(([url, title]) => ({ title, url }));
+}
+
+// Ends a request after REQUEST_TIMEOUT_MS, or earlier if the caller's signal fires
+function requestSignal(signal) {
+  const timeout = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+  if (!signal) return timeout;
+  const controller = new AbortController();
+  for (const source of [timeout, signal]) {
+    if (source.aborted) controller.abort(source.reason);
+    else source.addEventListener('abort', () => controller.abort(source.reason), { once: true });
+  }
+  return controller.signal;
+}
+
+async function fetchWithTimeout(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'User-Agent': USER_AGENT, ...(options.headers || {}) },
+    signal: requestSignal(options.signal),
+  });
+  if (!response.ok) throw new Error(`${new URL(url).hostname} responded with status ${response.status}`);
+  return response;
+}
+
+// The original backend: a search-augmented model endpoint that answers with prose rather than a result list.
+function searchPollinations(query, signal) {
+  const url = `https://text.pollinations.ai/prompt/${encodeURIComponent(query)}?model=searchgpt`;
+  const combined = requestSignal(signal);
+  return new Promise((resolve, reject) => {
+    https.get(url, { headers: { 'User-Agent': USER_AGENT }, signal: combined }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve({ summary: data, results: extractSources(data).map(source => ({ ...source, snippet: '' })) });
+        } else {
+          reject(new Error(`Failed to fetch search results. Status: ${res.statusCode}`));
+        }
+      });
+      res.on('error', (err) => reject(err));
+    }).on('error', (err) => {
+      if (signal && signal.aborted) reject(err);
+      else if (combined.aborted) reject(new Error(`The web search service did not answer within ${REQUEST_TIMEOUT_MS / 1000}s.`));
+      else reject(new Error(`Could not connect to the web search service. ${err.message}`));
+    });
+  });
+}
+
+async function searchSearxng(query, settings, limit, signal) {
+  if (!settings.baseUrl) throw new Error('SearXNG needs "search.searxng.baseUrl" in config.json.');
+  const url = `${settings.baseUrl.replace(/\/+$/, '')}/search?q=${encodeURIComponent(query)}&format=json`;
+  const data = await (await fetchWithTimeout(url, { headers: { Accept: 'application/json' }, signal })).json();
+  return {
+    results: (data.results || []).slice(0, limit).map(result => ({ title: result.title || result.url, url: result.url, snippet: result.content || '' })),
+  };
+}
+
+async function searchBrave(query, settings, limit, signal) {
+  if (!settings.apiKey) throw new Error('Brave Search needs "search.brave.apiKey" in config.json.');
+  const url = `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(query)}&count=${limit}`;
+  const data = await (await fetchWithTimeout(url, {
+    headers: { Accept: 'application/json', 'X-Subscription-Token': settings.apiKey },
+    signal,
+  })).json();
+  const results = (data.web && data.web.results) || [];
+  return {
+    results: results.slice(0, limit).map(result => ({ title: result.title, url: result.url, snippet: htmlToText(result.description || '') })),
+  };
+}
+
+// Offline stand-in: ranks entries of a local JSON file ([{ title, url, snippet }]) by how many query words they contain.
+async function searchLocal(query, settings, limit) {
+  if (!settings.indexFile) throw new Error('The local search backend needs "search.local.indexFile" in config.json.');
+  const entries = JSON.parse(await fs.readFile(settings.indexFile, 'utf-8'));
+  const words = query.toLowerCase().split(/\W+/).filter(word => word.length > 1);
+  return {
+    results: entries
+      .map(entry => {
+        const haystack = `${entry.title || ''} ${entry.snippet || entry.content || ''}`.toLowerCase();
+        return { entry, score: words.filter(word => haystack.includes(word)).length };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ entry }) => ({ title: entry.title || entry.url, url: entry.url, snippet: entry.snippet || entry.content || '' })),
+  };
+}
+
+/**
+ * Runs a web search with the backend selected in config.
+ * @param {string} query The search query.
+ * @param {{backend?: string, maxResults?: number, searxng?: object, brave?: object, local?: object}} [searchConfig] The "search" section of config.json.
+ * @param {{signal?: AbortSignal}} [options] signal cancels the request; it also gives up after REQUEST_TIMEOUT_MS.
+ * @returns {Promise<{backend: string, results: Array<{title: string, url: string, snippet: string}>, summary?: string}>} Structured results.
+ */
+export async function search(query, searchConfig = {}, { signal } = {}) {
+  const backend = searchConfig.backend || 'pollinations';
+  const limit = searchConfig.maxResults || DEFAULT_MAX_RESULTS;
+  let response;
+  switch (backend) {
+    case 'pollinations': response = await searchPollinations(query, signal); break;
+    case 'searxng': response = await searchSearxng(query, searchConfig.searxng || {}, limit, signal); break;
+    case 'brave': response = await searchBrave(query, searchConfig.brave || {}, limit, signal); break;
+    case 'local': response = await searchLocal(query, searchConfig.local || {}, limit); break;
+    default: throw new Error(`Unknown search backend "${backend}". Available: ${SEARCH_BACKENDS.join(', ')}`);
+  }
+  return { backend, ...response };
+}
+
+/**
+ * Formats search results as text for the model.
+ * @param {string} query The search query.
+ * @param {{backend: string, results: Array<object>, summary?: string}} response The search response.
+ * @returns {string} The formatted results.
+ */
+export function formatSearchResults(query, response) {
+  const lines = [`Search results for "${query}" (via ${response.backend}):`];
+  if (response.summary) lines.push('', response.summary.trim());
+  if (response.results.length > 0) {
+    lines.push('');
+    response.results.forEach((result, index) => {
+      lines.push(`${index + 1}. ${result.title}`, `   ${result.url}`);
+      if (result.snippet) lines.push(`   ${result.snippet.replace(/\s+/g, ' ').trim()}`);
+    });
+    lines.push('', 'Use fetch_url to read a page in full.');
+  } else if (!response.summary) {
+    lines.push('No results found.');
+  }
+  return lines.join('\n');
+}
+
+// --- HTML to Text ---
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', copy: '©', reg: '®', laquo: '«', raquo: '»', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ''));
+}
+
+function htmlToText(html) {
+  return stripTags(html).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Converts an HTML page to readable Markdown-ish text: headings, paragraphs, lists, links, code and simple tables.
+ * Scripts, styles and page chrome (nav, header, footer, aside) are dropped; <main> or <article> is preferred when present.
+ * @param {string} html The page source.
+ * @param {string} [baseUrl] URL of the page, used to resolve relative links.
+ * @returns {{title: string, text: string}} The page title and its text.
+ */
+export function htmlToMarkdown(html, baseUrl) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? htmlToText(titleMatch[1]) : '';
+
+  let body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|svg|head|template|iframe|form)\b[\s\S]*?<\/\1>/gi, '');
+  const main = body.match(/<(main|article)\b[^>]*>([\s\S]*?)<\/\1>/i);
+  if (main) body = main[2];
+  body = body.replace(/<(nav|header|footer|aside)\b[\s\S]*?<\/\1>/gi, '');
+
+  const codeBlocks = [];
+  body = body.replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (match, code) => {
+    codeBlocks.push(stripTags(code.replace(/<br\s*\/?>/gi, '\n')));
+    return `\n\n\u0000${codeBlocks.length - 1}\u0000\n\n`;
+  });
+
+  body = body
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, text) => `\n\n${'#'.repeat(Number(level))} ${htmlToText(text)}\n\n`)
+    .replace(/<a\b[^>]*href\s*=\s*["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, text) => {
+      const label = htmlToText(text);
+      if (!label) return '';
+      if (!href || href.startsWith('#') || href.startsWith('javascript:')) return label;
+      let absolute = href;
+      try { absolute = new URL(decodeEntities(href), baseUrl).href; } catch { /* keep as written */ }
+      return `[${label}](${absolute})`;
+    })
+    .replace(/<img\b[^>]*alt\s*=\s*["']([^"']+)["'][^>]*>/gi, ' $1 ')
+    .replace(/<(strong|b)\b[^>]*>([\s\S]*?)<\/\1>/gi, '**$2**')
+    .replace(/<(em|i)\b[^>]*>([\s\S]*?)<\/\1>/gi, '_$2_')
+    .replace(/<code\b[^>]*>([\s\S]*?)<\/code>/gi, '`$1`')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/t[dh]>\s*/gi, ' | ')
+    .replace(/<tr\b[^>]*>/gi, '\n| ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|ul|ol|table|tbody|thead|blockquote|dl|dt|dd|figure|figcaption)\b[^>]*>/gi, '\n\n');
+
+  const text = stripTags(body)
+    .split('\n')
+    .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => `\`\`\`\n${codeBlocks[Number(index)].replace(/^\n+|\n+$/g, '')}\n\`\`\``)
+    .trim();
+  return { title, text };
+}
+
+// --- Fetch Page ---
+// Addresses fetch_url never connects to: loopback, private networks, link-local (cloud metadata endpoints such as
+// 169.254.169.254 and fd00:ec2::254 included), carrier-grade NAT, multicast and reserved ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10],
+  ['fec0::', 10], ['ff00::', 8],
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+
+// IPv6 forms that carry an IPv4 address: mapped (::ffff:a.b.c.d), compatible (::a.b.c.d) and NAT64 (64:ff9b::a.b.c.d)
+function embeddedIPv4(address) {
+  const parts = address.toLowerCase().match(/^(::ffff:|::|64:ff9b::)([0-9a-f:.]+)$/);
+  if (!parts) return null;
+  if (net.isIPv4(parts[2])) return parts[2];
+  const hex = parts[2].match(/^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (!hex) return null;
+  const high = parseInt(hex[1], 16);
+  const low = parseInt(hex[2], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+/**
+ * Tells whether an IP address is one fetch_url must not reach: anything that is not a public unicast address.
+ * @param {string} address An IPv4 or IPv6 address.
+ * @returns {boolean} True if the address is loopback, private, link-local or otherwise not public.
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true; // Not an address at all
+  if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  const ipv4 = embeddedIPv4(address);
+  if (ipv4) return BLOCKED_ADDRESSES.check(ipv4, 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, 'ipv6');
+}
+
+function privateAddressError(host, address) {
+  return new Error(`${host}${address === host ? '' : ` (${address})`} is a local or private network address, which fetch_url does not reach.`);
+}
+
+// Used as the connection's lookup, so the socket goes to the very address that was checked: resolving once for the
+// check and again for the connection would let a name answer differently the second time.
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) return callback(privateAddressError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function requestOnce(url, headers, signal) {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  // Addresses written into the URL are never looked up, so they are checked here
+  if (net.isIP(host) && isPrivateAddress(host)) return Promise.reject(privateAddressError(host, host));
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, { headers, signal, lookup: lookupPublicAddress }, resolve);
+    request.on('error', reject);
+  });
+}
+
+// Follows redirects by hand so that every hop is checked before it is requested
+async function fetchPublicUrl(url, options) {
+  const signal = requestSignal(options.signal);
+  const headers = { 'User-Agent': USER_AGENT, ...(options.headers || {}) };
+  let current = url;
+  for (let redirects = 0; ; redirects++) {
+    const response = await requestOnce(current, headers, signal);
+    const location = response.headers.location;
+    if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+      response.destroy();
+      if (redirects >= MAX_REDIRECTS) throw new Error(`stopped after ${MAX_REDIRECTS} redirects`);
+      current = new URL(location, current);
+      if (current.protocol !== 'http:' && current.protocol !== 'https:') throw new Error(`redirected to a ${current.protocol} URL`);
+      continue;
+    }
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.destroy();
+      throw new Error(`${current.hostname} responded with status ${response.statusCode}`);
+    }
+    return { response, finalUrl: current.href };
+  }
+}
+
+async function readLimited(response) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > MAX_DOWNLOAD_BYTES) {
+      response.destroy();
+      throw new Error(`Page is larger than ${MAX_DOWNLOAD_BYTES / (1024 * 1024)}MB.`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Downloads a web page and returns its readable text. Hosts that resolve to a local or private address are refused,
+ * including when a redirect leads there.
+ * @param {string} url The http(s) URL to fetch.
+ * @param {number} [maxLength] Maximum number of characters to return.
+ * @param {{signal?: AbortSignal}} [options] signal cancels the download.
+ * @returns {Promise<string>} The page as text (with a truncation notice if cut), or an error message.
+ */
+export async function fetchUrl(url, maxLength, { signal } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return `Error: "${url}" is not a valid URL.`;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return "Error: Only http and https URLs can be fetched.";
+  }
+  const limit = Math.min(Math.max(parseInt(maxLength, 10) || DEFAULT_FETCH_MAX_LENGTH, 500), MAX_FETCH_MAX_LENGTH);
+
+  try {
+    const { response, finalUrl } = await fetchPublicUrl(parsed, {
+      headers: { Accept: 'text/html,application/xhtml+xml,text/plain,application/json;q=0.9,*/*;q=0.5' },
+      signal,
+    });
+    const contentType = (response.headers['content-type'] || '').toLowerCase();
+    const body = await readLimited(response);
+
+    let title = '';
+    let text;
+    if (contentType.includes('html') || (!contentType && /<html[\s>]/i.test(body))) {
+      ({ title, text } = htmlToMarkdown(body, finalUrl));
+    } else if (contentType.includes('json')) {
+      try { text = JSON.stringify(JSON.parse(body), null, 2); } catch { text = body; }
+    } else if (contentType.startsWith('text/') || contentType.includes('xml') || !contentType) {
+      text = body;
+    } else {
+      return `Error: Cannot read content of type "${contentType}" from ${finalUrl}.`;
+    }
+
+    let notice = '';
+    if (text.length > limit) {
+      notice = `\n\n[Content truncated at ${limit} of ${text.length} characters.]`;
+      text = text.slice(0, limit);
+    }
+    return `${title ? `Title: ${title}\n` : ''}URL: ${finalUrl}\n\n${text}${notice}`;
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || (error.cause && error.cause.name === 'TimeoutError');
+    const reason = timedOut ? `timed out after ${REQUEST_TIMEOUT_MS / 1000}s` : error.message;
+    return `Error fetching "${parsed.href}": ${reason}`;
+  }
+}
@@ -1,47 +1,116 @@
 #!/usr/bin/env node
 
-import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from "@google/generative-ai";
 import readline from "readline/promises";
 import fs from "fs/promises";
 import path from "path";
 import os from "os";
 import chalk from "chalk";
 import { stdin as input, stdout as output } from 'process';
-import https from 'https';
+import { parseArgs } from 'util';
+import { spawnSync } from 'child_process';
 
 // Import file operation functions
 import * as FileOps from './file.js';
+// Import model provider adapters
+import * as Providers from './providers.js';
+// Import chat session storage
+import * as Sessions from './sessions.js';
+// Import token estimation and history compaction
+import * as Context from './context.js';
+// Import the resumable research pipeline
+import * as Research from './research.js';
+// Import web search backends and page fetching
+import * as Web from './web.js';
+// Import the run_command policy check
+import * as Shell from './shell.js';
+// Import file snapshots for /undo and /restore
+import * as Checkpoints from './checkpoints.js';
+// Import system instruction building (ZENO.md, directory tree, git status)
+import * as Instructions from './instructions.js';
+// Import the tool registry and plugin tool factories
+import * as Tools from './tools.js';
+// Import the Model Context Protocol client
+import * as Mcp from './mcp.js';
+// Import permission rules for tool calls
+import * as Permissions from './permissions.js';
+// Import the streaming Markdown renderer
+import * as Markdown from './markdown.js';
+// Import file attachments (@path and /attach)
+import * as Attachments from './attachments.js';
+// Import transcript export and import
+import * as Transcript from './transcript.js';
+// Import git status, diff, log and commit helpers
+import * as Git from './git.js';
+// Import error classification, retries and cancellation
+import * as Retry from './retry.js';
+// Import the usage ledger, prices and spending cap
+import * as Usage from './usage.js';
+// Import config file access, profiles, environment overrides and the credential helper
+import * as Config from './config.js';
+// Import background jobs for research runs
+import * as Jobs from './jobs.js';
+// Import the tool call audit log
+import * as Audit from './audit.js';
+// Import the slash command registry and command templates
+import * as Commands from './commands.js';
+// Import multiline input, tab completion and input history for the prompt
+import * as Input from './input.js';
 
 // --- Configuration ---
-const CONFIG_DIR = path.join(os.homedir(), ".config", "zeno");
+const CONFIG_DIR = process.env.ZENO_CONFIG_DIR ? path.resolve(process.env.ZENO_CONFIG_DIR) : path.join(os.homedir(), ".config", "zeno");
 const CONFIG_FILE = path.join(CONFIG_DIR, "config.json");
-const CHAT_HISTORY_FILE = path.join(CONFIG_DIR, "zeno_chat_history.json");
-
-// Add Research Mode Configuration
-let isResearchModeEnabled = false;
-let currentResearchPath = null;
-let currentResearchTopics = [];
+const CHAT_HISTORY_FILE = path.join(CONFIG_DIR, "zeno_chat_history.json"); // Pre-sessions history, migrated on first run
+const SESSIONS_DIR = path.join(CONFIG_DIR, "sessions");
+const CHECKPOINTS_DIR = path.join(CONFIG_DIR, "checkpoints"); // One store per session
+const USAGE_LEDGER_FILE = path.join(CONFIG_DIR, Usage.LEDGER_FILE_NAME);
+const AUDIT_LOG_FILE = path.join(CONFIG_DIR, Audit.AUDIT_FILE_NAME);
+const USER_COMMANDS_DIR = path.join(CONFIG_DIR, Commands.COMMANDS_DIR_NAME); // Command templates for every project
+const INPUT_HISTORY_FILE = path.join(CONFIG_DIR, Input.HISTORY_FILE_NAME);
+const DEFAULT_SESSION_NAME = "default";
+
+// Research runs in the background as jobs; /jobs lists, watches and cancels them
+const researchJobs = Jobs.createJobList({ onUpdate: handleResearchJobUpdate });
+let chatPrompt = null; // The readline interface while it waits at the "You:" prompt, so job updates can redraw it
+let pendingNotifications = []; // Job messages held back while a reply or a question has the terminal
 
 // --- Constants ---
-const ACTIVE_MODEL = "gemini-2.5-flash-preview-05-20"; // Or your preferred model
+const DEFAULT_PROVIDER = "gemini";
+const DEFAULT_CONTEXT_TOKEN_BUDGET = 100000; // Override with "contextTokenBudget" in config.json
+const DEFAULT_CONTEXT_KEEP_RECENT = 10; // Messages kept verbatim when compacting; "contextKeepRecent" in config.json
+const INTERRUPTED_NOTE = "[Interrupted by the user]"; // Recorded in history when Ctrl+C cuts a reply short
 
 // --- Variables ---
-let apiKey;
-let genAI;
+let fileConfig = {}; // Raw config.json contents, every profile included
+let activeProfile = null; // Profile chosen with --profile or ZENO_PROFILE; null uses the top-level settings
+let savedConfig = {}; // Settings in effect: the top level of config.json with the active profile's settings on top
+let loadedSettings = {}; // The settings saveConfig manages, as loaded, so it only writes the ones changed since
+let credentials = {}; // API key in use per provider: { key, source: "config" | "env" | "helper" | "prompt" }
+let storedApiKeys = {}; // API keys kept in config.json per provider, even when the environment overrides them
+let activeProvider = DEFAULT_PROVIDER;
+let activeModel = null; // null means the provider's default model
+let providerSettings = {}; // Per-provider settings such as { baseUrl }, keyed by provider name; keys are in credentials
+let modelProvider;
 let chat;
 let chatHistory = [];
+let currentSession = null; // Session whose history is in chatHistory; null for unsaved one-shot runs
+let lastTurnUsage = null; // Token usage reported by the provider for the latest request
+let usageLedger = null; // Records of usage.jsonl, read on first use and appended to as requests complete
+let warnedSpendingCaps = new Set(); // Cap periods already warned about, so the warning is not repeated on every request
+let systemInstruction = { text: "", sources: [], warnings: [] }; // Built by loadSystemInstruction; sources are the ZENO.md files used
+let isMarkdownRenderingEnabled = true; // "/render off" or --raw prints responses as plain text
+let codeBlocks = []; // Code blocks shown since Zeno started, numbered from 1 for /copy and /save
+let pendingAttachments = []; // Added with /attach; sent with the next message
+let interruptHandler = null; // What Ctrl+C does right now; null at the prompt, where it exits
+// Built-in slash commands and the user's and project's command templates; the prompt dispatches through it
+const commandRegistry = Commands.createCommandRegistry();
+let commandRestriction = null; // { command, allowedTools } while a template command that limits its tools runs
 
 // File Mode State
 let isFilesModeEnabled = false;
 let filesWorkingDirectory = null; // Persisted working directory
 let tempFilesWorkingDirectory = null; // For 'this_folder', not persisted
-
-const safetySettings = [
-  { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-  { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
-  { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
-  { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-];
+let gitRepoRoot = null; // Repository containing the file mode directory; the git tools run at its root
+let sessionPermissionRules = []; // "Allow for this session" rules; "always" rules live in config.json under "permissions"
 
 // --- Tool Definitions ---
 const webSearchTool = {
@@ -54,6 +123,16 @@ const webSearchTool = {
           term_to_search: { type: "string", description: "The keyword or phrase to search on the web." }
         }, required: ["term_to_search"]
       }
+    },
+    {
+      name: "fetch_url",
+      description: "Download a web page and return its readable text as Markdown (scripts, styles and navigation removed). Use it to read a search result in full.",
+      parameters: {
+        type: "object", properties: {
+          url: { type: "string", description: "The http or https URL to fetch." },
+          max_length: { type: "number", description: "Optional. Maximum number of characters to return (default 20000, at most 100000)." }
+        }, required: ["url"]
+      }
     }
   ]
 };
@@ -87,556 +166,2762 @@ const fileSystemToolDeclarations = [
         new_file_name: { type: "string", description: "New name or path for the file, relative to the working directory." }
       }, required: ["file_path", "new_file_name"]
     }
+  },
+  {
+    name: "read_file",
+    description: "Read a text file in the configured working directory. Lines are returned with line numbers.",
+    parameters: {
+      type: "object", properties: {
+        file_path: { type: "string", description: "Path of the file, relative to the working directory." },
+        start_line: { type: "integer", description: "First line to read (1-based). Defaults to the start of the file." },
+        end_line: { type: "integer", description: "Last line to read (inclusive). Defaults to the end of the file." }
+      }, required: ["file_path"]
+    }
+  },
+  {
+    name: "list_directory",
+    description: "List files and folders in the configured working directory. Folders end with '/'.",
+    parameters: {
+      type: "object", properties: {
+        dir_path: { type: "string", description: "Directory to list, relative to the working directory. Defaults to the working directory itself." },
+        recursive: { type: "boolean", description: "Also list the contents of subdirectories (skips .git and node_modules)." }
+      }, required: []
+    }
+  },
+  {
+    name: "search_in_files",
+    description: "Search the contents of files in the configured working directory for a regular expression.",
+    parameters: {
+      type: "object", properties: {
+        pattern: { type: "string", description: "Regular expression (or literal text) to search for." },
+        dir_path: { type: "string", description: "Directory to search, relative to the working directory. Defaults to the working directory itself." },
+        file_glob: { type: "string", description: "Only search files matching this glob, e.g. '*.js' or 'src/**/*.ts'." }
+      }, required: ["pattern"]
+    }
+  },
+  {
+    name: "edit_file",
+    description: "Change part of an existing file, either with exact search/replace edits or with a unified diff. Read the file first so the text you replace matches exactly.",
+    parameters: {
+      type: "object", properties: {
+        file_path: { type: "string", description: "Path of the file to edit, relative to the working directory." },
+        edits: {
+          type: "array",
+          description: "Search/replace edits applied in order. Each old_text must match exactly one place in the file.",
+          items: {
+            type: "object", properties: {
+              old_text: { type: "string", description: "Exact text to replace, including whitespace." },
+              new_text: { type: "string", description: "Replacement text." }
+            }, required: ["old_text", "new_text"]
+          }
+        },
+        patch: { type: "string", description: "A unified diff (with @@ hunks) to apply instead of edits." }
+      }, required: ["file_path"]
+    }
   }
 ];
 
-// Add to Tool Definitions after fileSystemToolDeclarations
-const researchToolDeclarations = [
+// Available in file mode when the working directory is inside a git repository
+const gitToolDeclarations = [
+  {
+    name: "git_status",
+    description: "Show the git branch and the staged, unstaged, untracked and conflicted files of the repository containing the working directory. Paths are relative to the repository root.",
+    parameters: { type: "object", properties: {}, required: [] }
+  },
+  {
+    name: "git_diff",
+    description: "Show a git diff with per-file line counts: unstaged changes by default, staged changes with staged=true, or everything since a commit with base (e.g. 'HEAD').",
+    parameters: {
+      type: "object", properties: {
+        staged: { type: "boolean", description: "Show the changes staged for the next commit." },
+        base: { type: "string", description: "Compare the working tree with this commit or branch instead, e.g. 'HEAD' or 'main'." },
+        paths: { type: "array", items: { type: "string" }, description: "Only these files or directories, relative to the repository root." },
+        max_chars: { type: "integer", description: "Maximum characters of diff text to return (default 50000)." }
+      }, required: []
+    }
+  },
+  {
+    name: "git_log",
+    description: "List recent commits (hash, author, date, subject), newest first.",
+    parameters: {
+      type: "object", properties: {
+        max_count: { type: "integer", description: "Number of commits (default 20, at most 200)." },
+        ref: { type: "string", description: "Branch, tag or commit to start from. Defaults to HEAD." },
+        path: { type: "string", description: "Only commits touching this file or directory, relative to the repository root." }
+      }, required: []
+    }
+  },
   {
-    name: "mark_as_finished",
-    description: "Mark the search process as finished",
+    name: "git_commit",
+    description: "Create a git commit. Stages the given paths first; otherwise commits what is already staged (or every changed tracked file with all=true).",
     parameters: {
-      type: "object",
-      properties: {},
-      required: []
+      type: "object", properties: {
+        message: { type: "string", description: "The commit message: a short subject line, optionally followed by a blank line and a body." },
+        paths: { type: "array", items: { type: "string" }, description: "Files to stage before committing, relative to the repository root." },
+        all: { type: "boolean", description: "Stage every modified or deleted tracked file, like git commit -a." }
+      }, required: ["message"]
     }
   }
 ];
 
+// Every tool the model can call: built-in ones below, plus those declared in config.json and served by MCP servers
+const toolRegistry = Tools.createToolRegistry();
+let mcpClients = []; // Connected MCP servers, closed on exit
+
 function getActiveTools() {
-  let activeToolDeclarations = [...webSearchTool.functionDeclarations];
-  if (isFilesModeEnabled && (filesWorkingDirectory || tempFilesWorkingDirectory)) {
-    activeToolDeclarations.push(...fileSystemToolDeclarations);
-  }
-  if (isResearchModeEnabled) {
-    activeToolDeclarations.push(...researchToolDeclarations);
-  }
-  return [{ functionDeclarations: activeToolDeclarations }];
+  const tools = toolRegistry.getDeclarations();
+  if (!commandRestriction) return tools;
+  return tools.map(tool => ({ functionDeclarations: tool.functionDeclarations.filter(declaration => isToolAllowedNow(declaration.name)) }));
+}
+
+// Template commands with allowed-tools hide the other tools from the model and deny calls to them
+function isToolAllowedNow(name) {
+  return Commands.isToolAllowed(name, commandRestriction && commandRestriction.allowedTools);
 }
 
 
 // --- Config and History Management ---
 async function ensureConfigDir() {
   try {
-    await fs.mkdir(CONFIG_DIR, { recursive: true });
+    await fs.mkdir(CONFIG_DIR, { recursive: true, mode: Config.CONFIG_DIR_MODE }); // Keys, sessions and usage stay private
   } catch (error) { if (error.code !== 'EEXIST') throw error; }
 }
 
-async function loadConfig() {
+async function loadConfig({ log = line => console.log(line) } = {}) {
   await ensureConfigDir();
   try {
-    const data = await fs.readFile(CONFIG_FILE, "utf-8");
-    const config = JSON.parse(data);
-    apiKey = config.apiKey;
-    filesWorkingDirectory = config.filesWorkingDirectory || null; // Load persisted directory
-    if (filesWorkingDirectory) isFilesModeEnabled = true; // Auto-enable if a dir is saved
-    return config;
+    const { config, warnings } = await Config.readConfigFile(CONFIG_FILE);
+    warnings.forEach(warning => log(chalk.yellow(`Warning: ${warning}`)));
+    fileConfig = config;
   } catch (error) {
-    return {}; // Return empty object if no config or error
+    console.error(chalk.red(`Error reading Zeno configuration: ${error.message}`));
+    fileConfig = {};
+  }
+  if (activeProfile && !Config.listProfiles(fileConfig).includes(activeProfile)) {
+    log(chalk.yellow(`Profile "${activeProfile}" is not in ${CONFIG_FILE} yet; settings changed in this run are saved to it.`));
+  }
+  savedConfig = Config.resolveProfile(fileConfig, activeProfile);
+  const environment = Config.readEnvironment(process.env);
+
+  const provider = environment.provider || savedConfig.provider;
+  if (provider && Providers.PROVIDERS[provider]) activeProvider = provider;
+  else if (environment.provider) log(chalk.yellow(`Warning: ZENO_PROVIDER names an unknown provider "${environment.provider}".`));
+  activeModel = environment.model || savedConfig.model || null;
+  // API keys live apart from the other provider settings, since they may come from elsewhere
+  providerSettings = {};
+  storedApiKeys = { gemini: savedConfig.apiKey };
+  for (const [name, settings] of Object.entries(savedConfig.providers || {})) {
+    if (name === "gemini" || !settings) { providerSettings[name] = settings; continue; } // Gemini's key is the top-level apiKey
+    const { apiKey: key, ...rest } = settings;
+    providerSettings[name] = rest;
+    storedApiKeys[name] = key;
+  }
+  credentials = {};
+  for (const [name, key] of Object.entries(storedApiKeys)) if (key) credentials[name] = { key, source: "config" };
+  for (const [name, key] of Object.entries(environment.apiKeys)) credentials[name] = { key, source: "env" };
+  await ensureApiKey(activeProvider);
+
+  isMarkdownRenderingEnabled = savedConfig.renderMarkdown !== false;
+  filesWorkingDirectory = savedConfig.filesWorkingDirectory || null; // Load persisted directory
+  if (filesWorkingDirectory) isFilesModeEnabled = true; // Auto-enable if a dir is saved
+  loadedSettings = getManagedSettings();
+  return savedConfig;
+}
+
+// The settings Zeno changes itself. Keys from the environment, the credential helper or a declined save prompt are
+// never part of them.
+function getManagedSettings() {
+  const providers = {};
+  for (const name of new Set([...Object.keys(providerSettings), ...Object.keys(storedApiKeys)])) {
+    if (name === "gemini") {
+      if (providerSettings.gemini) providers.gemini = providerSettings.gemini;
+      continue;
+    }
+    const settings = { ...(providerSettings[name] || {}) };
+    if (storedApiKeys[name]) settings.apiKey = storedApiKeys[name];
+    if (Object.keys(settings).length > 0) providers[name] = settings;
   }
+  return {
+    apiKey: storedApiKeys.gemini || undefined,
+    provider: activeProvider,
+    model: activeModel || undefined,
+    providers: Object.keys(providers).length > 0 ? providers : undefined,
+    filesWorkingDirectory: filesWorkingDirectory && !tempFilesWorkingDirectory ? filesWorkingDirectory : undefined, // Not 'this_folder'
+    permissions: savedConfig.permissions,
+    renderMarkdown: savedConfig.renderMarkdown,
+  };
 }
 
+// Writes the settings changed in this run to the active profile (or the top level), keeping everything else in
+// config.json as it is on disk now.
 async function saveConfig() {
-  await ensureConfigDir();
-  const configToSave = { apiKey };
-  if (filesWorkingDirectory && !tempFilesWorkingDirectory) { // Only save if not 'this_folder'
-    configToSave.filesWorkingDirectory = filesWorkingDirectory;
+  const settings = getManagedSettings();
+  const changes = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (JSON.stringify(value) !== JSON.stringify(loadedSettings[key])) changes[key] = value;
   }
+  if (Object.keys(changes).length === 0) return;
+  try {
+    await ensureConfigDir();
+    const { config } = await Config.readConfigFile(CONFIG_FILE);
+    fileConfig = Config.applyChanges(config, activeProfile, changes);
+    await Config.writeConfigFile(CONFIG_FILE, fileConfig);
+    loadedSettings = settings;
+  } catch (error) {
+    console.error(chalk.red("Error saving Zeno configuration:"), error.message);
+  }
+}
+
+function getApiKey(providerName) {
+  return credentials[providerName] ? credentials[providerName].key : undefined;
+}
+
+// The credential helper keeps one key per provider, and optionally per profile ("work/openai") before that
+function getCredentialAccounts(providerName) {
+  return activeProfile ? [`${activeProfile}/${providerName}`, providerName] : [providerName];
+}
+
+// Keys from config.json and the environment are known once loadConfig is done; the credential helper is asked on first use.
+async function ensureApiKey(providerName) {
+  if (credentials[providerName] || !savedConfig.credentialHelper) return getApiKey(providerName);
   try {
-    await fs.writeFile(CONFIG_FILE, JSON.stringify(configToSave, null, 2));
+    for (const account of getCredentialAccounts(providerName)) {
+      const key = await Config.runCredentialHelper(savedConfig.credentialHelper, "get", account);
+      if (key) {
+        credentials[providerName] = { key, source: "helper" };
+        break;
+      }
+    }
   } catch (error) {
-    console.error(chalk.red("Error saving Zeno configuration:"), error);
+    console.error(chalk.red(error.message));
+  }
+  return getApiKey(providerName);
+}
+
+// Keeps a key the user typed in: with the credential helper if one is configured, else in config.json.
+// Returns where it went, or null if it could not be stored (it is still used for this run).
+async function storeApiKey(providerName, key) {
+  credentials[providerName] = { key, source: "prompt" };
+  if (savedConfig.credentialHelper) {
+    try {
+      await Config.runCredentialHelper(savedConfig.credentialHelper, "store", getCredentialAccounts(providerName)[0], key);
+      credentials[providerName] = { key, source: "helper" };
+      return "the credential helper";
+    } catch (error) {
+      console.error(chalk.red(`${error.message}. The key is used for this run only.`));
+      return null;
+    }
   }
+  credentials[providerName] = { key, source: "config" };
+  storedApiKeys[providerName] = key;
+  await saveConfig();
+  return CONFIG_FILE;
 }
 
 async function promptForApiKey(rlInstance) {
-  console.log(chalk.yellow("Gemini API Key not found in Zeno's configuration."));
+  console.log(chalk.yellow("Gemini API Key not found in Zeno's configuration or the GEMINI_API_KEY environment variable."));
   const key = await rlInstance.question(chalk.blue("Please enter your Gemini API Key: "));
   if (!key) {
     console.error(chalk.red("API Key cannot be empty. Exiting."));
     process.exit(1);
   }
-  apiKey = key; // Set it globally
+  credentials.gemini = { key, source: "prompt" }; // For this run only, unless saved below
   const saveChoice = await rlInstance.question(chalk.blue("Do you want to save this API Key for future use? (yes/no): "));
   if (saveChoice.toLowerCase().startsWith('y')) {
-    await saveConfig(); // Will save API key
-    console.log(chalk.green("API Key saved."));
+    const location = await storeApiKey("gemini", key);
+    if (location) console.log(chalk.green(`API Key saved to ${location}.`));
   }
   return key;
 }
 
-async function loadChatHistory() {
+async function openSession(name) {
+  currentSession = await Sessions.loadSession(SESSIONS_DIR, name) ||
+    Sessions.createSession(name, { provider: activeProvider, model: activeModel, workingDirectory: process.cwd() });
+  chatHistory = currentSession.history;
+  await Sessions.setLastActiveSession(SESSIONS_DIR, process.cwd(), name);
+}
+
+// Opens the requested session, else the one last used in this directory, else the default one.
+async function loadChatHistory(requestedSessionName, { log = line => console.log(line) } = {}) {
   await ensureConfigDir();
   try {
-    const data = await fs.readFile(CHAT_HISTORY_FILE, "utf-8");
-    chatHistory = JSON.parse(data);
-    console.log(chalk.gray("Chat history loaded."));
+    if (await Sessions.migrateLegacyHistory(CHAT_HISTORY_FILE, SESSIONS_DIR, DEFAULT_SESSION_NAME)) {
+      log(chalk.gray(`Previous chat history imported as session "${DEFAULT_SESSION_NAME}".`));
+    }
+    const name = requestedSessionName || await Sessions.getLastActiveSession(SESSIONS_DIR, process.cwd()) || DEFAULT_SESSION_NAME;
+    await openSession(name);
+    log(chalk.gray(`Session "${name}" loaded (${chatHistory.length} messages).`));
   } catch (error) {
-    if (error.code === 'ENOENT') chatHistory = [];
-    else console.error(chalk.red("Error loading chat history:"), error);
+    console.error(chalk.red("Error loading chat history:"), error);
+    currentSession = Sessions.createSession(requestedSessionName || DEFAULT_SESSION_NAME, { workingDirectory: process.cwd() });
+    chatHistory = currentSession.history;
   }
 }
 
 async function saveChatHistory() {
-  await ensureConfigDir();
+  if (!currentSession) return;
+  currentSession.history = chatHistory;
+  currentSession.updatedAt = new Date().toISOString();
+  currentSession.provider = modelProvider.name;
+  currentSession.model = modelProvider.model;
+  if (!currentSession.title) {
+    const firstUserMessage = chatHistory.find(msg => msg.role === "user" && msg.parts && msg.parts.some(p => p.text));
+    if (firstUserMessage) currentSession.title = Sessions.generateTitle(firstUserMessage.parts.find(p => p.text).text);
+  }
   try {
-    await fs.writeFile(CHAT_HISTORY_FILE, JSON.stringify(chatHistory, null, 2));
+    await Sessions.saveSession(SESSIONS_DIR, currentSession);
   } catch (error) {
     console.error(chalk.red("Error saving chat history:"), error);
   }
 }
 
 
-// --- Gemini Initialization ---
-function initializeGeminiClient() {
-  if (!apiKey) {
-    console.error(chalk.red("API Key is not set. Cannot initialize Gemini client."));
+// --- Model Initialization ---
+function getProviderSettings(providerName) {
+  return { ...(providerSettings[providerName] || {}), apiKey: getApiKey(providerName) };
+}
+
+// Rebuilt when the session starts, file mode changes or /system reload is used; the history is never touched.
+async function loadSystemInstruction() {
+  const workingDirectory = isFilesModeEnabled ? (tempFilesWorkingDirectory || filesWorkingDirectory) : null;
+  systemInstruction = await Instructions.buildSystemInstruction({ globalDir: CONFIG_DIR, workingDirectory });
+  gitRepoRoot = workingDirectory ? await Git.findRepoRoot(workingDirectory) : null;
+  systemInstruction.warnings.forEach(warning => console.error(chalk.yellow(warning)));
+}
+
+function initializeModelClient({ log } = {}) {
+  try {
+    modelProvider = Providers.createProvider(activeProvider, { ...getProviderSettings(activeProvider), model: activeModel });
+  } catch (error) {
+    console.error(chalk.red(`Cannot initialize model provider: ${error.message}`));
     process.exit(1);
   }
-  genAI = new GoogleGenerativeAI(apiKey);
-  startNewChatSession();
+  startNewChatSession({ log });
+}
+
+// History as the model gets it: attached files described rather than sent again, and without the timestamps
+// Zeno keeps for /export.
+function getModelHistory(history) {
+  return Attachments.describeReferences(history).map(({ timestamp, ...content }) => content);
 }
 
-function startNewChatSession() {
-    const modelConfig = {
-        model: ACTIVE_MODEL,
-        safetySettings,
-        tools: getActiveTools(),
-        generationConfig: { /* temperature: 0.7 */ }
-    };
+// Failed model requests are retried "maxRetries" times (config.json; 0 turns retries off) with growing delays.
+function getRetryOptions(signal, log = line => console.log(line)) {
+  const maxRetries = Number.isInteger(savedConfig.maxRetries) && savedConfig.maxRetries >= 0 ? savedConfig.maxRetries : Retry.DEFAULT_MAX_RETRIES;
+  return {
+    maxRetries,
+    signal,
+    onRetry: ({ attempt, delayMs, error, kind }) => {
+      const { status } = Retry.classifyError(error);
+      log(chalk.yellow(`${modelProvider.label} request failed (${kind.replace("_", " ")}${status ? ` ${status}` : ""}); retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt} of ${maxRetries})...`));
+    },
+  };
+}
 
-    const model = genAI.getGenerativeModel(modelConfig);
-    chat = model.startChat({ history: chatHistory });
-    console.log(chalk.magenta(`Chat session (re)started with ${ACTIVE_MODEL}.`));
-    console.log(chalk.cyan(`Web search tool is available.`));
+// pendingMessages: trailing history entries that are about to be sent, and so must not be in the chat's history yet
+function startNewChatSession({ quiet = false, pendingMessages = 0, log = line => console.log(line) } = {}) {
+    const history = getModelHistory(pendingMessages > 0 ? chatHistory.slice(0, -pendingMessages) : chatHistory);
+    chat = modelProvider.startChat({ history, tools: getActiveTools(), systemInstruction: systemInstruction.text });
+    if (quiet) return;
+    log(chalk.magenta(`Chat session (re)started with ${modelProvider.model} (${modelProvider.label}).`));
+    log(chalk.cyan(`Web search tool is available.`));
     if (isFilesModeEnabled && (filesWorkingDirectory || tempFilesWorkingDirectory)) {
-        console.log(chalk.cyan(`File manipulation tools are ENABLED for directory: ${chalk.bold(filesWorkingDirectory || tempFilesWorkingDirectory)}`));
+        log(chalk.cyan(`File manipulation tools are ENABLED for directory: ${chalk.bold(filesWorkingDirectory || tempFilesWorkingDirectory)}`));
     } else {
-        console.log(chalk.yellow(`File manipulation tools are DISABLED.`));
+        log(chalk.yellow(`File manipulation tools are DISABLED.`));
     }
 }
 
 
-// --- Tool Execution & Confirmation ---
-async function executeWebSearch(term_to_search) {
-  process.stdout.write(chalk.yellow(`Zeno is performing web search for: "${term_to_search}"...\n`)); // Added newline
-  const encodedTerm = encodeURIComponent(term_to_search);
-  const url = `https://text.pollinations.ai/prompt/${encodedTerm}?model=searchgpt`;
-  // ... (rest of web search logic is the same)
-  return new Promise((resolve) => {
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) resolve(data);
-        else {
-          console.error(chalk.red(`Web search API error: Status ${res.statusCode}`));
-          resolve(`Error: Failed to fetch search results. Status: ${res.statusCode}`);
-        }
-      });
-    }).on('error', (err) => {
-      console.error(chalk.red("Web search request error:"), err.message);
-      resolve(`Error: Could not connect to the web search service. ${err.message}`);
-    });
+// --- Context Window Management ---
+function getContextTokenBudget() {
+  return savedConfig.contextTokenBudget || DEFAULT_CONTEXT_TOKEN_BUDGET;
+}
+
+async function compactChatHistory({ pendingMessages = 0, log } = {}) {
+  const result = await Context.compactHistory(chatHistory, {
+    keepRecent: savedConfig.contextKeepRecent || DEFAULT_CONTEXT_KEEP_RECENT,
+    summarize: async (prompt) => (await sendOneOffPrompt(prompt, { kind: "compaction", log })).text,
   });
+  if (!result) return null;
+  chatHistory = result.history;
+  startNewChatSession({ quiet: true, pendingMessages });
+  return result;
 }
 
-async function handleToolConfirmation(rlInstance, toolCall) {
-  const { name, args } = toolCall;
-  const currentDir = tempFilesWorkingDirectory || filesWorkingDirectory;
+// Summarizes older history when the conversation no longer fits the configured token budget.
+async function ensureContextBudget(pendingMessages, log = line => console.log(line)) {
+  const budget = getContextTokenBudget();
+  const estimate = Context.estimateHistoryTokens(chatHistory) + Context.estimateTokens(systemInstruction.text);
+  if (estimate <= budget) return;
 
-  console.log(chalk.yellowBright("\n--- ACTION CONFIRMATION ---"));
-  console.log(chalk.yellow(`Zeno wants to perform the following action:`));
-  console.log(chalk.yellow(`Tool: ${name}`));
-  console.log(chalk.yellow(`Arguments: ${JSON.stringify(args)}`));
-  if (name !== 'web_search') {
-    console.log(chalk.yellow(`In directory: ${currentDir}`));
-  }
-  if (name === 'run_command') {
-    console.log(chalk.red.bold("WARNING: Executing shell commands can be dangerous!"));
+  log(chalk.yellow(`Conversation is ~${estimate} tokens, over the ${budget} token budget. Summarizing older messages...`));
+  try {
+    const result = await compactChatHistory({ pendingMessages, log });
+    if (result) {
+      log(chalk.gray(`Summarized ${result.summarizedCount} older messages (now ~${Context.estimateHistoryTokens(chatHistory)} tokens).`));
+    } else {
+      log(chalk.yellow("Nothing older can be summarized; the current exchange alone exceeds the budget."));
+    }
+  } catch (error) {
+    console.error(chalk.red(`Could not summarize older messages: ${error.message}`));
   }
+}
 
-  while (true) {
-    const choice = await rlInstance.question(chalk.blueBright("Confirm? (1: Yes, 2: No, 3: Explain action): "));
-    if (choice === '1') return { confirmed: true, explain: false };
-    if (choice === '2') return { confirmed: false, explain: false };
-    if (choice === '3') return { confirmed: false, explain: true };
-    console.log(chalk.red("Invalid choice. Please enter 1, 2, or 3."));
+async function displayTokenUsage() {
+  const budget = getContextTokenBudget();
+  const systemTokens = Context.estimateTokens(systemInstruction.text);
+  const estimate = Context.estimateHistoryTokens(chatHistory) + systemTokens;
+  console.log(chalk.cyan(`Context: ~${estimate} tokens (estimated) of ${budget} budget (${Math.round((estimate / budget) * 100)}%), ${chatHistory.length} messages.`));
+  console.log(chalk.cyan(`System instructions: ~${systemTokens} tokens.`));
+  try {
+    const exact = await modelProvider.countTokens(getModelHistory(chatHistory));
+    if (exact !== null) console.log(chalk.cyan(`Counted by ${modelProvider.label}: ${exact} tokens.`));
+  } catch (error) {
+    console.log(chalk.gray(`(Exact token count unavailable: ${error.message})`));
+  }
+  if (lastTurnUsage) {
+    console.log(chalk.cyan(`Last request: ${lastTurnUsage.inputTokens} input + ${lastTurnUsage.outputTokens} output tokens.`));
   }
 }
 
 
-// --- Research Functions ---
-async function initializeResearch(topic) {
-  const sanitizedTopic = topic.replace(/[^a-zA-Z0-9-_]/g, '_').toLowerCase();
-  const researchDir = path.join(process.cwd(), `research_${sanitizedTopic}`);
-  
-  try {
-    await fs.mkdir(researchDir, { recursive: true });
-    currentResearchPath = researchDir;
-    
-    // Create details.md file
-    const detailsPath = path.join(researchDir, 'details.md');
-    await fs.writeFile(detailsPath, `# Research Details: ${topic}\n\n## Search History\n\n`);
-    
-    console.log(chalk.green(`Research initialized at: ${researchDir}`));
-    return true;
+// --- Usage & Spending ---
+async function getUsageLedger() {
+  if (!usageLedger) {
+    try {
+      usageLedger = await Usage.readLedger(USAGE_LEDGER_FILE);
+    } catch (error) {
+      console.error(chalk.red(`Cannot read the usage ledger: ${error.message}`));
+      usageLedger = [];
+    }
+  }
+  return usageLedger;
+}
+
+// Records the tokens one request used. When the provider reports none, estimate() supplies an estimate that is
+// marked as such. kind says what the request was for: chat, explanation, compaction, commit or research.
+async function recordUsage(kind, usage, estimate, details = {}) {
+  const tokens = usage || estimate();
+  const record = {
+    timestamp: new Date().toISOString(),
+    kind,
+    session: currentSession ? currentSession.name : null,
+    provider: modelProvider.name,
+    model: modelProvider.model,
+    inputTokens: tokens.inputTokens,
+    outputTokens: tokens.outputTokens,
+    ...(usage ? {} : { estimated: true }),
+    ...details,
+  };
+  (await getUsageLedger()).push(record);
+  try {
+    await Usage.appendRecord(USAGE_LEDGER_FILE, record);
   } catch (error) {
-    console.error(chalk.red(`Error initializing research: ${error.message}`));
-    return false;
-  }
-}
-
-async function generateResearchTopics(topic) {
-  console.log(chalk.yellow("Generating research topics..."));
-  
-  const prompt = `As a research coordinator, generate 15 specific topics that need to be investigated for a comprehensive research on "${topic}". 
-    Format each topic as a numbered list item. Make them specific and actionable for web research.`;
-  
-  const result = await chat.sendMessage(prompt);
-  const topicsText = result.response.text();
-  
-  // Save topics to research directory
-  const topicsPath = path.join(currentResearchPath, 'topics.md');
-  await fs.writeFile(topicsPath, `# Research Topics for ${topic}\n\n${topicsText}`);
-  
-  // Parse topics into array
-  currentResearchTopics = topicsText
-    .split('\n')
-    .filter(line => line.match(/^\d+\./))
-    .map(line => line.replace(/^\d+\.\s*/, '').trim());
-
-  // Start automated research process
-  await startAutomatedResearch(topic);
-  
-  return currentResearchTopics;
-}
-
-async function startAutomatedResearch(topic) {
-  console.log(chalk.cyan("\nStarting automated research process..."));
-  
-  for (let i = 0; i < currentResearchTopics.length; i++) {
-    const currentTopic = currentResearchTopics[i];
-    console.log(chalk.yellow(`\nResearching topic ${i + 1}/${currentResearchTopics.length}:`));
-    console.log(chalk.yellow(currentTopic));
-    
-    // Perform web search
-    const searchResult = await executeWebSearch(currentTopic);
-    
-    // Analyze results
-    const analysisPrompt = `Analyze this search result and provide a detailed, well-structured summary for our research on "${topic}". Focus on key findings, verified facts, and relevant details:\n${searchResult}`;
-    const analysis = await chat.sendMessage(analysisPrompt);
-    
-    // Append to details.md with clear section marking
-    await appendToDetails(`\n## Topic ${i + 1}: ${currentTopic}\n\n### Search Results & Analysis\n\n${analysis.response.text()}\n\n---\n`);
-  }
-  
-  // Auto-trigger final report generation
-  const reportPath = await generateFinalReport(topic);
-  console.log(chalk.green(`\nResearch complete! Final report saved at: ${reportPath}`));
-  
-  // Clean up
-  isResearchModeEnabled = false;
-  currentResearchPath = null;
-  currentResearchTopics = [];
-}
-
-async function appendToDetails(content) {
-  if (!currentResearchPath) return;
-  const detailsPath = path.join(currentResearchPath, 'details.md');
-  await fs.appendFile(detailsPath, `\n${content}\n`);
-}
-
-async function generateFinalReport(topic) {
-  console.log(chalk.yellow("Generating final report..."));
-  
-  // Read all research details
-  const detailsPath = path.join(currentResearchPath, 'details.md');
-  const details = await fs.readFile(detailsPath, 'utf-8');
-  
-  const prompt = `Based on all the research data below, create a professional, high-quality technical report of 4-5 pages. 
-    Format it in Markdown with proper sections, executive summary, and detailed analysis.
-    Research Data:
-    ${details}`;
-  
-  const result = await chat.sendMessage(prompt);
-  const report = result.response.text();
-  
-  // Save final report
-  const reportPath = path.join(currentResearchPath, 'final_report.md');
-  await fs.writeFile(reportPath, report);
-  
-  return reportPath;
+    console.error(chalk.red(`Could not record usage: ${error.message}`));
+  }
 }
 
+// Checks "spendingCap" before a request, counting the request's input. Depending on the cap's action this warns
+// (once per day or month) or refuses by throwing.
+async function enforceSpendingCap(inputTokens, log = line => console.log(line)) {
+  const cap = Usage.normalizeCap(savedConfig.spendingCap);
+  if (!cap) return;
+  const exceeded = Usage.checkCap(await getUsageLedger(), cap, {
+    prices: savedConfig.prices,
+    next: { provider: modelProvider.name, model: modelProvider.model, inputTokens },
+  });
+  if (!exceeded) return;
+  const message = `This request would take spending to ~${Usage.formatCost(exceeded.projected)}, over the ${exceeded.period === "day" ? "daily" : "monthly"} cap of ${Usage.formatCost(exceeded.limit)} (${Usage.formatCost(exceeded.spent)} spent so far).`;
+  if (cap.action === "refuse") throw new Error(`Spending cap reached. ${message} Raise "spendingCap" in config.json to continue.`);
+  const warningKey = `${exceeded.period}:${Usage.periodStart(exceeded.period).toISOString()}`;
+  if (warnedSpendingCaps.has(warningKey)) return;
+  warnedSpendingCaps.add(warningKey);
+  log(chalk.yellow(`Warning: ${message} See /usage.`));
+}
 
-// --- Command Handlers ---
-async function toggleFilesMode(rlInstance) {
-    if (isFilesModeEnabled) {
-        isFilesModeEnabled = false;
-        // tempFilesWorkingDirectory = null; // Reset temp dir when disabling
-        // filesWorkingDirectory will be kept if it was persisted, so re-enabling /files will use it
-        console.log(chalk.yellow("File manipulation mode DISABLED."));
-        await saveConfig(); // Save the disabled state (by removing filesWorkingDirectory if it was temp)
-    } else {
-        console.log(chalk.blue("Enable file manipulation mode:"));
-        let chosenDir = await rlInstance.question(chalk.blue("Enter full path to the folder Zeno can manage, or type 'this_folder': "));
-        chosenDir = chosenDir.trim();
+// Sends a prompt in a throwaway chat (no history, no tools) with retries, the spending cap and usage recording.
+async function sendOneOffPrompt(prompt, { kind, signal, details, log } = {}) {
+  await enforceSpendingCap(Context.estimateTokens(prompt), log);
+  const response = await Retry.withRetry(() => modelProvider.startChat({ history: [], tools: [] }).sendMessage(prompt, { signal }), getRetryOptions(signal, log));
+  await recordUsage(kind, response.usage, () => ({ inputTokens: Context.estimateTokens(prompt), outputTokens: Context.estimateTokens(response.text) }), details);
+  return response;
+}
 
-        if (chosenDir.toLowerCase() === 'this_folder') {
-            tempFilesWorkingDirectory = process.cwd();
-            filesWorkingDirectory = null; // Ensure persisted one is not used if 'this_folder' is chosen
-            console.log(chalk.green(`File manipulation enabled for current directory (TEMPORARY): ${tempFilesWorkingDirectory}`));
-            isFilesModeEnabled = true;
-        } else if (chosenDir) {
-            try {
-                const stats = await fs.stat(chosenDir);
-                if (!stats.isDirectory()) {
-                    console.error(chalk.red("Error: Path provided is not a directory. File mode NOT enabled."));
-                    return;
-                }
-                filesWorkingDirectory = path.resolve(chosenDir); // Store absolute path
-                tempFilesWorkingDirectory = null;
-                isFilesModeEnabled = true;
-                console.log(chalk.green(`File manipulation enabled for directory (SAVED): ${filesWorkingDirectory}`));
-                await saveConfig(); // Persist the chosen directory
-            } catch (error) {
-                console.error(chalk.red(`Error accessing path "${chosenDir}": ${error.message}. File mode NOT enabled.`));
-                return;
-            }
-        } else {
-            console.log(chalk.yellow("No directory provided. File manipulation mode remains disabled."));
-            return;
-        }
-    }
-    startNewChatSession(); // Re-initialize with new toolset
+function describeUsageRow(row) {
+  const unpriced = row.unpriced > 0 ? ` (+${row.unpriced} request(s) without a price)` : "";
+  const estimated = row.estimated > 0 ? chalk.gray(` [${row.estimated} estimated]`) : "";
+  return `${row.requests} request(s), ${row.inputTokens} input + ${row.outputTokens} output tokens, ${Usage.formatCost(row.cost)}${unpriced}${estimated}`;
+}
+
+function summarizeUsage(records) {
+  return Usage.summarize(records, { prices: savedConfig.prices })[0] || { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0, estimated: 0 };
 }
 
-async function handleResearchMode(rlInstance) {
-  if (isResearchModeEnabled) {
-    console.log(chalk.yellow("Research mode is already active."));
+// /usage [day|session|model|research]
+async function handleUsageCommand(args) {
+  const records = await getUsageLedger();
+  const groupBy = (args[0] || "").toLowerCase();
+  if (groupBy) {
+    if (!Usage.GROUPINGS.includes(groupBy)) {
+      console.log(chalk.red(`Usage: /usage [${Usage.GROUPINGS.join("|")}]`));
+      return;
+    }
+    const rows = Usage.summarize(records, { groupBy, prices: savedConfig.prices });
+    if (rows.length === 0) { console.log(chalk.yellow("No usage recorded yet.")); return; }
+    console.log(chalk.cyan(`Usage by ${groupBy}, most recent first:`));
+    const width = Math.min(48, Math.max(...rows.map(row => (groupBy === "research" ? path.basename(row.key) : row.key).length)));
+    for (const row of rows) {
+      const label = groupBy === "research" ? path.basename(row.key) : row.key;
+      console.log(`  ${chalk.bold(label.padEnd(width))}  ${describeUsageRow(row)}`);
+    }
     return;
   }
 
-  const topic = await rlInstance.question(chalk.blue("Enter research topic: "));
-  if (!topic.trim()) {
-    console.log(chalk.red("Research topic cannot be empty."));
-    return;
+  const todayStart = Usage.periodStart("day").toISOString();
+  const monthStart = Usage.periodStart("month").toISOString();
+  const lastTurn = records.filter(record => record.kind === "chat" && record.turn).slice(-1)[0];
+  const lines = [];
+  if (currentSession) lines.push([`Session "${currentSession.name}"`, records.filter(record => record.session === currentSession.name)]);
+  if (lastTurn) {
+    const turnRecords = records.filter(record => record.turn === lastTurn.turn);
+    lines.push([`Last turn${turnRecords.length > 1 ? ` (${turnRecords.length - 1} of them in the tool loop)` : ""}`, turnRecords]);
   }
+  lines.push(["Today", records.filter(record => record.timestamp >= todayStart)]);
+  lines.push(["This month", records.filter(record => record.timestamp >= monthStart)]);
+  lines.push(["All time", records]);
+  for (const [label, subset] of lines) console.log(chalk.cyan(`${label}: ${describeUsageRow(summarizeUsage(subset))}`));
+
+  const price = Usage.findPrice(savedConfig.prices, modelProvider.name, modelProvider.model);
+  console.log(chalk.gray(price
+    ? `${modelProvider.model}: $${price.input} input / $${price.output} output per million tokens.`
+    : `${modelProvider.model} has no price; add one under "prices" in config.json to see its cost.`));
+  const cap = Usage.normalizeCap(savedConfig.spendingCap);
+  if (cap) {
+    for (const { period, limit } of cap.limits) {
+      const spent = summarizeUsage(records.filter(record => record.timestamp >= Usage.periodStart(period).toISOString())).cost;
+      console.log(chalk.gray(`${period === "day" ? "Daily" : "Monthly"} cap: ${Usage.formatCost(spent)} of ${Usage.formatCost(limit)} spent (${cap.action === "refuse" ? "refuses" : "warns"} when exceeded).`));
+    }
+  }
+  console.log(chalk.gray(`Breakdowns: /usage ${Usage.GROUPINGS.join("|")}`));
+}
 
-  if (await initializeResearch(topic)) {
-    isResearchModeEnabled = true;
-    console.log(chalk.green("\nInitializing automated research process for:"), chalk.bold(topic));
-    console.log(chalk.cyan("Zeno will automatically:"));
-    console.log(chalk.cyan("1. Generate research topics"));
-    console.log(chalk.cyan("2. Research each topic systematically"));
-    console.log(chalk.cyan("3. Save findings and generate final report"));
-    console.log(chalk.cyan("You can continue chatting while the research is in progress.\n"));
-    
-    // Generate topics and start automated research
-    await generateResearchTopics(topic);
+// --- Audit Log ---
+// Records a tool call in audit.jsonl: arguments, directory, who decided (auto, rule, user or policy), outcome and
+// duration. result is null for denied calls. A failed write is reported but never stops the turn.
+async function recordToolCall(toolCall, { turn, decidedBy, explained, approved, result, startedAt }) {
+  const tool = toolRegistry.get(toolCall.name);
+  const entry = Audit.createEntry({
+    session: currentSession ? currentSession.name : null,
+    turn,
+    tool: toolCall.name,
+    source: tool ? tool.source : null,
+    directory: getActiveWorkingDirectory(),
+    args: toolCall.args,
+    approved,
+    decidedBy,
+    explained: explained && decidedBy === "user",
+    result,
+    startedAt,
+  });
+  try {
+    await Audit.appendEntry(AUDIT_LOG_FILE, entry);
+  } catch (error) {
+    console.error(chalk.red(`Could not write the audit log: ${error.message}`));
   }
 }
 
-// Add to displayHelp()
-function displayHelp() {
-  console.log(chalk.cyan("\nZeno Chat Commands:"));
-  console.log(chalk.cyan(`  Model: ${ACTIVE_MODEL}`));
-  console.log(chalk.cyan("  /files      - Toggle file manipulation mode & set working directory"));
-  console.log(chalk.cyan("  /history    - Show current chat history"));
-  console.log(chalk.cyan("  /clear      - Clear chat history and start fresh"));
-  console.log(chalk.cyan("  /help       - Show this help message"));
-  console.log(chalk.cyan("  /exit       - Exit Zeno"));
-  console.log(chalk.cyan("  /research   - Start a new research project"));
-  console.log(chalk.cyan("  Current file mode: " + (isFilesModeEnabled ? chalk.green(`ENABLED for ${chalk.bold(tempFilesWorkingDirectory || filesWorkingDirectory || 'N/A')}`) : chalk.red("DISABLED"))));
-  console.log("");
+// Reads --tool, --since, --session, --denied and --limit for /audit and zeno --export-audit.
+// Returns { filters, limit } or { error }.
+function parseAuditFilters({ tool, since, session, denied, limit }) {
+  const filters = { tool, session, decision: denied ? "deny" : undefined };
+  if (since !== undefined) {
+    filters.since = Audit.parseSince(since);
+    if (!filters.since) return { error: `Cannot read --since "${since}". Use e.g. 30m, 12h, 7d, today or 2025-06-01.` };
+  }
+  const count = limit === undefined ? null : parseInt(limit, 10);
+  if (count !== null && !(count > 0)) return { error: "--limit must be a positive number." };
+  return { filters, limit: count };
 }
 
-// --- Main Chat Logic ---
-async function main() {
-  const rl = readline.createInterface({ input, output });
+function describeAuditEntry(entry) {
+  const decision = entry.decision === "approve"
+    ? chalk.green(`approved (${entry.decidedBy}${entry.explained ? ", after an explanation" : ""})`)
+    : chalk.yellow(`denied (${entry.decidedBy}${entry.explained ? ", after an explanation" : ""})`);
+  const outcome = entry.decision !== "approve" ? ""
+    : `${entry.status === "ok" ? chalk.green("ok") : chalk.red(entry.exitCode !== undefined ? `${entry.status}, exit ${entry.exitCode}` : entry.status)} ${chalk.gray(`${entry.durationMs}ms`)}`;
+  const lines = [[chalk.gray(new Date(entry.timestamp).toLocaleString()), chalk.bold(entry.tool), decision, outcome].filter(Boolean).join("  ")];
+  lines.push(chalk.gray(`    in ${entry.directory || "?"}${entry.session ? `, session "${entry.session}"` : ""}: ${JSON.stringify(entry.args)}`));
+  if (entry.result) {
+    const firstLine = entry.result.split("\n").find(line => line.trim() && !/^(Stdout|Stderr):$/.test(line)) || "";
+    lines.push(chalk.gray(`    -> ${firstLine.length > 100 ? `${firstLine.slice(0, 100)}...` : firstLine}`));
+  }
+  return lines.join("\n");
+}
 
-  console.log(chalk.bold.magenta("Welcome to Zeno Chat!"));
+// /audit [--tool <name>] [--since <when>] [--session <name>] [--denied] [--limit N]
+async function handleAuditCommand(args) {
+  const usage = "Usage: /audit [--tool <name>] [--since <when>] [--session <name>] [--denied] [--limit N]";
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, "");
+    if (name === "denied") { options.denied = true; continue; }
+    if (!["tool", "since", "session", "limit"].includes(name) || args[i + 1] === undefined) {
+      console.log(chalk.red(usage));
+      return;
+    }
+    options[name] = args[++i];
+  }
+  const { filters, limit, error } = parseAuditFilters(options);
+  if (error) {
+    console.log(chalk.red(error));
+    return;
+  }
+  let entries;
+  try {
+    entries = Audit.filterEntries(await Audit.readEntries(AUDIT_LOG_FILE), filters);
+  } catch (readError) {
+    console.error(chalk.red(`Cannot read the audit log: ${readError.message}`));
+    return;
+  }
+  if (entries.length === 0) {
+    console.log(chalk.yellow("No matching tool calls in the audit log."));
+    return;
+  }
+  const shown = entries.slice(-(limit || 20));
+  console.log(chalk.cyan(`Tool calls, oldest first (${shown.length} of ${entries.length} matching; ${AUDIT_LOG_FILE}):`));
+  shown.forEach(entry => console.log(describeAuditEntry(entry)));
+}
 
-  await loadConfig(); // Loads API key and filesWorkingDirectory
-  if (!apiKey) {
-    await promptForApiKey(rl); // This will set global apiKey and save if user agrees
+// zeno --export-audit <file>: writes the (filtered) audit log as CSV for a .csv file, else as JSON Lines; "-" is stdout.
+async function exportAuditLog(cliOptions) {
+  const target = cliOptions["export-audit"];
+  const { filters, error } = parseAuditFilters({ tool: cliOptions.tool, since: cliOptions.since, session: cliOptions.session });
+  if (error) {
+    console.error(chalk.red(error));
+    return EXIT_USAGE;
+  }
+  try {
+    const entries = Audit.filterEntries(await Audit.readEntries(AUDIT_LOG_FILE), filters);
+    const text = Audit.formatEntries(entries, target.toLowerCase().endsWith(".csv") ? "csv" : "jsonl");
+    if (target === "-") {
+      process.stdout.write(text);
+    } else {
+      await fs.writeFile(path.resolve(target), text, { mode: 0o600 });
+      console.error(chalk.green(`Exported ${entries.length} audit entries to ${path.resolve(target)}.`));
+    }
+    return EXIT_OK;
+  } catch (exportError) {
+    console.error(chalk.red(`Cannot export the audit log: ${exportError.message}`));
+    return EXIT_ERROR;
   }
+}
 
-  await loadChatHistory();
-  initializeGeminiClient(); // Initial call, will be called again if /files changes tools
-  displayHelp();
 
+// --- Tool Execution & Confirmation ---
+async function searchWeb(query, log = line => console.log(line), signal) {
+  log(chalk.yellow(`Zeno is performing web search for: "${query}"...`));
+  return Web.search(query, savedConfig.search, { signal });
+}
 
-  while (true) {
-    const userInput = await rl.question(chalk.green("You: "));
-
-    if (userInput.toLowerCase().startsWith('/')) {
-        const command = userInput.toLowerCase();
-        if (command === "/exit") { console.log(chalk.magenta("Zeno signing off. Goodbye!")); break; }
-        if (command === "/help") { displayHelp(); continue; }
-        if (command === "/history") { /* ... history display logic ... */
-            console.log(chalk.gray("--- Chat History ---"));
-            if (chatHistory.length === 0) console.log(chalk.gray("(empty)"));
-            else chatHistory.forEach(msg => { /* ... detailed history print ... */
-                 const roleDisplay = msg.role === 'user' ? chalk.green(msg.role) : chalk.blueBright(msg.role);
-                 let content = "";
-                 if (Array.isArray(msg.parts)) {
-                     content = msg.parts.map(p => {
-                         if (p.text) return p.text;
-                         if (p.functionCall) return `[Function Call: ${p.functionCall.name} Args: ${JSON.stringify(p.functionCall.args)}]`;
-                         if (p.functionResponse) return `[Function Response for: ${p.functionResponse.name} Content: ${JSON.stringify(p.functionResponse.response.content || p.functionResponse.response)}]`;
-                         return JSON.stringify(p);
-                     }).join('');
-                 }
-                 console.log(chalk.gray(`${roleDisplay}: ${content}`));
-            });
-            console.log(chalk.gray("--------------------"));
-            continue;
-        }
-        if (command === "/clear") {
-            chatHistory = []; await saveChatHistory(); startNewChatSession();
-            console.log(chalk.yellow("Chat history cleared.")); continue;
-        }
-        if (command === "/files") { await toggleFilesMode(rl); continue; }
-        if (command === "/research") { 
-          await handleResearchMode(rl); 
-          continue; 
-        }
-        console.log(chalk.red(`Unknown command: ${userInput}`));
-        continue;
-    }
+async function executeWebSearch(term_to_search, signal) {
+  try {
+    return Web.formatSearchResults(term_to_search, await searchWeb(term_to_search, undefined, signal));
+  } catch (error) {
+    console.error(chalk.red("Web search error:"), error.message);
+    return `Error: ${error.message}`;
+  }
+}
 
-    if (!userInput.trim()) continue;
-    chatHistory.push({ role: "user", parts: [{ text: userInput }] });
+async function executeFetchUrl(url, maxLength, signal, log = line => console.log(line)) {
+  log(chalk.yellow(`Zeno is fetching: ${url}...`));
+  const result = await Web.fetchUrl(url, maxLength, { signal });
+  if (result.startsWith("Error")) console.error(chalk.red(result));
+  return result;
+}
 
-    let continueLoop = true;
-    while(continueLoop) {
-        continueLoop = false;
-        let firstChunk = true;
-        process.stdout.write(chalk.blue("Zeno is typing..."));
+// run_command settings from the "runCommand" section of config.json, plus every credential Zeno knows about
+function getCommandOptions() {
+  const settings = savedConfig.runCommand || {};
+  const providerKeys = [...Object.values(credentials).map(credential => credential.key), ...Object.values(storedApiKeys)];
+  const searchKeys = Object.values(savedConfig.search || {}).map(backend => backend && backend.apiKey);
+  return {
+    allow: settings.allow || [],
+    deny: settings.deny || [],
+    timeoutSeconds: settings.timeoutSeconds,
+    maxOutputChars: settings.maxOutputChars,
+    sandbox: Boolean(settings.sandbox),
+    allowNetwork: Boolean(settings.allowNetwork),
+    secrets: [...providerKeys, ...searchKeys].filter(Boolean),
+    hiddenPaths: [CONFIG_DIR],
+  };
+}
 
-        try {
-            const result = await chat.sendMessageStream(chatHistory[chatHistory.length - 1].parts);
-            let fullResponseText = "";
-            let aggregatedFunctionCall;
-
-            for await (const chunk of result.stream) {
-                if (firstChunk) {
-                    process.stdout.clearLine(0); process.stdout.cursorTo(0);
-                    process.stdout.write(chalk.blueBright("Zeno: "));
-                    firstChunk = false;
-                }
-                if (chunk.functionCalls && chunk.functionCalls.length > 0) aggregatedFunctionCall = chunk.functionCalls[0];
-                const chunkText = chunk.text();
-                if (chunkText) { process.stdout.write(chalk.blueBright(chunkText)); fullResponseText += chunkText; }
-            }
-            if (!firstChunk) process.stdout.write("\n");
+// Calls refused without asking: tools the running command does not allow and commands the run_command policy
+// blocks. Returns who decided (for the audit log) and why, or null if the call goes on to the rules and the user.
+function getAutomaticDenial(toolCall) {
+  if (!isToolAllowedNow(toolCall.name)) {
+    return { decidedBy: "command", reason: `/${commandRestriction.command} only allows these tools: ${commandRestriction.allowedTools.join(", ") || "none"}.` };
+  }
+  if (toolCall.name !== 'run_command' || typeof (toolCall.args || {}).command_to_run !== 'string') return null;
+  const verdict = Shell.checkCommandPolicy(toolCall.args.command_to_run, getCommandOptions());
+  return verdict.allowed ? null : { decidedBy: "policy", reason: `the run_command policy blocks this command: ${verdict.reason}.` };
+}
 
-            const finalResponse = await result.response;
-            if (finalResponse.candidates && finalResponse.candidates[0].content && finalResponse.candidates[0].content.parts) {
-                const functionCallPart = finalResponse.candidates[0].content.parts.find(part => part.functionCall);
-                if (functionCallPart) aggregatedFunctionCall = functionCallPart.functionCall;
-            }
+async function displayToolCall(toolCall, index, total) {
+  const { name, args } = toolCall;
+  const currentDir = tempFilesWorkingDirectory || filesWorkingDirectory;
+  const tool = toolRegistry.get(name);
+  const source = tool && tool.source !== 'builtin' ? ` [${tool.source}]` : '';
 
-            if (aggregatedFunctionCall) {
-                const toolCall = aggregatedFunctionCall;
-                let toolExecutionResult;
-                let userConfirmation = { confirmed: true, explain: false }; // Default for web_search
+  console.log(chalk.yellow(total > 1 ? `[${index + 1}] Tool: ${name}${source}` : `Tool: ${name}${source}`));
+  console.log(chalk.yellow(`Arguments: ${JSON.stringify(args)}`));
+  if (tool && tool.describe) {
+    tool.describe(args || {}).forEach(line => console.log(chalk.yellow(line)));
+  }
+  if (name === 'run_command') {
+    console.log(chalk.red.bold("WARNING: Executing shell commands can be dangerous!"));
+    if (getCommandOptions().sandbox) console.log(chalk.yellow("The command runs in a sandbox: only the working directory is writable."));
+  }
+  if (name === 'edit_file') {
+    const preview = await FileOps.previewFileEdit(currentDir, args.file_path, args.edits, args.patch);
+    if (!preview.success) console.log(chalk.red(`This edit cannot be applied: ${preview.error}`));
+    else if (!preview.diff) console.log(chalk.yellow("This edit would not change the file."));
+    else console.log(FileOps.colorizeDiff(preview.diff));
+  }
+}
 
-                if (toolCall.name !== 'web_search') { // Needs confirmation
-                    userConfirmation = await handleToolConfirmation(rl, toolCall);
-                }
+// --- Permission Rules ---
+function getPermissionRules() {
+  return [...Permissions.normalizeRules(savedConfig.permissions), ...sessionPermissionRules];
+}
 
-                if (userConfirmation.explain) {
-                    const explanationRequest = `User is asking for an explanation. Please explain why you (Zeno) want to execute the tool '${toolCall.name}' with arguments ${JSON.stringify(toolCall.args)} in the context of our current conversation, and what the expected outcome or purpose is. Be concise.`;
-                    chatHistory.push({ role: "model", parts: [{ functionCall: toolCall }] }); // Log AI's intention
-                    chatHistory.push({ role: "user", parts: [{ text: `(System: User requested explanation for your proposed action: ${toolCall.name})` }]});
-
-                    process.stdout.write(chalk.blue("Zeno is typing (explanation)..."));
-                    const explanationResult = await chat.sendMessageStream(explanationRequest);
-                    let explanationText = "";
-                    firstChunk = true; // Reset for explanation
-                    for await (const chunk of explanationResult.stream) {
-                        if (firstChunk) {
-                            process.stdout.clearLine(0); process.stdout.cursorTo(0);
-                            process.stdout.write(chalk.cyanBright("Zeno (Explanation): "));
-                            firstChunk = false;
-                        }
-                        const text = chunk.text();
-                        if (text) { process.stdout.write(chalk.cyanBright(text)); explanationText += text; }
-                    }
-                    if(!firstChunk) process.stdout.write("\n");
-                    chatHistory.push({ role: "model", parts: [{text: explanationText}]});
-
-                    // Re-prompt for confirmation (Yes/No only this time)
-                    console.log(chalk.yellowBright("\n--- ACTION CONFIRMATION (after explanation) ---"));
-                    while(true){
-                        const choice = await rl.question(chalk.blueBright("Confirm action? (1: Yes, 2: No): "));
-                        if (choice === '1') { userConfirmation.confirmed = true; break; }
-                        if (choice === '2') { userConfirmation.confirmed = false; break; }
-                        console.log(chalk.red("Invalid choice."));
-                    }
-                }
+async function addPermissionRule(rule, scope) {
+  if (scope === "session") {
+    sessionPermissionRules.push(rule);
+  } else {
+    savedConfig.permissions = [...Permissions.normalizeRules(savedConfig.permissions), rule];
+    await saveConfig();
+  }
+  console.log(chalk.green(`Rule added (${scope === "session" ? "this session" : "saved"}): ${Permissions.describeRule(rule)}. Manage rules with /permissions.`));
+}
 
-                if (userConfirmation.confirmed) {
-                    chatHistory.push({ role: "model", parts: [{ functionCall: toolCall }] }); // Log AI's intention if confirmed
-                    const currentActiveDir = tempFilesWorkingDirectory || filesWorkingDirectory;
-
-                    switch (toolCall.name) {
-                        case "web_search":
-                            toolExecutionResult = await executeWebSearch(toolCall.args.term_to_search);
-                            break;
-                        case "new_file":
-                            toolExecutionResult = await FileOps.createNewFile(currentActiveDir, toolCall.args.file_path, toolCall.args.file_content);
-                            break;
-                        case "run_command":
-                            toolExecutionResult = await FileOps.runShellCommand(currentActiveDir, toolCall.args.command_to_run);
-                            break;
-                        case "modify_file": // Rename
-                            toolExecutionResult = await FileOps.renameFile(currentActiveDir, toolCall.args.file_path, toolCall.args.new_file_name);
-                            break;
-                        default:
-                            toolExecutionResult = `Error: Unknown tool '${toolCall.name}' requested.`;
-                            console.error(chalk.red(toolExecutionResult));
-                    }
-                    chatHistory.push({ role: "function", parts: [{ functionResponse: { name: toolCall.name, response: { content: toolExecutionResult } } }] });
-                    continueLoop = true; // Let AI process the tool's output
-                } else {
-                    // User denied the action
-                    chatHistory.push({ role: "model", parts: [{ functionCall: toolCall }] }); // Log AI's intention
-                    chatHistory.push({ role: "function", parts: [{ functionResponse: { name: toolCall.name, response: { content: "User denied execution of this action." } } }] });
-                    console.log(chalk.yellow("Action denied by user."));
-                    continueLoop = true; // Let AI know it was denied
-                }
+// Splits calls into those decided by a rule (the deciding rule) and those the user still has to confirm (null).
+function applyPermissionRules(toolCalls) {
+  const rules = getPermissionRules();
+  return toolCalls.map(toolCall => {
+    const rule = Permissions.findRule(rules, toolCall);
+    if (!rule) return null;
+    console.log(chalk.dim(`Tool ${toolCall.name} ${rule.effect === "allow" ? "allowed" : "denied"} by rule (${Permissions.describeRule(rule)}): ${JSON.stringify(toolCall.args)}`));
+    return rule;
+  });
+}
 
-            } else if (fullResponseText.trim()) {
-                chatHistory.push({ role: "model", parts: [{ text: fullResponseText }] });
-            } else {
-                // Handle cases like safety blocks or empty responses if needed
-                const finishReason = finalResponse.candidates && finalResponse.candidates[0].finishReason;
-                if (finishReason && finishReason !== "STOP") {
-                     console.log(chalk.yellow(`Zeno: (Responded without text. Finish Reason: ${finishReason})`));
-                     if (finalResponse.candidates[0].safetyRatings) {
-                        console.log(chalk.yellow(`Safety Ratings: ${JSON.stringify(finalResponse.candidates[0].safetyRatings)}`));
-                     }
-                } else if (!fullResponseText.trim()){
-                    // console.log(chalk.gray("Zeno: (Empty response)"));
-                }
-            }
+async function promptForRule(rlInstance, toolCall, effect) {
+  const suggestion = Permissions.suggestPattern(toolCall);
+  const answer = (await rlInstance.question(chalk.blueBright(
+    `${effect === "allow" ? "Allow" : "Deny"} ${toolCall.name} for which ${toolCall.name === "run_command" ? "commands" : "arguments"}? ` +
+    `(Enter: ${suggestion ? `"${suggestion}"` : "any"}, *: any, or a pattern): `
+  ))).trim();
+  const pattern = answer === "*" ? "" : answer || suggestion;
+  return pattern ? { tool: toolCall.name, effect, pattern } : { tool: toolCall.name, effect };
+}
 
-        } catch (error) {
-            if (!firstChunk) process.stdout.write("\n"); else { process.stdout.clearLine(0); process.stdout.cursorTo(0); }
-            console.error(chalk.red("Error communicating with Gemini:"), error.message || error);
-            if (error.message && error.message.includes("SAFETY")) console.error(chalk.yellow("This might be due to safety settings."));
-        }
+async function handlePermissionsCommand(args) {
+  const [subcommand = "list", value] = args;
+  const savedRules = Permissions.normalizeRules(savedConfig.permissions);
+  const allRules = [...savedRules.map(rule => ({ rule, scope: "saved" })), ...sessionPermissionRules.map(rule => ({ rule, scope: "session" }))];
+  switch (subcommand) {
+    case "list":
+      if (allRules.length === 0) {
+        console.log(chalk.yellow("No permission rules. Add them from the confirmation prompt (Always allow, Allow for session, Always deny)."));
+        return;
+      }
+      console.log(chalk.cyan("Permission rules (deny rules take precedence):"));
+      allRules.forEach(({ rule, scope }, index) => {
+        const color = rule.effect === "allow" ? chalk.green : chalk.red;
+        console.log(`  ${index + 1}. ${color(Permissions.describeRule(rule))} ${chalk.gray(`[${scope}]`)}`);
+      });
+      return;
+    case "revoke": {
+      const number = parseInt(value, 10);
+      if (!Number.isInteger(number) || number < 1 || number > allRules.length) {
+        console.log(chalk.red(`Usage: /permissions revoke <number> (1-${allRules.length}, see /permissions)`));
+        return;
+      }
+      const { rule, scope } = allRules[number - 1];
+      if (scope === "session") {
+        sessionPermissionRules = sessionPermissionRules.filter(sessionRule => sessionRule !== rule);
+      } else {
+        savedConfig.permissions = savedRules.filter(savedRule => savedRule !== rule);
+        await saveConfig();
+      }
+      console.log(chalk.yellow(`Revoked: ${Permissions.describeRule(rule)}`));
+      return;
     }
-    await saveChatHistory();
+    default:
+      console.log(chalk.red("Usage: /permissions [list|revoke <number>]"));
   }
-  rl.close();
 }
 
-main().catch(err => {
+// Opens the call's arguments as JSON in the editor and updates toolCall.args in place, so the history records
+// exactly what runs.
+async function editToolArguments(rlInstance, toolCall) {
+  let tempFile;
+  try {
+    tempFile = await writeEditorFile("arguments.json", `${JSON.stringify(toolCall.args || {}, null, 2)}\n`);
+    openInEditor(rlInstance, tempFile);
+    const edited = JSON.parse(await fs.readFile(tempFile, "utf-8"));
+    if (!edited || typeof edited !== "object" || Array.isArray(edited)) throw new Error("the arguments must be a JSON object");
+    toolCall.args = edited;
+    console.log(chalk.green("Arguments updated."));
+  } catch (error) {
+    console.error(chalk.red(`Arguments not changed: ${error.message}`));
+  } finally {
+    await removeEditorFile(tempFile);
+  }
+}
+
+// --- Tool Confirmation Prompt ---
+// Asks about a single call until the user decides. Rules created here also decide the current call.
+async function confirmSingleToolCall(rlInstance, toolCall, { allowExplain }) {
+  const prompt = `Confirm? (1: Yes, 2: No${allowExplain ? ", 3: Explain action" : ""}, 4: Always allow, 5: Allow for this session, 6: Always deny, 7: Edit arguments): `;
+  while (true) {
+    const choice = (await rlInstance.question(chalk.blueBright(prompt))).trim();
+    if (choice === '1') return { decision: true, explain: false };
+    if (choice === '2') return { decision: false, explain: false };
+    if (choice === '3' && allowExplain) return { decision: false, explain: true };
+    if (choice === '4' || choice === '5' || choice === '6') {
+      const effect = choice === '6' ? "deny" : "allow";
+      await addPermissionRule(await promptForRule(rlInstance, toolCall, effect), choice === '5' ? "session" : "always");
+      return { decision: effect === "allow", explain: false };
+    }
+    if (choice === '7') {
+      await editToolArguments(rlInstance, toolCall);
+      await displayToolCall(toolCall, 0, 1);
+      continue;
+    }
+    console.log(chalk.red(`Invalid choice. Please enter 1-7${allowExplain ? "" : " (except 3)"}.`));
+  }
+}
+
+// Shows every pending call on one screen and asks once; returns one approve/deny decision per call.
+// Approving may change a call's arguments (option 7), which updates the toolCall objects in place.
+async function handleToolConfirmation(rlInstance, toolCalls, { allowExplain = true } = {}) {
+  const total = toolCalls.length;
+  console.log(chalk.yellowBright(`\n--- ACTION CONFIRMATION${allowExplain ? "" : " (after explanation)"} ---`));
+  console.log(chalk.yellow(total > 1 ? `Zeno wants to perform the following ${total} actions:` : `Zeno wants to perform the following action:`));
+  for (const [index, toolCall] of toolCalls.entries()) {
+    await displayToolCall(toolCall, index, total);
+  }
+
+  if (total === 1) {
+    const { decision, explain } = await confirmSingleToolCall(rlInstance, toolCalls[0], { allowExplain });
+    return { decisions: [decision], explain };
+  }
+
+  const prompt = `Confirm? (a: Approve all, n: Deny all${allowExplain ? ", e: Explain" : ""}, r: Review one by one, or the numbers to approve, e.g. 1,3): `;
+  while (true) {
+    const choice = (await rlInstance.question(chalk.blueBright(prompt))).trim().toLowerCase();
+    if (choice === 'a') return { decisions: toolCalls.map(() => true), explain: false };
+    if (choice === 'n') return { decisions: toolCalls.map(() => false), explain: false };
+    if (choice === 'e' && allowExplain) return { decisions: toolCalls.map(() => false), explain: true };
+    if (choice === 'r') {
+      const decisions = [];
+      for (const [index, toolCall] of toolCalls.entries()) {
+        const rule = applyPermissionRules([toolCall])[0]; // A rule added for an earlier call may cover this one
+        if (rule) { decisions.push(rule.effect === "allow"); continue; }
+        console.log(chalk.yellowBright(`\n--- Action ${index + 1} of ${total} ---`));
+        await displayToolCall(toolCall, index, total);
+        decisions.push((await confirmSingleToolCall(rlInstance, toolCall, { allowExplain: false })).decision);
+      }
+      return { decisions, explain: false };
+    }
+    const numbers = choice.split(/[\s,]+/).filter(Boolean).map(Number);
+    if (numbers.length > 0 && numbers.every(n => Number.isInteger(n) && n >= 1 && n <= total)) {
+      return { decisions: toolCalls.map((_, index) => numbers.includes(index + 1)), explain: false };
+    }
+    console.log(chalk.red(`Invalid choice. Enter a, n${allowExplain ? ", e" : ""}, r, or numbers between 1 and ${total}.`));
+  }
+}
+
+
+// --- Research Functions ---
+function describeResearchProgress(event) {
+  if (event.type === 'topic_start') return chalk.yellow(`Researching topic ${event.index + 1}/${event.total}: ${event.title}`);
+  if (event.type === 'search' && event.round > 0) return chalk.dim(`Follow-up search ${event.round}: ${event.query}`);
+  if (event.type === 'topic_failed') return chalk.red(`Topic ${event.index + 1} failed: ${event.error}`);
+  return null;
+}
+
+// Research prompts go to their own model session, never the user's chat. Every prompt carries all the data it
+// needs, so each one starts from an empty history instead of piling analyses into one growing context.
+// Usage is recorded against the research directory; a refusal by the spending cap ends the run instead of failing
+// every remaining topic.
+function createResearchSession(job, researchDir) {
+  return async (prompt) => {
+    try {
+      return (await sendOneOffPrompt(prompt, { kind: "research", signal: job.signal, log: job.log, details: { research: researchDir } })).text;
+    } catch (error) {
+      if (!error.message.startsWith("Spending cap reached")) throw error;
+      throw Object.assign(Retry.createAbortError(), { message: error.message });
+    }
+  };
+}
+
+// Describes what a research run has used since it started (or resumed).
+async function describeResearchUsage(researchDir, since) {
+  const records = (await getUsageLedger()).filter(record => record.research === researchDir && record.timestamp >= since);
+  return records.length > 0 ? `This run: ${describeUsageRow(summarizeUsage(records))}. Totals per run: /usage research` : null;
+}
+
+// The stages of a research run, from whatever stage its state says it is at. A new run stops once its topics are
+// generated so the user can review them; resuming it then (reviewed) starts the research.
+async function runResearchStages(job, researchDir, state, { reviewed }) {
+  const sendPrompt = createResearchSession(job, researchDir);
+  const resumeHint = `Resume with: /research resume ${researchDir}`;
+  if (state.status === 'generating_topics') {
+    job.progress("generating topics");
+    job.log(chalk.yellow("Generating research topics..."));
+    await Research.generateTopics(researchDir, state, { sendPrompt });
+  }
+
+  if (state.status === 'awaiting_review') {
+    if (!reviewed) {
+      job.log(chalk.cyan(`Generated ${state.topics.length} topics:`));
+      state.topics.forEach((entry, index) => job.log(chalk.cyan(`  ${index + 1}. ${entry.title}`)));
+      return {
+        status: "review",
+        message: `${state.topics.length} topics are ready in ${path.join(researchDir, 'topics.md')}. Edit, reorder, add or remove numbered lines if you like, then start the research with: /research resume ${researchDir}`,
+      };
+    }
+    if (await Research.loadTopicsFromFile(researchDir, state) === 0) {
+      return { status: "failed", message: `No numbered topics found in topics.md. Fix the file, then: /research resume ${researchDir}` };
+    }
+  }
+
+  if (state.status === 'researching') {
+    job.log(chalk.cyan("Starting automated research process..."));
+    const { stopped, failed } = await Research.researchTopics(researchDir, state, {
+      sendPrompt,
+      search: async (query) => {
+        // Throws on failure, which marks the topic failed rather than done
+        const response = await Retry.abortable(searchWeb(query, job.log, job.signal), job.signal);
+        return { text: Web.formatSearchResults(query, response), sources: response.results };
+      },
+      onProgress: (event) => {
+        if (event.type === 'topic_start') job.progress(`topic ${event.index + 1}/${event.total}`);
+        const line = describeResearchProgress(event);
+        if (line) job.log(line);
+      },
+      shouldStop: job.shouldStop,
+    });
+    if (stopped) return { status: "paused", message: `Research paused. ${resumeHint}` };
+    if (failed === state.topics.length) {
+      return { status: "failed", message: `Every topic failed, so no report was generated. ${resumeHint} to retry.` };
+    }
+    if (failed > 0) job.log(chalk.yellow(`${failed} topic(s) failed and are left out of the report. ${resumeHint} to retry them.`));
+  }
+
+  job.progress("writing report");
+  job.log(chalk.yellow("Generating final report..."));
+  const reportPath = await Research.generateFinalReport(researchDir, state, { sendPrompt });
+  return { status: "done", message: `Research complete! Final report saved at: ${reportPath}` };
+}
+
+// Runs (or continues) a research run as a background job. /jobs cancel stops it after the current step, or at once
+// when repeated; either way its progress is saved and it can be resumed.
+function startResearchJob(researchDir, state, { reviewed = false } = {}) {
+  const job = researchJobs.start(state.topic, async (context) => {
+    const startedAt = new Date().toISOString();
+    let outcome;
+    try {
+      outcome = await runResearchStages(context, researchDir, state, { reviewed });
+    } catch (error) {
+      const status = context.signal.aborted ? "cancelled" : "failed";
+      outcome = { status, message: `Research stopped: ${error.message || error} Resume with: /research resume ${researchDir}` };
+    }
+    const usage = await describeResearchUsage(researchDir, startedAt);
+    return usage ? { ...outcome, message: `${outcome.message}\n${chalk.gray(usage)}` } : outcome;
+  }, { directory: researchDir });
+  console.log(chalk.green(`Research job #${job.id} is running in the background. Keep chatting; /jobs watch ${job.id} follows its progress.`));
+  return job;
+}
+
+function findRunningResearchJob(researchDir) {
+  return researchJobs.running().find(job => job.directory === researchDir);
+}
+
+// Keeps the progress in the prompt line current and tells the user when a research job ends.
+function handleResearchJobUpdate(job, event) {
+  if (event.type === 'progress') {
+    refreshChatPrompt();
+  } else if (event.type === 'finished') {
+    const color = event.status === "done" ? chalk.green : event.status === "failed" ? chalk.red : chalk.yellow;
+    notify(color(`\n[Research job #${job.id}: ${job.name}] ${event.message || event.status}`));
+  }
+}
+
+function getChatPromptText() {
+  const running = researchJobs.running();
+  if (running.length === 0) return chalk.green("You: ");
+  const progress = running.map(job => `#${job.id} ${job.progress || "starting"}${job.stopRequested ? " (stopping)" : ""}`).join(", ");
+  return chalk.gray(`[research ${progress}] `) + chalk.green("You: ");
+}
+
+// Redraws the prompt, keeping what the user has typed so far.
+function refreshChatPrompt() {
+  if (!chatPrompt) return;
+  chatPrompt.setPrompt(getChatPromptText());
+  chatPrompt.prompt(true);
+}
+
+// Shows a message from a background job: right away if Zeno is waiting at the prompt (which is redrawn below it),
+// otherwise before the next prompt, so it never cuts into a reply or a confirmation.
+function notify(message) {
+  if (!chatPrompt) {
+    pendingNotifications.push(message);
+    return;
+  }
+  if (output.isTTY) {
+    output.clearLine(0);
+    output.cursorTo(0);
+  }
+  console.log(message);
+  refreshChatPrompt();
+}
+
+function flushNotifications() {
+  for (const message of pendingNotifications.splice(0)) console.log(message);
+}
+
+// Zeno is exiting: research jobs stop at once. Their progress is saved, so they can be resumed.
+async function stopResearchJobs() {
+  const running = researchJobs.running();
+  running.forEach(job => job.cancel({ now: true }));
+  await Promise.all(running.map(job => job.done));
+  flushNotifications();
+}
+
+// /jobs [list] | /jobs watch <id> | /jobs cancel <id> [now]
+async function handleJobsCommand(rlInstance, args) {
+  const usage = "Usage: /jobs [list] | /jobs watch <id> | /jobs cancel <id> [now]";
+  const [subcommand = "list", idText, flag] = args;
+  if (subcommand.toLowerCase() === "list") {
+    const jobs = researchJobs.list();
+    if (jobs.length === 0) {
+      console.log(chalk.yellow("No research jobs in this run. Start one with /research."));
+      return;
+    }
+    for (const job of jobs) {
+      const status = job.status === "running" ? `running${job.progress ? `, ${job.progress}` : ""}${job.stopRequested ? ", stopping" : ""}` : job.status;
+      console.log(chalk.cyan(`  #${job.id} ${job.name} - ${status} (started ${new Date(job.startedAt).toLocaleTimeString()})`));
+      console.log(chalk.gray(`      ${job.directory}`));
+    }
+    return;
+  }
+
+  const job = researchJobs.get(parseInt(idText, 10));
+  if (!job) {
+    console.log(chalk.red(idText ? `No research job #${idText}. See /jobs.` : usage));
+    return;
+  }
+  switch (subcommand.toLowerCase()) {
+    case "watch": {
+      job.log.forEach(line => console.log(line));
+      if (job.status !== "running") {
+        console.log(chalk.cyan(`Job #${job.id} has ended (${job.status}). ${job.message || ""}`));
+        return;
+      }
+      console.log(chalk.gray("Following the job. Press Enter or Ctrl+C to stop watching; the job keeps running."));
+      const controller = new AbortController();
+      const unwatch = job.watch((event) => {
+        if (event.type === "log") console.log(event.line);
+        if (event.type === "finished") controller.abort();
+      });
+      interruptHandler = () => controller.abort();
+      try {
+        await rlInstance.question("", { signal: controller.signal });
+      } catch (error) {
+        if (!Retry.isAbortError(error)) throw error;
+      } finally {
+        unwatch();
+        interruptHandler = null;
+      }
+      return;
+    }
+    case "cancel": {
+      const result = job.cancel({ now: flag === "now" });
+      if (result === "finished") console.log(chalk.yellow(`Job #${job.id} is not running (${job.status}).`));
+      else if (result === "stopping") console.log(chalk.yellow(`Job #${job.id} will stop after its current step. /jobs cancel ${job.id} again stops it now.`));
+      else console.log(chalk.yellow(`Cancelling job #${job.id}...`));
+      return;
+    }
+    default:
+      console.log(chalk.red(usage));
+  }
+}
+
+
+// --- Command Handlers ---
+async function toggleFilesMode(rlInstance) {
+    if (isFilesModeEnabled) {
+        isFilesModeEnabled = false;
+        // tempFilesWorkingDirectory = null; // Reset temp dir when disabling
+        // filesWorkingDirectory will be kept if it was persisted, so re-enabling /files will use it
+        console.log(chalk.yellow("File manipulation mode DISABLED."));
+        await saveConfig(); // Save the disabled state (by removing filesWorkingDirectory if it was temp)
+    } else {
+        console.log(chalk.blue("Enable file manipulation mode:"));
+        let chosenDir = await rlInstance.question(chalk.blue("Enter full path to the folder Zeno can manage, or type 'this_folder': "));
+        chosenDir = chosenDir.trim();
+
+        if (chosenDir.toLowerCase() === 'this_folder') {
+            tempFilesWorkingDirectory = process.cwd();
+            filesWorkingDirectory = null; // Ensure persisted one is not used if 'this_folder' is chosen
+            console.log(chalk.green(`File manipulation enabled for current directory (TEMPORARY): ${tempFilesWorkingDirectory}`));
+            isFilesModeEnabled = true;
+        } else if (chosenDir) {
+            try {
+                const stats = await fs.stat(chosenDir);
+                if (!stats.isDirectory()) {
+                    console.error(chalk.red("Error: Path provided is not a directory. File mode NOT enabled."));
+                    return;
+                }
+                filesWorkingDirectory = path.resolve(chosenDir); // Store absolute path
+                tempFilesWorkingDirectory = null;
+                isFilesModeEnabled = true;
+                console.log(chalk.green(`File manipulation enabled for directory (SAVED): ${filesWorkingDirectory}`));
+                await saveConfig(); // Persist the chosen directory
+            } catch (error) {
+                console.error(chalk.red(`Error accessing path "${chosenDir}": ${error.message}. File mode NOT enabled.`));
+                return;
+            }
+        } else {
+            console.log(chalk.yellow("No directory provided. File manipulation mode remains disabled."));
+            return;
+        }
+    }
+    await loadSystemInstruction(); // The project ZENO.md and directory snapshot follow the working directory
+    startNewChatSession(); // Re-initialize with new toolset
+}
+
+async function handleModelCommand(rlInstance, args) {
+  const [providerOrModel, modelName, baseUrl] = args;
+  if (!providerOrModel) {
+    console.log(chalk.cyan(`Current model: ${modelProvider.model} (${modelProvider.label})`));
+    console.log(chalk.cyan("Available providers:"));
+    for (const [name, definition] of Object.entries(Providers.PROVIDERS)) {
+      const marker = name === activeProvider ? chalk.green(" (active)") : "";
+      console.log(chalk.cyan(`  ${name.padEnd(10)} - ${definition.label}, default model ${definition.defaultModel}`) + marker);
+    }
+    console.log(chalk.cyan("Usage: /model <provider> [model] [base_url]  or  /model <model> to switch model only"));
+    return;
+  }
+
+  // "/model <name>" with a name that is not a provider switches the model of the current provider
+  const isProvider = Boolean(Providers.PROVIDERS[providerOrModel.toLowerCase()]);
+  const nextProvider = isProvider ? providerOrModel.toLowerCase() : activeProvider;
+  const nextModel = isProvider ? (modelName || null) : providerOrModel;
+  const definition = Providers.PROVIDERS[nextProvider];
+
+  const settings = { ...(providerSettings[nextProvider] || {}) };
+  if (isProvider && baseUrl) settings.baseUrl = baseUrl;
+  const knownKey = await ensureApiKey(nextProvider);
+  let typedKey = null;
+  if (nextProvider === "gemini" && !knownKey) {
+    await promptForApiKey(rlInstance);
+  } else if (nextProvider !== "gemini" && definition.requiresApiKey && !knownKey && !settings.baseUrl) {
+    typedKey = (await rlInstance.question(chalk.blue(`Enter your ${definition.label} API Key: `))).trim();
+    if (!typedKey) {
+      console.log(chalk.red("API Key cannot be empty. Model not changed."));
+      return;
+    }
+  }
+
+  let nextModelProvider;
+  try {
+    nextModelProvider = Providers.createProvider(nextProvider, { ...settings, apiKey: typedKey || getApiKey(nextProvider), model: nextModel });
+  } catch (error) {
+    console.error(chalk.red(`Cannot switch model: ${error.message}`));
+    return;
+  }
+
+  if (nextProvider !== "gemini" && Object.keys(settings).length > 0) providerSettings[nextProvider] = settings;
+  activeProvider = nextProvider;
+  activeModel = nextModel;
+  modelProvider = nextModelProvider;
+  if (typedKey) await storeApiKey(nextProvider, typedKey);
+  await saveConfig();
+  console.log(chalk.green(`Switched to ${modelProvider.model} (${modelProvider.label}).`));
+  startNewChatSession();
+}
+
+async function handleSessionCommand(args) {
+  const [subcommand = "list", ...rest] = args;
+  switch (subcommand.toLowerCase()) {
+    case "list": {
+      const sessions = await Sessions.listSessions(SESSIONS_DIR);
+      console.log(chalk.cyan(`Current session: ${chalk.bold(currentSession.name)}`));
+      if (sessions.length === 0) { console.log(chalk.gray("(no saved sessions)")); return; }
+      for (const session of sessions) {
+        const marker = session.name === currentSession.name ? chalk.green("* ") : "  ";
+        const updated = session.updatedAt ? session.updatedAt.slice(0, 16).replace("T", " ") : "never";
+        console.log(`${marker}${chalk.bold(session.name)} ${chalk.gray(`- ${session.title || "(untitled)"} | ${session.messageCount} messages | ${session.model || "?"} | updated ${updated}`)}`);
+        if (session.workingDirectory) console.log(chalk.gray(`    ${session.workingDirectory}`));
+      }
+      return;
+    }
+    case "new":
+    case "switch": {
+      const name = rest[0] ? Sessions.sanitizeSessionName(rest[0]) : (subcommand === "new" ? Sessions.generateSessionName() : null);
+      if (!name) { console.log(chalk.red(`Usage: /session ${subcommand} <name>`)); return; }
+      const exists = Boolean(await Sessions.loadSession(SESSIONS_DIR, name));
+      if (subcommand === "new" && exists) { console.log(chalk.red(`Session "${name}" already exists. Use /session switch ${name}.`)); return; }
+      if (subcommand === "switch" && !exists) { console.log(chalk.red(`Session "${name}" does not exist. Use /session new ${name}.`)); return; }
+      await saveChatHistory();
+      await openSession(name);
+      if (subcommand === "new") await saveChatHistory();
+      console.log(chalk.green(`${subcommand === "new" ? "Started new" : "Switched to"} session "${name}" (${chatHistory.length} messages).`));
+      startNewChatSession();
+      return;
+    }
+    case "rename": {
+      const [oldName, newName] = rest.length >= 2 ? rest : [currentSession.name, rest[0]];
+      const sanitizedName = Sessions.sanitizeSessionName(newName);
+      if (!sanitizedName) { console.log(chalk.red("Usage: /session rename [old_name] <new_name>")); return; }
+      if (!Sessions.isValidSessionName(oldName)) { console.log(chalk.red(`Invalid session name "${oldName}".`)); return; }
+      try {
+        if (oldName === currentSession.name) await saveChatHistory();
+        await Sessions.renameSession(SESSIONS_DIR, oldName, sanitizedName);
+        await fs.rename(path.join(CHECKPOINTS_DIR, oldName), path.join(CHECKPOINTS_DIR, sanitizedName)).catch(() => {}); // May have none
+        if (oldName === currentSession.name) currentSession.name = sanitizedName;
+        console.log(chalk.green(`Session "${oldName}" renamed to "${sanitizedName}".`));
+      } catch (error) {
+        console.error(chalk.red(`Error renaming session: ${error.message}`));
+      }
+      return;
+    }
+    case "delete": {
+      const name = rest[0];
+      if (!name) { console.log(chalk.red("Usage: /session delete <name>")); return; }
+      if (!Sessions.isValidSessionName(name)) { console.log(chalk.red(`Invalid session name "${name}".`)); return; }
+      if (name === currentSession.name) { console.log(chalk.red("Cannot delete the active session. Switch to another session first.")); return; }
+      if (await Sessions.deleteSession(SESSIONS_DIR, name)) {
+        await fs.rm(path.join(CHECKPOINTS_DIR, name), { recursive: true, force: true });
+        console.log(chalk.yellow(`Session "${name}" deleted.`));
+      } else console.log(chalk.red(`Session "${name}" does not exist.`));
+      return;
+    }
+    default:
+      console.log(chalk.red("Usage: /session new|list|switch|rename|delete [name]"));
+  }
+}
+
+function getCheckpointDir() {
+  return currentSession ? path.join(CHECKPOINTS_DIR, currentSession.name) : null; // Unsaved one-shot runs keep none
+}
+
+function describeCheckpoint(checkpoint) {
+  const time = new Date(checkpoint.createdAt).toLocaleString();
+  const files = checkpoint.files.map(file => file.path);
+  const shown = files.length > 3 ? `${files.slice(0, 3).join(", ")} and ${files.length - 3} more` : files.join(", ");
+  return `${chalk.bold(`#${checkpoint.id}`)} ${chalk.gray(time)} ${checkpoint.tool}: ${checkpoint.description} ${chalk.gray(`(${shown})`)}`;
+}
+
+async function handleCheckpointsCommand() {
+  const checkpointDir = getCheckpointDir();
+  const checkpoints = checkpointDir ? await Checkpoints.listCheckpoints(checkpointDir) : [];
+  if (checkpoints.length === 0) {
+    console.log(chalk.yellow("No checkpoints in this session. They are created before Zeno changes files."));
+    return;
+  }
+  console.log(chalk.cyan(`Checkpoints for session "${currentSession.name}" (newest last):`));
+  checkpoints.forEach(checkpoint => console.log(`  ${describeCheckpoint(checkpoint)}`));
+  console.log(chalk.gray("/undo reverts the latest one; /restore <id> goes back to before checkpoint <id>."));
+}
+
+// Reverts the given checkpoint and everything after it; undefined means the latest one.
+async function handleRestoreCommand(idArg, usage) {
+  const checkpointDir = getCheckpointDir();
+  const id = idArg === undefined ? undefined : parseInt(idArg.replace(/^#/, ""), 10);
+  if (idArg !== undefined && !Number.isInteger(id)) {
+    console.log(chalk.red(usage));
+    return;
+  }
+  try {
+    const result = checkpointDir ? await Checkpoints.restoreCheckpoint(checkpointDir, id) : null;
+    if (!result) {
+      console.log(chalk.yellow(id === undefined ? "Nothing to undo." : `Checkpoint #${id} does not exist. See /checkpoints.`));
+      return;
+    }
+    result.reverted.forEach(checkpoint => console.log(chalk.green(`Reverted ${describeCheckpoint(checkpoint)}`)));
+    if (result.restored.length > 0) console.log(chalk.green(`Restored: ${result.restored.join(", ")}`));
+    if (result.skipped.length > 0) console.log(chalk.yellow(`Could not restore (too large to snapshot): ${result.skipped.join(", ")}`));
+    // Tell the model, so it does not assume its changes are still there
+    const ids = result.reverted.map(checkpoint => `#${checkpoint.id}`).join(", ");
+    chatHistory.push({ role: "user", parts: [{ text: `[Note: the user reverted file changes (checkpoints ${ids}). Restored files: ${result.restored.join(", ") || "none"}.]` }] });
+    chatHistory.push({ role: "model", parts: [{ text: "Understood, I will take the reverted files into account." }] });
+    await saveChatHistory();
+    startNewChatSession({ quiet: true });
+  } catch (error) {
+    console.error(chalk.red(`Error restoring checkpoint: ${error.message}`));
+  }
+}
+
+// Writes a file for the editor inside a fresh private folder, so other users can neither predict nor read it.
+async function writeEditorFile(fileName, content) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "zeno-"));
+  const filePath = path.join(directory, fileName);
+  await fs.writeFile(filePath, content, { mode: 0o600 });
+  return filePath;
+}
+
+async function removeEditorFile(filePath) {
+  if (filePath) await fs.rm(path.dirname(filePath), { recursive: true, force: true });
+}
+
+// Hands the terminal to $VISUAL/$EDITOR until it exits.
+function openInEditor(rlInstance, filePath) {
+  const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === "win32" ? "notepad" : "vi");
+  rlInstance.pause();
+  if (input.isTTY) input.setRawMode(false);
+  try {
+    // Like git, the editor setting is a shell command line (e.g. "code --wait"); the path is passed as "$1" so it is never parsed
+    const result = process.platform === "win32"
+      ? spawnSync(editor, [filePath], { stdio: "inherit", shell: true })
+      : spawnSync("sh", ["-c", `${editor} "$1"`, "sh", filePath], { stdio: "inherit" });
+    if (result.error) throw result.error;
+  } finally {
+    if (input.isTTY) input.setRawMode(true);
+    rlInstance.resume();
+  }
+}
+
+async function handleSystemCommand(rlInstance, args) {
+  const [subcommand = "show", scope] = args;
+  switch (subcommand) {
+    case "show": {
+      console.log(chalk.cyan("--- System Instructions ---"));
+      console.log(chalk.cyan(systemInstruction.sources.length > 0
+        ? `From: ${systemInstruction.sources.join(", ")}`
+        : `No ${Instructions.INSTRUCTIONS_FILE} loaded. Create one with /system edit.`));
+      console.log(chalk.gray(systemInstruction.text));
+      console.log(chalk.cyan("---------------------------"));
+      return;
+    }
+    case "edit": {
+      const workingDirectory = isFilesModeEnabled ? (tempFilesWorkingDirectory || filesWorkingDirectory) : null;
+      if (scope && scope !== "global" && scope !== "project") {
+        console.log(chalk.red("Usage: /system edit [project|global]"));
+        return;
+      }
+      if (scope === "project" && !workingDirectory) {
+        console.log(chalk.red("A project ZENO.md lives in the files-mode working directory. Enable /files first."));
+        return;
+      }
+      const directory = scope === "global" || !workingDirectory ? CONFIG_DIR : workingDirectory;
+      const filePath = path.join(directory, Instructions.INSTRUCTIONS_FILE);
+      try {
+        await fs.mkdir(directory, { recursive: true });
+        await fs.appendFile(filePath, ""); // Create it if missing so the editor opens an existing file
+        openInEditor(rlInstance, filePath);
+      } catch (error) {
+        console.error(chalk.red(`Could not edit ${filePath}: ${error.message}`));
+        return;
+      }
+      await loadSystemInstruction();
+      startNewChatSession({ quiet: true });
+      console.log(chalk.green(`Saved ${filePath}. System instructions reloaded; history kept.`));
+      return;
+    }
+    case "reload": {
+      await loadSystemInstruction();
+      startNewChatSession({ quiet: true });
+      const sources = systemInstruction.sources.length > 0 ? ` from ${systemInstruction.sources.join(", ")}` : "";
+      console.log(chalk.green(`System instructions reloaded${sources}; history kept.`));
+      return;
+    }
+    default:
+      console.log(chalk.red("Usage: /system [show|edit [project|global]|reload]"));
+  }
+}
+
+async function resumeResearch(dir) {
+  if (!dir) {
+    console.log(chalk.red("Usage: /research resume <research_directory>"));
+    return;
+  }
+  const researchDir = path.resolve(dir);
+  const runningJob = findRunningResearchJob(researchDir);
+  if (runningJob) {
+    console.log(chalk.yellow(`Research in ${researchDir} is already running as job #${runningJob.id}.`));
+    return;
+  }
+  let state;
+  try {
+    state = await Research.loadResearchState(researchDir);
+  } catch (error) {
+    console.error(chalk.red(`Cannot resume research: ${error.message}`));
+    return;
+  }
+
+  const done = state.topics.filter(entry => entry.status === 'done').length;
+  if (state.status === 'complete' || state.status === 'reporting') {
+    if (state.status === 'complete' && done === state.topics.length) {
+      console.log(chalk.green(`Research on "${state.topic}" is already complete: ${state.reportPath}`));
+      return;
+    }
+    state.status = done === state.topics.length ? 'reporting' : 'researching';
+  }
+  console.log(chalk.green(`Resuming research on "${state.topic}" (${done}/${state.topics.length} topics done).`));
+  // Resuming a run that waits for review means the topics were reviewed
+  startResearchJob(researchDir, state, { reviewed: state.status === 'awaiting_review' });
+}
+
+// /research [--topics N] [--depth N] [--dir folder] [topic]  or  /research resume <dir>
+async function handleResearchMode(rlInstance, args = []) {
+  if (args[0] && args[0].toLowerCase() === 'resume') {
+    await resumeResearch(args.slice(1).join(' '));
+    return;
+  }
+
+  const options = {};
+  const topicWords = [];
+  let baseDir = process.cwd();
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dir') {
+      if (!args[i + 1]) {
+        console.log(chalk.red("--dir needs a folder."));
+        return;
+      }
+      baseDir = path.resolve(args[++i]);
+    } else if (args[i] === '--topics' || args[i] === '--depth') {
+      const value = parseInt(args[i + 1], 10);
+      const valid = args[i] === '--topics' ? value >= 1 && value <= 50 : value >= 0 && value <= 5;
+      if (!valid) {
+        console.log(chalk.red(args[i] === '--topics' ? "--topics must be between 1 and 50." : "--depth must be between 0 and 5."));
+        return;
+      }
+      options[args[i] === '--topics' ? 'topicCount' : 'depth'] = value;
+      i++;
+    } else {
+      topicWords.push(args[i]);
+    }
+  }
+
+  const topic = topicWords.length > 0 ? topicWords.join(' ') : await rlInstance.question(chalk.blue("Enter research topic: "));
+  if (!topic.trim()) {
+    console.log(chalk.red("Research topic cannot be empty."));
+    return;
+  }
+
+  const researchDir = Research.getResearchDir(baseDir, topic.trim());
+  const runningJob = findRunningResearchJob(researchDir);
+  if (runningJob) {
+    console.log(chalk.yellow(`Research on this topic in ${runningJob.directory} is already running as job #${runningJob.id}.`));
+    return;
+  }
+  if (await Research.researchExists(researchDir)) {
+    const existing = await Research.loadResearchState(researchDir).catch(() => null); // Missing or unreadable state
+    if (existing) {
+      const done = existing.topics.filter(entry => entry.status === 'done').length;
+      console.log(chalk.yellow(`Research on "${existing.topic}" already exists in ${researchDir} (${existing.status}, ${done}/${existing.topics.length} topics done).`));
+    } else {
+      console.log(chalk.yellow(`${researchDir} already holds research files.`));
+    }
+    const choices = existing ? "resume it (r), start over and overwrite it (o), or cancel (Enter)" : "overwrite them (o) or cancel (Enter)";
+    const answer = (await rlInstance.question(chalk.blue(`Do you want to ${choices}? `))).trim().toLowerCase();
+    if (existing && answer.startsWith('r')) {
+      await resumeResearch(researchDir);
+      return;
+    }
+    if (!answer.startsWith('o')) {
+      console.log(chalk.yellow("Research not started; the existing files are unchanged."));
+      return;
+    }
+    options.overwrite = true;
+  }
+
+  let research;
+  try {
+    research = await Research.createResearch(baseDir, topic.trim(), options);
+  } catch (error) {
+    console.error(chalk.red(`Error initializing research: ${error.message}`));
+    return;
+  }
+  console.log(chalk.green(`Research initialized at: ${research.researchDir}`));
+  console.log(chalk.green("\nInitializing automated research process for:"), chalk.bold(topic));
+  console.log(chalk.cyan("Zeno will automatically:"));
+  console.log(chalk.cyan(`1. Generate ${research.state.options.topicCount} research topics, then wait for you to review them`));
+  console.log(chalk.cyan(`2. Research each topic systematically${research.state.options.depth ? ` with ${research.state.options.depth} follow-up search(es) each` : ""}`));
+  console.log(chalk.cyan("3. Save findings and generate final report"));
+  console.log(chalk.cyan("Progress is saved after every topic, so an interrupted run can be resumed.\n"));
+
+  startResearchJob(research.researchDir, research.state);
+}
+
+// Add to displayHelp()
+function displayHelp() {
+  const line = (command) => `  ${`/${command.name}`.padEnd(11)} - ${command.description}`;
+  console.log(chalk.cyan("\nZeno Chat Commands:"));
+  console.log(chalk.cyan(`  Model: ${modelProvider.model} (${modelProvider.label})`));
+  console.log(chalk.cyan(`  Session: ${currentSession ? currentSession.name : "(none)"}`));
+  for (const command of commandRegistry.list({ source: "builtin" })) {
+    console.log(chalk.cyan(line(command)));
+    command.details.forEach(detail => console.log(chalk.cyan(`${" ".repeat(16)}${detail}`)));
+  }
+  const templates = commandRegistry.list({ source: ["user", "project"] });
+  if (templates.length > 0) {
+    console.log(chalk.cyan("  Your commands:"));
+    templates.forEach(command => console.log(chalk.cyan(line(command)) + chalk.gray(` [${command.source}]`)));
+  }
+  console.log(chalk.cyan("  Current file mode: " + (isFilesModeEnabled ? chalk.green(`ENABLED for ${chalk.bold(tempFilesWorkingDirectory || filesWorkingDirectory || 'N/A')}`) : chalk.red("DISABLED"))));
+  console.log("");
+}
+
+// --- Tool Dispatch ---
+// Returns the hook file.js calls with the paths a tool is about to change.
+function snapshotBeforeChange(tool, description, log = line => console.log(line)) {
+  const checkpointDir = getCheckpointDir();
+  if (!checkpointDir) return undefined;
+  return async (relativePaths) => {
+    const checkpoint = await Checkpoints.createCheckpoint(checkpointDir, tempFilesWorkingDirectory || filesWorkingDirectory, relativePaths, { tool, description });
+    log(chalk.dim(`Checkpoint #${checkpoint.id} saved. /undo reverts it.`));
+    const unrestorable = checkpoint.files.filter(file => !file.restorable).map(file => file.path);
+    if (unrestorable.length > 0) log(chalk.yellow(`Not fully snapshotted (too large), /undo leaves these alone: ${unrestorable.join(", ")}`));
+  };
+}
+
+// Commands can touch any file, so the working directory is scanned before and after to find what changed.
+async function runCommandWithCheckpoint(directory, command, signal, log = line => console.log(line)) {
+  const checkpointDir = getCheckpointDir();
+  const before = checkpointDir ? await Checkpoints.scanDirectory(directory) : null;
+  const result = await FileOps.runShellCommand(directory, command, { ...getCommandOptions(), signal, log });
+  if (before) {
+    const changes = await Checkpoints.recordDirectoryChanges(checkpointDir, directory, before, { tool: "run_command", description: command });
+    if (changes) {
+      log(chalk.dim(`Checkpoint #${changes.checkpoint.id} saved: the command changed ${changes.checkpoint.files.length} file(s). /undo reverts it.`));
+      if (changes.unrestorable.length > 0) log(chalk.yellow(`Too large to snapshot, cannot be undone: ${changes.unrestorable.join(", ")}`));
+    }
+    if (before.truncated) log(chalk.yellow("The working directory is too large to scan fully; some changes may not be undoable."));
+  }
+  return result;
+}
+
+function isFilesModeActive() {
+  return isFilesModeEnabled && Boolean(filesWorkingDirectory || tempFilesWorkingDirectory);
+}
+
+// Where relative paths typed by the user (and plugin tool commands) resolve: the file mode directory, else the cwd.
+function getActiveWorkingDirectory() {
+  return isFilesModeActive() ? tempFilesWorkingDirectory || filesWorkingDirectory : process.cwd();
+}
+
+// Built-in tools; read-only ones run without asking the user
+function registerBuiltinTools() {
+  const currentDir = () => tempFilesWorkingDirectory || filesWorkingDirectory;
+  const declarations = new Map([...webSearchTool.functionDeclarations, ...fileSystemToolDeclarations, ...gitToolDeclarations]
+    .map(declaration => [declaration.name, declaration]));
+  // Built-in tools parse their own arguments leniently (e.g. numbers sent as strings), so the registry does not validate them
+  const builtin = (name, options) => toolRegistry.register({ name, declaration: declarations.get(name), source: "builtin", validateArguments: false, ...options });
+  const fileTool = (name, options) => builtin(name, { isAvailable: isFilesModeActive, describe: () => [`In directory: ${currentDir()}`], ...options });
+
+  builtin("web_search", { readOnly: true, execute: (args, { signal }) => executeWebSearch(args.term_to_search, signal) });
+  // Refuses local and private network addresses (see Web.fetchUrl), so it can run without asking
+  builtin("fetch_url", { readOnly: true, execute: (args, { signal, log }) => executeFetchUrl(args.url, args.max_length, signal, log) });
+  fileTool("new_file", {
+    execute: (args, { log }) => FileOps.createNewFile(currentDir(), args.file_path, args.file_content, snapshotBeforeChange("new_file", `create ${args.file_path}`, log)),
+  });
+  fileTool("run_command", { execute: (args, { signal, log }) => runCommandWithCheckpoint(currentDir(), args.command_to_run, signal, log) });
+  fileTool("modify_file", { // Rename
+    execute: (args, { log }) => FileOps.renameFile(currentDir(), args.file_path, args.new_file_name,
+      snapshotBeforeChange("modify_file", `rename ${args.file_path} to ${args.new_file_name}`, log)),
+  });
+  fileTool("read_file", { readOnly: true, execute: (args) => FileOps.readFile(currentDir(), args.file_path, args.start_line, args.end_line) });
+  fileTool("list_directory", { readOnly: true, execute: (args) => FileOps.listDirectory(currentDir(), args.dir_path, args.recursive) });
+  fileTool("search_in_files", { readOnly: true, execute: (args) => FileOps.searchInFiles(currentDir(), args.pattern, args.dir_path, args.file_glob) });
+  fileTool("edit_file", {
+    execute: (args, { log }) => FileOps.editFile(currentDir(), args.file_path, args.edits, args.patch, snapshotBeforeChange("edit_file", `edit ${args.file_path}`, log)),
+  });
+  const gitTool = (name, options) => builtin(name, { isAvailable: () => isFilesModeActive() && Boolean(gitRepoRoot), describe: () => [`Repository: ${gitRepoRoot}`], ...options });
+  gitTool("git_status", { readOnly: true, execute: () => Git.getStatus(gitRepoRoot) });
+  gitTool("git_diff", {
+    readOnly: true,
+    execute: (args) => Git.getDiff(gitRepoRoot, { staged: Boolean(args.staged), base: args.base, paths: [].concat(args.paths || []), maxChars: parseInt(args.max_chars, 10) || undefined }),
+  });
+  gitTool("git_log", { readOnly: true, execute: (args) => Git.getLog(gitRepoRoot, { maxCount: args.max_count, ref: args.ref, path: args.path }) });
+  gitTool("git_commit", {
+    describe: (args) => [`Repository: ${gitRepoRoot}`, `Message: ${String(args.message || "").split("\n")[0]}`,
+      ...(args.paths && args.paths.length ? [`Stage first: ${[].concat(args.paths).join(", ")}`] : []), ...(args.all ? ["Stage all modified tracked files"] : [])],
+    execute: (args) => Git.commit(gitRepoRoot, { message: args.message, paths: [].concat(args.paths || []), all: Boolean(args.all) }),
+  });
+}
+
+// Registers the "tools" declared in config.json and connects to the "mcpServers"; failures are reported, not fatal.
+async function loadPluginTools({ quiet = false } = {}) {
+  const context = {
+    getWorkingDirectory: getActiveWorkingDirectory,
+    getCommandOptions,
+  };
+  for (const [name, spec] of Object.entries(savedConfig.tools || {})) {
+    try {
+      const tool = Tools.createCommandTool(name, spec, context);
+      if (toolRegistry.get(tool.name) && toolRegistry.get(tool.name).source === "builtin") throw new Error("a built-in tool has that name");
+      toolRegistry.register(tool);
+    } catch (error) {
+      console.error(chalk.red(`Skipping tool "${name}" from config.json: ${error.message}`));
+    }
+  }
+
+  await Promise.all(Object.entries(savedConfig.mcpServers || {}).map(async ([name, spec]) => {
+    if (spec && spec.enabled === false) return;
+    try {
+      const client = await Mcp.connectServer(Tools.toToolName(name), spec);
+      mcpClients.push(client);
+      const tools = Tools.createMcpTools(client, await client.listTools(), spec);
+      tools.forEach(tool => toolRegistry.register(tool));
+      if (!quiet) console.log(chalk.cyan(`Connected to MCP server "${name}" (${tools.length} tools).`));
+    } catch (error) {
+      console.error(chalk.red(`Could not use MCP server "${name}": ${error.message}`));
+    }
+  }));
+}
+
+function closePluginServers() {
+  mcpClients.forEach(client => client.close());
+  mcpClients = [];
+}
+
+function displayToolList() {
+  console.log(chalk.cyan("Tools available to Zeno:"));
+  for (const tool of toolRegistry.list({ availableOnly: true })) {
+    const policy = tool.readOnly ? "read-only" : tool.requiresConfirmation ? "asks first" : "runs without asking";
+    const source = tool.source === "builtin" ? "" : chalk.gray(` [${tool.source}]`);
+    console.log(`  ${chalk.bold(tool.name)}${source} ${chalk.gray(`(${policy})`)}`);
+  }
+  if (!isFilesModeActive()) console.log(chalk.gray("File tools become available with /files."));
+}
+
+async function executeToolCall(toolCall, signal, log) {
+  const result = await toolRegistry.execute(toolCall, { signal, log });
+  if (result.startsWith("Error: Unknown tool")) console.error(chalk.red(result));
+  return result;
+}
+
+// --- Response Output ---
+// Interactive output: typing indicator, colored "Zeno:" prefix, streamed text rendered as Markdown
+// (or printed as it comes with /render off).
+function createTerminalOutput(label = "Zeno", color = chalk.blueBright) {
+  let firstChunk = true;
+  let renderer = null;
+  return {
+    beginResponse(status = "Zeno is typing...") {
+      firstChunk = true;
+      renderer = isMarkdownRenderingEnabled
+        ? Markdown.createMarkdownRenderer({ write: (text) => process.stdout.write(text), textColor: color, codeBlocks })
+        : null;
+      process.stdout.write(chalk.blue(status));
+    },
+    text(chunkText) {
+      if (firstChunk) {
+        process.stdout.clearLine(0); process.stdout.cursorTo(0);
+        process.stdout.write(renderer ? `${color.bold(`${label}:`)}\n` : color(`${label}: `));
+        firstChunk = false;
+      }
+      if (renderer) renderer.push(chunkText);
+      else process.stdout.write(color(chunkText));
+    },
+    endResponse() {
+      if (firstChunk) { process.stdout.clearLine(0); process.stdout.cursorTo(0); return; }
+      if (renderer) renderer.end();
+      else process.stdout.write("\n");
+    },
+  };
+}
+
+// Scripting output: streamed text on stdout (rendered only when it is a terminal), or nothing at all when the
+// caller prints JSON at the end.
+function createPlainOutput({ silent = false, render = false } = {}) {
+  let wroteText = false;
+  let renderer = null;
+  return {
+    beginResponse() {
+      wroteText = false;
+      renderer = render && !silent ? Markdown.createMarkdownRenderer({ write: (text) => process.stdout.write(text) }) : null;
+    },
+    text(chunkText) {
+      wroteText = true;
+      if (renderer) renderer.push(chunkText);
+      else if (!silent) process.stdout.write(chunkText);
+    },
+    endResponse() {
+      if (renderer) renderer.end();
+      else if (wroteText && !silent) process.stdout.write("\n");
+    },
+  };
+}
+
+// --- Code Blocks ---
+// Finds a code block by its number; with no number, the latest one.
+function getCodeBlock(numberArg, usage) {
+  if (codeBlocks.length === 0) {
+    console.log(chalk.yellow("No code blocks yet. They are numbered as responses show them (with /render on)."));
+    return null;
+  }
+  const number = numberArg === undefined ? codeBlocks.length : parseInt(numberArg.replace(/^#/, ""), 10);
+  if (!Number.isInteger(number)) { console.log(chalk.red(usage)); return null; }
+  if (number < 1 || number > codeBlocks.length) {
+    console.log(chalk.red(`Code block ${number} does not exist (1-${codeBlocks.length}).`));
+    return null;
+  }
+  return codeBlocks[number - 1];
+}
+
+// Puts text on the clipboard with the platform's tool, falling back to the OSC 52 terminal escape sequence.
+function copyToClipboard(text) {
+  const commands = process.platform === "darwin" ? [["pbcopy", []]]
+    : process.platform === "win32" ? [["clip", []]]
+    : [["wl-copy", []], ["xclip", ["-selection", "clipboard"]], ["xsel", ["--clipboard", "--input"]]];
+  for (const [command, args] of commands) {
+    const result = spawnSync(command, args, { input: text, stdio: ["pipe", "ignore", "ignore"], timeout: 5000 });
+    if (!result.error && result.status === 0) return command;
+  }
+  process.stdout.write(`\x1b]52;c;${Buffer.from(text).toString("base64")}\x07`);
+  return null;
+}
+
+function handleCopyCommand(args) {
+  const block = getCodeBlock(args[0], "Usage: /copy [number]");
+  if (!block) return;
+  const number = codeBlocks.indexOf(block) + 1;
+  const tool = copyToClipboard(block.code);
+  if (tool) console.log(chalk.green(`Copied code block ${number} to the clipboard (${tool}).`));
+  else console.log(chalk.yellow(`No clipboard tool found; sent code block ${number} to the terminal clipboard instead (works in terminals that support OSC 52).`));
+}
+
+// Asks before replacing an existing file; true if the file may be written.
+async function confirmOverwrite(rlInstance, targetPath) {
+  try {
+    await fs.access(targetPath);
+  } catch {
+    return true; // Does not exist yet
+  }
+  const answer = await rlInstance.question(chalk.yellow(`${targetPath} exists. Overwrite? (y/N): `));
+  return answer.trim().toLowerCase() === "y";
+}
+
+async function handleSaveCommand(rlInstance, args) {
+  const usage = "Usage: /save <number> <path>";
+  if (args.length < 2) { console.log(chalk.red(usage)); return; }
+  const block = getCodeBlock(args[0], usage);
+  if (!block) return;
+  const targetPath = path.resolve(getActiveWorkingDirectory(), args.slice(1).join(" "));
+  if (!await confirmOverwrite(rlInstance, targetPath)) { console.log(chalk.yellow("Not saved.")); return; }
+  try {
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.writeFile(targetPath, block.code);
+    console.log(chalk.green(`Saved code block ${codeBlocks.indexOf(block) + 1} to ${targetPath}`));
+  } catch (error) {
+    console.error(chalk.red(`Could not save code block: ${error.message}`));
+  }
+}
+
+async function handleRenderCommand(args) {
+  const [setting] = args;
+  if (setting !== undefined && !["on", "off"].includes(setting.toLowerCase())) {
+    console.log(chalk.red("Usage: /render [on|off]"));
+    return;
+  }
+  if (setting !== undefined) {
+    isMarkdownRenderingEnabled = setting.toLowerCase() === "on";
+    savedConfig.renderMarkdown = isMarkdownRenderingEnabled;
+    await saveConfig();
+  }
+  console.log(chalk.cyan(`Markdown rendering is ${isMarkdownRenderingEnabled ? "on" : "off (responses are printed as raw text)"}.`));
+}
+
+// --- Export & Import ---
+async function handleExportCommand(rlInstance, args) {
+  const usage = `Usage: /export <file> [--format ${Transcript.EXPORT_FORMATS.join("|")}]`;
+  const fileArgs = [];
+  let format = null;
+  for (let index = 0; index < args.length; index++) {
+    if (args[index] === "--format") format = (args[++index] || "").toLowerCase();
+    else if (args[index].startsWith("--format=")) format = args[index].slice("--format=".length).toLowerCase();
+    else fileArgs.push(args[index]);
+  }
+  if (fileArgs.length === 0 || (format !== null && !Transcript.EXPORT_FORMATS.includes(format))) {
+    console.log(chalk.red(usage));
+    return;
+  }
+  if (chatHistory.length === 0) { console.log(chalk.yellow("Nothing to export: the conversation is empty.")); return; }
+
+  const targetPath = path.resolve(getActiveWorkingDirectory(), fileArgs.join(" "));
+  if (!format) format = Transcript.formatForFile(targetPath);
+  if (!await confirmOverwrite(rlInstance, targetPath)) { console.log(chalk.yellow("Not exported.")); return; }
+  const transcript = Transcript.createTranscript(currentSession || { name: "unsaved" }, chatHistory, {
+    provider: modelProvider.name,
+    model: modelProvider.model,
+    workingDirectory: getActiveWorkingDirectory(),
+  });
+  try {
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.writeFile(targetPath, Transcript.renderTranscript(transcript, format));
+    console.log(chalk.green(`Exported ${chatHistory.length} messages as ${format} to ${targetPath}`));
+  } catch (error) {
+    console.error(chalk.red(`Could not export the conversation: ${error.message}`));
+  }
+}
+
+// Loads an exported JSON transcript into a new session and switches to it.
+async function handleImportCommand(args) {
+  const [fileArg, nameArg] = args;
+  if (!fileArg) { console.log(chalk.red("Usage: /import <file.json> [session_name]")); return; }
+  let imported;
+  try {
+    imported = Transcript.parseTranscript(await fs.readFile(path.resolve(getActiveWorkingDirectory(), fileArg), "utf-8"));
+  } catch (error) {
+    console.error(chalk.red(`Could not import ${fileArg}: ${error.message}`));
+    return;
+  }
+
+  let name = Sessions.sanitizeSessionName(nameArg);
+  if (nameArg && !name) { console.log(chalk.red("Usage: /import <file.json> [session_name]")); return; }
+  if (name && await Sessions.loadSession(SESSIONS_DIR, name)) {
+    console.log(chalk.red(`Session "${name}" already exists. Choose another name.`));
+    return;
+  }
+  if (!name) {
+    const baseName = `${Sessions.sanitizeSessionName(imported.session.name) || "session"}-imported`;
+    name = baseName;
+    for (let suffix = 2; await Sessions.loadSession(SESSIONS_DIR, name); suffix++) name = `${baseName}-${suffix}`;
+  }
+
+  await saveChatHistory();
+  currentSession = Sessions.createSession(name, { provider: activeProvider, model: activeModel, workingDirectory: process.cwd() });
+  currentSession.title = imported.session.title;
+  chatHistory = imported.history;
+  await saveChatHistory();
+  await Sessions.setLastActiveSession(SESSIONS_DIR, process.cwd(), name);
+  console.log(chalk.green(`Imported ${chatHistory.length} messages as session "${name}".`));
+  if (imported.model) {
+    console.log(chalk.gray(`The conversation was held with ${imported.model} (${imported.provider})${imported.workingDirectory ? ` in ${imported.workingDirectory}` : ""}.`));
+  }
+  startNewChatSession();
+}
+
+// --- Git Commands ---
+const MAX_COMMIT_DIFF_CHARS = 30000;
+
+async function findRepoForCommand() {
+  const root = await Git.findRepoRoot(getActiveWorkingDirectory());
+  if (!root) console.log(chalk.red(`${getActiveWorkingDirectory()} is not inside a git repository.`));
+  return root;
+}
+
+// Asks the model, in a throwaway chat, for a message describing the staged diff in the style of recent commits.
+async function generateCommitMessage(root, staged) {
+  const recent = await Git.getLog(root, { maxCount: 10 });
+  const prompt = `Write a git commit message for the staged changes below.
+Reply with the message only, no code fences: a subject line of at most 72 characters in the imperative mood, then optionally a blank line and a short body explaining why.
+${recent.length > 0 ? `Match the style of the recent commits:\n${recent.map(entry => `- ${entry.subject}`).join("\n")}\n` : ""}
+Changed files:
+${staged.files.map(file => `- ${file.path} (${file.additions === null ? "binary" : `+${file.additions} -${file.deletions}`})`).join("\n")}
+
+Diff${staged.truncated ? ` (truncated to ${MAX_COMMIT_DIFF_CHARS} characters)` : ""}:
+${staged.diff}`;
+  const response = await sendOneOffPrompt(prompt, { kind: "commit" });
+  return response.text.trim().replace(/^```[^\n]*\n([\s\S]*?)\n?```$/, "$1").trim();
+}
+
+async function handleCommitCommand(rlInstance) {
+  const root = await findRepoForCommand();
+  if (!root) return;
+  try {
+    const staged = await Git.getDiff(root, { staged: true, maxChars: MAX_COMMIT_DIFF_CHARS });
+    if (staged.files.length === 0) {
+      console.log(chalk.yellow("Nothing is staged. Stage your changes with git add first."));
+      return;
+    }
+    console.log(chalk.cyan(`Staged in ${root}: ${staged.files.map(file => file.path).join(", ")}`));
+    let message = null;
+    while (true) {
+      if (message === null) {
+        console.log(chalk.blue("Writing a commit message..."));
+        message = await generateCommitMessage(root, staged);
+      }
+      console.log(chalk.cyan("\n--- Commit message ---"));
+      console.log(message);
+      console.log(chalk.cyan("----------------------"));
+      const choice = (await rlInstance.question(chalk.blueBright("Commit? (y)es / (e)dit / (r)egenerate / (n)o: "))).trim().toLowerCase();
+      if (choice === "y" || choice === "yes") {
+        const result = await Git.commit(root, { message });
+        console.log(chalk.green(`Committed: ${result.summary}`));
+        return;
+      }
+      if (choice === "e" || choice === "edit") {
+        const messageFile = await writeEditorFile("COMMIT_EDITMSG", `${message}\n\n# Lines starting with '#' are ignored. Save and close the editor to continue.\n`);
+        try {
+          openInEditor(rlInstance, messageFile);
+          message = (await fs.readFile(messageFile, "utf-8")).split("\n").filter(line => !line.startsWith("#")).join("\n").trim();
+        } finally {
+          await removeEditorFile(messageFile);
+        }
+        if (!message) { console.log(chalk.yellow("Empty message; commit cancelled.")); return; }
+      } else if (choice === "r" || choice === "regenerate") {
+        message = null;
+      } else {
+        console.log(chalk.yellow("Commit cancelled."));
+        return;
+      }
+    }
+  } catch (error) {
+    console.error(chalk.red(`Commit failed: ${error.message}`));
+  }
+}
+
+// Sends the current changes to the model in the main chat, so the review can be discussed and acted on.
+async function handleReviewCommand(rlInstance, args) {
+  const root = await findRepoForCommand();
+  if (!root) return;
+  const staged = args.includes("--staged");
+  const paths = args.filter(arg => arg !== "--staged");
+  let changes;
+  let untracked = [];
+  try {
+    if (staged) {
+      changes = await Git.getDiff(root, { staged: true, paths });
+    } else {
+      // Staged and unstaged changes together; a repository without commits has no HEAD to compare with
+      changes = await Git.getDiff(root, { base: "HEAD", paths }).catch(() => Git.getDiff(root, { staged: true, paths }));
+      untracked = (await Git.getStatus(root)).untracked;
+    }
+  } catch (error) {
+    console.error(chalk.red(`Could not read the diff: ${error.message}`));
+    return;
+  }
+  if (changes.files.length === 0 && untracked.length === 0) {
+    console.log(chalk.yellow(`No ${staged ? "staged " : ""}changes to review.`));
+    return;
+  }
+
+  console.log(chalk.cyan(`Reviewing ${changes.files.length} changed file(s) in ${root}...`));
+  const prompt = `Please review these ${staged ? "staged " : ""}changes in the git repository at ${root}.
+Point out bugs, risky changes, missing error handling or tests, and unclear code, most important first, referring to files and lines. Mention what looks good only briefly.
+${untracked.length > 0 ? `\nNew untracked files (not in the diff${isFilesModeActive() ? "; read them with read_file if needed" : ""}): ${untracked.join(", ")}\n` : ""}
+\`\`\`diff
+${changes.diff}
+\`\`\`${changes.truncated ? `\n(The diff was truncated to ${Git.DEFAULT_MAX_DIFF_CHARS} characters.)` : ""}`;
+  await runInteractiveTurn(rlInstance, [{ text: prompt }]);
+}
+
+// --- Attachments ---
+async function handleAttachCommand(args) {
+  const paths = (args.join(" ").match(/"[^"]+"|\S+/g) || []).map(arg => arg.replace(/^"(.*)"$/, "$1"));
+  if (paths.length === 1 && paths[0].toLowerCase() === "clear") {
+    pendingAttachments = [];
+    console.log(chalk.yellow("Pending attachments removed."));
+    return;
+  }
+  for (const filePath of paths) {
+    try {
+      const attachment = await Attachments.loadAttachment(filePath, getActiveWorkingDirectory());
+      pendingAttachments = pendingAttachments.filter(pending => pending.path !== attachment.path);
+      pendingAttachments.push(attachment);
+      console.log(chalk.green(`Attached ${Attachments.describeAttachment(attachment)}${attachment.truncated ? " (truncated)" : ""}.`));
+    } catch (error) {
+      console.error(chalk.red(error.message));
+    }
+  }
+  if (pendingAttachments.length === 0) {
+    console.log(chalk.yellow("No attachments. Usage: /attach <path> [more paths], or mention @path in a message."));
+  } else if (paths.length === 0) {
+    console.log(chalk.cyan("Sent with your next message:"));
+    pendingAttachments.forEach(attachment => console.log(chalk.cyan(`  ${Attachments.describeAttachment(attachment)}`)));
+    console.log(chalk.gray("/attach clear removes them."));
+  }
+}
+
+/**
+ * Builds the parts of a user message: the text, then every file attached with /attach or mentioned as @path.
+ * @param {string} text The message.
+ * @param {{includePending?: boolean, referenceText?: string}} [options] Whether to take the files queued with /attach,
+ *   and the part of the message to look for @path in (all of it by default).
+ * @returns {Promise<Array<object>|null>} The parts, or null if an attachment cannot be sent (the error is printed).
+ */
+async function buildUserParts(text, { includePending = true, referenceText = text, log = line => console.log(line) } = {}) {
+  const attachments = includePending ? [...pendingAttachments] : [];
+  try {
+    for (const filePath of await Attachments.findFileReferences(referenceText, getActiveWorkingDirectory())) {
+      if (!attachments.some(attachment => attachment.path === filePath)) attachments.push(await Attachments.loadAttachment(filePath, getActiveWorkingDirectory()));
+    }
+  } catch (error) {
+    console.error(chalk.red(`${error.message} Message not sent.`));
+    return null;
+  }
+  const problem = Attachments.checkTotalSize(attachments);
+  if (problem) {
+    console.error(chalk.red(`${problem} Message not sent.`));
+    return null;
+  }
+  if (includePending) pendingAttachments = [];
+  attachments.forEach(attachment => log(chalk.gray(`Attaching ${Attachments.describeAttachment(attachment)}${attachment.truncated ? " (truncated)" : ""}`)));
+  return [{ text }, ...attachments.map(attachment => Attachments.toHistoryPart(attachment))];
+}
+
+// --- Tool Confirmation (interactive) ---
+// Asks the model, in a throwaway chat, why it wants to run the calls. Keeping this out of the main chat
+// leaves every function call in history directly followed by its response, as the APIs require.
+async function explainToolCalls(toolCalls, signal) {
+  const explanationRequest = `Here is the recent conversation between a user and you (Zeno):
+
+${Context.renderTranscript(chatHistory.slice(-10))}
+
+You now want to execute the following tool calls:
+${toolCalls.map(toolCall => `- ${toolCall.name} with arguments ${JSON.stringify(toolCall.args)}`).join("\n")}
+
+The user is asking for an explanation. Please explain why you want to execute ${toolCalls.length > 1 ? "these tools" : "this tool"} in the context of the conversation, and what the expected outcome or purpose is. Be concise.`;
+
+  const explanationOutput = createTerminalOutput("Zeno (Explanation)", chalk.cyanBright);
+  explanationOutput.beginResponse("Zeno is typing (explanation)...");
+  try {
+    await enforceSpendingCap(Context.estimateTokens(explanationRequest));
+    const explanationChat = modelProvider.startChat({ history: [], tools: [] });
+    const explanationResult = await explanationChat.sendMessageStream(explanationRequest, { signal });
+    let explanationText = "";
+    for await (const chunk of explanationResult.stream) {
+      if (chunk.text) { explanationOutput.text(chunk.text); explanationText += chunk.text; }
+    }
+    explanationOutput.endResponse();
+    await recordUsage("explanation", (await explanationResult.response).usage,
+      () => ({ inputTokens: Context.estimateTokens(explanationRequest), outputTokens: Context.estimateTokens(explanationText) }));
+  } catch (error) {
+    explanationOutput.endResponse();
+    if (Retry.isAbortError(error)) throw error; // Ctrl+C ends the whole turn, not just the explanation
+    console.error(chalk.red(`Could not get an explanation: ${error.message || error}`));
+  }
+}
+
+async function confirmToolsInteractively(rlInstance, toolCalls, signal) {
+  const confirmation = await handleToolConfirmation(rlInstance, toolCalls);
+  if (!confirmation.explain) return { decisions: confirmation.decisions, decidedBy: "user", explained: false };
+
+  await explainToolCalls(toolCalls, signal);
+  // Re-prompt for confirmation without the explain option this time
+  const { decisions } = await handleToolConfirmation(rlInstance, toolCalls, { allowExplain: false });
+  return { decisions, decidedBy: "user", explained: true };
+}
+
+/**
+ * Builds a non-interactive confirmation policy for scripted runs.
+ * @param {{yes?: boolean, denyTools?: boolean, allowTools?: string[]}} policy Approve everything, deny everything, or approve an allowlist.
+ * @returns {Function} A confirmTools callback for runChatTurn.
+ */
+function createToolPolicy({ yes = false, denyTools = false, allowTools = [], log = line => console.log(line) }) {
+  return async (toolCalls) => ({
+    decisions: toolCalls.map(toolCall => {
+      const confirmed = !denyTools && (yes || allowTools.includes(toolCall.name));
+      log(chalk.dim(`Tool ${toolCall.name} ${confirmed ? "approved" : "denied"} by policy: ${JSON.stringify(toolCall.args)}`));
+      return confirmed;
+    }),
+    decidedBy: "policy",
+    explained: false,
+  });
+}
+
+// --- Chat Turn ---
+// Runs approved calls in the order the model gave them; consecutive read-only calls run together, concurrently.
+// Once the signal fires, running calls are cancelled and the remaining ones are not started.
+// Every call, denied ones included, goes to the audit log with who decided (audit.decidedBy, one per call).
+async function executeToolCalls(toolCalls, decisions, signal, audit, log) {
+  const results = new Array(toolCalls.length).fill(null);
+  const runAudited = async (index) => {
+    const startedAt = new Date();
+    const result = signal && signal.aborted ? Tools.CANCELLED_RESULT : await executeToolCall(toolCalls[index], signal, log);
+    await recordToolCall(toolCalls[index], { ...audit, approved: true, decidedBy: audit.decidedBy[index], result, startedAt });
+    results[index] = result;
+  };
+  let readOnlyRun = [];
+  const flushReadOnlyRun = async () => {
+    await Promise.all(readOnlyRun.map(runAudited));
+    readOnlyRun = [];
+  };
+  for (const [index, toolCall] of toolCalls.entries()) {
+    if (!decisions[index]) {
+      await recordToolCall(toolCall, { ...audit, approved: false, decidedBy: audit.decidedBy[index], result: null, startedAt: new Date() });
+    } else if (toolRegistry.isReadOnly(toolCall.name)) {
+      readOnlyRun.push(index);
+    } else {
+      await flushReadOnlyRun(); // Reads the model asked for before this call see the state before it
+      await runAudited(index);
+    }
+  }
+  await flushReadOnlyRun();
+  return results;
+}
+
+// Sends a message on the main chat and streams the reply to output. Failures are retried as long as none of the
+// reply has been shown; progress.text collects what was, so an interrupted reply can still be recorded.
+// Usage is recorded with usageDetails (the turn and its step); the spending cap is checked first.
+async function streamModelResponse(parts, { output, signal, progress, usageDetails, log }) {
+  const retryOptions = getRetryOptions(signal, log);
+  const estimateInput = () => Context.estimateHistoryTokens(chatHistory) + Context.estimateTokens(systemInstruction.text);
+  await enforceSpendingCap(estimateInput(), log);
+  const response = await Retry.withRetry(async () => {
+    output.beginResponse();
+    try {
+      const result = await chat.sendMessageStream(parts, { signal });
+      const functionCalls = [];
+      for await (const chunk of result.stream) {
+        functionCalls.push(...chunk.functionCalls);
+        if (chunk.text) { output.text(chunk.text); progress.text += chunk.text; }
+      }
+      const finalResponse = await result.response;
+      return { finalResponse, functionCalls };
+    } finally {
+      output.endResponse();
+    }
+  }, { ...retryOptions, shouldRetry: () => !progress.text });
+  await recordUsage("chat", response.finalResponse.usage,
+    () => ({ inputTokens: estimateInput(), outputTokens: Context.estimateTokens(progress.text) }), usageDetails);
+  return response;
+}
+
+/**
+ * Sends one user message and keeps the model/tool loop going until the model answers without calling a tool.
+ * Needs no TTY: confirmation and output are supplied by the caller.
+ * @param {Array<object>} userParts Parts of the user message, e.g. [{ text }].
+ * @param {{confirmTools: Function, output: object, signal?: AbortSignal, log?: Function}} io confirmTools(toolCalls, signal)
+ *   resolves to { decisions: one boolean per call, decidedBy: "user" | "policy", explained }; output renders streamed text;
+ *   signal interrupts the turn (see recordInterruption); log prints status lines (console.log by default).
+ * @returns {Promise<{text: string, toolCalls: Array<object>, error: Error|null, interrupted: boolean}>} What happened during the turn.
+ */
+async function runChatTurn(userParts, { confirmTools, output, signal, log = line => console.log(line) }) {
+  const turn = { text: "", toolCalls: [], error: null, interrupted: false };
+  const turnId = new Date().toISOString(); // Groups the turn's requests in the usage ledger
+  chatHistory.push({ role: "user", parts: userParts, timestamp: turnId });
+
+  let continueLoop = true;
+  for (let step = 0; continueLoop; step++) { // Steps after the first are the tool loop
+      continueLoop = false;
+      await ensureContextBudget(1, log); // The last history entry is the message about to be sent
+      const progress = { text: "" };
+
+      try {
+          // History keeps references to attached images and PDFs; the files are read again for sending
+          const parts = await Attachments.resolveReferences(chatHistory[chatHistory.length - 1].parts);
+          const { finalResponse, functionCalls: streamedCalls } = await streamModelResponse(parts, { output, signal, progress, usageDetails: { turn: turnId, step }, log });
+          const fullResponseText = progress.text;
+          let functionCalls = streamedCalls;
+          if (finalResponse.usage) lastTurnUsage = finalResponse.usage;
+          if (finalResponse.functionCalls.length > 0) functionCalls = finalResponse.functionCalls; // Complete list for the turn
+
+          if (functionCalls.length > 0) {
+              // Only calls that change something need the user's approval; some are denied before anyone is asked.
+              // denialReasons says why a call was denied, for the model and the user; it stays empty when the user said no.
+              const automaticDenials = functionCalls.map(getAutomaticDenial);
+              const decisions = automaticDenials.map(denial => !denial);
+              const denialReasons = automaticDenials.map(denial => (denial ? denial.reason : undefined));
+              const confirmIndexes = functionCalls.map((toolCall, index) => index)
+                .filter(index => decisions[index] && toolRegistry.requiresConfirmation(functionCalls[index].name));
+              const audit = { turn: turnId, decidedBy: automaticDenials.map(denial => (denial ? denial.decidedBy : "auto")), explained: false };
+              // Permission rules decide what they cover; the rest goes to the user (or the scripted policy)
+              const ruleDecisions = applyPermissionRules(confirmIndexes.map(index => functionCalls[index]));
+              const askIndexes = confirmIndexes.filter((callIndex, position) => {
+                  const rule = ruleDecisions[position];
+                  if (!rule) return true;
+                  decisions[callIndex] = rule.effect === "allow";
+                  audit.decidedBy[callIndex] = "rule";
+                  if (rule.effect === "deny") denialReasons[callIndex] = `a permission rule denies it (${Permissions.describeRule(rule)}).`;
+                  return false;
+              });
+              if (askIndexes.length > 0) {
+                  const confirmation = await confirmTools(askIndexes.map(index => functionCalls[index]), signal);
+                  askIndexes.forEach((callIndex, answerIndex) => {
+                      decisions[callIndex] = Boolean(confirmation.decisions[answerIndex]);
+                      audit.decidedBy[callIndex] = confirmation.decidedBy;
+                      if (!decisions[callIndex] && confirmation.decidedBy === "policy") {
+                          denialReasons[callIndex] = "the tool policy of this scripted run does not allow it.";
+                      }
+                  });
+                  audit.explained = confirmation.explained;
+              }
+
+              // Log AI's intention: all calls in one model turn, all responses in one function turn
+              const modelParts = fullResponseText ? [{ text: fullResponseText }] : [];
+              chatHistory.push({ role: "model", parts: [...modelParts, ...functionCalls.map(functionCall => ({ functionCall }))], timestamp: new Date().toISOString() });
+              const results = await executeToolCalls(functionCalls, decisions, signal, audit, log);
+              chatHistory.push({
+                role: "function",
+                parts: functionCalls.map((toolCall, index) => toolRegistry.createResponsePart(toolCall, decisions[index], results[index], denialReasons[index])),
+                timestamp: new Date().toISOString(),
+              });
+
+              functionCalls.forEach((toolCall, index) => {
+                  turn.toolCalls.push({ name: toolCall.name, args: toolCall.args, approved: decisions[index], result: results[index] });
+                  if (decisions[index]) return;
+                  if (denialReasons[index]) log(chalk.yellow(`Action ${toolCall.name} denied: ${denialReasons[index]}`));
+                  else log(chalk.yellow(`Action denied by user: ${toolCall.name}`));
+              });
+              if (signal && signal.aborted) {
+                  recordInterruption(turn, "", log);
+              } else {
+                  continueLoop = true; // Let AI process the tools' output (or know they were denied)
+              }
+
+          } else if (fullResponseText.trim()) {
+              chatHistory.push({ role: "model", parts: [{ text: fullResponseText }], timestamp: new Date().toISOString() });
+              turn.text = turn.text ? `${turn.text}\n${fullResponseText}` : fullResponseText;
+          } else {
+              // Handle cases like safety blocks or empty responses if needed
+              const finishReason = finalResponse.finishReason;
+              if (finishReason && !["STOP", "stop"].includes(finishReason)) {
+                   log(chalk.yellow(`Zeno: (Responded without text. Finish Reason: ${finishReason})`));
+                   if (finalResponse.safetyRatings) {
+                      log(chalk.yellow(`Safety Ratings: ${JSON.stringify(finalResponse.safetyRatings)}`));
+                   }
+              }
+          }
+
+      } catch (error) {
+          if (Retry.isAbortError(error)) {
+              recordInterruption(turn, progress.text, log);
+          } else {
+              console.error(chalk.red(Retry.describeError(error, modelProvider.label)));
+              turn.error = error;
+          }
+      }
+  }
+  return turn;
+}
+
+// Keeps history consistent after Ctrl+C: whatever part of the reply was shown is recorded with a note (calls that
+// were awaiting confirmation are dropped; cancelled tool results were already recorded), and the chat is restarted
+// from history, since the provider may have recorded the cut-off exchange or never seen the tool results.
+function recordInterruption(turn, partialText, log = line => console.log(line)) {
+  chatHistory.push({ role: "model", parts: [{ text: partialText ? `${partialText.trimEnd()}\n\n${INTERRUPTED_NOTE}` : INTERRUPTED_NOTE }], timestamp: new Date().toISOString() });
+  if (partialText) turn.text = turn.text ? `${turn.text}\n${partialText}` : partialText;
+  turn.interrupted = true;
+  startNewChatSession({ quiet: true });
+  log(chalk.yellow("\nInterrupted."));
+}
+
+// A chat turn at the prompt: the user confirms tools, the answer streams to the terminal. Ctrl+C interrupts the
+// turn, including a confirmation prompt, and returns to the prompt. A restriction ({ command, allowedTools }) limits
+// the tools the model sees for this turn; the chat is restarted with the full set afterwards.
+async function runInteractiveTurn(rlInstance, userParts, { restriction = null } = {}) {
+  const controller = new AbortController();
+  const turnRl = {
+    question: (query, options = {}) => rlInstance.question(query, { ...options, signal: controller.signal }),
+    pause: () => rlInstance.pause(),
+    resume: () => rlInstance.resume(),
+  };
+  interruptHandler = () => controller.abort();
+  if (restriction) {
+    commandRestriction = restriction;
+    startNewChatSession({ quiet: true });
+  }
+  let turn;
+  try {
+    turn = await runChatTurn(userParts, {
+      confirmTools: (toolCalls, signal) => confirmToolsInteractively(turnRl, toolCalls, signal),
+      output: createTerminalOutput(),
+      signal: controller.signal,
+    });
+  } finally {
+    interruptHandler = null;
+    if (restriction) {
+      commandRestriction = null;
+      startNewChatSession({ quiet: true });
+    }
+  }
+  await saveChatHistory();
+  return turn;
+}
+
+// --- Slash Commands ---
+function displayChatHistory() {
+  console.log(chalk.gray("--- Chat History ---"));
+  if (chatHistory.length === 0) console.log(chalk.gray("(empty)"));
+  else chatHistory.forEach(msg => {
+    const roleDisplay = msg.role === 'user' ? chalk.green(msg.role) : chalk.blueBright(msg.role);
+    let content = "";
+    if (Array.isArray(msg.parts)) {
+      content = msg.parts.map(p => {
+        if (p.text) return p.text;
+        if (p.functionCall) return `[Function Call: ${p.functionCall.name} Args: ${JSON.stringify(p.functionCall.args)}]`;
+        if (p.functionResponse) return `[Function Response for: ${p.functionResponse.name} Content: ${JSON.stringify(p.functionResponse.response.content || p.functionResponse.response)}]`;
+        if (p.fileReference) return `[Attached: ${Attachments.describeAttachment(p.fileReference)}]`;
+        return JSON.stringify(p);
+      }).join('');
+    }
+    console.log(chalk.gray(`${roleDisplay}: ${content}`));
+  });
+  console.log(chalk.gray("--------------------"));
+}
+
+// Composes a message in $EDITOR, starting from the text after /edit, and sends it once the editor closes
+async function handleEditCommand(rlInstance, initialText) {
+  let messageFile;
+  let message;
+  try {
+    messageFile = await writeEditorFile("message.md", initialText ? `${initialText}\n` : "");
+    openInEditor(rlInstance, messageFile);
+    message = (await fs.readFile(messageFile, "utf-8")).trim();
+  } catch (error) {
+    console.error(chalk.red(`Could not edit the message: ${error.message}`));
+    return;
+  } finally {
+    await removeEditorFile(messageFile);
+  }
+  if (!message) {
+    console.log(chalk.yellow("Empty message; nothing sent."));
+    return;
+  }
+  console.log(chalk.green("You: ") + message);
+  const userParts = await buildUserParts(message);
+  if (!userParts) return;
+  await runInteractiveTurn(rlInstance, userParts);
+}
+
+async function handleCompactCommand() {
+  try {
+    const result = await compactChatHistory();
+    if (result) {
+      await saveChatHistory();
+      console.log(chalk.green(`Summarized ${result.summarizedCount} older messages (now ~${Context.estimateHistoryTokens(chatHistory)} tokens).`));
+    } else {
+      console.log(chalk.yellow("Nothing to compact yet."));
+    }
+  } catch (error) {
+    console.error(chalk.red(`Could not compact history: ${error.message}`));
+  }
+}
+
+// Registered in the order /help lists them; run(args, { rl, argumentText }) gets the words after the command
+function registerBuiltinCommands() {
+  const builtin = (name, description, run, details = []) => commandRegistry.register({ name, description, run, details, source: "builtin" });
+  builtin("model", "Show or switch the model: /model <provider> [model] [base_url]", (args, { rl }) => handleModelCommand(rl, args));
+  builtin("files", "Toggle file manipulation mode & set working directory", (args, { rl }) => toggleFilesMode(rl));
+  builtin("session", "Manage chat sessions: new|list|switch|rename|delete [name]", args => handleSessionCommand(args));
+  builtin("history", "Show current chat history", () => displayChatHistory());
+  builtin("export", "Save the conversation: /export <file> [--format md|json|html]", (args, { rl }) => handleExportCommand(rl, args));
+  builtin("import", "Continue an exported JSON conversation as a new session: /import <file.json> [name]", args => handleImportCommand(args));
+  builtin("tokens", "Show how much of the context budget the conversation uses", () => displayTokenUsage());
+  builtin("usage", "Show token usage and cost; /usage day|session|model|research for breakdowns", args => handleUsageCommand(args));
+  builtin("audit", "Show logged tool calls: /audit [--tool <name>] [--since <when>] [--session <name>] [--denied] [--limit N]", args => handleAuditCommand(args));
+  builtin("system", "Show system instructions; /system edit [project|global] or /system reload", (args, { rl }) => handleSystemCommand(rl, args));
+  builtin("tools", "List the tools Zeno can use, including config and MCP tools", () => displayToolList());
+  builtin("permissions", "List permission rules; /permissions revoke <number>", args => handlePermissionsCommand(args));
+  builtin("edit", "Write a long message in $EDITOR and send it: /edit [text to start with]", (args, { rl, argumentText }) => handleEditCommand(rl, argumentText));
+  builtin("attach", "Attach files to your next message: /attach <path>... (or write @path); /attach clear", args => handleAttachCommand(args));
+  builtin("render", "Turn Markdown rendering of responses on or off: /render [on|off]", args => handleRenderCommand(args));
+  builtin("copy", "Copy a numbered code block to the clipboard: /copy [number]", args => handleCopyCommand(args));
+  builtin("save", "Save a numbered code block to a file: /save <number> <path>", (args, { rl }) => handleSaveCommand(rl, args));
+  builtin("commit", "Commit the staged changes with a message Zeno writes (you can edit it)", (args, { rl }) => handleCommitCommand(rl));
+  builtin("review", "Ask Zeno to review the current changes: /review [--staged] [paths]", (args, { rl }) => handleReviewCommand(rl, args));
+  builtin("compact", "Summarize older messages to free up context", () => handleCompactCommand());
+  builtin("clear", "Clear chat history and start fresh", async () => {
+    chatHistory = []; await saveChatHistory(); startNewChatSession();
+    console.log(chalk.yellow("Chat history cleared."));
+  });
+  builtin("undo", "Revert the last file change Zeno made", () => handleRestoreCommand(undefined, "Usage: /undo"));
+  builtin("checkpoints", "List file checkpoints of this session", () => handleCheckpointsCommand());
+  builtin("restore", "Go back to before a checkpoint: /restore <id>", async (args) => {
+    if (!args[0]) console.log(chalk.red("Usage: /restore <id> (see /checkpoints)"));
+    else await handleRestoreCommand(args[0], "Usage: /restore <id> (see /checkpoints)");
+  });
+  builtin("help", "Show this help message", async () => {
+    await loadCommandTemplates({ showWarnings: true });
+    displayHelp();
+  });
+  builtin("exit", "Exit Zeno", async () => {
+    await stopResearchJobs();
+    console.log(chalk.magenta("Zeno signing off. Goodbye!"));
+    return "exit";
+  });
+  builtin("research", "Start a research job in the background: /research [--topics N] [--depth N] [--dir folder] [topic]",
+    (args, { rl }) => handleResearchMode(rl, args),
+    ["/research resume <dir> continues an interrupted one, or starts one whose topics you reviewed"]);
+  builtin("jobs", "List research jobs; /jobs watch <id> follows one, /jobs cancel <id> [now] stops one", (args, { rl }) => handleJobsCommand(rl, args));
+}
+
+// Templates are read again before every slash command, so new and edited files work without a restart. Project
+// templates (in the file mode working directory, or the current one) replace user templates of the same name;
+// neither can replace a built-in command.
+async function loadCommandTemplates({ showWarnings = false } = {}) {
+  const warnings = [];
+  const templates = new Map();
+  const folders = [[USER_COMMANDS_DIR, "user"], [path.join(getActiveWorkingDirectory(), Commands.PROJECT_COMMANDS_DIR), "project"]];
+  for (const [directory, source] of folders) {
+    try {
+      const loaded = await Commands.loadTemplates(directory, source);
+      warnings.push(...loaded.warnings);
+      loaded.templates.forEach(template => templates.set(template.name, template));
+    } catch (error) {
+      warnings.push(`Cannot read command templates in ${directory}: ${error.message}`);
+    }
+  }
+  commandRegistry.unregisterSource("user");
+  commandRegistry.unregisterSource("project");
+  for (const template of templates.values()) {
+    if (commandRegistry.get(template.name)) {
+      warnings.push(`Skipped ${template.file}: /${template.name} is a built-in command.`);
+      continue;
+    }
+    const hint = template.argumentHint ? `: /${template.name} ${template.argumentHint}` : "";
+    const description = `${template.description || `Prompt from ${path.basename(template.file)}`}${hint}`;
+    commandRegistry.register({
+      name: template.name,
+      description,
+      source: template.source,
+      run: (args, { rl, argumentText }) => runTemplateCommand(rl, template, argumentText),
+    });
+  }
+  if (showWarnings) warnings.forEach(warning => console.log(chalk.yellow(`Warning: ${warning}`)));
+}
+
+// Sends a template's prompt as a chat message: @path references in it (or in the arguments) attach files as usual
+async function runTemplateCommand(rlInstance, template, argumentText) {
+  const prompt = Commands.expandTemplate(template, argumentText);
+  const userParts = await buildUserParts(prompt);
+  if (!userParts) return;
+  if (template.allowedTools) {
+    console.log(chalk.gray(`/${template.name} may use ${template.allowedTools.length > 0 ? `only these tools: ${template.allowedTools.join(", ")}` : "no tools"}.`));
+  }
+  await runInteractiveTurn(rlInstance, userParts, {
+    restriction: template.allowedTools ? { command: template.name, allowedTools: template.allowedTools } : null,
+  });
+}
+
+// --- Main Chat Logic ---
+async function main(cliOptions = {}) {
+  const rl = readline.createInterface({
+    input,
+    output,
+    completer: Input.createCompleter({ getCommandNames: () => commandRegistry.list().map(command => command.name), getWorkingDirectory: getActiveWorkingDirectory }),
+    historySize: Input.MAX_HISTORY_ENTRIES,
+  });
+  // Ctrl+C interrupts whatever is running; at the prompt it closes Zeno, as readline does by default
+  rl.on("SIGINT", () => {
+    if (interruptHandler) { interruptHandler(); return; }
+    researchJobs.running().forEach(job => job.cancel({ now: true })); // Their progress is saved for /research resume
+    rl.close();
+    closePluginServers();
+  });
+
+  console.log(chalk.bold.magenta("Welcome to Zeno Chat!"));
+
+  await loadConfig(); // Loads API keys, model choice and filesWorkingDirectory
+  if (activeProfile) console.log(chalk.gray(`Profile "${activeProfile}" active.`));
+  if (cliOptions.raw) isMarkdownRenderingEnabled = false; // For this run only
+  if (activeProvider === "gemini" && !getApiKey("gemini")) {
+    await promptForApiKey(rl); // Saves the key only if the user agrees
+  }
+
+  await loadChatHistory(Sessions.sanitizeSessionName(cliOptions.session));
+  await loadSystemInstruction();
+  await loadPluginTools();
+  initializeModelClient(); // Initial call; the session is restarted if /files or /model change tools or backend
+  registerBuiltinCommands();
+  await loadCommandTemplates({ showWarnings: true });
+  const inputReader = Input.createInputReader(rl, {
+    input,
+    output,
+    history: await Input.readHistory(INPUT_HISTORY_FILE).catch(() => []),
+    onHistoryChange: entries => Input.writeHistory(INPUT_HISTORY_FILE, entries)
+      .catch(error => console.error(chalk.red(`Could not save input history: ${error.message}`))),
+  });
+  displayHelp();
+
+
+  while (true) {
+    flushNotifications();
+    chatPrompt = rl; // Research jobs may redraw the prompt while it waits
+    // Ctrl+C in the middle of a message of several lines discards it; on its first line it closes Zeno
+    const discard = new AbortController();
+    const userInput = await inputReader.read(getChatPromptText(), {
+      signal: discard.signal,
+      onContinue: () => { chatPrompt = null; interruptHandler = () => discard.abort(); },
+    }).finally(() => { chatPrompt = null; interruptHandler = null; });
+    if (userInput === null) {
+      console.log(chalk.yellow("\nMessage discarded."));
+      continue;
+    }
+
+    if (userInput.toLowerCase().startsWith('/') && !userInput.includes("\n")) {
+        const [commandName, ...commandArgs] = userInput.trim().split(/\s+/);
+        await loadCommandTemplates();
+        const command = commandRegistry.get(commandName);
+        if (!command) {
+          console.log(chalk.red(`Unknown command: ${userInput}`));
+          continue;
+        }
+        const argumentText = userInput.trim().slice(commandName.length).trim();
+        if (await command.run(commandArgs, { rl, argumentText }) === "exit") break;
+        continue;
+    }
+
+    if (!userInput.trim()) continue;
+    const userParts = await buildUserParts(userInput);
+    if (!userParts) continue;
+    await runInteractiveTurn(rl, userParts);
+  }
+  rl.close();
+  closePluginServers();
+}
+
+// --- Non-interactive Mode ---
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+function displayUsage() {
+  console.log(`Usage: zeno                       Start an interactive chat
+       zeno [options] [prompt]      Answer one prompt and exit
+       <command> | zeno [prompt]    Append piped stdin to the prompt
+       zeno config list|get|set|unset [key] [value]
+                                    Show or change settings in config.json (value "-" reads stdin)
+
+Options:
+  -p, --prompt <text>      Prompt to send (same as the positional prompt)
+      --json               Print { response, toolCalls, model, provider } as JSON
+  -y, --yes                Approve every tool call
+      --deny-tools         Deny every tool call that needs confirmation (the default)
+      --allow-tools <list> Approve only these tools, comma-separated (e.g. new_file,edit_file)
+      --session <name>     Use (or create) a named chat session
+      --raw                Print responses as raw text instead of rendered Markdown
+      --profile <name>     Use a named profile from config.json (or set ZENO_PROFILE)
+      --export-audit <file> Write the tool call audit log to file (CSV for .csv, else JSON Lines; - for stdout),
+                           filtered by --tool <name>, --since <when> (e.g. 7d, 2025-06-01) and --session <name>
+  -h, --help               Show this help
+
+Read-only tools (web_search, fetch_url, read_file, list_directory, search_in_files, git_status, git_diff,
+git_log) always run.
+Answers are rendered as Markdown only when stdout is a terminal.
+One-shot runs without --session start from an empty history and save nothing.
+GEMINI_API_KEY, OPENAI_API_KEY, ZENO_<PROVIDER>_API_KEY, ZENO_PROVIDER and ZENO_MODEL override config.json.
+Exit codes: 0 success, 1 model or tool error, 2 usage error.`);
+}
+
+function parseCliArgs(argv) {
+  return parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      prompt: { type: "string", short: "p" },
+      json: { type: "boolean" },
+      yes: { type: "boolean", short: "y" },
+      "deny-tools": { type: "boolean" },
+      "allow-tools": { type: "string" },
+      session: { type: "string" },
+      raw: { type: "boolean" },
+      profile: { type: "string" },
+      "export-audit": { type: "string" },
+      tool: { type: "string" },
+      since: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+}
+
+async function readStdin() {
+  let data = "";
+  for await (const chunk of process.stdin) data += chunk;
+  return data;
+}
+
+async function runOnce(cliOptions, positionals) {
+  // Status messages go to stderr so that stdout only carries the answer
+  const log = line => console.error(line);
+
+  const promptParts = [cliOptions.prompt, ...positionals].filter(Boolean);
+  let prompt = promptParts.join(" ");
+  if (!process.stdin.isTTY) {
+    const piped = await readStdin();
+    if (piped.trim()) prompt = prompt ? `${prompt}\n\n${piped}` : piped;
+  }
+  if (!prompt.trim()) {
+    console.error(chalk.red("No prompt given. Pass one as an argument, with -p, or on stdin."));
+    return EXIT_USAGE;
+  }
+  if (cliOptions.yes && cliOptions["deny-tools"]) {
+    console.error(chalk.red("--yes and --deny-tools cannot be combined."));
+    return EXIT_USAGE;
+  }
+
+  await loadConfig({ log });
+  if (activeProvider === "gemini" && !getApiKey("gemini")) {
+    console.error(chalk.red("Gemini API Key is not configured. Set GEMINI_API_KEY, or run `zeno` interactively once to set it up."));
+    return EXIT_ERROR;
+  }
+  if (cliOptions.session) {
+    await loadChatHistory(Sessions.sanitizeSessionName(cliOptions.session), { log });
+  } else {
+    chatHistory = [];
+  }
+  await loadSystemInstruction();
+  await loadPluginTools({ quiet: true });
+  initializeModelClient({ log });
+
+  // @path works in the prompt arguments, not in piped text
+  const userParts = await buildUserParts(prompt, { includePending: false, referenceText: promptParts.join(" "), log });
+  if (!userParts) {
+    closePluginServers();
+    return EXIT_USAGE;
+  }
+
+  const turn = await runChatTurn(userParts, {
+    confirmTools: createToolPolicy({
+      yes: cliOptions.yes,
+      denyTools: cliOptions["deny-tools"],
+      allowTools: (cliOptions["allow-tools"] || "").split(",").map(name => name.trim()).filter(Boolean),
+      log,
+    }),
+    output: createPlainOutput({
+      silent: Boolean(cliOptions.json),
+      render: Boolean(process.stdout.isTTY) && isMarkdownRenderingEnabled && !cliOptions.raw,
+    }),
+    log,
+  });
+  await saveChatHistory(); // No-op unless --session was given
+  closePluginServers();
+
+  if (cliOptions.json) {
+    const result = { response: turn.text, toolCalls: turn.toolCalls, model: modelProvider.model, provider: modelProvider.name };
+    if (turn.error) result.error = turn.error.message || String(turn.error);
+    process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+  }
+  return turn.error ? EXIT_ERROR : EXIT_OK;
+}
+
+// --- Config Subcommand ---
+// "apiKey" is Gemini's key; "providers.<name>.apiKey" the key of another provider
+function getApiKeyProvider(key) {
+  if (key === "apiKey") return "gemini";
+  const match = key.match(/^providers\.([^.]+)\.apiKey$/);
+  return match ? match[1] : null;
+}
+
+async function runConfigCommand(args) {
+  const [action = "list", key, ...valueParts] = args;
+  let config;
+  try {
+    await ensureConfigDir();
+    const result = await Config.readConfigFile(CONFIG_FILE);
+    result.warnings.forEach(warning => console.error(chalk.yellow(`Warning: ${warning}`)));
+    config = result.config;
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    return EXIT_ERROR;
+  }
+  const layer = activeProfile ? (config.profiles || {})[activeProfile] || {} : config;
+  const settings = Config.resolveProfile(config, activeProfile);
+
+  switch (action.toLowerCase()) {
+    case "list": {
+      const profiles = Config.listProfiles(config);
+      console.log(chalk.cyan(`Config file: ${CONFIG_FILE}`));
+      console.log(chalk.cyan(`Profile: ${activeProfile || "(none)"}${profiles.length > 0 ? ` (available: ${profiles.join(", ")})` : ""}`));
+      for (const [name, value] of Object.entries(Config.maskSecrets(settings))) {
+        const origin = activeProfile && Object.hasOwn(layer, name) ? chalk.gray(` (profile ${activeProfile})`) : "";
+        console.log(`${name} = ${JSON.stringify(value)}${origin}`);
+      }
+      const { variables } = Config.readEnvironment(process.env);
+      if (variables.length > 0) console.log(chalk.cyan(`Overridden by the environment: ${variables.join(", ")}`));
+      if (settings.credentialHelper) console.log(chalk.cyan(`API keys not set here are looked up with: ${settings.credentialHelper}`));
+      return EXIT_OK;
+    }
+    case "get": {
+      if (!key) break;
+      const value = Config.getSetting(settings, key);
+      if (value === undefined) {
+        console.error(chalk.red(`${key} is not set.`));
+        return EXIT_ERROR;
+      }
+      console.log(typeof value === "string" ? value : JSON.stringify(value, null, 2));
+      return EXIT_OK;
+    }
+    case "set":
+    case "unset": {
+      const isSet = action.toLowerCase() === "set";
+      if (!key || (isSet && valueParts.length === 0)) break;
+      if (key === "profiles" || key.startsWith("profiles.")) {
+        console.error(chalk.red("Use --profile <name> to change the settings of a profile."));
+        return EXIT_USAGE;
+      }
+      // "-" reads the value from stdin, which keeps secrets out of the shell history
+      const text = valueParts.join(" ") === "-" ? (await readStdin()).trim() : valueParts.join(" ");
+      const value = isSet ? Config.parseValue(text) : undefined;
+      const keyProvider = getApiKeyProvider(key);
+      if (keyProvider && settings.credentialHelper) {
+        const account = getCredentialAccounts(keyProvider)[0];
+        try {
+          await Config.runCredentialHelper(settings.credentialHelper, isSet ? "store" : "erase", account, isSet ? String(value) : undefined);
+        } catch (error) {
+          console.error(chalk.red(error.message));
+          return EXIT_ERROR;
+        }
+        console.log(chalk.green(`${isSet ? "Stored" : "Erased"} the ${keyProvider} API key with the credential helper (account "${account}").`));
+        if (isSet || Config.getSetting(layer, key) === undefined) return EXIT_OK;
+      }
+      const topKey = key.split(".")[0];
+      const updatedLayer = Config.setSetting(layer, key, value);
+      try {
+        await Config.writeConfigFile(CONFIG_FILE, Config.applyChanges(config, activeProfile, { [topKey]: updatedLayer[topKey] }));
+      } catch (error) {
+        console.error(chalk.red(`Error saving Zeno configuration: ${error.message}`));
+        return EXIT_ERROR;
+      }
+      const where = activeProfile ? ` in profile "${activeProfile}"` : "";
+      const shown = Config.isSecretSetting(key) ? "" : ` = ${JSON.stringify(value)}`;
+      console.log(chalk.green(isSet ? `Set ${key}${shown}${where}.` : `Removed ${key}${where}.`));
+      return EXIT_OK;
+    }
+    default:
+      console.error(chalk.red(`Unknown config command: ${action}`));
+      return EXIT_USAGE;
+  }
+  console.error(chalk.red(`Usage: zeno config ${action} <key>${action.toLowerCase() === "set" ? " <value>" : ""}`));
+  return EXIT_USAGE;
+}
+
+async function start() {
+  let parsed;
+  try {
+    parsed = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    displayUsage();
+    process.exit(EXIT_USAGE);
+  }
+  const { values: cliOptions, positionals } = parsed;
+  if (cliOptions.help) { displayUsage(); return; }
+  activeProfile = cliOptions.profile || process.env.ZENO_PROFILE || null;
+  if (activeProfile && !Config.isValidProfileName(activeProfile)) {
+    console.error(chalk.red(`Invalid profile name "${activeProfile}": use letters, digits, - and _.`));
+    process.exit(EXIT_USAGE);
+  }
+  if (cliOptions["export-audit"] !== undefined) {
+    process.exitCode = await exportAuditLog(cliOptions);
+    return;
+  }
+  if (positionals[0] === "config" && cliOptions.prompt === undefined) {
+    process.exitCode = await runConfigCommand(positionals.slice(1));
+    return;
+  }
+  registerBuiltinTools();
+
+  const isOneShot = cliOptions.prompt !== undefined || positionals.length > 0 || !process.stdin.isTTY;
+  if (!isOneShot) {
+    await main(cliOptions);
+    return;
+  }
+  process.exitCode = await runOnce(cliOptions, positionals);
+}
+
+start().catch(err => {
   console.error(chalk.red("Unhandled error in Zeno:"), err);
   process.exit(1);
 });